@@ -0,0 +1,37 @@
+const Capability = require("./Capability");
+const NotImplementedError = require("../NotImplementedError");
+
+/**
+ * Past cleaning jobs, newest first
+ *
+ * @template {import("../ValetudoRobot")} T
+ * @extends Capability<T>
+ */
+class CleaningHistoryCapability extends Capability {
+    /**
+     * Entries returned here don't include their map snapshot
+     *
+     * @abstract
+     * @returns {Promise<Array<import("../../entities/core/ValetudoCleaningHistoryEntry")>>}
+     */
+    async getEntries() {
+        throw new NotImplementedError();
+    }
+
+    /**
+     * @abstract
+     * @param {string} id
+     * @returns {Promise<import("../../entities/core/ValetudoCleaningHistoryEntry") | null>} the entry including its map snapshot if there is one
+     */
+    async getEntry(id) {
+        throw new NotImplementedError();
+    }
+
+    getType() {
+        return CleaningHistoryCapability.TYPE;
+    }
+}
+
+CleaningHistoryCapability.TYPE = "CleaningHistoryCapability";
+
+module.exports = CleaningHistoryCapability;
@@ -22,12 +22,14 @@ class CombinedVirtualRestrictionsCapability extends Capability {
      * @param {object} options
      * @param {T} options.robot
      * @param {Array<import("../../entities/core/ValetudoRestrictedZone").ValetudoRestrictedZoneType>} [options.supportedRestrictedZoneTypes]
+     * @param {boolean} [options.supportsPolygonalRestrictedZones]
      * @class
      */
     constructor(options) {
         super(options);
 
         this.supportedRestrictedZoneTypes = options.supportedRestrictedZoneTypes ?? [ValetudoRestrictedZone.TYPE.REGULAR];
+        this.supportsPolygonalRestrictedZones = options.supportsPolygonalRestrictedZones ?? false;
     }
 
     /**
@@ -68,27 +70,40 @@ class CombinedVirtualRestrictionsCapability extends Capability {
                         break;
                 }
 
-                restrictedZones.push(new ValetudoRestrictedZone({
-                    points: {
-                        pA: {
-                            x: restriction.points[0],
-                            y: restriction.points[1]
-                        },
-                        pB: {
-                            x: restriction.points[2],
-                            y: restriction.points[3]
-                        },
-                        pC: {
-                            x: restriction.points[4],
-                            y: restriction.points[5]
+                if (restriction.points.length === 8) {
+                    restrictedZones.push(new ValetudoRestrictedZone({
+                        points: {
+                            pA: {
+                                x: restriction.points[0],
+                                y: restriction.points[1]
+                            },
+                            pB: {
+                                x: restriction.points[2],
+                                y: restriction.points[3]
+                            },
+                            pC: {
+                                x: restriction.points[4],
+                                y: restriction.points[5]
+                            },
+                            pD: {
+                                x: restriction.points[6],
+                                y: restriction.points[7]
+                            }
                         },
-                        pD: {
-                            x: restriction.points[6],
-                            y: restriction.points[7]
-                        }
-                    },
-                    type: type
-                }));
+                        type: type
+                    }));
+                } else {
+                    const polygon = [];
+
+                    for (let i = 0; i + 1 < restriction.points.length; i += 2) {
+                        polygon.push({
+                            x: restriction.points[i],
+                            y: restriction.points[i + 1]
+                        });
+                    }
+
+                    restrictedZones.push(ValetudoRestrictedZone.FROM_POLYGON(polygon, type));
+                }
             }
         });
 
@@ -112,7 +127,8 @@ class CombinedVirtualRestrictionsCapability extends Capability {
      */
     getProperties() {
         return {
-            supportedRestrictedZoneTypes: this.supportedRestrictedZoneTypes
+            supportedRestrictedZoneTypes: this.supportedRestrictedZoneTypes,
+            supportsPolygonalRestrictedZones: this.supportsPolygonalRestrictedZones
         };
     }
 
@@ -129,4 +145,5 @@ module.exports = CombinedVirtualRestrictionsCapability;
  * @typedef {object} CombinedVirtualRestrictionsCapabilityProperties
  *
  * @property {Array<import("../../entities/core/ValetudoRestrictedZone").ValetudoRestrictedZoneType>} supportedRestrictedZoneTypes
+ * @property {boolean} supportsPolygonalRestrictedZones
  */
@@ -2,12 +2,25 @@ const Capability = require("./Capability");
 const NotImplementedError = require("../NotImplementedError");
 
 /**
- * List and restore map snapshots which are generated by the firmware
+ * List, restore and optionally delete map snapshots which are generated by the firmware
  * 
  * @template {import("../ValetudoRobot")} T
  * @extends Capability<T>
  */
 class MapSnapshotCapability extends Capability {
+    /**
+     *
+     * @param {object} options
+     * @param {T} options.robot
+     * @param {boolean} [options.supportsDeletion]
+     * @class
+     */
+    constructor(options) {
+        super(options);
+
+        this.supportsDeletion = options.supportsDeletion ?? false;
+    }
+
     /**
      * @abstract
      * @returns {Promise<Array<import("../../entities/core/ValetudoMapSnapshot")>>}
@@ -24,6 +37,25 @@ class MapSnapshotCapability extends Capability {
         throw new NotImplementedError();
     }
 
+    /**
+     * Only called if the capability was constructed with supportsDeletion
+     *
+     * @param {import("../../entities/core/ValetudoMapSnapshot")} snapshot
+     * @returns {Promise<void>}
+     */
+    async deleteSnapshot(snapshot) {
+        throw new NotImplementedError();
+    }
+
+    /**
+     * @returns {MapSnapshotCapabilityProperties}
+     */
+    getProperties() {
+        return {
+            supportsDeletion: this.supportsDeletion
+        };
+    }
+
     getType() {
         return MapSnapshotCapability.TYPE;
     }
@@ -32,3 +64,9 @@ class MapSnapshotCapability extends Capability {
 MapSnapshotCapability.TYPE = "MapSnapshotCapability";
 
 module.exports = MapSnapshotCapability;
+
+/**
+ * @typedef {object} MapSnapshotCapabilityProperties
+ *
+ * @property {boolean} supportsDeletion
+ */
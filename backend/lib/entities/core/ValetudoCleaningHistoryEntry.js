@@ -0,0 +1,56 @@
+const SerializableEntity = require("../SerializableEntity");
+
+class ValetudoCleaningHistoryEntry extends SerializableEntity {
+    /**
+     * @param {object} options
+     * @param {string} options.id
+     * @param {Date} options.timestamp when the job started
+     * @param {number} options.duration in seconds
+     * @param {number} options.area in cm²
+     * @param {ValetudoCleaningHistoryEntryMode} options.mode
+     * @param {ValetudoCleaningHistoryEntryJobType} options.jobType
+     * @param {boolean} [options.hasMap] whether a snapshot of the map at the end of the job is available
+     * @param {import("../map/ValetudoMap")} [options.map]
+     * @param {object} [options.metaData]
+     */
+    constructor(options) {
+        super(options);
+
+        this.id = options.id;
+        this.timestamp = options.timestamp;
+        this.duration = options.duration;
+        this.area = options.area;
+        this.mode = options.mode;
+        this.jobType = options.jobType;
+        this.hasMap = options.hasMap ?? options.map !== undefined;
+
+        if (options.map !== undefined) {
+            this.map = options.map;
+        }
+    }
+}
+
+/**
+ *  @typedef {string} ValetudoCleaningHistoryEntryMode
+ *  @enum {string}
+ *
+ */
+ValetudoCleaningHistoryEntry.MODE = Object.freeze({
+    VACUUM: "vacuum",
+    MOP: "mop"
+});
+
+/**
+ *  @typedef {string} ValetudoCleaningHistoryEntryJobType
+ *  @enum {string}
+ *
+ */
+ValetudoCleaningHistoryEntry.JOB_TYPE = Object.freeze({
+    FULL: "full",
+    SEGMENT: "segment",
+    ZONE: "zone",
+    MAPPING: "mapping",
+    OTHER: "other"
+});
+
+module.exports = ValetudoCleaningHistoryEntry;
@@ -17,6 +17,7 @@ const SerializableEntity = require("../SerializableEntity");
  * @property {object} points.pD
  * @property {number} points.pD.x
  * @property {number} points.pD.y
+ * @property {Array<{x: number, y: number}>} [polygon]
  */
 class ValetudoRestrictedZone extends SerializableEntity {
     /**
@@ -26,6 +27,9 @@ class ValetudoRestrictedZone extends SerializableEntity {
      *
      * This could be extended to contain a type of restriction for e.g. having no-mop and no-vacuum zones
      *
+     * Zones that aren't axis-aligned rectangles carry their exact outline in polygon.
+     * The points then are its bounding box so that clients only drawing rectangles
+     * can still show the zone.
      *
      * @param {object} options
      * @param {object} options.points
@@ -41,6 +45,7 @@ class ValetudoRestrictedZone extends SerializableEntity {
      * @param {object} options.points.pD
      * @param {number} options.points.pD.x
      * @param {number} options.points.pD.y
+     * @param {Array<{x: number, y: number}>} [options.polygon]
      * @param {ValetudoRestrictedZoneType} options.type
      * @param {object} [options.metaData]
      * @class
@@ -50,6 +55,39 @@ class ValetudoRestrictedZone extends SerializableEntity {
 
         this.points = options.points;
         this.type = options.type;
+
+        if (Array.isArray(options.polygon)) {
+            this.polygon = options.polygon;
+        }
+    }
+
+    /**
+     * @param {Array<{x: number, y: number}>} polygon
+     * @param {ValetudoRestrictedZoneType} type
+     * @returns {ValetudoRestrictedZone}
+     */
+    static FROM_POLYGON(polygon, type) {
+        const xs = polygon.map(point => {
+            return point.x;
+        });
+        const ys = polygon.map(point => {
+            return point.y;
+        });
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+
+        return new ValetudoRestrictedZone({
+            points: {
+                pA: {x: minX, y: minY},
+                pB: {x: maxX, y: minY},
+                pC: {x: maxX, y: maxY},
+                pD: {x: minX, y: maxY}
+            },
+            polygon: polygon,
+            type: type
+        });
     }
 }
 
@@ -60,7 +98,8 @@ class ValetudoRestrictedZone extends SerializableEntity {
  */
 ValetudoRestrictedZone.TYPE = Object.freeze({
     REGULAR: "regular",
-    MOP: "mop"
+    MOP: "mop",
+    CARPET: "carpet"
 });
 
 module.exports = ValetudoRestrictedZone;
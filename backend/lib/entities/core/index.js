@@ -1,4 +1,5 @@
 module.exports = {
+    ValetudoCleaningHistoryEntry: require("./ValetudoCleaningHistoryEntry"),
     ValetudoDNDConfiguration: require("./ValetudoDNDConfiguration"),
     ValetudoDataPoint: require("./ValetudoDataPoint"),
     ValetudoManualMovementVector: require("./ValetudoManualMovementVector"),
@@ -188,7 +188,8 @@ MapLayer.MATERIAL = Object.freeze({
     TILE: "tile",
     WOOD: "wood",
     WOOD_HORIZONTAL: "wood_horizontal",
-    WOOD_VERTICAL: "wood_vertical"
+    WOOD_VERTICAL: "wood_vertical",
+    CARPET: "carpet"
 });
 
 module.exports = MapLayer;
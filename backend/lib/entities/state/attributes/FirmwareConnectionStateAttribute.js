@@ -0,0 +1,32 @@
+const StateAttribute = require("./StateAttribute");
+
+/**
+ * Whether Valetudo can reach the vendor firmware processes it talks to.
+ * While not connected, the other attributes might be stale.
+ */
+class FirmwareConnectionStateAttribute extends StateAttribute {
+    /**
+     * @param {object} options
+     * @param {FirmwareConnectionStateAttributeValue} options.value
+     * @param {object} [options.metaData]
+     */
+    constructor(options) {
+        super(options);
+
+        this.value = options.value;
+    }
+}
+
+/**
+ *  @typedef {string} FirmwareConnectionStateAttributeValue
+ *  @enum {string}
+ *
+ */
+FirmwareConnectionStateAttribute.VALUE = Object.freeze({
+    CONNECTED: "connected",
+    DEGRADED: "degraded",
+    UNREACHABLE: "unreachable"
+});
+
+
+module.exports = FirmwareConnectionStateAttribute;
@@ -3,6 +3,7 @@ module.exports = {
     BatteryStateAttribute: require("./BatteryStateAttribute"),
     DockComponentStateAttribute: require("./DockComponentStateAttribute"),
     DockStatusStateAttribute: require("./DockStatusStateAttribute"),
+    FirmwareConnectionStateAttribute: require("./FirmwareConnectionStateAttribute"),
     PresetSelectionStateAttribute: require("./PresetSelectionStateAttribute"),
     StatusStateAttribute: require("./StatusStateAttribute")
 };
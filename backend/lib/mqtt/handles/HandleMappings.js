@@ -45,6 +45,10 @@ const STATUS_ATTR_TO_HANDLE_MAPPING = [
     {
         matcher: {attributeClass: stateAttrs.DockComponentStateAttribute.name},
         handle: stateHandles.DockComponentStateMqttHandle
+    },
+    {
+        matcher: {attributeClass: stateAttrs.FirmwareConnectionStateAttribute.name},
+        handle: stateHandles.FirmwareConnectionStateMqttHandle
     }
 ];
 
@@ -75,7 +75,8 @@ class HassController {
      * @return {object}
      */
     getAutoconfDeviceBoilerplate() {
-        return {
+        const robotProperties = this.robot.getProperties();
+        const boilerplate = {
             manufacturer: "Valetudo",
             model: `${this.robot.getManufacturer()} ${this.robot.getModelName()}`,
             name: this.friendlyName,
@@ -83,6 +84,16 @@ class HassController {
             sw_version: Tools.GET_VALETUDO_VERSION(),
             configuration_url: `http://${Tools.GET_ZEROCONF_HOSTNAME()}`
         };
+
+        // sw_version already is the Valetudo version, so the robot firmware goes into hw_version
+        if (robotProperties.firmwareVersion) {
+            boilerplate.hw_version = robotProperties.firmwareVersion;
+        }
+        if (robotProperties.serialNumber) {
+            boilerplate.serial_number = robotProperties.serialNumber;
+        }
+
+        return boilerplate;
     }
 
     /**
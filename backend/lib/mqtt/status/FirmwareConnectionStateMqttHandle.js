@@ -0,0 +1,69 @@
+const ComponentType = require("../homeassistant/ComponentType");
+const DataType = require("../homie/DataType");
+const EntityCategory = require("../homeassistant/EntityCategory");
+const InLineHassComponent = require("../homeassistant/components/InLineHassComponent");
+const PropertyMqttHandle = require("../handles/PropertyMqttHandle");
+const RobotStateNodeMqttHandle = require("../handles/RobotStateNodeMqttHandle");
+const stateAttrs = require("../../entities/state/attributes");
+
+class FirmwareConnectionStateMqttHandle extends RobotStateNodeMqttHandle {
+    /**
+     * @param {object} options
+     * @param {import("../handles/RobotMqttHandle")} options.parent
+     * @param {import("../MqttController")} options.controller MqttController instance
+     * @param {import("../../core/ValetudoRobot")} options.robot
+     */
+    constructor(options) {
+        super(Object.assign(options, {
+            topicName: "FirmwareConnectionStateAttribute",
+            friendlyName: "Firmware connection state",
+            type: "Status"
+        }));
+
+        this.registerChild(new PropertyMqttHandle({
+            parent: this,
+            controller: this.controller,
+            topicName: "status",
+            friendlyName: "Status",
+            datatype: DataType.ENUM,
+            format: Object.values(stateAttrs.FirmwareConnectionStateAttribute.VALUE).join(","),
+            getter: async () => {
+                const connectionState = this.robot.state.getFirstMatchingAttribute({
+                    attributeClass: stateAttrs.FirmwareConnectionStateAttribute.name
+                });
+
+                if (connectionState === null) {
+                    return false;
+                }
+
+                return connectionState.value;
+            },
+            helpText: "This handle reports whether Valetudo can reach the robot firmware. " +
+                "While it is `unreachable`, commands won't reach the robot and the other states might be outdated."
+        }).also((prop) => {
+            this.controller.withHass((hass => {
+                prop.attachHomeAssistantComponent(
+                    new InLineHassComponent({
+                        hass: hass,
+                        robot: this.robot,
+                        name: "firmware_unreachable",
+                        friendlyName: "Firmware Unreachable",
+                        componentType: ComponentType.BINARY_SENSOR,
+                        autoconf: {
+                            state_topic: prop.getBaseTopic(),
+                            value_template: `{{ 'ON' if value == '${stateAttrs.FirmwareConnectionStateAttribute.VALUE.UNREACHABLE}' else 'OFF' }}`,
+                            device_class: "problem",
+                            entity_category: EntityCategory.DIAGNOSTIC
+                        }
+                    })
+                );
+            }));
+        }));
+    }
+
+    getInterestingStatusAttributes() {
+        return [{attributeClass: stateAttrs.FirmwareConnectionStateAttribute.name}];
+    }
+}
+
+module.exports = FirmwareConnectionStateMqttHandle;
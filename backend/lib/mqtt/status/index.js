@@ -3,5 +3,6 @@ module.exports = {
     BatteryStateMqttHandle: require("./BatteryStateMqttHandle"),
     DockComponentStateMqttHandle: require("./DockComponentStateMqttHandle"),
     DockStatusStateMqttHandle: require("./DockStatusStateMqttHandle"),
+    FirmwareConnectionStateMqttHandle: require("./FirmwareConnectionStateMqttHandle"),
     StatusStateMqttHandle: require("./StatusStateMqttHandle"),
 };
@@ -79,14 +79,32 @@ const ALERT_SUBSYSTEM_MAP = {
     [ALERT_TYPE.LEFT_WHEEL_CURRENT_ERROR]: ValetudoRobotError.SUBSYSTEM.MOTORS,
     [ALERT_TYPE.RIGHT_WHEEL_CURRENT_ERROR]: ValetudoRobotError.SUBSYSTEM.MOTORS,
     [ALERT_TYPE.DOWNIN_ERROR]: ValetudoRobotError.SUBSYSTEM.SENSORS,
+    [ALERT_TYPE.BRUSH_CURRENT_LARGE_CURRENT_WARNING]: ValetudoRobotError.SUBSYSTEM.MOTORS,
+    [ALERT_TYPE.SIDE_BRUSH_CURRENT_LARGE_CURRENT_WARNING]: ValetudoRobotError.SUBSYSTEM.MOTORS,
+    [ALERT_TYPE.LEFT_SIDE_BRUSH_CURRENT_LARGE_CURRENT_WARNING]: ValetudoRobotError.SUBSYSTEM.MOTORS,
+    [ALERT_TYPE.RIGHT_SIDE_BRUSH_CURRENT_LARGE_CURRENT_WARNING]: ValetudoRobotError.SUBSYSTEM.MOTORS,
+    [ALERT_TYPE.FALL_STATE_WARNING]: ValetudoRobotError.SUBSYSTEM.SENSORS,
+    [ALERT_TYPE.LEFT_WHEEL_CURRENT_LARGE_CURRENT_WARNING]: ValetudoRobotError.SUBSYSTEM.MOTORS,
+    [ALERT_TYPE.RIGHT_WHEEL_CURRENT_LARGE_CURRENT_WARNING]: ValetudoRobotError.SUBSYSTEM.MOTORS,
+    [ALERT_TYPE.LEFT_BUMP_REPEAT_TRIGE_WARNING]: ValetudoRobotError.SUBSYSTEM.SENSORS,
+    [ALERT_TYPE.RIGHT_BUMP_REPEAT_TRIGE_WARNING]: ValetudoRobotError.SUBSYSTEM.SENSORS,
+    [ALERT_TYPE.BUMP_LONG_TIMER_TRIGE_WARNING]: ValetudoRobotError.SUBSYSTEM.SENSORS,
     [ALERT_TYPE.BUMP_LONG_TIMER_TRIGE_ERROR]: ValetudoRobotError.SUBSYSTEM.SENSORS,
     [ALERT_TYPE.BUMP_LONG_TIMER_NO_TRIGE_ERROR]: ValetudoRobotError.SUBSYSTEM.SENSORS,
+    [ALERT_TYPE.DEGREE_NO_CHANGE_WARNING]: ValetudoRobotError.SUBSYSTEM.NAVIGATION,
     [ALERT_TYPE.DEGREE_NO_CHANGE_ERROR]: ValetudoRobotError.SUBSYSTEM.NAVIGATION,
     [ALERT_TYPE.LEFT_WHEEL_SPEED_ERROR]: ValetudoRobotError.SUBSYSTEM.MOTORS,
     [ALERT_TYPE.RIGHT_WHEEL_SPEED_ERROR]: ValetudoRobotError.SUBSYSTEM.MOTORS,
     [ALERT_TYPE.FAN_SPEED_ERROR]: ValetudoRobotError.SUBSYSTEM.MOTORS,
+    [ALERT_TYPE.POSE_NO_CHANGE_WARNING]: ValetudoRobotError.SUBSYSTEM.NAVIGATION,
+    [ALERT_TYPE.ROLL_GESTURE_SLOPE_WARNING]: ValetudoRobotError.SUBSYSTEM.SENSORS,
+    [ALERT_TYPE.PITCH_GESTURE_SLOPE_WARNING]: ValetudoRobotError.SUBSYSTEM.SENSORS,
+    [ALERT_TYPE.ROBOT_BEEN_MOVED_DURING_IDLE]: ValetudoRobotError.SUBSYSTEM.NAVIGATION,
+    [ALERT_TYPE.NO_RETURN_CHARGE_WARNING]: ValetudoRobotError.SUBSYSTEM.DOCK,
+    [ALERT_TYPE.FAN_SPEED_STATE_CHANGED_WARNING]: ValetudoRobotError.SUBSYSTEM.MOTORS,
     [ALERT_TYPE.ROBOT_STUCK_ERROR]: ValetudoRobotError.SUBSYSTEM.NAVIGATION,
     [ALERT_TYPE.LDS_ERROR]: ValetudoRobotError.SUBSYSTEM.SENSORS,
+    [ALERT_TYPE.ULTRA_WATERBOX_WARNING]: ValetudoRobotError.SUBSYSTEM.ATTACHMENTS,
     [ALERT_TYPE.ULTRA_WATERBOX_ERROR]: ValetudoRobotError.SUBSYSTEM.ATTACHMENTS,
 };
 
@@ -98,6 +116,22 @@ function alertTypeName(alertType) {
     return ALERT_TYPE_NAMES[alertType] ?? `Unknown alert (${alertType})`;
 }
 
+/**
+ * @param {number} alertType
+ * @returns {string} one of ValetudoRobotError.SUBSYSTEM
+ */
+function alertSubsystem(alertType) {
+    return ALERT_SUBSYSTEM_MAP[alertType] ?? ValetudoRobotError.SUBSYSTEM.UNKNOWN;
+}
+
+/**
+ * @param {number} alertType
+ * @returns {boolean}
+ */
+function isErrorAlert(alertType) {
+    return ERROR_ALERT_TYPES.has(alertType);
+}
+
 /**
  * Find the most severe error-level alert from a list of triggered alerts.
  * Returns the first error-level alert, or null if none are errors.
@@ -107,13 +141,47 @@ function alertTypeName(alertType) {
  */
 function findMostSevereErrorAlert(triggeredAlerts) {
     for (const alert of triggeredAlerts) {
-        if (ERROR_ALERT_TYPES.has(alert.type)) {
+        if (isErrorAlert(alert.type)) {
             return alert;
         }
     }
     return null;
 }
 
+/**
+ * Derive which attachments are mounted. The T8 has no presence sensor topic, so:
+ *
+ * - the dustbin is missing while DIRT_BOX_STATE is triggered
+ * - the water tank is missing while WATER_BOX_STATE is triggered and mounted while one of
+ *   the ULTRA_WATERBOX alerts (raised by the tank itself) is, otherwise the waterboxType
+ *   of the running job tells
+ *
+ * The mop plate clips onto the water tank, so it shares its state.
+ * null means unknown, which is the case for the water tank while idle without any of those alerts.
+ *
+ * @param {Array<{type: number, state: number}>|null} triggeredAlerts
+ * @param {number|null} waterboxType of the running job, null while idle
+ * @returns {{dustbin: boolean|null, watertank: boolean|null, mop: boolean|null}}
+ */
+function determineAttachmentState(triggeredAlerts, waterboxType) {
+    const types = new Set((triggeredAlerts ?? []).map(alert => {
+        return alert.type;
+    }));
+    let watertank = waterboxType === null ? null : waterboxType > 0;
+
+    if (types.has(ALERT_TYPE.WATER_BOX_STATE)) {
+        watertank = false;
+    } else if (types.has(ALERT_TYPE.ULTRA_WATERBOX_WARNING) || types.has(ALERT_TYPE.ULTRA_WATERBOX_ERROR)) {
+        watertank = true;
+    }
+
+    return {
+        dustbin: triggeredAlerts === null ? null : !types.has(ALERT_TYPE.DIRT_BOX_STATE),
+        watertank: watertank,
+        mop: watertank
+    };
+}
+
 /**
  * Map an alert type ID to a ValetudoRobotError.
  *
@@ -126,14 +194,17 @@ function mapAlertToRobotError(alertType) {
             kind: ValetudoRobotError.SEVERITY_KIND.TRANSIENT,
             level: ValetudoRobotError.SEVERITY_LEVEL.ERROR,
         },
-        subsystem: ALERT_SUBSYSTEM_MAP[alertType] ?? ValetudoRobotError.SUBSYSTEM.UNKNOWN,
+        subsystem: alertSubsystem(alertType),
         message: alertTypeName(alertType),
         vendorErrorCode: String(alertType)
     });
 }
 
 module.exports = {
+    alertSubsystem: alertSubsystem,
     alertTypeName: alertTypeName,
+    determineAttachmentState: determineAttachmentState,
     findMostSevereErrorAlert: findMostSevereErrorAlert,
+    isErrorAlert: isErrorAlert,
     mapAlertToRobotError: mapAlertToRobotError,
 };
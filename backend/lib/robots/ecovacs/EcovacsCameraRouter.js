@@ -0,0 +1,83 @@
+const express = require("express");
+const Logger = require("../../Logger");
+const sendErrorResponse = require("../../webserver/sendErrorResponse");
+
+const SNAPSHOT_TIMEOUT_MS = 5_000;
+const BOUNDARY = "ecovacsframe";
+
+/**
+ * Live camera frames, mounted below /api/v2/robot/camera/
+ */
+class EcovacsCameraRouter {
+    /**
+     * @param {object} options
+     * @param {import("./EcovacsT8AiviValetudoRobot")} options.robot
+     */
+    constructor(options) {
+        this.robot = options.robot;
+        this.router = express.Router({mergeParams: true});
+
+        this.initRoutes();
+    }
+
+    initRoutes() {
+        this.router.get("/snapshot", async (req, res) => {
+            try {
+                const frame = await this.robot.cameraService.getFrame(SNAPSHOT_TIMEOUT_MS);
+
+                if (frame === null) {
+                    res.status(503).json("No camera frame received. The camera usually only streams while manual control is enabled.");
+                } else {
+                    res.set({
+                        "Content-Type": "image/jpeg",
+                        "Cache-Control": "no-store"
+                    });
+                    res.end(frame);
+                }
+            } catch (e) {
+                sendErrorResponse(this.constructor.name, req, res, e);
+            }
+        });
+
+        this.router.get("/stream", async (req, res) => {
+            let congested = false;
+            const listener = (frame) => {
+                // Slow clients skip frames instead of piling them up in memory
+                if (congested) {
+                    return;
+                }
+
+                res.write(`--${BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`);
+                congested = !res.write(Buffer.concat([frame, Buffer.from("\r\n")]));
+            };
+
+            res.on("drain", () => {
+                congested = false;
+            });
+            req.on("close", () => {
+                this.robot.cameraService.removeFrameListener(listener).catch(e => {
+                    Logger.warn(`${this.constructor.name}: Failed to stop camera subscription: ${e?.message ?? e}`);
+                });
+            });
+
+            res.writeHead(200, {
+                "Content-Type": `multipart/x-mixed-replace; boundary=${BOUNDARY}`,
+                "Cache-Control": "no-store",
+                "Connection": "close"
+            });
+
+            try {
+                await this.robot.cameraService.addFrameListener(listener);
+            } catch (e) {
+                Logger.warn(`${this.constructor.name}: Failed to start camera subscription: ${e?.message ?? e}`);
+                res.end();
+            }
+        });
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = EcovacsCameraRouter;
@@ -0,0 +1,85 @@
+const fs = require("fs");
+const Logger = require("../../Logger");
+const path = require("path");
+
+/**
+ * Carpets the user added or removed on top of the firmware carpet map, keyed by map id.
+ * Only Valetudo uses them, the firmware never sees this file.
+ */
+class EcovacsCarpetOverlayStore {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath
+     */
+    constructor(options) {
+        this.filePath = options.filePath;
+
+        /** @type {Object<string, import("./map/EcovacsCarpetOverlay").EcovacsCarpetOverlay>} */
+        this.overlays = this.load();
+    }
+
+    /**
+     * @returns {Object<string, import("./map/EcovacsCarpetOverlay").EcovacsCarpetOverlay>}
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return {};
+            }
+            const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            /** @type {Object<string, import("./map/EcovacsCarpetOverlay").EcovacsCarpetOverlay>} */
+            const overlays = {};
+            for (const [mapId, overlay] of Object.entries(parsed ?? {})) {
+                overlays[mapId] = {
+                    added: filterPolygons(overlay?.added),
+                    removed: filterPolygons(overlay?.removed)
+                };
+            }
+
+            return overlays;
+        } catch (e) {
+            Logger.debug(`Failed to read Ecovacs carpet overlay: ${e?.message ?? e}`);
+
+            return {};
+        }
+    }
+
+    /**
+     * @param {number} mapId
+     * @returns {import("./map/EcovacsCarpetOverlay").EcovacsCarpetOverlay}
+     */
+    getOverlay(mapId) {
+        const overlay = this.overlays[String(mapId)];
+
+        return {
+            added: overlay ? overlay.added.slice() : [],
+            removed: overlay ? overlay.removed.slice() : []
+        };
+    }
+
+    /**
+     * @param {number} mapId
+     * @param {import("./map/EcovacsCarpetOverlay").EcovacsCarpetOverlay} overlay
+     */
+    setOverlay(mapId, overlay) {
+        this.overlays[String(mapId)] = {
+            added: overlay.added.slice(),
+            removed: overlay.removed.slice()
+        };
+
+        fs.mkdirSync(path.dirname(this.filePath), {recursive: true});
+        fs.writeFileSync(this.filePath, JSON.stringify(this.overlays), "utf8");
+    }
+}
+
+/**
+ * @param {any} polygons
+ * @returns {Array<Array<number>>}
+ */
+function filterPolygons(polygons) {
+    return (Array.isArray(polygons) ? polygons : []).filter(polygon => {
+        return Array.isArray(polygon) && polygon.length >= 6 && polygon.length % 2 === 0 && polygon.every(Number.isFinite);
+    });
+}
+
+module.exports = EcovacsCarpetOverlayStore;
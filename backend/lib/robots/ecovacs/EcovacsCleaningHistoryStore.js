@@ -0,0 +1,185 @@
+const fs = require("fs");
+const Logger = require("../../Logger");
+const path = require("path");
+const zlib = require("zlib");
+
+const INDEX_FILE_NAME = "index.json";
+
+/**
+ * @typedef {object} EcovacsCleaningHistoryRecord
+ * @property {string} id
+ * @property {number} startTimeSecs
+ * @property {number} worktime seconds
+ * @property {number} workareaM2
+ * @property {number} worktype
+ * @property {number} waterboxType
+ * @property {"firmware"|"valetudo"} source firmware worklog or a job Valetudo observed itself
+ * @property {boolean} hasMap
+ */
+
+/**
+ * Cleaning history persisted as an index file plus one gzipped map snapshot file per entry,
+ * so listing the history doesn't have to read any of the maps.
+ *
+ * The snapshots of the oldest entries are dropped once they exceed maxMapBytes in total.
+ */
+class EcovacsCleaningHistoryStore {
+    /**
+     * @param {object} options
+     * @param {string} options.directory
+     * @param {number} options.maxEntries
+     * @param {number} options.maxMapBytes size budget of all map snapshots on disk
+     */
+    constructor(options) {
+        this.directory = options.directory;
+        this.maxEntries = options.maxEntries;
+        this.maxMapBytes = options.maxMapBytes;
+
+        /** @type {Array<EcovacsCleaningHistoryRecord>} newest first */
+        this.records = this.loadIndex();
+    }
+
+    /**
+     * @returns {Array<EcovacsCleaningHistoryRecord>}
+     */
+    loadIndex() {
+        try {
+            const indexPath = path.join(this.directory, INDEX_FILE_NAME);
+            if (!fs.existsSync(indexPath)) {
+                return [];
+            }
+            const parsed = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+
+            return (Array.isArray(parsed) ? parsed : []).filter(record => {
+                return typeof record?.id === "string" && Number.isFinite(record.startTimeSecs);
+            });
+        } catch (e) {
+            Logger.debug(`Failed to read Ecovacs cleaning history: ${e?.message ?? e}`);
+
+            return [];
+        }
+    }
+
+    /**
+     * @returns {Array<EcovacsCleaningHistoryRecord>}
+     */
+    getRecords() {
+        return this.records.slice();
+    }
+
+    /**
+     * @param {string} id
+     * @returns {EcovacsCleaningHistoryRecord|null}
+     */
+    getRecord(id) {
+        return this.records.find(record => {
+            return record.id === id;
+        }) ?? null;
+    }
+
+    /**
+     * @param {number} startTimeSecs
+     * @param {number} toleranceSecs
+     * @returns {EcovacsCleaningHistoryRecord|null}
+     */
+    findRecordByStartTime(startTimeSecs, toleranceSecs) {
+        return this.records.find(record => {
+            return Math.abs(record.startTimeSecs - startTimeSecs) <= toleranceSecs;
+        }) ?? null;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null} the serialized ValetudoMap
+     */
+    getMap(id) {
+        if (this.getRecord(id)?.hasMap !== true) {
+            return null;
+        }
+        try {
+            return JSON.parse(zlib.gunzipSync(fs.readFileSync(this.getMapPath(id))).toString("utf8"));
+        } catch (e) {
+            Logger.warn(`Failed to read Ecovacs cleaning history map ${id}: ${e?.message ?? e}`);
+
+            return null;
+        }
+    }
+
+    /**
+     * @param {Omit<EcovacsCleaningHistoryRecord, "id"|"hasMap">} record
+     * @param {import("../../entities/map/ValetudoMap")|null} map
+     * @returns {EcovacsCleaningHistoryRecord}
+     */
+    addRecord(record, map) {
+        fs.mkdirSync(this.directory, {recursive: true});
+
+        const id = String(record.startTimeSecs);
+        let hasMap = false;
+        if (map !== null) {
+            const compressedMap = zlib.gzipSync(JSON.stringify(map));
+
+            if (compressedMap.length <= this.maxMapBytes) {
+                fs.writeFileSync(this.getMapPath(id), compressedMap);
+                hasMap = true;
+            } else {
+                Logger.warn(`Ecovacs cleaning history map ${id} exceeds the budget of ${this.maxMapBytes} bytes and won't be stored`);
+            }
+        }
+        /** @type {EcovacsCleaningHistoryRecord} */
+        const stored = Object.assign({}, record, {id: id, hasMap: hasMap});
+
+        this.records = this.records.filter(existing => {
+            return existing.id !== id;
+        });
+        this.records.push(stored);
+        this.records.sort((a, b) => {
+            return b.startTimeSecs - a.startTimeSecs;
+        });
+        for (const dropped of this.records.splice(Math.max(0, this.maxEntries))) {
+            if (dropped.hasMap) {
+                fs.rmSync(this.getMapPath(dropped.id), {force: true});
+            }
+        }
+        this.dropMapsOverBudget();
+        fs.writeFileSync(path.join(this.directory, INDEX_FILE_NAME), JSON.stringify(this.records), "utf8");
+
+        return stored;
+    }
+
+    /**
+     * @private
+     */
+    dropMapsOverBudget() {
+        let mapBytes = 0;
+
+        for (const record of this.records) {
+            if (!record.hasMap) {
+                continue;
+            }
+            try {
+                mapBytes += fs.statSync(this.getMapPath(record.id)).size;
+            } catch (e) {
+                record.hasMap = false;
+
+                continue;
+            }
+
+            // Newest first, so the snapshots of the oldest entries go first
+            if (mapBytes > this.maxMapBytes) {
+                fs.rmSync(this.getMapPath(record.id), {force: true});
+                record.hasMap = false;
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} id
+     * @returns {string}
+     */
+    getMapPath(id) {
+        return path.join(this.directory, `${id}.map.json.gz`);
+    }
+}
+
+module.exports = EcovacsCleaningHistoryStore;
@@ -0,0 +1,85 @@
+const stateAttrs = require("../../entities/state/attributes");
+
+const CONNECTION_VALUE = stateAttrs.FirmwareConnectionStateAttribute.VALUE;
+
+/**
+ * Aggregates the ROS master, the service clients and the topic subscribers into one firmware connection state.
+ *
+ * The clients retry on their own, so a dead ROS master or medusa process would otherwise only show up
+ * as debug logs. The firmware counts as unreachable if the ROS master doesn't answer or every
+ * endpoint in use is failing, and as degraded if only some of them are.
+ */
+class EcovacsConnectionHealthMonitor {
+    /**
+     * @param {object} options
+     * @param {import("./ros/core/RosMasterXmlRpcClient")} options.masterClient
+     * @param {string} options.callerId
+     * @param {() => Array<any>} options.getDiagnostics diagnostics of all clients and subscribers
+     * @param {number} [options.activityWindowMs] services not called for this long are left out
+     */
+    constructor(options) {
+        this.masterClient = options.masterClient;
+        this.callerId = options.callerId;
+        this.getDiagnostics = options.getDiagnostics;
+        this.activityWindowMs = options.activityWindowMs ?? 60_000;
+    }
+
+    /**
+     * @returns {Promise<ConnectionHealth>}
+     */
+    async check() {
+        let masterError = null;
+        try {
+            if (await this.masterClient.getSystemState(this.callerId) === null) {
+                masterError = "ROS master did not return a system state";
+            }
+        } catch (e) {
+            masterError = e?.message ?? String(e);
+        }
+
+        return determineConnectionHealth(masterError, this.getDiagnostics(), Date.now() - this.activityWindowMs);
+    }
+}
+
+/**
+ * @param {string|null} masterError
+ * @param {Array<any>} diagnostics
+ * @param {number} activeSince services last called before this are left out, as their last result is outdated
+ * @returns {ConnectionHealth}
+ */
+function determineConnectionHealth(masterError, diagnostics, activeSince) {
+    const inUse = diagnostics.filter(entry => {
+        return entry.kind === "topic" ? entry.running : entry.callCount > 0 && entry.lastCallAt >= activeSince;
+    });
+    const failing = inUse.filter(entry => {
+        if (entry.kind === "topic") {
+            // Topics without a publisher are fine, some are only published in certain robot states
+            return !entry.connected && entry.lastErrorAt > 0;
+        }
+
+        return entry.lastErrorAt >= entry.lastCallAt;
+    });
+
+    let value = CONNECTION_VALUE.CONNECTED;
+    if (masterError !== null || (inUse.length > 0 && failing.length === inUse.length)) {
+        value = CONNECTION_VALUE.UNREACHABLE;
+    } else if (failing.length > 0) {
+        value = CONNECTION_VALUE.DEGRADED;
+    }
+
+    return {
+        value: value,
+        masterError: masterError,
+        failing: failing.map(entry => entry.name)
+    };
+}
+
+/**
+ * @typedef {object} ConnectionHealth
+ * @property {import("../../entities/state/attributes/FirmwareConnectionStateAttribute").FirmwareConnectionStateAttributeValue} value
+ * @property {string|null} masterError
+ * @property {Array<string>} failing names of the failing services and topics
+ */
+
+module.exports = EcovacsConnectionHealthMonitor;
+module.exports.determineConnectionHealth = determineConnectionHealth;
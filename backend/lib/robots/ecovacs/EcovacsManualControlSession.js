@@ -0,0 +1,65 @@
+const entities = require("../../entities");
+const {REMOTE_MOVE_STOP} = require("./EcovacsStateMapping");
+
+const stateAttrs = entities.state.attributes;
+
+/*
+ * The remote session and manualControlActiveFlag are shared by EcovacsManualControlCapability and
+ * EcovacsHighResolutionManualControlCapability, so enabling one of them also enables the other.
+ */
+
+/**
+ * @param {import("./EcovacsT8AiviValetudoRobot")} robot
+ * @returns {Promise<void>}
+ */
+async function enableManualControl(robot) {
+    if (robot.manualControlActiveFlag === true) {
+        return;
+    }
+
+    await robot.remoteSessionService.open(getSessionCode(robot));
+
+    robot.manualControlActiveFlag = true;
+    robot.setStatus(stateAttrs.StatusStateAttribute.VALUE.MANUAL_CONTROL);
+}
+
+/**
+ * @param {import("./EcovacsT8AiviValetudoRobot")} robot
+ * @returns {Promise<void>}
+ */
+async function disableManualControl(robot) {
+    if (robot.manualControlActiveFlag === false) {
+        return;
+    }
+
+    try {
+        await robot.workManageService.remoteMove(REMOTE_MOVE_STOP);
+    } catch (e) {
+        // Stopping manual control session is more important than stop best-effort
+    }
+
+    await robot.remoteSessionService.close();
+
+    robot.manualControlActiveFlag = false;
+    robot.setStatus(stateAttrs.StatusStateAttribute.VALUE.IDLE);
+}
+
+/**
+ * @param {import("./EcovacsT8AiviValetudoRobot")} robot
+ * @returns {string}
+ */
+function getSessionCode(robot) {
+    const code = robot.manualControlSessionCode;
+    if (code === undefined || code === null || code === "") {
+        throw new Error(
+            "Missing robot.implementationSpecificConfig.manualControlSessionCode for Ecovacs manual control session setup."
+        );
+    }
+
+    return code;
+}
+
+module.exports = {
+    disableManualControl: disableManualControl,
+    enableManualControl: enableManualControl,
+};
@@ -0,0 +1,73 @@
+const express = require("express");
+const sendErrorResponse = require("../../webserver/sendErrorResponse");
+
+const MAX_CAPTURE_COUNT = 20;
+const MAX_CAPTURE_TIMEOUT_MS = 30_000;
+
+/**
+ * Read-only ROS diagnostics, mounted below /api/v2/robot/ros/
+ */
+class EcovacsRosDebugRouter {
+    /**
+     * @param {object} options
+     * @param {import("./EcovacsT8AiviValetudoRobot")} options.robot
+     */
+    constructor(options) {
+        this.robot = options.robot;
+        this.router = express.Router({mergeParams: true});
+
+        this.initRoutes();
+    }
+
+    initRoutes() {
+        this.router.get("/graph", async (req, res) => {
+            try {
+                res.json(await this.robot.rosIntrospectionService.getGraph());
+            } catch (e) {
+                sendErrorResponse(this.constructor.name, req, res, e);
+            }
+        });
+
+        this.router.get("/connections", (req, res) => {
+            res.json(this.robot.getRosConnectionDiagnostics());
+        });
+
+        this.router.get("/compatibility", async (req, res) => {
+            try {
+                res.json(await this.robot.getRosCompatibilityReport());
+            } catch (e) {
+                sendErrorResponse(this.constructor.name, req, res, e);
+            }
+        });
+
+        this.router.get("/capture", async (req, res) => {
+            const topic = typeof req.query.topic === "string" ? req.query.topic : "";
+            const count = Number(req.query.count ?? 3);
+            const timeoutMs = Number(req.query.timeoutMs ?? 5000);
+
+            if (
+                !topic.startsWith("/") ||
+                !Number.isInteger(count) || count < 1 || count > MAX_CAPTURE_COUNT ||
+                !Number.isInteger(timeoutMs) || timeoutMs < 1 || timeoutMs > MAX_CAPTURE_TIMEOUT_MS
+            ) {
+                res.status(400).json(
+                    `Expected an absolute topic, 1-${MAX_CAPTURE_COUNT} messages and a timeout of at most ${MAX_CAPTURE_TIMEOUT_MS}ms`
+                );
+
+                return;
+            }
+
+            try {
+                res.json(await this.robot.rosIntrospectionService.captureTopicMessages(topic, count, timeoutMs));
+            } catch (e) {
+                sendErrorResponse(this.constructor.name, req, res, e);
+            }
+        });
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = EcovacsRosDebugRouter;
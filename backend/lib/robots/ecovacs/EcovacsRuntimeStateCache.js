@@ -17,7 +17,7 @@ class EcovacsRuntimeStateCache {
     }
 
     /**
-     * @returns {{robotPose:{x:number,y:number,angle:number}|null,battery:{level:number,flag:string}|null,chargeState:{isOnCharger:number,chargeState:number}|null}}
+     * @returns {{robotPose:{x:number,y:number,angle:number}|null,battery:{level:number,flag:string}|null,chargeState:{isOnCharger:number,chargeState:number}|null,trace:{mapId:number,startTimeSecs:number|null,endIdx:number,points:Array<{x:number,y:number}>}|null,cleaningOverrideRestores:CleaningOverrideRestores|null}}
      */
     loadCache() {
         try {
@@ -25,7 +25,9 @@ class EcovacsRuntimeStateCache {
                 return {
                     robotPose: null,
                     battery: null,
-                    chargeState: null
+                    chargeState: null,
+                    trace: null,
+                    cleaningOverrideRestores: null
                 };
             }
             const parsed = JSON.parse(fs.readFileSync(this.cachePath, "utf8"));
@@ -38,11 +40,25 @@ class EcovacsRuntimeStateCache {
                     isOnCharger: Number(cachedChargeState.isOnCharger),
                     chargeState: Number(cachedChargeState.chargeState)
                 } : null;
+            const cachedTrace = parsed?.trace;
+            const trace = (
+                cachedTrace &&
+                Number.isFinite(Number(cachedTrace.mapId)) &&
+                Number.isFinite(Number(cachedTrace.endIdx)) &&
+                Array.isArray(cachedTrace.points)
+            ) ? {
+                    mapId: Number(cachedTrace.mapId),
+                    startTimeSecs: Number.isFinite(cachedTrace.startTimeSecs) ? cachedTrace.startTimeSecs : null,
+                    endIdx: Number(cachedTrace.endIdx),
+                    points: cachedTrace.points.filter(point => Number.isFinite(point?.x) && Number.isFinite(point?.y))
+                } : null;
 
             return {
                 robotPose: parsed?.robotPose ?? null,
                 battery: parsed?.battery ?? null,
-                chargeState: chargeState
+                chargeState: chargeState,
+                trace: trace,
+                cleaningOverrideRestores: parsed?.cleaningOverrideRestores ?? null
             };
         } catch (e) {
             Logger.debug(`Failed to read Ecovacs runtime cache: ${e?.message ?? e}`);
@@ -50,13 +66,18 @@ class EcovacsRuntimeStateCache {
             return {
                 robotPose: null,
                 battery: null,
-                chargeState: null
+                chargeState: null,
+                trace: null,
+                cleaningOverrideRestores: null
             };
         }
     }
 
     /**
-     * @param {{robotPose?:{x:number,y:number,angle:number},battery?:{level:number,flag:string},chargeState?:{isOnCharger:number,chargeState:number}}} patch
+     * Passing `trace: null` drops the persisted trace, `cleaningOverrideRestores: null` the restores.
+     * The restores are written right away, as a crash would otherwise lose the user's settings.
+     *
+     * @param {{robotPose?:{x:number,y:number,angle:number},battery?:{level:number,flag:string},chargeState?:{isOnCharger:number,chargeState:number},trace?:{mapId:number,startTimeSecs:number|null,endIdx:number,points:Array<{x:number,y:number}>}|null,cleaningOverrideRestores?:CleaningOverrideRestores|null}} patch
      */
     update(patch) {
         let changed = false;
@@ -108,6 +129,31 @@ class EcovacsRuntimeStateCache {
                 changed = true;
             }
         }
+        if (patch.trace !== undefined) {
+            const trace = patch.trace === null ? null : {
+                mapId: Number(patch.trace.mapId),
+                startTimeSecs: patch.trace.startTimeSecs,
+                endIdx: Number(patch.trace.endIdx),
+                points: patch.trace.points.map(point => {
+                    return {x: Number(point.x), y: Number(point.y)};
+                })
+            };
+            const traceChanged = trace === null ? this.data.trace !== null : (
+                !this.data.trace ||
+                this.data.trace.mapId !== trace.mapId ||
+                this.data.trace.startTimeSecs !== trace.startTimeSecs ||
+                this.data.trace.endIdx !== trace.endIdx ||
+                this.data.trace.points.length !== trace.points.length
+            );
+            if (traceChanged) {
+                this.data.trace = trace;
+                changed = true;
+            }
+        }
+        if (patch.cleaningOverrideRestores !== undefined) {
+            this.data.cleaningOverrideRestores = patch.cleaningOverrideRestores;
+            this.flush();
+        }
         if (changed) {
             this.scheduleWrite();
         }
@@ -147,4 +193,12 @@ class EcovacsRuntimeStateCache {
     }
 }
 
+/**
+ * Firmware settings to put back once the cleaning job started by startWithCleaningOverrides has ended
+ *
+ * @typedef {object} CleaningOverrideRestores
+ * @property {number} [cleaningTimesPasses]
+ * @property {{mapId: number, sequence: Array<{roomIndex: number, position: number}>}} [roomSequence]
+ */
+
 module.exports = EcovacsRuntimeStateCache;
@@ -0,0 +1,96 @@
+const fs = require("fs");
+const Logger = require("../../Logger");
+const path = require("path");
+
+/**
+ * Floor materials the user picked per room, keyed by map id and room index.
+ * They take precedence over the materials derived from the carpet map.
+ */
+class EcovacsSegmentMaterialStore {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath
+     */
+    constructor(options) {
+        this.filePath = options.filePath;
+
+        /** @type {Object<string, Object<string, string>>} */
+        this.materials = this.load();
+    }
+
+    /**
+     * @returns {Object<string, Object<string, string>>}
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return {};
+            }
+            const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            /** @type {Object<string, Object<string, string>>} */
+            const materials = {};
+            for (const [mapId, segmentMaterials] of Object.entries(parsed ?? {})) {
+                if (segmentMaterials && typeof segmentMaterials === "object") {
+                    materials[mapId] = Object.fromEntries(Object.entries(segmentMaterials).filter(([, material]) => {
+                        return typeof material === "string";
+                    }));
+                }
+            }
+
+            return materials;
+        } catch (e) {
+            Logger.debug(`Failed to read Ecovacs segment materials: ${e?.message ?? e}`);
+
+            return {};
+        }
+    }
+
+    /**
+     * @param {number} mapId
+     * @returns {Object<string, string>} segment id -> material
+     */
+    getMaterials(mapId) {
+        return Object.assign({}, this.materials[String(mapId)]);
+    }
+
+    /**
+     * @param {number} mapId
+     * @param {string} segmentId
+     * @param {string} material
+     */
+    setMaterial(mapId, segmentId, material) {
+        this.materials[String(mapId)] = Object.assign({}, this.materials[String(mapId)], {[segmentId]: material});
+
+        this.save();
+    }
+
+    /**
+     * @param {number} mapId
+     * @param {string} segmentId
+     */
+    deleteMaterial(mapId, segmentId) {
+        const segmentMaterials = this.getMaterials(mapId);
+        if (!(segmentId in segmentMaterials)) {
+            return;
+        }
+
+        delete segmentMaterials[segmentId];
+        if (Object.keys(segmentMaterials).length > 0) {
+            this.materials[String(mapId)] = segmentMaterials;
+        } else {
+            delete this.materials[String(mapId)];
+        }
+
+        this.save();
+    }
+
+    /**
+     * @private
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), {recursive: true});
+        fs.writeFileSync(this.filePath, JSON.stringify(this.materials), "utf8");
+    }
+}
+
+module.exports = EcovacsSegmentMaterialStore;
@@ -1,4 +1,5 @@
 const entities = require("../../entities");
+const {MOP_MODE} = require("./ros/services/EcovacsSettingService");
 
 const stateAttrs = entities.state.attributes;
 
@@ -18,6 +19,7 @@ const WORK_TYPE = Object.freeze({
     AUTO_CLEAN: 0,
     AREA_CLEAN: 1,
     CUSTOM_CLEAN: 2,
+    BUILD_MAP: 3,
     RETURN: 5,
     GOTO: 6,
     IDLE: 7,
@@ -153,6 +155,27 @@ function waterLevelToPresetValue(level) {
     };
 }
 
+/**
+ * While it isn't known whether the water tank is mounted, the mop mode the next job would use with it is reported.
+ *
+ * @param {number|null} mopMode one of MOP_MODE, null if not known
+ * @param {boolean|null} watertankAttached null if unknown
+ * @returns {{type:string,value:string}}
+ */
+function operationModeToPresetValue(mopMode, watertankAttached) {
+    let value = stateAttrs.PresetSelectionStateAttribute.MODE.VACUUM;
+    if (watertankAttached !== false && mopMode !== null) {
+        value = Number(mopMode) === MOP_MODE.MOP_ONLY ?
+            stateAttrs.PresetSelectionStateAttribute.MODE.MOP :
+            stateAttrs.PresetSelectionStateAttribute.MODE.VACUUM_AND_MOP;
+    }
+
+    return {
+        type: stateAttrs.PresetSelectionStateAttribute.TYPE.OPERATION_MODE,
+        value: value
+    };
+}
+
 module.exports = {
     REMOTE_MOVE_BACKWARD: REMOTE_MOVE_BACKWARD,
     REMOTE_MOVE_FORWARD: REMOTE_MOVE_FORWARD,
@@ -163,6 +186,7 @@ module.exports = {
     WORK_TYPE: WORK_TYPE,
     determineRobotStatus: determineRobotStatus,
     fanLevelToPresetValue: fanLevelToPresetValue,
+    operationModeToPresetValue: operationModeToPresetValue,
     statusToDockStatus: statusToDockStatus,
     waterLevelToPresetValue: waterLevelToPresetValue,
 };
@@ -0,0 +1,140 @@
+const fs = require("fs");
+const Logger = require("../../Logger");
+const path = require("path");
+
+const DEFAULT_SYSTEM_INFO_FILES = [
+    "/etc/os-release",
+    "/proc/device-tree/model",
+    "/proc/device-tree/serial-number"
+];
+
+/*
+ * Keys are compared lowercased and without separators, so "FW_VERSION", "fw-version" and "fwVersion" all match.
+ * Only exact key names are used, as e.g. a camera setting must not be taken for the camera module version.
+ */
+const SYSTEM_INFO_FIELDS = Object.freeze([
+    {property: "firmwareVersion", keys: ["firmwareversion", "fwversion", "fwver", "romversion"]},
+    {property: "boardId", keys: ["boardid", "board", "boardname", "hardware", "model"]},
+    {property: "serialNumber", keys: ["serialnumber", "serial", "sn"]},
+    {property: "medusaVersion", keys: ["medusaversion", "medusaver"]},
+    {property: "ldsVersion", keys: ["ldsversion", "ldsver", "ldsfwversion"]},
+    {property: "cameraModuleVersion", keys: ["cameraversion", "cameraver", "cameramoduleversion", "camver"]}
+]);
+
+/**
+ * Read the key/value pairs of the firmware identity files.
+ *
+ * Files with KEY=value or key: value lines are split into their keys. Single-value files
+ * such as /proc/device-tree/model use their file name as key.
+ *
+ * @param {Array<string>} filePaths
+ * @returns {Array<[string, string]>}
+ */
+function readSystemInfoFiles(filePaths) {
+    /** @type {Array<[string, string]>} */
+    const entries = [];
+
+    for (const filePath of filePaths) {
+        let content;
+        try {
+            content = fs.readFileSync(filePath).toString();
+        } catch (e) {
+            Logger.debug(`Ecovacs system info: file not readable (${filePath}): ${e.message}`);
+            continue;
+        }
+
+        entries.push(...parseSystemInfoText(content, path.basename(filePath)));
+    }
+
+    return entries;
+}
+
+/**
+ * @param {string} content
+ * @param {string} fallbackKey used if the content is a single value
+ * @returns {Array<[string, string]>}
+ */
+function parseSystemInfoText(content, fallbackKey) {
+    const lines = content.replace(/\0/g, "").split(/\r?\n/).map(line => {
+        return line.trim();
+    }).filter(line => {
+        return line !== "" && !line.startsWith("#");
+    });
+    /** @type {Array<[string, string]>} */
+    const entries = [];
+
+    for (const line of lines) {
+        const match = /^([\w.-]+)[ \t]*[=:](.*)$/.exec(line);
+        if (match) {
+            entries.push([match[1], unquote(match[2])]);
+        }
+    }
+    if (entries.length === 0 && lines.length === 1) {
+        entries.push([fallbackKey, unquote(lines[0])]);
+    }
+
+    return entries;
+}
+
+/**
+ * Flatten an mdsctl JSON reply into key/value pairs of its leaves.
+ *
+ * @param {any} reply
+ * @returns {Array<[string, string]>}
+ */
+function flattenSystemInfoReply(reply) {
+    /** @type {Array<[string, string]>} */
+    const entries = [];
+    const visit = (value, key) => {
+        if (value !== null && typeof value === "object") {
+            for (const [childKey, childValue] of Object.entries(value)) {
+                visit(childValue, Array.isArray(value) ? key : childKey);
+            }
+        } else if (key !== null && value !== null && value !== undefined && value !== "") {
+            entries.push([key, String(value)]);
+        }
+    };
+    visit(reply, null);
+
+    return entries;
+}
+
+/**
+ * @param {Array<[string, string]>} entries in source priority order
+ * @returns {Object<string, string>} property -> value, only for the properties found
+ */
+function pickSystemInfo(entries) {
+    const normalized = entries.map(([key, value]) => {
+        return [key.toLowerCase().replace(/[^a-z0-9]/g, ""), value];
+    });
+    /** @type {Object<string, string>} */
+    const info = {};
+
+    for (const field of SYSTEM_INFO_FIELDS) {
+        const match = normalized.find(([key, value]) => {
+            return value !== "" && field.keys.includes(key);
+        });
+
+        if (match) {
+            info[field.property] = match[1];
+        }
+    }
+
+    return info;
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function unquote(value) {
+    return value.trim().replace(/^(["'])(.*)\1$/, "$2");
+}
+
+module.exports = {
+    DEFAULT_SYSTEM_INFO_FILES: DEFAULT_SYSTEM_INFO_FILES,
+    flattenSystemInfoReply: flattenSystemInfoReply,
+    parseSystemInfoText: parseSystemInfoText,
+    pickSystemInfo: pickSystemInfo,
+    readSystemInfoFiles: readSystemInfoFiles
+};
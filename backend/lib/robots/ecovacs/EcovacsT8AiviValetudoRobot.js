@@ -1,42 +1,81 @@
+const AttributeSubscriber = require("../../entities/AttributeSubscriber");
+const CallbackAttributeSubscriber = require("../../entities/CallbackAttributeSubscriber");
 const capabilities = require("./capabilities");
+const EcovacsCameraRouter = require("./EcovacsCameraRouter");
+const EcovacsCameraService = require("./ros/services/EcovacsCameraService");
+const EcovacsCarpetOverlayStore = require("./EcovacsCarpetOverlayStore");
+const EcovacsCleaningHistoryStore = require("./EcovacsCleaningHistoryStore");
+const EcovacsConnectionHealthMonitor = require("./EcovacsConnectionHealthMonitor");
 const EcovacsLifespanService = require("./ros/services/EcovacsLifespanService");
 const EcovacsMapService = require("./ros/services/EcovacsMapService");
+const EcovacsObjectRecognitionService = require("./ros/services/EcovacsObjectRecognitionService");
 const EcovacsPositionService = require("./ros/services/EcovacsPositionService");
 const EcovacsQuirkFactory = require("./EcovacsQuirkFactory");
 const EcovacsRemoteSessionService = require("./ros/services/EcovacsRemoteSessionService");
+const EcovacsRosDebugRouter = require("./EcovacsRosDebugRouter");
+const EcovacsRosIntrospectionService = require("./ros/services/EcovacsRosIntrospectionService");
 const EcovacsRuntimeStateCache = require("./EcovacsRuntimeStateCache");
 const EcovacsRuntimeStateService = require("./ros/services/EcovacsRuntimeStateService");
+const EcovacsSegmentMaterialStore = require("./EcovacsSegmentMaterialStore");
 const EcovacsSettingService = require("./ros/services/EcovacsSettingService");
 const EcovacsSoundService = require("./ros/services/EcovacsSoundService");
 const EcovacsSpotAreaService = require("./ros/services/EcovacsSpotAreaService");
 const EcovacsStatisticsService = require("./ros/services/EcovacsStatisticsService");
 const EcovacsTraceService = require("./ros/services/EcovacsTraceService");
 const EcovacsVirtualWallService = require("./ros/services/EcovacsVirtualWallService");
+const EcovacsVoicePackService = require("./ros/services/EcovacsVoicePackService");
 const EcovacsWorkManageService = require("./ros/services/EcovacsWorkManageService");
 const entities = require("../../entities");
+const ErrorStateValetudoEvent = require("../../valetudo_events/events/ErrorStateValetudoEvent");
 const fs = require("fs");
 const Logger = require("../../Logger");
 const mapEntities = require("../../entities/map");
 const MdsctlClient = require("./ros/services/MdsctlClient");
+const MopAttachmentReminderValetudoEvent = require("../../valetudo_events/events/MopAttachmentReminderValetudoEvent");
 const QuirksCapability = require("../../core/capabilities/QuirksCapability");
 const RosMasterXmlRpcClient = require("./ros/core/RosMasterXmlRpcClient");
 const ValetudoRobot = require("../../core/ValetudoRobot");
 const {
+    WORK_STATE,
+    WORK_TYPE,
     determineRobotStatus,
     fanLevelToPresetValue,
+    operationModeToPresetValue,
     statusToDockStatus,
     waterLevelToPresetValue,
 } = require("./EcovacsStateMapping");
-const {alertTypeName, findMostSevereErrorAlert, mapAlertToRobotError} = require("./EcovacsAlertMapping");
+const {
+    alertSubsystem,
+    alertTypeName,
+    determineAttachmentState,
+    findMostSevereErrorAlert,
+    isErrorAlert,
+    mapAlertToRobotError,
+} = require("./EcovacsAlertMapping");
 const {buildMap, rebuildEntitiesOnlyMap} = require("./map/EcovacsMapBuilder");
 const {clampInt} = require("./map/EcovacsMapTransforms");
 const {decodeCompressedMapResponse} = require("./map/EcovacsCompressedMapDecoder");
-const {decodeTraceRawHexToWorldMmPoints} = require("./map/EcovacsTraceDecoder");
+const {decodeTraceRawHexToWorldMmPoints, simplifyTracePath} = require("./map/EcovacsTraceDecoder");
+const {IMAGE_FILE_FORMAT} = require("../../utils/const");
 const {formatMapStats, getLayerPixelCountByType, getTotalLayerPixelCount, hasChargerEntity, hasRobotEntity} = require("./map/EcovacsMapStats");
-const {readCarpetMap} = require("./map/EcovacsCarpetMapReader");
+const {applyCarpetOverlay} = require("./map/EcovacsCarpetOverlay");
+const {applyCarpetOverlayToGrid, writeCarpetGrid} = require("./map/EcovacsCarpetMapWriter");
+const {CARPET_MAP_PATH, carpetGridToPolygons, readCarpetGrid, readCarpetMap} = require("./map/EcovacsCarpetMapReader");
+const {DEFAULT_SYSTEM_INFO_FILES, flattenSystemInfoReply, pickSystemInfo, readSystemInfoFiles} = require("./EcovacsSystemInfoReader");
+const {RosTrafficRecorder} = require("./ros/core/RosTrafficRecorder");
+const {ROS_COMPATIBILITY_STATUS, summarizeRosCompatibility} = require("./ros/services/EcovacsRosIntrospectionService");
 
 const stateAttrs = entities.state.attributes;
 const DEFAULT_RUNTIME_STATE_CACHE_PATH = "/tmp/valetudo_ecovacs_runtime_state.json";
+const DEFAULT_VOICE_PACK_DIRECTORY = "/data/audio";
+const DEFAULT_CLEANING_HISTORY_PATH = "/data/valetudo_ecovacs_cleaning_history";
+const DEFAULT_SEGMENT_MATERIALS_PATH = "/data/valetudo_ecovacs_segment_materials.json";
+const DEFAULT_CARPET_OVERLAY_PATH = "/data/valetudo_ecovacs_carpet_overlay.json";
+const CLEANING_WORK_TYPES = [WORK_TYPE.AUTO_CLEAN, WORK_TYPE.AREA_CLEAN, WORK_TYPE.CUSTOM_CLEAN, WORK_TYPE.BUILD_MAP];
+// The worklog start time and the first WorkState poll that saw the job running may differ
+const CLEANING_HISTORY_START_TOLERANCE_SECS = 300;
+// WorkStatisticToWifi is only published while cleaning, so a recent message belongs to the current job
+const CLEANING_JOB_STATISTIC_MAX_AGE_MS = 30_000;
 
 class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
     /**
@@ -58,13 +97,27 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
         this.livePositionCommandTimeoutMs = implementationSpecificConfig.livePositionCommandTimeoutMs ?? 4000;
         this.powerStatePollIntervalMs = implementationSpecificConfig.powerStatePollIntervalMs ?? 3000;
         this.cleaningSettingsPollIntervalMs = implementationSpecificConfig.cleaningSettingsPollIntervalMs ?? 30_000;
+        this.connectionHealthPollIntervalMs = implementationSpecificConfig.connectionHealthPollIntervalMs ?? 5_000;
+        this.firmwareOutageEventDelayMs = implementationSpecificConfig.firmwareOutageEventDelayMs ?? 60_000;
         this.tracePathEnabled = implementationSpecificConfig.tracePathEnabled ?? true;
         this.tracePointUnitMm = implementationSpecificConfig.tracePointUnitMm ?? 10;
         this.tracePathMaxPoints = implementationSpecificConfig.tracePathMaxPoints ?? 2000;
-        this.traceTailEntries = implementationSpecificConfig.traceTailEntries ?? 1;
+        this.traceBatchEntries = implementationSpecificConfig.traceBatchEntries ?? 50;
+        this.traceBatchesPerRefresh = implementationSpecificConfig.traceBatchesPerRefresh ?? 10;
         this.rosDebug = implementationSpecificConfig.rosDebug ?? true;
         this.manualControlSessionCode = implementationSpecificConfig.manualControlSessionCode;
         this.manualControlActiveFlag = false;
+        // Not measured, the firmware accepts larger values but whether it drives any faster is unknown
+        this.manualControlMaxVelocityMmS = implementationSpecificConfig.manualControlMaxVelocityMmS ?? 250;
+        this.systemInfoFiles = implementationSpecificConfig.systemInfoFiles ?? DEFAULT_SYSTEM_INFO_FILES;
+        /** @type {Array<{element: string, payload: object}>} */
+        this.systemInfoMdsctlQueries = implementationSpecificConfig.systemInfoMdsctlQueries ?? [];
+        /** @type {Object<string, string>} */
+        this.systemInfo = {};
+        /** @type {Array<string>} */
+        this.rosNodes = [];
+        /** @type {Array<import("./ros/services/EcovacsRosIntrospectionService").RosCompatibilityEntry>|null} */
+        this.rosCompatibilityReport = null;
         this.currentWorkType = null;
         this.lastRobotPose = null;
         this.cachedCompressedMap = null;
@@ -73,14 +126,41 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
         this.livePositionPollInFlight = false;
         this.powerStatePollTimer = null;
         this.cleaningSettingsPollTimer = null;
+        this.connectionHealthPollTimer = null;
+        /** @type {number|null} */
+        this.firmwareUnreachableSince = null;
+        /** @type {string|null} id of the event raised for the current firmware outage */
+        this.firmwareOutageEventId = null;
         this.runtimeStateCache = new EcovacsRuntimeStateCache({
             cachePath: implementationSpecificConfig.runtimeStateCachePath ?? DEFAULT_RUNTIME_STATE_CACHE_PATH,
             writeMinIntervalMs: implementationSpecificConfig.runtimeStateCacheWriteMinIntervalMs ?? 5000
         });
+        this.cleaningHistoryStore = new EcovacsCleaningHistoryStore({
+            directory: implementationSpecificConfig.cleaningHistoryPath ?? DEFAULT_CLEANING_HISTORY_PATH,
+            maxEntries: implementationSpecificConfig.cleaningHistoryMaxEntries ?? 50,
+            maxMapBytes: implementationSpecificConfig.cleaningHistoryMaxMapBytes ?? 2 * 1024 * 1024
+        });
+        this.segmentMaterialStore = new EcovacsSegmentMaterialStore({
+            filePath: implementationSpecificConfig.segmentMaterialsPath ?? DEFAULT_SEGMENT_MATERIALS_PATH
+        });
+        this.carpetOverlayStore = new EcovacsCarpetOverlayStore({
+            filePath: implementationSpecificConfig.carpetOverlayPath ?? DEFAULT_CARPET_OVERLAY_PATH
+        });
+        this.carpetMapPath = implementationSpecificConfig.carpetMapPath ?? CARPET_MAP_PATH;
+        /** @type {ObservedCleaningJob|null} */
+        this.observedCleaningJob = null;
+        /** @type {import("./EcovacsRuntimeStateCache").CleaningOverrideRestores|null} settings to restore once the current job ends */
+        this.pendingCleaningOverrideRestores = this.runtimeStateCache.data.cleaningOverrideRestores;
+        // Restores left over from before a restart are applied once the first WorkState shows that no job runs
+        this.leftoverCleaningOverrideRestoresChecked = false;
+        /** @type {Map<number, string>} alert type -> id of the event raised for it */
+        this.alertEventIds = new Map();
         this.livePositionRefreshCounter = 0;
         this.tracePathPointsMm = [];
         this.lastTraceEndIdx = -1;
         this.lastTraceMapId = null;
+        // Firmware start time of the job the trace belongs to, null if unknown
+        this.lastTraceStartTimeSecs = null;
         /** @type {Object<string, {suction: number, water: number, times: number, sequence: number}>} */
         this.cachedRoomCleaningPreferences = {};
         this.activeMapId = null;
@@ -95,7 +175,12 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
             connectTimeoutMs: implementationSpecificConfig.rosConnectTimeoutMs ?? 4_000,
             callTimeoutMs: implementationSpecificConfig.rosCallTimeoutMs ?? 6_000,
             debug: this.rosDebug,
-            onWarn: (msg, err) => Logger.debug(`Ecovacs ROS: ${msg}: ${err ?? ""}`)
+            onWarn: (msg, err) => Logger.debug(`Ecovacs ROS: ${msg}: ${err ?? ""}`),
+            recorder: implementationSpecificConfig.rosRecordingPath ? new RosTrafficRecorder({
+                path: implementationSpecificConfig.rosRecordingPath,
+                maxBytes: implementationSpecificConfig.rosRecordingMaxBytes,
+                maxFiles: implementationSpecificConfig.rosRecordingMaxFiles
+            }) : undefined
         };
         this.mapService = new EcovacsMapService(rosOptions);
         this.spotAreaService = new EcovacsSpotAreaService(rosOptions);
@@ -107,6 +192,21 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
         this.lifespanService = new EcovacsLifespanService(rosOptions);
         this.statisticsService = new EcovacsStatisticsService(rosOptions);
         this.runtimeStateService = new EcovacsRuntimeStateService(rosOptions);
+        this.objectRecognitionService = implementationSpecificConfig.objectRecognitionEnabled === true ? new EcovacsObjectRecognitionService({
+            ...rosOptions,
+            maxObjects: implementationSpecificConfig.obstacleMaxEntities
+        }) : null;
+        this.rosIntrospectionService = new EcovacsRosIntrospectionService(rosOptions);
+        this.connectionHealthMonitor = new EcovacsConnectionHealthMonitor({
+            masterClient: masterClient,
+            callerId: rosOptions.callerId,
+            getDiagnostics: () => this.getRosConnectionDiagnostics()
+        });
+        this.cameraService = implementationSpecificConfig.cameraTopic ? new EcovacsCameraService({
+            ...rosOptions,
+            topic: implementationSpecificConfig.cameraTopic
+        }) : null;
+        this.rosDebugApiEnabled = implementationSpecificConfig.rosDebugApiEnabled === true;
         this.mdsctlClient = new MdsctlClient({
             binaryPath: implementationSpecificConfig.mdsctlBinaryPath,
             socketPath: implementationSpecificConfig.mdsctlSocketPath,
@@ -114,6 +214,9 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
         });
         this.remoteSessionService = new EcovacsRemoteSessionService({mdsctlClient: this.mdsctlClient});
         this.soundService = new EcovacsSoundService({mdsctlClient: this.mdsctlClient});
+        this.voicePackService = new EcovacsVoicePackService({
+            voicePackDirectory: implementationSpecificConfig.voicePackDirectory ?? DEFAULT_VOICE_PACK_DIRECTORY
+        });
 
         this.state.upsertFirstMatchingAttribute(new stateAttrs.DockStatusStateAttribute({
             value: stateAttrs.DockStatusStateAttribute.VALUE.IDLE
@@ -158,20 +261,59 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
                 angle: Number(cachedPose.angle ?? 0)
             };
         }
+        const cachedTrace = this.runtimeStateCache.data?.trace;
+        if (this.tracePathEnabled && cachedTrace) {
+            this.tracePathPointsMm = cachedTrace.points;
+            this.lastTraceEndIdx = cachedTrace.endIdx;
+            this.lastTraceMapId = cachedTrace.mapId;
+            this.lastTraceStartTimeSecs = cachedTrace.startTimeSecs;
+        }
 
         this.registerCapability(new capabilities.EcovacsBasicControlCapability({robot: this}));
         this.registerCapability(new capabilities.EcovacsManualControlCapability({robot: this}));
+        this.registerCapability(new capabilities.EcovacsHighResolutionManualControlCapability({robot: this}));
         this.registerCapability(new capabilities.EcovacsLocateCapability({robot: this}));
+        if (implementationSpecificConfig.speakerVolumeControlEnabled === true) {
+            this.registerCapability(new capabilities.EcovacsSpeakerVolumeControlCapability({robot: this}));
+        }
+        this.registerCapability(new capabilities.EcovacsSpeakerTestCapability({robot: this}));
+        this.registerCapability(new capabilities.EcovacsVoicePackManagementCapability({robot: this}));
         this.registerCapability(new capabilities.EcovacsAutoEmptyDockManualTriggerCapability({robot: this}));
         this.registerCapability(new capabilities.EcovacsCarpetModeControlCapability({robot: this}));
         this.registerCapability(new capabilities.EcovacsCleanRouteControlCapability({robot: this}));
+        if (implementationSpecificConfig.obstacleAvoidanceControlEnabled === true) {
+            this.registerCapability(new capabilities.EcovacsObstacleAvoidanceControlCapability({robot: this}));
+        }
+        if (implementationSpecificConfig.petObstacleAvoidanceControlEnabled === true) {
+            this.registerCapability(new capabilities.EcovacsPetObstacleAvoidanceControlCapability({robot: this}));
+        }
+        if (implementationSpecificConfig.doNotDisturbEnabled === true) {
+            this.registerCapability(new capabilities.EcovacsDoNotDisturbCapability({robot: this}));
+        }
         this.registerCapability(new capabilities.EcovacsConsumableMonitoringCapability({robot: this}));
+        this.registerCapability(new capabilities.EcovacsCleaningHistoryCapability({robot: this}));
         this.registerCapability(new capabilities.EcovacsFanSpeedControlCapability({robot: this}));
         this.registerCapability(new capabilities.EcovacsWaterUsageControlCapability({robot: this}));
+        this.registerCapability(new capabilities.EcovacsOperationModeControlCapability({robot: this}));
         this.registerCapability(new capabilities.EcovacsMapSegmentEditCapability({robot: this}));
+        this.registerCapability(new capabilities.EcovacsMapSegmentMaterialControlCapability({robot: this}));
         this.registerCapability(new capabilities.EcovacsMapSegmentRenameCapability({robot: this}));
         this.registerCapability(new capabilities.EcovacsMapSegmentationCapability({robot: this}));
+        this.registerCapability(new capabilities.EcovacsMapSnapshotCapability({robot: this}));
+        this.registerCapability(new capabilities.EcovacsMapResetCapability({robot: this}));
+        this.registerCapability(new capabilities.EcovacsMappingPassCapability({robot: this}));
+        if (this.objectRecognitionService) {
+            this.registerCapability(new capabilities.EcovacsObstacleImagesCapability({
+                robot: this,
+                fileFormat: IMAGE_FILE_FORMAT.JPG,
+                dimensions: {
+                    width: 640,
+                    height: 480
+                }
+            }));
+        }
         this.registerCapability(new capabilities.EcovacsZoneCleaningCapability({robot: this}));
+        this.registerCapability(new capabilities.EcovacsGoToLocationCapability({robot: this}));
         this.registerCapability(new capabilities.EcovacsCombinedVirtualRestrictionsCapability({robot: this}));
         this.registerCapability(new capabilities.EcovacsTotalStatisticsCapability({robot: this}));
         this.registerCapability(new capabilities.EcovacsCurrentStatisticsCapability({robot: this}));
@@ -196,15 +338,77 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
         return "T8 AIVI";
     }
 
+    /**
+     * @return {object}
+     */
+    getProperties() {
+        const ourProps = Object.assign(
+            {},
+            this.systemInfo,
+            this.rosNodes.length > 0 ? {rosNodes: this.rosNodes} : {},
+            this.rosCompatibilityReport !== null ? {rosCompatibility: summarizeRosCompatibility(this.rosCompatibilityReport)} : {},
+            this.cameraService ? {cameraAvailable: true} : {}
+        );
+
+        return Object.assign(
+            {},
+            super.getProperties(),
+            ourProps
+        );
+    }
+
+    getModelDetails() {
+        return Object.assign(
+            {},
+            super.getModelDetails(),
+            {
+                supportedAttachments: [
+                    stateAttrs.AttachmentStateAttribute.TYPE.DUSTBIN,
+                    stateAttrs.AttachmentStateAttribute.TYPE.WATERTANK,
+                    stateAttrs.AttachmentStateAttribute.TYPE.MOP,
+                ]
+            }
+        );
+    }
+
+    initInternalSubscriptions() {
+        super.initInternalSubscriptions();
+
+        this.state.subscribe(
+            new CallbackAttributeSubscriber((eventType, attachment) => {
+                if (
+                    eventType === AttributeSubscriber.EVENT_TYPE.CHANGE &&
+                    //@ts-ignore
+                    attachment.type === stateAttrs.AttachmentStateAttribute.TYPE.MOP &&
+                    //@ts-ignore
+                    attachment.attached === false
+                ) {
+                    try {
+                        this.valetudoEventStore.setProcessed(MopAttachmentReminderValetudoEvent.ID);
+                    } catch (e) {
+                        //intentional
+                    }
+                }
+            }),
+            {attributeClass: stateAttrs.AttachmentStateAttribute.name}
+        );
+    }
+
     startup() {
         super.startup();
         Logger.info("Ecovacs ROS backend mode enabled");
 
+        // Independent of the ROS services startup, as that is what fails while the firmware is unreachable
+        this.connectionHealthPollTimer = setInterval(() => {
+            void this.refreshConnectionHealth();
+        }, this.connectionHealthPollIntervalMs);
+
         // Start ROS services and fetch initial map ID before starting polls
         void Promise.all([
             this.positionService.startup(),
             this.runtimeStateService.startup(),
-            this.statisticsService.startup()
+            this.statisticsService.startup(),
+            this.objectRecognitionService?.startup()
         ]).then(async () => {
             try {
                 Logger.debug("Ecovacs: fetching initial active map ID");
@@ -234,11 +438,90 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
                 void this.refreshCleaningSettingsState();
             }, this.cleaningSettingsPollIntervalMs);
             void this.refreshCleaningSettingsState();
+            void this.importFirmwareCleaningLog();
+            void this.refreshSystemInfo();
+            void this.refreshRosCompatibilityReport();
         }).catch((e) => {
             Logger.error("Ecovacs: ROS services startup failed, timers not started", e);
         });
     }
 
+    /**
+     * Firmware files and mdsctl replies don't change while Valetudo runs, so they are only read once.
+     * Off-robot, only the ROS node list is read, as the files would describe the host.
+     *
+     * @returns {Promise<void>}
+     */
+    async refreshSystemInfo() {
+        const entries = [];
+
+        if (this.config.get("embedded") === true) {
+            entries.push(...readSystemInfoFiles(this.systemInfoFiles));
+
+            for (const query of this.systemInfoMdsctlQueries) {
+                try {
+                    entries.push(...flattenSystemInfoReply(await this.mdsctlClient.query(query.element, query.payload)));
+                } catch (e) {
+                    Logger.debug(`Ecovacs system info: mdsctl ${query.element} query failed: ${e?.message ?? e}`);
+                }
+            }
+        }
+        this.systemInfo = pickSystemInfo(entries);
+
+        try {
+            this.rosNodes = await this.rosIntrospectionService.getNodeNames();
+        } catch (e) {
+            Logger.warn("Ecovacs system info: failed to read the ROS node list", e?.message ?? e);
+        }
+    }
+
+    /**
+     * Check once at startup that the firmware provides every service and topic with a known md5sum,
+     * so firmware differences show up in the log and UI before a feature fails.
+     *
+     * @returns {Promise<void>}
+     */
+    async refreshRosCompatibilityReport() {
+        try {
+            this.rosCompatibilityReport = await this.getRosCompatibilityReport();
+        } catch (e) {
+            Logger.warn(`Ecovacs ROS compatibility check failed: ${e?.message ?? e}`);
+
+            return;
+        }
+
+        const summary = summarizeRosCompatibility(this.rosCompatibilityReport);
+        Logger.info(
+            `Ecovacs ROS compatibility: ${summary.supported}/${this.rosCompatibilityReport.length} supported, ` +
+            `${summary.unknownMd5.length} with unknown md5sum, ${summary.missing.length} missing`
+        );
+        this.rosCompatibilityReport.filter(entry => entry.status === ROS_COMPATIBILITY_STATUS.UNKNOWN_MD5).forEach(entry => {
+            Logger.warn(
+                `Ecovacs ROS compatibility: ${entry.kind} ${entry.name} reports md5sum ${entry.md5} (${entry.type}), ` +
+                `known: ${entry.knownMd5s.join(", ")}`
+            );
+        });
+        if (summary.missing.length > 0) {
+            Logger.debug(`Ecovacs ROS compatibility: missing ${summary.missing.join(", ")}`);
+        }
+    }
+
+    /**
+     * @returns {Promise<Array<import("./ros/services/EcovacsRosIntrospectionService").RosCompatibilityEntry>>}
+     */
+    async getRosCompatibilityReport() {
+        const endpoints = new Map();
+        for (const diagnostics of this.getRosConnectionDiagnostics()) {
+            endpoints.set(`${diagnostics.kind}:${diagnostics.name}`, {
+                kind: diagnostics.kind,
+                name: diagnostics.name,
+                knownMd5s: diagnostics.knownMd5s
+            });
+        }
+
+        return this.rosIntrospectionService.getCompatibilityReport(Array.from(endpoints.values()));
+    }
+
     /**
      * @returns {Promise<void>}
      */
@@ -246,6 +529,10 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
         const pollStartedAt = Date.now();
 
         try {
+            if (!Number.isInteger(this.activeMapId)) {
+                // e.g. after a map reset, until the firmware has built a new map
+                this.activeMapId = await this.mapService.getActiveMapId();
+            }
             const requestedMapId = this.getActiveMapId();
             Logger.debug(`Ecovacs map poll: fetching rooms (mapId=${requestedMapId})`);
             const roomDump = await this.spotAreaService.getRooms(requestedMapId);
@@ -320,23 +607,19 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
                     `Ecovacs map poll: decoded compressed map (${compressedMap.width}x${compressedMap.height})`
                 );
             }
-            let carpetPolygons = [];
-            try {
-                carpetPolygons = readCarpetMap();
-            } catch (e) {
-                Logger.debug(`Ecovacs map poll: carpet map read failed: ${e.message}`);
-            }
             const map = buildMap(
                 roomDump.rooms,
                 positions,
                 robotPoseSnapshot,
                 compressedMap,
                 virtualWalls,
-                carpetPolygons,
+                applyCarpetOverlay(this.writeCarpetOverlay(mapId), this.carpetOverlayStore.getOverlay(mapId)),
                 {
                     rotationDegrees: this.detailedMapRotationDegrees,
                     worldMmPerPixel: this.detailedMapWorldMmPerPixel,
                     cachedRoomCleaningPreferences: this.cachedRoomCleaningPreferences,
+                    segmentMaterials: this.segmentMaterialStore.getMaterials(mapId),
+                    obstacles: this.objectRecognitionService?.getObjects() ?? [],
                 }
             );
             const mapWithEntities = rebuildEntitiesOnlyMap(
@@ -396,20 +679,57 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
             clearInterval(this.cleaningSettingsPollTimer);
             this.cleaningSettingsPollTimer = null;
         }
+        if (this.connectionHealthPollTimer) {
+            clearInterval(this.connectionHealthPollTimer);
+            this.connectionHealthPollTimer = null;
+        }
         this.runtimeStateCache.shutdown();
 
-        await Promise.all([
-            this.mapService.shutdown(),
-            this.spotAreaService.shutdown(),
-            this.virtualWallService.shutdown(),
-            this.positionService.shutdown(),
-            this.traceService.shutdown(),
-            this.workManageService.shutdown(),
-            this.settingService.shutdown(),
-            this.lifespanService.shutdown(),
-            this.statisticsService.shutdown(),
-            this.runtimeStateService.shutdown()
-        ]);
+        await Promise.all(this.getRosServices().map(service => service.shutdown()));
+    }
+
+    initModelSpecificWebserverRoutes(app) {
+        super.initModelSpecificWebserverRoutes(app);
+
+        if (this.rosDebugApiEnabled) {
+            app.use("/api/v2/robot/ros/", new EcovacsRosDebugRouter({robot: this}).getRouter());
+        }
+        if (this.cameraService) {
+            app.use("/api/v2/robot/camera/", new EcovacsCameraRouter({robot: this}).getRouter());
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Array<{shutdown: () => Promise<void>}>}
+     */
+    getRosServices() {
+        return [
+            this.mapService,
+            this.spotAreaService,
+            this.virtualWallService,
+            this.positionService,
+            this.traceService,
+            this.workManageService,
+            this.settingService,
+            this.lifespanService,
+            this.statisticsService,
+            this.runtimeStateService,
+            this.objectRecognitionService,
+            this.cameraService
+        ].filter(service => service !== null);
+    }
+
+    /**
+     * Connection state of every ROS service client and topic subscriber owned by the services.
+     *
+     * @returns {Array<object>}
+     */
+    getRosConnectionDiagnostics() {
+        return this.getRosServices()
+            .flatMap(service => /** @type {Array<any>} */ (Object.values(service)))
+            .filter(member => typeof member?.getDiagnostics === "function")
+            .map(member => member.getDiagnostics());
     }
 
     /**
@@ -478,6 +798,7 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
 
             if (workState && typeof workState.worktype === "number") {
                 this.currentWorkType = workState.worktype;
+                this.trackCleaningJob(workState);
             }
 
             if (battery && typeof battery.battery === "number") {
@@ -520,6 +841,14 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
                 });
             }
 
+            const triggeredAlerts = this.runtimeStateService.getTriggeredAlerts();
+            if (triggeredAlerts) {
+                this.syncAlertEvents(triggeredAlerts);
+            }
+            if (this.refreshAttachmentState(triggeredAlerts)) {
+                stateChanged = true;
+            }
+
             if (!workState && !chargeState) {
                 if (stateChanged) {
                     this.emitStateAttributesUpdated();
@@ -527,7 +856,6 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
                 return;
             }
 
-            const triggeredAlerts = this.runtimeStateService.getTriggeredAlerts();
             const errorAlert = triggeredAlerts && triggeredAlerts.length > 0 ?
                 findMostSevereErrorAlert(triggeredAlerts) :
                 null;
@@ -576,17 +904,301 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
         }
     }
 
+    /**
+     * Publish the firmware connection state, and raise an event once the firmware has been unreachable
+     * for firmwareOutageEventDelayMs. The event is marked processed when the firmware is reachable again.
+     *
+     * @returns {Promise<void>}
+     */
+    async refreshConnectionHealth() {
+        const health = await this.connectionHealthMonitor.check();
+        const now = Date.now();
+        const previous = this.state.getFirstMatchingAttributeByConstructor(stateAttrs.FirmwareConnectionStateAttribute);
+        const details = health.masterError ?? (health.failing.length > 0 ? `failing: ${health.failing.join(", ")}` : "");
+
+        if (previous?.value !== health.value) {
+            const message = `Ecovacs firmware connection: ${previous?.value ?? "unknown"} -> ${health.value}`;
+            if (health.value === stateAttrs.FirmwareConnectionStateAttribute.VALUE.CONNECTED) {
+                Logger.info(message);
+            } else {
+                Logger.warn(`${message} (${details})`);
+            }
+
+            this.state.upsertFirstMatchingAttribute(new stateAttrs.FirmwareConnectionStateAttribute({
+                value: health.value
+            }));
+            this.emitStateAttributesUpdated();
+        }
+
+        if (health.value === stateAttrs.FirmwareConnectionStateAttribute.VALUE.UNREACHABLE) {
+            this.firmwareUnreachableSince = this.firmwareUnreachableSince ?? now;
+            const outageMs = now - this.firmwareUnreachableSince;
+
+            if (this.firmwareOutageEventId === null && outageMs >= this.firmwareOutageEventDelayMs) {
+                const event = new ErrorStateValetudoEvent({
+                    message: `Robot firmware unreachable for ${Math.round(outageMs / 1000)}s (${details})`
+                });
+
+                this.firmwareOutageEventId = event.id;
+                this.valetudoEventStore.raise(event);
+            }
+        } else {
+            if (this.firmwareUnreachableSince !== null) {
+                void this.importFirmwareCleaningLog();
+            }
+            this.firmwareUnreachableSince = null;
+            if (this.firmwareOutageEventId !== null) {
+                try {
+                    this.valetudoEventStore.setProcessed(this.firmwareOutageEventId);
+                } catch (e) {
+                    //intentional, the event might have been pushed out of the store already
+                }
+                this.firmwareOutageEventId = null;
+            }
+        }
+    }
+
+    /**
+     * Raise one event per warning-level alert occurrence and mark it processed once the
+     * alert is gone. Error-level alerts are left out, as they already surface through the
+     * ERROR status and the event the core raises for it.
+     *
+     * @param {Array<{type: number, state: number}>} triggeredAlerts
+     */
+    syncAlertEvents(triggeredAlerts) {
+        const warningTypes = new Set(triggeredAlerts.map(alert => {
+            return alert.type;
+        }).filter(type => {
+            return !isErrorAlert(type);
+        }));
+
+        for (const type of warningTypes) {
+            if (!this.alertEventIds.has(type)) {
+                const event = new ErrorStateValetudoEvent({
+                    message: `${alertTypeName(type)} (${alertSubsystem(type)})`
+                });
+
+                Logger.info(`Ecovacs alert warning: type=${type} (${alertTypeName(type)})`);
+                this.alertEventIds.set(type, event.id);
+                this.valetudoEventStore.raise(event);
+            }
+        }
+        for (const [type, eventId] of this.alertEventIds) {
+            if (!warningTypes.has(type)) {
+                this.alertEventIds.delete(type);
+                try {
+                    this.valetudoEventStore.setProcessed(eventId);
+                } catch (e) {
+                    //intentional, the event might have been pushed out of the store already
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {Array<{type: number, state: number}>|null} triggeredAlerts
+     * @returns {boolean} whether any attachment changed
+     */
+    refreshAttachmentState(triggeredAlerts) {
+        const attachments = determineAttachmentState(triggeredAlerts, this.getCleaningJobWaterboxType());
+
+        let changed = false;
+        for (const attachment of [
+            {type: stateAttrs.AttachmentStateAttribute.TYPE.DUSTBIN, attached: attachments.dustbin},
+            {type: stateAttrs.AttachmentStateAttribute.TYPE.WATERTANK, attached: attachments.watertank},
+            {type: stateAttrs.AttachmentStateAttribute.TYPE.MOP, attached: attachments.mop}
+        ]) {
+            if (attachment.attached === null) {
+                // Rather none than an outdated one, e.g. the water tank may have been taken off since the last job
+                const matcher = {attributeClass: stateAttrs.AttachmentStateAttribute.name, attributeType: attachment.type};
+                if (this.state.getFirstMatchingAttribute(matcher) !== null) {
+                    this.state.removeMatchingAttributes(matcher);
+                    changed = true;
+                }
+
+                continue;
+            }
+            const previous = this.state.upsertFirstMatchingAttribute(new stateAttrs.AttachmentStateAttribute(attachment));
+            //@ts-ignore
+            if (previous?.attached !== attachment.attached) {
+                changed = true;
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * @private
+     * @returns {number|null} waterboxType of the running cleaning job, null while idle or not known yet
+     */
+    getCleaningJobWaterboxType() {
+        const job = this.observedCleaningJob;
+        const workStatistic = this.statisticsService.getWorkStatistic(Infinity);
+
+        if (job === null || job.startTimeSecs === null || workStatistic?.startTimeSecs !== job.startTimeSecs) {
+            return null;
+        }
+
+        return workStatistic.waterboxType;
+    }
+
+    /**
+     * Follow /task/WorkState to notice cleaning jobs starting and ending. Finished jobs end up in the
+     * cleaning history together with a snapshot of the final map, and the settings changed by
+     * startWithCleaningOverrides are restored.
+     *
+     * @param {{worktype:number,state:number}} workState
+     */
+    trackCleaningJob(workState) {
+        const active = workState.state !== WORK_STATE.IDLE && workState.worktype !== WORK_TYPE.IDLE;
+
+        if (!this.leftoverCleaningOverrideRestoresChecked) {
+            this.leftoverCleaningOverrideRestoresChecked = true;
+            if (!active) {
+                void this.restoreCleaningOverrides();
+            }
+        }
+
+        if (this.observedCleaningJob === null) {
+            if (active && CLEANING_WORK_TYPES.includes(workState.worktype)) {
+                this.observedCleaningJob = {
+                    startedAt: Date.now(),
+                    startTimeSecs: this.getFirmwareJobStartTime(),
+                    worktype: workState.worktype
+                };
+            }
+        } else if (active) {
+            // The first statistics message of a job may arrive after the first WorkState poll
+            this.observedCleaningJob.startTimeSecs = this.observedCleaningJob.startTimeSecs ?? this.getFirmwareJobStartTime();
+        } else {
+            const job = this.observedCleaningJob;
+            this.observedCleaningJob = null;
+
+            void this.restoreCleaningOverrides();
+
+            const mop = this.state.getFirstMatchingAttribute({
+                attributeClass: stateAttrs.AttachmentStateAttribute.name,
+                attributeType: stateAttrs.AttachmentStateAttribute.TYPE.MOP
+            });
+            //@ts-ignore
+            if (mop?.attached === true) {
+                // The wet mop plate shouldn't stay on the robot and soak the floor under the dock
+                this.valetudoEventStore.raise(new MopAttachmentReminderValetudoEvent({}));
+            }
+
+            void this.recordCleaningJob(job).catch(e => {
+                Logger.warn("Ecovacs: failed to record the cleaning history entry", e?.message ?? e);
+            });
+        }
+    }
+
+    /**
+     * The start time the firmware reports for the running job, as the job may have started
+     * long before it was observed, e.g. if Valetudo was restarted during it.
+     *
+     * @private
+     * @returns {number|null}
+     */
+    getFirmwareJobStartTime() {
+        const stats = this.statisticsService.getWorkStatistic(CLEANING_JOB_STATISTIC_MAX_AGE_MS);
+
+        if (
+            stats === null ||
+            !(stats.startTimeSecs > 0) ||
+            // Left over from the previous job
+            this.cleaningHistoryStore.findRecordByStartTime(stats.startTimeSecs, 0) !== null
+        ) {
+            return null;
+        }
+
+        return stats.startTimeSecs;
+    }
+
+    /**
+     * Prefer the firmware worklog for the job figures, falling back to the last
+     * /worklog/WorkStatisticToWifi message if the worklog doesn't have the job (yet).
+     *
+     * @param {ObservedCleaningJob} job
+     * @returns {Promise<void>}
+     */
+    async recordCleaningJob(job) {
+        let lastLog = null;
+        try {
+            lastLog = await this.statisticsService.getLastCleanStatistics();
+        } catch (e) {
+            Logger.debug(`Ecovacs: failed to fetch the last worklog entry: ${e?.message ?? e}`);
+        }
+        const observedStartTimeSecs = job.startTimeSecs ?? Math.floor(job.startedAt / 1000);
+        let fromWorklog;
+        if (job.startTimeSecs !== null) {
+            fromWorklog = lastLog?.startTimeSecs === job.startTimeSecs;
+        } else {
+            fromWorklog = (
+                lastLog !== null &&
+                lastLog.startTimeSecs >= observedStartTimeSecs - CLEANING_HISTORY_START_TOLERANCE_SECS
+            );
+        }
+        const stats = fromWorklog ? lastLog : this.statisticsService.getWorkStatistic(Infinity);
+
+        const record = this.cleaningHistoryStore.addRecord({
+            startTimeSecs: fromWorklog ? lastLog.startTimeSecs : observedStartTimeSecs,
+            worktime: stats?.worktime ?? Math.round((Date.now() - job.startedAt) / 1000),
+            workareaM2: stats?.workareaM2 ?? 0,
+            worktype: job.worktype,
+            waterboxType: stats?.waterboxType ?? 0,
+            source: "valetudo"
+        }, this.state.map ?? null);
+        Logger.info(`Ecovacs: added cleaning history entry ${record.id}`);
+    }
+
+    /**
+     * The firmware only exposes its last job. Import it in case it ran while
+     * Valetudo wasn't running or couldn't reach the firmware, e.g. a scheduled job during an update.
+     *
+     * @returns {Promise<void>}
+     */
+    async importFirmwareCleaningLog() {
+        try {
+            const lastLog = await this.statisticsService.getLastCleanStatistics();
+            if (
+                lastLog.startTimeSecs <= 0 ||
+                this.cleaningHistoryStore.findRecordByStartTime(lastLog.startTimeSecs, CLEANING_HISTORY_START_TOLERANCE_SECS) !== null
+            ) {
+                return;
+            }
+
+            this.cleaningHistoryStore.addRecord({
+                startTimeSecs: lastLog.startTimeSecs,
+                worktime: lastLog.worktime,
+                workareaM2: lastLog.workareaM2,
+                worktype: lastLog.worktype,
+                waterboxType: lastLog.waterboxType,
+                source: "firmware"
+            }, null);
+        } catch (e) {
+            Logger.debug(`Ecovacs: failed to import the firmware worklog: ${e?.message ?? e}`);
+        }
+    }
+
     /**
      * @returns {Promise<void>}
      */
     async refreshCleaningSettingsState() {
         try {
-            const [fanRaw, waterLevelRaw] = await Promise.all([
+            const [fanRaw, waterLevelRaw, mopModeRaw] = await Promise.all([
                 this.settingService.getFanMode(),
-                this.settingService.getWaterLevel()
+                this.settingService.getWaterLevel(),
+                this.settingService.getMopMode()
             ]);
             const fanPreset = fanLevelToPresetValue(fanRaw?.mode, fanRaw?.isSilent);
             const waterPreset = waterLevelToPresetValue(waterLevelRaw);
+            const watertank = this.state.getFirstMatchingAttribute({
+                attributeClass: stateAttrs.AttachmentStateAttribute.name,
+                attributeType: stateAttrs.AttachmentStateAttribute.TYPE.WATERTANK
+            });
+            //@ts-ignore
+            const operationModePreset = operationModeToPresetValue(mopModeRaw, watertank?.attached ?? null);
 
             let changed = false;
             const currentFan = this.state.getFirstMatchingAttribute(
@@ -611,6 +1223,14 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
             }
             this.state.upsertFirstMatchingAttribute(new stateAttrs.PresetSelectionStateAttribute(waterPreset));
 
+            const previousOperationMode = this.state.upsertFirstMatchingAttribute(
+                new stateAttrs.PresetSelectionStateAttribute(operationModePreset)
+            );
+            //@ts-ignore
+            if (previousOperationMode?.value !== operationModePreset.value) {
+                changed = true;
+            }
+
             if (changed) {
                 this.emitStateAttributesUpdated();
             }
@@ -646,6 +1266,54 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
         return this.lastRobotPose;
     }
 
+    /**
+     * @public
+     */
+    emitStateAttributesUpdated() {
+        super.emitStateAttributesUpdated();
+    }
+
+    /**
+     * Read the carpets from the firmware carpet grid as they are, including the user's edits written into it.
+     *
+     * @returns {Array<Array<number>>} carpet polygon point arrays in world mm
+     */
+    readFirmwareCarpetPolygons() {
+        try {
+            return readCarpetMap(this.carpetMapPath);
+        } catch (e) {
+            Logger.debug(`Ecovacs: carpet map read failed: ${e.message}`);
+
+            return [];
+        }
+    }
+
+    /**
+     * Write the carpet overlay of the map into the firmware carpet grid if the grid doesn't contain it.
+     * This also puts the edits back after the firmware rewrote the grid with newly detected carpets.
+     * Nothing is written if there is no grid to write into.
+     *
+     * @param {number} mapId
+     * @returns {Array<Array<number>>} carpet polygon point arrays of the resulting grid in world mm
+     */
+    writeCarpetOverlay(mapId) {
+        const grid = readCarpetGrid(this.carpetMapPath);
+        if (grid === null) {
+            return [];
+        }
+
+        try {
+            if (applyCarpetOverlayToGrid(grid, this.carpetOverlayStore.getOverlay(mapId))) {
+                writeCarpetGrid(grid, this.carpetMapPath);
+                Logger.info(`Ecovacs: wrote the carpet edits of map ${mapId} to the carpet grid`);
+            }
+        } catch (e) {
+            Logger.warn(`Ecovacs: carpet grid write failed: ${e.message}`);
+        }
+
+        return carpetGridToPolygons(grid);
+    }
+
     /**
      * @returns {number}
      */
@@ -657,42 +1325,203 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
     }
 
     /**
+     * Start a cleaning job with a one-off pass count and room order.
+     *
+     * Both only exist as persistent firmware settings (CLEANING_TIMES and the
+     * per-room sequence position), so they are applied before the start command.
+     * There is no evidence of the firmware copying them into the job, so the user's
+     * values are only restored once trackCleaningJob observes the job ending.
+     * The values to restore are kept in the runtime state cache, so a restart during the job doesn't lose them.
+     *
+     * @template T
+     * @param {object} overrides
+     * @param {number} [overrides.iterations]
+     * @param {Array<number>} [overrides.roomOrder] room ids in cleaning order
+     * @param {() => Promise<T>} startJob
+     * @returns {Promise<T>}
+     */
+    async startWithCleaningOverrides(overrides, startJob) {
+        if (overrides.iterations !== undefined && ![1, 2].includes(overrides.iterations)) {
+            throw new Error(`Ecovacs supports 1 or 2 cleaning iterations, got ${overrides.iterations}`);
+        }
+        // The end of the previous job with overrides might not have been observed, e.g. if it never started
+        await this.restoreCleaningOverrides();
+        this.leftoverCleaningOverrideRestoresChecked = true;
+
+        /** @type {import("./EcovacsRuntimeStateCache").CleaningOverrideRestores} */
+        const restores = {};
+
+        try {
+            if (overrides.iterations !== undefined) {
+                const previousPasses = await this.settingService.getCleaningTimesPasses();
+                if (previousPasses !== overrides.iterations) {
+                    restores.cleaningTimesPasses = previousPasses;
+                    this.setPendingCleaningOverrideRestores(restores);
+                    const result = await this.settingService.setCleaningTimesPasses(overrides.iterations);
+                    if (Number(result) !== 0) {
+                        throw new Error(`setCleaningTimesPasses failed with result=${result}`);
+                    }
+                }
+            }
+            if (Array.isArray(overrides.roomOrder)) {
+                const mapId = this.getActiveMapId();
+                const rooms = (await this.spotAreaService.getRooms(mapId)).rooms;
+                const previousSequence = rooms.map(room => {
+                    return {roomIndex: room.index, position: room.preference_sequence ?? 0};
+                });
+
+                restores.roomSequence = {mapId: mapId, sequence: previousSequence};
+                this.setPendingCleaningOverrideRestores(restores);
+                await this.spotAreaService.setRoomCleaningSequence(mapId, rooms.map(room => {
+                    return {roomIndex: room.index, position: overrides.roomOrder.indexOf(room.index) + 1};
+                }));
+            }
+
+            return await startJob();
+        } catch (e) {
+            await this.restoreCleaningOverrides();
+
+            throw e;
+        }
+    }
+
+    /**
+     * Put back the settings changed by startWithCleaningOverrides
+     *
+     * @returns {Promise<void>}
+     */
+    async restoreCleaningOverrides() {
+        const restores = this.pendingCleaningOverrideRestores;
+        if (restores === null) {
+            return;
+        }
+        this.setPendingCleaningOverrideRestores(null);
+
+        if (restores.roomSequence) {
+            try {
+                await this.spotAreaService.setRoomCleaningSequence(restores.roomSequence.mapId, restores.roomSequence.sequence);
+            } catch (e) {
+                Logger.warn("Ecovacs: failed to restore room sequence after a cleaning job", e?.message ?? e);
+            }
+        }
+        if (restores.cleaningTimesPasses !== undefined) {
+            try {
+                await this.settingService.setCleaningTimesPasses(restores.cleaningTimesPasses);
+            } catch (e) {
+                Logger.warn("Ecovacs: failed to restore cleaning passes after a cleaning job", e?.message ?? e);
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @param {import("./EcovacsRuntimeStateCache").CleaningOverrideRestores|null} restores
+     */
+    setPendingCleaningOverrideRestores(restores) {
+        this.pendingCleaningOverrideRestores = restores;
+        this.runtimeStateCache.update({cleaningOverrideRestores: restores});
+    }
+
+    /**
+     * Delete a stored map slot via ManipulateMapInfos.
+     * Deleting the active map is what a map reset does: the firmware builds a new map
+     * on the next cleanup or mapping pass, so only the state derived from it is dropped here.
+     *
+     * @param {number} mapId
+     * @returns {Promise<void>}
+     */
+    async deleteMap(mapId) {
+        const result = await this.mapService.deleteMap(mapId);
+        if (Number(result) !== 0) {
+            throw new Error(`deleteMap failed with result=${result}`);
+        }
+
+        if (mapId === this.activeMapId) {
+            this.resetMapState(null);
+            this.clearValetudoMap();
+        }
+    }
+
+    /**
+     * Drop everything that was derived from the previously active map.
+     * Callers are expected to trigger a map poll afterwards.
+     *
+     * @param {number|null} activeMapId
+     */
+    resetMapState(activeMapId) {
+        this.activeMapId = activeMapId;
+        this.cachedCompressedMap = null;
+        this.cachedCompressedMapAt = 0;
+        this.cachedRoomCleaningPreferences = {};
+        this.resetTracePath();
+        this.lastTraceMapId = null;
+        this.objectRecognitionService?.clear();
+    }
+
+    /**
+     * Fetch the trace incrementally, from the last known endIdx up to the robot's
+     * current one, in batches of traceBatchEntries indices. After a restart the
+     * path is restored from the runtime state cache; without a cached path the
+     * whole session is backfilled from index 0 over the next few refreshes.
+     *
      * @returns {Promise<void>}
      */
     async updateTracePathFromService() {
         const mapId = this.getActiveMapId();
-        const trace = await this.traceService.getTraceLatest(mapId, this.traceTailEntries);
-        if (trace === null) {
+        const traceInfo = await this.traceService.getTraceInfo(mapId);
+        if (traceInfo === null) {
             // The trace service signals a reset (endIdx=0 or 0xFFFFFFFF).
             // Clear stale state so the next real endIdx is accepted.
             if (this.lastTraceEndIdx !== -1) {
-                this.tracePathPointsMm = [];
-                this.lastTraceEndIdx = -1;
+                this.resetTracePath();
                 if (this.rosDebug) {
                     Logger.debug("Ecovacs trace: service signaled reset, cleared trace state");
                 }
             }
             return;
         }
-        const traceMapId = Number(trace.trace_mapid);
-        const traceEndIdx = Number(trace.trace_end_idx);
-        const rawHex = String(trace.trace_raw_hex ?? "");
-        if (!Number.isFinite(traceMapId) || !Number.isFinite(traceEndIdx) || rawHex.length === 0) {
-            return;
-        }
 
-        if (this.lastTraceMapId !== null && this.lastTraceMapId !== traceMapId) {
-            this.tracePathPointsMm = [];
-            this.lastTraceEndIdx = -1;
+        // The index restarting below what was already fetched or another job start time means a new session.
+        // The start time catches a job that ran further than the cached one, e.g. while Valetudo was restarting.
+        const startTimeSecs = this.statisticsService.getWorkStatistic(Infinity)?.startTimeSecs || null;
+        if (
+            (this.lastTraceMapId !== null && this.lastTraceMapId !== traceInfo.mapId) ||
+            (this.lastTraceStartTimeSecs !== null && startTimeSecs !== null && this.lastTraceStartTimeSecs !== startTimeSecs) ||
+            traceInfo.endIdx < this.lastTraceEndIdx
+        ) {
+            this.resetTracePath();
+            if (this.rosDebug) {
+                Logger.debug(`Ecovacs trace: new session (endIdx ${traceInfo.endIdx}), cleared trace state`);
+            }
         }
-        this.lastTraceMapId = traceMapId;
+        this.lastTraceMapId = traceInfo.mapId;
+        this.lastTraceStartTimeSecs = startTimeSecs ?? this.lastTraceStartTimeSecs;
 
-        if (traceEndIdx <= this.lastTraceEndIdx) {
-            return;
+        let startIdx = Math.max(0, this.lastTraceEndIdx);
+        for (let batch = 0; batch < this.traceBatchesPerRefresh && startIdx < traceInfo.endIdx; batch++) {
+            const endIdx = Math.min(traceInfo.endIdx, startIdx + Math.max(1, this.traceBatchEntries));
+            const range = await this.traceService.getTraceRange(mapId, startIdx, endIdx);
+
+            this.appendTracePoints(decodeTraceRawHexToWorldMmPoints(range.rawHex, this.tracePointUnitMm));
+            this.lastTraceEndIdx = endIdx;
+            startIdx = endIdx;
         }
-        this.lastTraceEndIdx = traceEndIdx;
 
-        const pointsMm = decodeTraceRawHexToWorldMmPoints(rawHex, this.tracePointUnitMm);
+        this.runtimeStateCache.update({
+            trace: {
+                mapId: this.lastTraceMapId,
+                startTimeSecs: this.lastTraceStartTimeSecs,
+                endIdx: this.lastTraceEndIdx,
+                points: this.tracePathPointsMm
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @param {Array<{x:number,y:number}>} pointsMm
+     */
+    appendTracePoints(pointsMm) {
         for (const point of pointsMm) {
             const last = this.tracePathPointsMm.length > 0 ? this.tracePathPointsMm[this.tracePathPointsMm.length - 1] : null;
             if (last && last.x === point.x && last.y === point.y) {
@@ -701,10 +1530,25 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
             this.tracePathPointsMm.push(point);
         }
         if (this.tracePathPointsMm.length > this.tracePathMaxPoints) {
-            this.tracePathPointsMm = this.tracePathPointsMm.slice(this.tracePathPointsMm.length - this.tracePathMaxPoints);
+            // Leave some headroom so the path isn't simplified again on every refresh
+            this.tracePathPointsMm = simplifyTracePath(
+                this.tracePathPointsMm,
+                Math.floor(this.tracePathMaxPoints * 0.75),
+                this.tracePointUnitMm
+            );
         }
     }
 
+    /**
+     * @private
+     */
+    resetTracePath() {
+        this.tracePathPointsMm = [];
+        this.lastTraceEndIdx = -1;
+        this.lastTraceStartTimeSecs = null;
+        this.runtimeStateCache.update({trace: null});
+    }
+
     static IMPLEMENTATION_AUTO_DETECTION_HANDLER() {
         return fs.existsSync("/tmp/mds_cmd.sock") &&
             fs.existsSync("/usr/lib/python2.7/site-packages/task") &&
@@ -712,4 +1556,11 @@ class EcovacsT8AiviValetudoRobot extends ValetudoRobot {
     }
 }
 
+/**
+ * @typedef {object} ObservedCleaningJob
+ * @property {number} startedAt when the job was first seen running, in ms
+ * @property {number|null} startTimeSecs start time reported by the firmware, null until known
+ * @property {number} worktype
+ */
+
 module.exports = EcovacsT8AiviValetudoRobot;
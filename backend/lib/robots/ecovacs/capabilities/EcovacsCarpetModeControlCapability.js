@@ -1,6 +1,9 @@
 const CarpetModeControlCapability = require("../../../core/capabilities/CarpetModeControlCapability");
 
 /**
+ * The boost applies wherever the firmware carpet grid has carpet. Carpet edits of
+ * EcovacsCombinedVirtualRestrictionsCapability are written into that grid.
+ *
  * @extends CarpetModeControlCapability<import("../EcovacsT8AiviValetudoRobot")>
  */
 class EcovacsCarpetModeControlCapability extends CarpetModeControlCapability {
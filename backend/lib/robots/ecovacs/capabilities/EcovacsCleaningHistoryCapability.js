@@ -0,0 +1,67 @@
+const CleaningHistoryCapability = require("../../../core/capabilities/CleaningHistoryCapability");
+const ValetudoCleaningHistoryEntry = require("../../../entities/core/ValetudoCleaningHistoryEntry");
+const {WORK_TYPE} = require("../EcovacsStateMapping");
+
+/**
+ * Serves the history collected by the robot from the firmware worklog and from
+ * jobs it observed through /task/WorkState.
+ *
+ * @extends CleaningHistoryCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsCleaningHistoryCapability extends CleaningHistoryCapability {
+    /**
+     * @returns {Promise<Array<ValetudoCleaningHistoryEntry>>}
+     */
+    async getEntries() {
+        return this.robot.cleaningHistoryStore.getRecords().map(record => {
+            return recordToEntry(record);
+        });
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<ValetudoCleaningHistoryEntry|null>}
+     */
+    async getEntry(id) {
+        const record = this.robot.cleaningHistoryStore.getRecord(id);
+        if (record === null) {
+            return null;
+        }
+
+        return recordToEntry(record, this.robot.cleaningHistoryStore.getMap(id));
+    }
+}
+
+/**
+ * @param {import("../EcovacsCleaningHistoryStore").EcovacsCleaningHistoryRecord} record
+ * @param {object|null} [map]
+ * @returns {ValetudoCleaningHistoryEntry}
+ */
+function recordToEntry(record, map) {
+    return new ValetudoCleaningHistoryEntry({
+        id: record.id,
+        timestamp: new Date(record.startTimeSecs * 1000),
+        duration: record.worktime,
+        area: record.workareaM2 * 10000, // m² to cm²
+        mode: record.waterboxType > 0 ?
+            ValetudoCleaningHistoryEntry.MODE.MOP :
+            ValetudoCleaningHistoryEntry.MODE.VACUUM,
+        jobType: WORK_TYPE_TO_JOB_TYPE[record.worktype] ?? ValetudoCleaningHistoryEntry.JOB_TYPE.OTHER,
+        hasMap: record.hasMap,
+        map: map ?? undefined,
+        metaData: {
+            source: record.source,
+            worktype: record.worktype,
+            waterboxType: record.waterboxType
+        }
+    });
+}
+
+const WORK_TYPE_TO_JOB_TYPE = Object.freeze({
+    [WORK_TYPE.AUTO_CLEAN]: ValetudoCleaningHistoryEntry.JOB_TYPE.FULL,
+    [WORK_TYPE.AREA_CLEAN]: ValetudoCleaningHistoryEntry.JOB_TYPE.SEGMENT,
+    [WORK_TYPE.CUSTOM_CLEAN]: ValetudoCleaningHistoryEntry.JOB_TYPE.ZONE,
+    [WORK_TYPE.BUILD_MAP]: ValetudoCleaningHistoryEntry.JOB_TYPE.MAPPING
+});
+
+module.exports = EcovacsCleaningHistoryCapability;
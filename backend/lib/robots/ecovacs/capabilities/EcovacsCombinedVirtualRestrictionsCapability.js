@@ -3,9 +3,19 @@ const Logger = require("../../../Logger");
 const ValetudoRestrictedZone = require("../../../entities/core/ValetudoRestrictedZone");
 const ValetudoVirtualRestrictions = require("../../../entities/core/ValetudoVirtualRestrictions");
 const ValetudoVirtualWall = require("../../../entities/core/ValetudoVirtualWall");
-const {mapPointToWorld, mapZoneToWorldRect, worldPointToMap} = require("../map/EcovacsMapTransforms");
+const {applyCarpetOverlay, diffCarpetOverlay} = require("../map/EcovacsCarpetOverlay");
+const {isAxisAlignedRectangle, mapPointToWorld, mapZoneToWorldPolygon, mapZoneToWorldRect, worldPointToMap} = require("../map/EcovacsMapTransforms");
 
 /**
+ * Carpet zones are the carpet map plus the user's edits on top of it. The edits are written
+ * into the firmware carpet grid, and kept as an overlay to keep their outline and to write them
+ * again if the firmware replaces the grid.
+ *
+ * All zones keep their exact outline, so rotated and polygonal zones survive the round trip.
+ *
+ * Saving only adds and deletes the walls that changed, so unchanged walls keep their vwid.
+ * If any call fails, the walls are rolled back to what they were before.
+ *
  * @extends CombinedVirtualRestrictionsCapability<import("../EcovacsT8AiviValetudoRobot")>
  */
 class EcovacsCombinedVirtualRestrictionsCapability extends CombinedVirtualRestrictionsCapability {
@@ -13,8 +23,10 @@ class EcovacsCombinedVirtualRestrictionsCapability extends CombinedVirtualRestri
         super(Object.assign({}, options, {
             supportedRestrictedZoneTypes: [
                 ValetudoRestrictedZone.TYPE.REGULAR,
-                ValetudoRestrictedZone.TYPE.MOP
-            ]
+                ValetudoRestrictedZone.TYPE.MOP,
+                ValetudoRestrictedZone.TYPE.CARPET
+            ],
+            supportsPolygonalRestrictedZones: true
         }));
     }
 
@@ -25,46 +37,42 @@ class EcovacsCombinedVirtualRestrictionsCapability extends CombinedVirtualRestri
         const virtualWalls = [];
         const restrictedZones = [];
         const mapId = requireActiveMapId(this.robot.getActiveMapId());
+        const carpetOverlay = this.robot.carpetOverlayStore.getOverlay(mapId);
         const walls = await this.robot.virtualWallService.getVirtualWalls(mapId);
         Logger.debug(`Ecovacs restrictions refresh: mapId=${mapId} walls=${walls.length}`);
         for (const wall of walls) {
             const dots = Array.isArray(wall.dots) ? wall.dots : [];
-            const mapped = dots.map(dot => {
-                return worldPointToMap(this.robot.state.map, {x: Number(dot[0]), y: Number(dot[1])});
-            }).filter(point => {
-                return point && Number.isFinite(point.x) && Number.isFinite(point.y);
-            });
-            if (mapped.length < 2) {
-                continue;
-            }
+            const type = Number(wall.type) === 1 ? ValetudoRestrictedZone.TYPE.MOP : ValetudoRestrictedZone.TYPE.REGULAR;
 
-            // 2 dots = line wall, 4 dots = rectangular zone
+            // 2 dots = line wall, 4 axis-aligned dots = rectangular zone, anything else = polygonal zone
             if (dots.length === 2 && Number(wall.type) === 0) {
-                virtualWalls.push(new ValetudoVirtualWall({
-                    points: {
-                        pA: {x: mapped[0].x, y: mapped[0].y},
-                        pB: {x: mapped[1].x, y: mapped[1].y}
-                    }
-                }));
+                const mapped = dots.map(dot => {
+                    return worldPointToMap(this.robot.state.map, {x: Number(dot[0]), y: Number(dot[1])});
+                });
+                if (mapped.every(point => point && Number.isFinite(point.x) && Number.isFinite(point.y))) {
+                    virtualWalls.push(new ValetudoVirtualWall({
+                        points: {
+                            pA: {x: mapped[0].x, y: mapped[0].y},
+                            pB: {x: mapped[1].x, y: mapped[1].y}
+                        }
+                    }));
+                }
             } else {
-                const xs = mapped.map(point => point.x);
-                const ys = mapped.map(point => point.y);
-                const minX = Math.min(...xs);
-                const maxX = Math.max(...xs);
-                const minY = Math.min(...ys);
-                const maxY = Math.max(...ys);
-                if (!Number.isFinite(minX) || !Number.isFinite(maxX) || !Number.isFinite(minY) || !Number.isFinite(maxY)) {
-                    continue;
+                const zone = worldDotsToZone(this.robot.state.map, dots, type);
+                if (zone) {
+                    restrictedZones.push(zone);
                 }
-                restrictedZones.push(new ValetudoRestrictedZone({
-                    points: {
-                        pA: {x: minX, y: minY},
-                        pB: {x: maxX, y: minY},
-                        pC: {x: maxX, y: maxY},
-                        pD: {x: minX, y: maxY}
-                    },
-                    type: Number(wall.type) === 1 ? ValetudoRestrictedZone.TYPE.MOP : ValetudoRestrictedZone.TYPE.REGULAR
-                }));
+            }
+        }
+        for (const carpet of applyCarpetOverlay(this.robot.readFirmwareCarpetPolygons(), carpetOverlay)) {
+            /** @type {Array<[number,number]>} */
+            const dots = [];
+            for (let i = 0; i + 1 < carpet.length; i += 2) {
+                dots.push([carpet[i], carpet[i + 1]]);
+            }
+            const zone = worldDotsToZone(this.robot.state.map, dots, ValetudoRestrictedZone.TYPE.CARPET);
+            if (zone) {
+                restrictedZones.push(zone);
             }
         }
 
@@ -82,41 +90,181 @@ class EcovacsCombinedVirtualRestrictionsCapability extends CombinedVirtualRestri
         const lineWalls = Array.isArray(virtualRestrictions.virtualWalls) ? virtualRestrictions.virtualWalls : [];
         const restrictedZones = Array.isArray(virtualRestrictions.restrictedZones) ? virtualRestrictions.restrictedZones : [];
         const mapId = requireActiveMapId(this.robot.getActiveMapId());
+        const carpetOverlay = diffCarpetOverlay(
+            this.robot.readFirmwareCarpetPolygons(),
+            restrictedZones.filter(zone => {
+                return zone.type === ValetudoRestrictedZone.TYPE.CARPET;
+            }).map(zone => {
+                return mapZoneToWorldPolygon(this.robot.state.map, zone).flat();
+            }),
+            this.robot.carpetOverlayStore.getOverlay(mapId)
+        );
         Logger.debug(
-            `Ecovacs restrictions save: mapId=${mapId} walls=${lineWalls.length} zones=${restrictedZones.length}`
+            `Ecovacs restrictions save: mapId=${mapId} walls=${lineWalls.length} zones=${restrictedZones.length} ` +
+            `carpetsAdded=${carpetOverlay.added.length} carpetsRemoved=${carpetOverlay.removed.length}`
         );
+        /** @type {Array<DesiredWall>} */
+        const desired = [];
+        for (const lineWall of lineWalls) {
+            const pA = mapPointToWorld(this.robot.state.map, lineWall.points.pA);
+            const pB = mapPointToWorld(this.robot.state.map, lineWall.points.pB);
+            desired.push({action: "addVirtualWall", type: 0, dots: [[pA.x, pA.y], [pB.x, pB.y]]});
+        }
+        for (const zone of restrictedZones) {
+            if (zone.type === ValetudoRestrictedZone.TYPE.CARPET) {
+                continue;
+            }
+            const isMop = zone.type === ValetudoRestrictedZone.TYPE.MOP;
+            const dots = mapZoneToWorldPolygon(this.robot.state.map, zone);
+            desired.push({
+                action: isMop ? "addNoMopZone" : "addVirtualBoundary",
+                type: isMop ? 1 : 0,
+                dots: isAxisAlignedRectangle(dots) ? rectToDots(mapZoneToWorldRect(this.robot.state.map, zone)) : dots
+            });
+        }
+
         const existing = await this.robot.virtualWallService.getVirtualWalls(mapId);
-        for (const wall of existing) {
-            try {
+        const toleranceMm = Number(this.robot.state.map?.metaData?.ecovacsTransform?.mmPerPixel ?? 0) / 2;
+        const toDelete = existing.slice();
+        const toAdd = desired.filter(wall => {
+            const index = toDelete.findIndex(existingWall => {
+                return wallsMatch(existingWall, wall, toleranceMm);
+            });
+            if (index === -1) {
+                return true;
+            }
+            toDelete.splice(index, 1);
+
+            return false;
+        });
+        Logger.debug(
+            `Ecovacs restrictions diff: mapId=${mapId} kept=${existing.length - toDelete.length} ` +
+            `added=${toAdd.length} deleted=${toDelete.length}`
+        );
+
+        const usedIds = new Set(existing.map(wall => wall.vwid));
+        /** @type {Array<number>} */
+        const addedIds = [];
+        /** @type {Array<{vwid:number,type:number,dots:Array<[number,number]>}>} */
+        const deletedWalls = [];
+        try {
+            // Adding first means that a failure never leaves the robot with less than before
+            for (const wall of toAdd) {
+                const vwid = nextFreeId(usedIds);
+                usedIds.add(vwid);
+                addedIds.push(vwid);
+                const result = await this.robot.virtualWallService.addVirtualWallPoints(mapId, vwid, wall.type, wall.dots);
+                ensureResultOk(wall.action, result);
+            }
+            for (const wall of toDelete) {
+                deletedWalls.push(wall);
                 const result = await this.robot.virtualWallService.deleteVirtualWall(mapId, wall.vwid);
                 ensureResultOk("deleteVirtualWall", result);
-            } catch (e) {
-                // Continue best-effort deletion for idempotent full replace flow.
             }
+        } catch (e) {
+            await this.rollBack(mapId, addedIds, deletedWalls);
+
+            throw new Error(`Saving virtual restrictions failed and was rolled back: ${e.message}`);
         }
+        this.robot.carpetOverlayStore.setOverlay(mapId, carpetOverlay);
+        this.robot.writeCarpetOverlay(mapId);
 
-        let nextId = 1;
-        for (const lineWall of lineWalls) {
-            const pA = mapPointToWorld(this.robot.state.map, lineWall.points.pA);
-            const pB = mapPointToWorld(this.robot.state.map, lineWall.points.pB);
-            const result = await this.robot.virtualWallService.addVirtualWallPoints(
-                mapId, nextId++, 0, [[pA.x, pA.y], [pB.x, pB.y]]
-            );
-            ensureResultOk("addVirtualWall", result);
+        this.robot.pollMap();
+    }
+
+    /**
+     * Best-effort, since it usually runs because the robot just stopped answering.
+     * Calls that timed out may still have been applied, so everything is undone regardless.
+     *
+     * @private
+     * @param {number} mapId
+     * @param {Array<number>} addedIds
+     * @param {Array<{vwid:number,type:number,dots:Array<[number,number]>}>} deletedWalls
+     * @returns {Promise<void>}
+     */
+    async rollBack(mapId, addedIds, deletedWalls) {
+        for (const vwid of addedIds) {
+            try {
+                await this.robot.virtualWallService.deleteVirtualWall(mapId, vwid);
+            } catch (e) {
+                Logger.warn(`Ecovacs restrictions rollback: failed to delete vwid=${vwid}: ${e?.message ?? e}`);
+            }
         }
-        for (const zone of restrictedZones) {
-            const rect = mapZoneToWorldRect(this.robot.state.map, zone);
-            if (zone.type === ValetudoRestrictedZone.TYPE.MOP) {
-                const result = await this.robot.virtualWallService.addNoMopZone(mapId, nextId++, rect);
-                ensureResultOk("addNoMopZone", result);
-            } else {
-                const result = await this.robot.virtualWallService.addVirtualWallRect(mapId, nextId++, 0, rect);
-                ensureResultOk("addVirtualBoundary", result);
+        for (const wall of deletedWalls) {
+            try {
+                const result = await this.robot.virtualWallService.addVirtualWallPoints(mapId, wall.vwid, wall.type, wall.dots);
+                ensureResultOk("restoreVirtualWall", result);
+            } catch (e) {
+                Logger.warn(`Ecovacs restrictions rollback: failed to restore vwid=${wall.vwid}: ${e?.message ?? e}`);
             }
         }
+    }
+}
 
-        this.robot.pollMap();
+/**
+ * @typedef {object} DesiredWall
+ * @property {string} action
+ * @property {number} type
+ * @property {Array<[number,number]>} dots in world mm
+ */
+
+/**
+ * Walls match regardless of where their outline starts, since the firmware apps don't
+ * use the same dot order as Valetudo. The tolerance covers the map pixel rounding of walls
+ * that weren't drawn on the Valetudo map.
+ *
+ * @param {{type:number,dots:Array<[number,number]>}} existing
+ * @param {DesiredWall} desired
+ * @param {number} toleranceMm
+ * @returns {boolean}
+ */
+function wallsMatch(existing, desired, toleranceMm) {
+    const existingDots = sortDots(Array.isArray(existing.dots) ? existing.dots : []);
+    const desiredDots = sortDots(desired.dots);
+    if (Number(existing.type) !== desired.type || existingDots.length !== desiredDots.length) {
+        return false;
     }
+
+    return existingDots.every((dot, i) => {
+        return Math.abs(dot[0] - desiredDots[i][0]) <= toleranceMm && Math.abs(dot[1] - desiredDots[i][1]) <= toleranceMm;
+    });
+}
+
+/**
+ * @param {Array<[number,number]>} dots
+ * @returns {Array<[number,number]>}
+ */
+function sortDots(dots) {
+    return dots.map(dot => {
+        return /** @type {[number,number]} */ ([Math.round(Number(dot[0])), Math.round(Number(dot[1]))]);
+    }).sort((a, b) => {
+        return a[0] - b[0] || a[1] - b[1];
+    });
+}
+
+/**
+ * Same dot order as EcovacsVirtualWallService.addVirtualWallRect
+ *
+ * @param {[number,number,number,number]} rect
+ * @returns {Array<[number,number]>}
+ */
+function rectToDots(rect) {
+    const [x1, y1, x2, y2] = rect;
+
+    return [[x1, y1], [x1, y2], [x2, y2], [x2, y1]];
+}
+
+/**
+ * @param {Set<number>} usedIds
+ * @returns {number}
+ */
+function nextFreeId(usedIds) {
+    let vwid = 1;
+    while (usedIds.has(vwid)) {
+        vwid++;
+    }
+
+    return vwid;
 }
 
 /**
@@ -129,6 +277,46 @@ function ensureResultOk(action, result) {
     }
 }
 
+/**
+ * Axis-aligned rectangles become plain zones, everything else keeps its outline as polygon.
+ * Outlines with dots outside of the map fall back to the bounding box of the rest.
+ *
+ * @param {any} map
+ * @param {Array<[number,number]>} dots in world mm
+ * @param {import("../../../entities/core/ValetudoRestrictedZone").ValetudoRestrictedZoneType} type
+ * @returns {ValetudoRestrictedZone|null}
+ */
+function worldDotsToZone(map, dots, type) {
+    const mapped = dots.map(dot => {
+        return worldPointToMap(map, {x: Number(dot[0]), y: Number(dot[1])});
+    }).filter(point => {
+        return point && Number.isFinite(point.x) && Number.isFinite(point.y);
+    });
+    if (mapped.length < 2) {
+        return null;
+    }
+    if (dots.length >= 3 && mapped.length === dots.length && !isAxisAlignedRectangle(dots)) {
+        return ValetudoRestrictedZone.FROM_POLYGON(mapped, type);
+    }
+
+    const xs = mapped.map(point => point.x);
+    const ys = mapped.map(point => point.y);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minY = Math.min(...ys);
+    const maxY = Math.max(...ys);
+
+    return new ValetudoRestrictedZone({
+        points: {
+            pA: {x: minX, y: minY},
+            pB: {x: maxX, y: minY},
+            pC: {x: maxX, y: maxY},
+            pD: {x: minX, y: maxY}
+        },
+        type: type
+    });
+}
+
 /**
  * @param {number} mapId
  * @returns {number}
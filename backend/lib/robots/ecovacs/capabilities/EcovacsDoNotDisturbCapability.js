@@ -0,0 +1,63 @@
+const DoNotDisturbCapability = require("../../../core/capabilities/DoNotDisturbCapability");
+const ValetudoDNDConfiguration = require("../../../entities/core/ValetudoDNDConfiguration");
+
+/**
+ * @extends DoNotDisturbCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsDoNotDisturbCapability extends DoNotDisturbCapability {
+    /**
+     * @returns {Promise<ValetudoDNDConfiguration>}
+     */
+    async getDndConfiguration() {
+        const blockTime = await this.robot.settingService.getBlockTime();
+        const offset = new Date().getTimezoneOffset();
+
+        return new ValetudoDNDConfiguration({
+            enabled: blockTime.isOn === 1,
+            start: EcovacsDoNotDisturbCapability.convertTime(blockTime.startHour, blockTime.startMinute, offset),
+            end: EcovacsDoNotDisturbCapability.convertTime(blockTime.endHour, blockTime.endMinute, offset)
+        });
+    }
+
+    /**
+     * @param {ValetudoDNDConfiguration} dndConfig
+     * @returns {Promise<void>}
+     */
+    async setDndConfiguration(dndConfig) {
+        const offset = new Date().getTimezoneOffset() * -1;
+        const start = EcovacsDoNotDisturbCapability.convertTime(dndConfig.start.hour, dndConfig.start.minute, offset);
+        const end = EcovacsDoNotDisturbCapability.convertTime(dndConfig.end.hour, dndConfig.end.minute, offset);
+
+        const result = await this.robot.settingService.setBlockTime({
+            isOn: dndConfig.enabled ? 1 : 0,
+            startHour: start.hour,
+            startMinute: start.minute,
+            endHour: end.hour,
+            endMinute: end.minute
+        });
+        if (Number(result) !== 0) {
+            throw new Error(`setBlockTime failed with result=${result}`);
+        }
+    }
+
+    /**
+     * Valetudo uses UTC while the firmware stores the DND window in the robot's local time.
+     *
+     * @private
+     * @param {number} hour
+     * @param {number} minute
+     * @param {number} offset minutes to add
+     * @returns {{hour:number,minute:number}}
+     */
+    static convertTime(hour, minute, offset) {
+        const dayInMinutes = 24 * 60;
+        const midnightOffset = (((hour * 60 + minute + offset) % dayInMinutes) + dayInMinutes) % dayInMinutes;
+
+        return {
+            hour: Math.floor(midnightOffset / 60),
+            minute: midnightOffset % 60
+        };
+    }
+}
+
+module.exports = EcovacsDoNotDisturbCapability;
@@ -0,0 +1,27 @@
+const entities = require("../../../entities");
+const GoToLocationCapability = require("../../../core/capabilities/GoToLocationCapability");
+const {mapPointToWorld} = require("../map/EcovacsMapTransforms");
+
+const stateAttrs = entities.state.attributes;
+
+/**
+ * @extends GoToLocationCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsGoToLocationCapability extends GoToLocationCapability {
+    /**
+     * @param {import("../../../entities/core/ValetudoGoToLocation")} valetudoGoToLocation
+     * @returns {Promise<void>}
+     */
+    async goTo(valetudoGoToLocation) {
+        const target = mapPointToWorld(this.robot.state.map, valetudoGoToLocation.coordinates);
+
+        const result = await this.robot.workManageService.goTo(target.x, target.y);
+        if (Number(result) !== 0) {
+            throw new Error(`goTo failed with result=${result}`);
+        }
+
+        this.robot.setStatus(stateAttrs.StatusStateAttribute.VALUE.MOVING);
+    }
+}
+
+module.exports = EcovacsGoToLocationCapability;
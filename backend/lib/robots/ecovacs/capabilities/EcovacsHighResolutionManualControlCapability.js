@@ -0,0 +1,89 @@
+const HighResolutionManualControlCapability = require("../../../core/capabilities/HighResolutionManualControlCapability");
+const Logger = require("../../../Logger");
+const {
+    REMOTE_MOVE_MVA_CUSTOM,
+    REMOTE_MOVE_STOP,
+    REMOTE_TURN_W,
+} = require("../EcovacsStateMapping");
+const {disableManualControl, enableManualControl} = require("../EcovacsManualControlSession");
+
+// Stick angles beyond this turn at the same rate as the rotate buttons of the regular manual control
+const FULL_TURN_ANGLE = 90;
+const DEAD_ZONE = 0.05;
+// The frontend repeats the current vector every 250ms
+const DEAD_MAN_TIMEOUT_MS = 700;
+
+/**
+ * Drives the robot with REMOTE_MOVE_MVA_CUSTOM using the vector velocity, scaled to manualControlMaxVelocityMmS,
+ * as linear and the angle as angular rate. If no new vector arrives within the dead-man timeout, the robot is stopped.
+ *
+ * @extends HighResolutionManualControlCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsHighResolutionManualControlCapability extends HighResolutionManualControlCapability {
+    constructor(options) {
+        super(options);
+
+        this.deadManTimeout = undefined;
+    }
+
+    async enableManualControl() {
+        await enableManualControl(this.robot);
+    }
+
+    async disableManualControl() {
+        this.clearDeadManTimeout();
+
+        await disableManualControl(this.robot);
+    }
+
+    async manualControlActive() {
+        return this.robot.manualControlActiveFlag;
+    }
+
+    /**
+     * @param {import("../../../entities/core/ValetudoManualMovementVector")} movementVector
+     * @returns {Promise<void>}
+     */
+    async manualControl(movementVector) {
+        if (this.robot.manualControlActiveFlag !== true) {
+            throw new Error("Manual control mode is not active.");
+        }
+
+        const v = Math.abs(movementVector.velocity) < DEAD_ZONE ? 0 : Math.round(movementVector.velocity * this.robot.manualControlMaxVelocityMmS);
+        const turn = Math.max(-1, Math.min(1, movementVector.angle / FULL_TURN_ANGLE));
+        const w = Math.abs(turn) < DEAD_ZONE ? 0 : Math.round(turn * REMOTE_TURN_W);
+
+        this.clearDeadManTimeout();
+
+        if (v === 0 && w === 0) {
+            await this.robot.workManageService.remoteMove(REMOTE_MOVE_STOP);
+
+            return;
+        }
+
+        await this.robot.workManageService.remoteMove(REMOTE_MOVE_MVA_CUSTOM, w, v);
+
+        // Calls overlap when the robot answers slower than the frontend repeats the vector,
+        // and each of them arms a timer after its await
+        this.clearDeadManTimeout();
+        this.deadManTimeout = setTimeout(() => {
+            this.deadManTimeout = undefined;
+
+            this.robot.workManageService.remoteMove(REMOTE_MOVE_STOP).catch(e => {
+                Logger.warn(`Ecovacs manual control dead-man stop failed: ${e?.message ?? e}`);
+            });
+        }, DEAD_MAN_TIMEOUT_MS);
+    }
+
+    /**
+     * @private
+     */
+    clearDeadManTimeout() {
+        if (this.deadManTimeout !== undefined) {
+            clearTimeout(this.deadManTimeout);
+            this.deadManTimeout = undefined;
+        }
+    }
+}
+
+module.exports = EcovacsHighResolutionManualControlCapability;
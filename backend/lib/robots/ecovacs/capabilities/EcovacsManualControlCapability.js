@@ -1,4 +1,3 @@
-const entities = require("../../../entities");
 const ManualControlCapability = require("../../../core/capabilities/ManualControlCapability");
 const {
     REMOTE_MOVE_BACKWARD,
@@ -7,8 +6,7 @@ const {
     REMOTE_MOVE_STOP,
     REMOTE_TURN_W,
 } = require("../EcovacsStateMapping");
-
-const stateAttrs = entities.state.attributes;
+const {disableManualControl, enableManualControl} = require("../EcovacsManualControlSession");
 
 /**
  * @extends ManualControlCapability<import("../EcovacsT8AiviValetudoRobot")>
@@ -26,32 +24,11 @@ class EcovacsManualControlCapability extends ManualControlCapability {
     }
 
     async enableManualControl() {
-        if (this.robot.manualControlActiveFlag === true) {
-            return;
-        }
-
-        const sessionCode = this.getSessionCode();
-        await this.robot.remoteSessionService.open(sessionCode);
-
-        this.robot.manualControlActiveFlag = true;
-        this.robot.setStatus(stateAttrs.StatusStateAttribute.VALUE.MANUAL_CONTROL);
+        await enableManualControl(this.robot);
     }
 
     async disableManualControl() {
-        if (this.robot.manualControlActiveFlag === false) {
-            return;
-        }
-
-        try {
-            await this.robot.workManageService.remoteMove(REMOTE_MOVE_STOP);
-        } catch (e) {
-            // Stopping manual control session is more important than stop best-effort
-        }
-
-        await this.robot.remoteSessionService.close();
-
-        this.robot.manualControlActiveFlag = false;
-        this.robot.setStatus(stateAttrs.StatusStateAttribute.VALUE.IDLE);
+        await disableManualControl(this.robot);
     }
 
     async manualControlActive() {
@@ -85,21 +62,6 @@ class EcovacsManualControlCapability extends ManualControlCapability {
         }
     }
 
-    /**
-     * @private
-     * @returns {string}
-     */
-    getSessionCode() {
-        const code = this.robot.manualControlSessionCode;
-        if (code === undefined || code === null || code === "") {
-            throw new Error(
-                "Missing robot.implementationSpecificConfig.manualControlSessionCode for Ecovacs manual control session setup."
-            );
-        }
-
-        return code;
-    }
-
     /**
      * @private
      * @param {number} moveType
@@ -0,0 +1,18 @@
+const MapResetCapability = require("../../../core/capabilities/MapResetCapability");
+
+/**
+ * Resetting deletes the active map slot via ManipulateMapInfos.
+ * The firmware builds a new map on the next cleanup or mapping pass.
+ *
+ * @extends MapResetCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsMapResetCapability extends MapResetCapability {
+    /**
+     * @returns {Promise<void>}
+     */
+    async reset() {
+        await this.robot.deleteMap(this.robot.getActiveMapId());
+    }
+}
+
+module.exports = EcovacsMapResetCapability;
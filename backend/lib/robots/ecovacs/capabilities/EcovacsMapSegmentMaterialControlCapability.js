@@ -0,0 +1,55 @@
+const MapSegmentMaterialControlCapability = require("../../../core/capabilities/MapSegmentMaterialControlCapability");
+
+/**
+ * The firmware has no notion of floor materials. Rooms are classified from
+ * the carpet map on every map build, and materials set here are kept as
+ * overrides per map and room. Setting generic drops the override again.
+ *
+ * @extends MapSegmentMaterialControlCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsMapSegmentMaterialControlCapability extends MapSegmentMaterialControlCapability {
+    /**
+     * @param {import("../../../entities/core/ValetudoMapSegment")} segment
+     * @param {import("../../../core/capabilities/MapSegmentMaterialControlCapability").MapLayerMaterial} material
+     * @returns {Promise<void>}
+     */
+    async setMaterial(segment, material) {
+        if (!this.getProperties().supportedMaterials.includes(material)) {
+            throw new Error(`Unsupported material: ${material}`);
+        }
+
+        const mapId = this.robot.getActiveMapId();
+        const segmentExists = (this.robot.state.map?.getSegments() ?? []).some(s => {
+            return s.id === String(segment.id);
+        });
+        if (!segmentExists) {
+            throw new Error(`Unknown segment: ${segment.id}`);
+        }
+
+        if (material === EcovacsMapSegmentMaterialControlCapability.MATERIAL.GENERIC) {
+            this.robot.segmentMaterialStore.deleteMaterial(mapId, String(segment.id));
+        } else {
+            this.robot.segmentMaterialStore.setMaterial(mapId, String(segment.id), material);
+        }
+
+        this.robot.pollMap();
+    }
+
+    /**
+     * @returns {{supportedMaterials: Array<import("../../../core/capabilities/MapSegmentMaterialControlCapability").MapLayerMaterial>}}
+     */
+    getProperties() {
+        return {
+            supportedMaterials: [
+                EcovacsMapSegmentMaterialControlCapability.MATERIAL.GENERIC,
+                EcovacsMapSegmentMaterialControlCapability.MATERIAL.TILE,
+                EcovacsMapSegmentMaterialControlCapability.MATERIAL.WOOD,
+                EcovacsMapSegmentMaterialControlCapability.MATERIAL.WOOD_HORIZONTAL,
+                EcovacsMapSegmentMaterialControlCapability.MATERIAL.WOOD_VERTICAL,
+                EcovacsMapSegmentMaterialControlCapability.MATERIAL.CARPET
+            ]
+        };
+    }
+}
+
+module.exports = EcovacsMapSegmentMaterialControlCapability;
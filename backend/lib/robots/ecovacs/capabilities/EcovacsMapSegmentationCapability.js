@@ -133,9 +133,12 @@ class EcovacsMapSegmentationCapability extends MapSegmentationCapability {
 
     /**
      * @param {Array<import("../../../entities/core/ValetudoMapSegment")>} segments
+     * @param {object} [options]
+     * @param {number} [options.iterations]
+     * @param {boolean} [options.customOrder]
      * @returns {Promise<void>}
      */
-    async executeSegmentAction(segments) {
+    async executeSegmentAction(segments, options) {
         const roomIds = segments.map(segment => {
             const id = Number.parseInt(segment.id, 10);
             if (!Number.isInteger(id) || id < 0 || id > 255) {
@@ -148,7 +151,13 @@ class EcovacsMapSegmentationCapability extends MapSegmentationCapability {
             throw new Error("No room ids provided for segment cleaning");
         }
 
-        await this.robot.workManageService.startRoomClean(roomIds);
+        await this.robot.startWithCleaningOverrides(
+            {
+                iterations: options?.iterations,
+                roomOrder: options?.customOrder ? roomIds : undefined
+            },
+            () => this.robot.workManageService.startRoomClean(roomIds)
+        );
     }
 
     /**
@@ -158,9 +167,9 @@ class EcovacsMapSegmentationCapability extends MapSegmentationCapability {
         return {
             iterationCount: {
                 min: 1,
-                max: 1
+                max: 2
             },
-            customOrderSupport: false,
+            customOrderSupport: true,
             roomCleaningPreferencesSupport: {
                 enabled: true
             }
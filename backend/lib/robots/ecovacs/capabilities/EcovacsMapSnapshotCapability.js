@@ -0,0 +1,89 @@
+const MapSnapshotCapability = require("../../../core/capabilities/MapSnapshotCapability");
+const ValetudoMapSnapshot = require("../../../entities/core/ValetudoMapSnapshot");
+
+/**
+ * Each stored Ecovacs map slot (floor) is exposed as one snapshot.
+ *
+ * @extends MapSnapshotCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsMapSnapshotCapability extends MapSnapshotCapability {
+    /**
+     * @param {object} options
+     * @param {import("../EcovacsT8AiviValetudoRobot")} options.robot
+     */
+    constructor(options) {
+        super(Object.assign({}, options, {
+            supportsDeletion: true
+        }));
+    }
+
+    /**
+     * @returns {Promise<Array<import("../../../entities/core/ValetudoMapSnapshot")>>}
+     */
+    async getSnapshots() {
+        const mapInfos = await this.robot.mapService.getMapInfos();
+        if (mapInfos === null) {
+            throw new Error("Failed to fetch map infos");
+        }
+
+        return mapInfos.filter(mapInfo => {
+            return mapInfo.mapid !== 0;
+        }).map(mapInfo => {
+            return new ValetudoMapSnapshot({
+                id: String(mapInfo.mapid),
+                metaData: {
+                    name: mapInfo.name,
+                    active: mapInfo.isActive,
+                    slot: mapInfo.slotIndex
+                }
+            });
+        });
+    }
+
+    /**
+     * @param {import("../../../entities/core/ValetudoMapSnapshot")} snapshot
+     * @returns {Promise<void>}
+     */
+    async restoreSnapshot(snapshot) {
+        const mapId = await this.resolveStoredMapId(snapshot);
+
+        const result = await this.robot.mapService.setActiveMap(mapId);
+        if (Number(result) !== 0) {
+            throw new Error(`setActiveMap failed with result=${result}`);
+        }
+
+        this.robot.resetMapState(mapId);
+        this.robot.pollMap();
+    }
+
+    /**
+     * @param {import("../../../entities/core/ValetudoMapSnapshot")} snapshot
+     * @returns {Promise<void>}
+     */
+    async deleteSnapshot(snapshot) {
+        await this.robot.deleteMap(await this.resolveStoredMapId(snapshot));
+    }
+
+    /**
+     * @private
+     * @param {import("../../../entities/core/ValetudoMapSnapshot")} snapshot
+     * @returns {Promise<number>}
+     */
+    async resolveStoredMapId(snapshot) {
+        const mapId = Number.parseInt(String(snapshot.id), 10);
+        if (!Number.isInteger(mapId) || mapId <= 0) {
+            throw new Error(`Invalid Ecovacs map id: ${snapshot.id}`);
+        }
+
+        const snapshots = await this.getSnapshots();
+        if (!snapshots.some(s => {
+            return s.id === String(mapId);
+        })) {
+            throw new Error(`Map ${mapId} does not exist on the robot`);
+        }
+
+        return mapId;
+    }
+}
+
+module.exports = EcovacsMapSnapshotCapability;
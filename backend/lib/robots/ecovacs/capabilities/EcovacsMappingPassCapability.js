@@ -0,0 +1,23 @@
+const entities = require("../../../entities");
+const MappingPassCapability = require("../../../core/capabilities/MappingPassCapability");
+
+const stateAttrs = entities.state.attributes;
+
+/**
+ * @extends MappingPassCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsMappingPassCapability extends MappingPassCapability {
+    /**
+     * @returns {Promise<void>}
+     */
+    async startMapping() {
+        const result = await this.robot.workManageService.startMapping();
+        if (Number(result) !== 0) {
+            throw new Error(`startMapping failed with result=${result}`);
+        }
+
+        this.robot.setStatus(stateAttrs.StatusStateAttribute.VALUE.CLEANING);
+    }
+}
+
+module.exports = EcovacsMappingPassCapability;
@@ -0,0 +1,20 @@
+const ObstacleAvoidanceControlCapability = require("../../../core/capabilities/ObstacleAvoidanceControlCapability");
+
+/**
+ * @extends ObstacleAvoidanceControlCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsObstacleAvoidanceControlCapability extends ObstacleAvoidanceControlCapability {
+    async isEnabled() {
+        return (await this.robot.settingService.getObstacleAvoidanceEnabled()) === "on";
+    }
+
+    async enable() {
+        await this.robot.settingService.setObstacleAvoidanceEnabled("on");
+    }
+
+    async disable() {
+        await this.robot.settingService.setObstacleAvoidanceEnabled("off");
+    }
+}
+
+module.exports = EcovacsObstacleAvoidanceControlCapability;
@@ -0,0 +1,83 @@
+const fs = require("fs");
+const Logger = require("../../../Logger");
+const ObstacleImagesCapability = require("../../../core/capabilities/ObstacleImagesCapability");
+
+/**
+ * The firmware has no switch for storing obstacle snapshots, so the toggle
+ * only controls whether Valetudo serves them. It is kept in the robot config.
+ *
+ * @extends ObstacleImagesCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsObstacleImagesCapability extends ObstacleImagesCapability {
+    /**
+     * @returns {Promise<boolean>}
+     */
+    async isEnabled() {
+        return this.getImplementationSpecificConfig().obstacleImagesEnabled ?? true;
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async enable() {
+        this.setEnabled(true);
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async disable() {
+        this.setEnabled(false);
+    }
+
+    /**
+     * @param {string} image
+     * @returns {Promise<import('stream').Readable|null>}
+     */
+    async getStreamForImage(image) {
+        if (!/^\/data\/ai\/snapshot\/[\w-]+\.jpg$/.test(image)) {
+            Logger.warn("Unexpected obstacle image path:", image);
+
+            return null;
+        }
+
+        try {
+            return fs.createReadStream(image, {
+                highWaterMark: 32 * 1024,
+                autoClose: true
+            });
+        } catch (err) {
+            if (err.code === "ENOENT") {
+                return null;
+            } else {
+                throw new Error(`Unexpected error while trying to read obstacle image: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @returns {object}
+     */
+    getImplementationSpecificConfig() {
+        return this.robot.config.get("robot")?.implementationSpecificConfig ?? {};
+    }
+
+    /**
+     * @private
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        const robotConfig = this.robot.config.get("robot");
+
+        this.robot.config.set("robot", {
+            ...robotConfig,
+            implementationSpecificConfig: {
+                ...this.getImplementationSpecificConfig(),
+                obstacleImagesEnabled: enabled
+            }
+        });
+    }
+}
+
+module.exports = EcovacsObstacleImagesCapability;
@@ -0,0 +1,57 @@
+const entities = require("../../../entities");
+const OperationModeControlCapability = require("../../../core/capabilities/OperationModeControlCapability");
+const ValetudoSelectionPreset = require("../../../entities/core/ValetudoSelectionPreset");
+const {MOP_MODE} = require("../ros/services/EcovacsSettingService");
+const {operationModeToPresetValue} = require("../EcovacsStateMapping");
+const stateAttrs = entities.state.attributes;
+
+/**
+ * The firmware mop mode only picks between mopping with or without vacuuming.
+ * Vacuuming only is what the robot does without the water tank. No setting makes it
+ * vacuum only with the tank mounted, so the vacuum preset isn't offered and only reported.
+ *
+ * @extends OperationModeControlCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsOperationModeControlCapability extends OperationModeControlCapability {
+    constructor(options) {
+        super({
+            robot: options.robot,
+            presets: [
+                new ValetudoSelectionPreset({name: stateAttrs.PresetSelectionStateAttribute.MODE.MOP, value: MOP_MODE.MOP_ONLY}),
+                new ValetudoSelectionPreset({name: stateAttrs.PresetSelectionStateAttribute.MODE.VACUUM_AND_MOP, value: MOP_MODE.VACUUM_AND_MOP})
+            ]
+        });
+    }
+
+    /**
+     * @param {string} preset
+     * @returns {Promise<void>}
+     */
+    async selectPreset(preset) {
+        const matchedPreset = this.presets.find(p => {
+            return p.name === preset;
+        });
+        if (!matchedPreset) {
+            throw new Error("Invalid preset");
+        }
+
+        const watertank = this.robot.state.getFirstMatchingAttribute({
+            attributeClass: stateAttrs.AttachmentStateAttribute.name,
+            attributeType: stateAttrs.AttachmentStateAttribute.TYPE.WATERTANK
+        });
+        //@ts-ignore
+        const watertankAttached = watertank?.attached ?? null;
+
+        const result = await this.robot.settingService.setMopMode(Number(matchedPreset.value));
+        if (Number(result) !== 0) {
+            throw new Error(`setMopMode failed with result=${result}`);
+        }
+
+        this.robot.state.upsertFirstMatchingAttribute(new stateAttrs.PresetSelectionStateAttribute(
+            operationModeToPresetValue(matchedPreset.value, watertankAttached)
+        ));
+        this.robot.emitStateAttributesUpdated();
+    }
+}
+
+module.exports = EcovacsOperationModeControlCapability;
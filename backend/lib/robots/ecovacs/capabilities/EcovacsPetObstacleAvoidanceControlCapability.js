@@ -0,0 +1,20 @@
+const PetObstacleAvoidanceControlCapability = require("../../../core/capabilities/PetObstacleAvoidanceControlCapability");
+
+/**
+ * @extends PetObstacleAvoidanceControlCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsPetObstacleAvoidanceControlCapability extends PetObstacleAvoidanceControlCapability {
+    async isEnabled() {
+        return (await this.robot.settingService.getPetModeEnabled()) === "on";
+    }
+
+    async enable() {
+        await this.robot.settingService.setPetModeEnabled("on");
+    }
+
+    async disable() {
+        await this.robot.settingService.setPetModeEnabled("off");
+    }
+}
+
+module.exports = EcovacsPetObstacleAvoidanceControlCapability;
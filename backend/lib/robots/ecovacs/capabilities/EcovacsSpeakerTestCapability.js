@@ -0,0 +1,15 @@
+const SpeakerTestCapability = require("../../../core/capabilities/SpeakerTestCapability");
+
+/**
+ * @extends SpeakerTestCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsSpeakerTestCapability extends SpeakerTestCapability {
+    /**
+     * @returns {Promise<void>}
+     */
+    async playTestSound() {
+        await this.robot.soundService.playLocateSound();
+    }
+}
+
+module.exports = EcovacsSpeakerTestCapability;
@@ -0,0 +1,23 @@
+const SpeakerVolumeControlCapability = require("../../../core/capabilities/SpeakerVolumeControlCapability");
+
+/**
+ * @extends SpeakerVolumeControlCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsSpeakerVolumeControlCapability extends SpeakerVolumeControlCapability {
+    /**
+     * @returns {Promise<number>}
+     */
+    async getVolume() {
+        return this.robot.soundService.getVolume();
+    }
+
+    /**
+     * @param {number} value
+     * @returns {Promise<void>}
+     */
+    async setVolume(value) {
+        await this.robot.soundService.setVolume(value);
+    }
+}
+
+module.exports = EcovacsSpeakerVolumeControlCapability;
@@ -0,0 +1,50 @@
+const EcovacsVoicePackService = require("../ros/services/EcovacsVoicePackService");
+const ValetudoVoicePackOperationStatus = require("../../../entities/core/ValetudoVoicePackOperationStatus");
+const VoicePackManagementCapability = require("../../../core/capabilities/VoicePackManagementCapability");
+
+const OPERATION_STATE_TO_STATUS_TYPE = Object.freeze({
+    [EcovacsVoicePackService.OPERATION_STATE.IDLE]: ValetudoVoicePackOperationStatus.TYPE.IDLE,
+    [EcovacsVoicePackService.OPERATION_STATE.DOWNLOADING]: ValetudoVoicePackOperationStatus.TYPE.DOWNLOADING,
+    [EcovacsVoicePackService.OPERATION_STATE.INSTALLING]: ValetudoVoicePackOperationStatus.TYPE.INSTALLING,
+    [EcovacsVoicePackService.OPERATION_STATE.ERROR]: ValetudoVoicePackOperationStatus.TYPE.ERROR
+});
+
+/**
+ * Voice packs are gzipped tarballs of the firmware's numbered audio files.
+ * The optional hash is the md5 of the archive.
+ *
+ * @extends VoicePackManagementCapability<import("../EcovacsT8AiviValetudoRobot")>
+ */
+class EcovacsVoicePackManagementCapability extends VoicePackManagementCapability {
+    /**
+     * @returns {Promise<string>}
+     */
+    async getCurrentVoiceLanguage() {
+        return this.robot.voicePackService.getCurrentLanguage();
+    }
+
+    /**
+     * @param {object} options
+     * @param {string} options.url
+     * @param {string} [options.language]
+     * @param {string} [options.hash]
+     * @returns {Promise<void>}
+     */
+    async downloadVoicePack(options) {
+        this.robot.voicePackService.startInstall(options);
+    }
+
+    /**
+     * @returns {Promise<ValetudoVoicePackOperationStatus>}
+     */
+    async getVoicePackOperationStatus() {
+        const operation = this.robot.voicePackService.getOperation();
+
+        return new ValetudoVoicePackOperationStatus({
+            type: OPERATION_STATE_TO_STATUS_TYPE[operation.state],
+            progress: operation.progress
+        });
+    }
+}
+
+module.exports = EcovacsVoicePackManagementCapability;
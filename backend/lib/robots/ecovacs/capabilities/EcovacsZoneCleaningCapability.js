@@ -15,15 +15,15 @@ class EcovacsZoneCleaningCapability extends ZoneCleaningCapability {
         if (!Array.isArray(options?.zones) || options.zones.length === 0) {
             throw new Error("At least one zone is required");
         }
-        if ((options.iterations ?? 1) !== 1) {
-            throw new Error("Ecovacs custom area cleaning supports only one iteration");
-        }
 
         const rects = options.zones.map(zone => {
             return mapZoneToWorldRect(this.robot.state.map, zone);
         });
 
-        await this.robot.workManageService.startCustomClean(rects);
+        await this.robot.startWithCleaningOverrides(
+            {iterations: options.iterations},
+            () => this.robot.workManageService.startCustomClean(rects)
+        );
     }
 
     /**
@@ -37,7 +37,7 @@ class EcovacsZoneCleaningCapability extends ZoneCleaningCapability {
             },
             iterationCount: {
                 min: 1,
-                max: 1
+                max: 2
             }
         };
     }
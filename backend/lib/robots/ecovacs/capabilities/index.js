@@ -3,16 +3,31 @@ module.exports = {
     EcovacsBasicControlCapability: require("./EcovacsBasicControlCapability"),
     EcovacsCarpetModeControlCapability: require("./EcovacsCarpetModeControlCapability"),
     EcovacsCleanRouteControlCapability: require("./EcovacsCleanRouteControlCapability"),
+    EcovacsCleaningHistoryCapability: require("./EcovacsCleaningHistoryCapability"),
     EcovacsCombinedVirtualRestrictionsCapability: require("./EcovacsCombinedVirtualRestrictionsCapability"),
     EcovacsConsumableMonitoringCapability: require("./EcovacsConsumableMonitoringCapability"),
     EcovacsCurrentStatisticsCapability: require("./EcovacsCurrentStatisticsCapability"),
+    EcovacsDoNotDisturbCapability: require("./EcovacsDoNotDisturbCapability"),
     EcovacsFanSpeedControlCapability: require("./EcovacsFanSpeedControlCapability"),
+    EcovacsGoToLocationCapability: require("./EcovacsGoToLocationCapability"),
+    EcovacsHighResolutionManualControlCapability: require("./EcovacsHighResolutionManualControlCapability"),
     EcovacsLocateCapability: require("./EcovacsLocateCapability"),
     EcovacsManualControlCapability: require("./EcovacsManualControlCapability"),
+    EcovacsMapResetCapability: require("./EcovacsMapResetCapability"),
     EcovacsMapSegmentEditCapability: require("./EcovacsMapSegmentEditCapability"),
+    EcovacsMapSegmentMaterialControlCapability: require("./EcovacsMapSegmentMaterialControlCapability"),
     EcovacsMapSegmentRenameCapability: require("./EcovacsMapSegmentRenameCapability"),
     EcovacsMapSegmentationCapability: require("./EcovacsMapSegmentationCapability"),
+    EcovacsMapSnapshotCapability: require("./EcovacsMapSnapshotCapability"),
+    EcovacsMappingPassCapability: require("./EcovacsMappingPassCapability"),
+    EcovacsObstacleAvoidanceControlCapability: require("./EcovacsObstacleAvoidanceControlCapability"),
+    EcovacsObstacleImagesCapability: require("./EcovacsObstacleImagesCapability"),
+    EcovacsOperationModeControlCapability: require("./EcovacsOperationModeControlCapability"),
+    EcovacsPetObstacleAvoidanceControlCapability: require("./EcovacsPetObstacleAvoidanceControlCapability"),
+    EcovacsSpeakerTestCapability: require("./EcovacsSpeakerTestCapability"),
+    EcovacsSpeakerVolumeControlCapability: require("./EcovacsSpeakerVolumeControlCapability"),
     EcovacsTotalStatisticsCapability: require("./EcovacsTotalStatisticsCapability"),
+    EcovacsVoicePackManagementCapability: require("./EcovacsVoicePackManagementCapability"),
     EcovacsWaterUsageControlCapability: require("./EcovacsWaterUsageControlCapability"),
     EcovacsZoneCleaningCapability: require("./EcovacsZoneCleaningCapability")
 };
@@ -17,6 +17,16 @@ const CARPET_MAP_RESOLUTION_MM = 50;
  * @returns {Array<Array<number>>} Array of carpet polygon point arrays [x1,y1,x2,y2,...] in world mm
  */
 function readCarpetMap(filePath) {
+    const grid = readCarpetGrid(filePath);
+
+    return grid ? carpetGridToPolygons(grid) : [];
+}
+
+/**
+ * @param {string} [filePath]
+ * @returns {Uint8Array|null} the decoded grid, or null if the file is missing or can't be decoded
+ */
+function readCarpetGrid(filePath) {
     const path = filePath ?? CARPET_MAP_PATH;
 
     let raw;
@@ -24,12 +34,12 @@ function readCarpetMap(filePath) {
         raw = fs.readFileSync(path);
     } catch (e) {
         Logger.debug(`Ecovacs carpet map: file not readable (${path}): ${e.message}`);
-        return [];
+        return null;
     }
 
     if (raw.length < 10) {
         Logger.debug("Ecovacs carpet map: file too short");
-        return [];
+        return null;
     }
 
     let grid;
@@ -37,15 +47,23 @@ function readCarpetMap(filePath) {
         grid = decodeEcovacsLzmaPayload(raw);
     } catch (e) {
         Logger.warn(`Ecovacs carpet map: LZMA decompress failed: ${e.message}`);
-        return [];
+        return null;
     }
 
     const expectedSize = CARPET_MAP_GRID_SIDE * CARPET_MAP_GRID_SIDE;
     if (grid.length !== expectedSize) {
         Logger.warn(`Ecovacs carpet map: unexpected grid size ${grid.length} (expected ${expectedSize})`);
-        return [];
+        return null;
     }
 
+    return grid;
+}
+
+/**
+ * @param {Uint8Array} grid
+ * @returns {Array<Array<number>>} bounding rectangles of the connected carpet areas [x1,y1,x2,y2,...] in world mm
+ */
+function carpetGridToPolygons(grid) {
     const carpetPixels = [];
     for (let y = 0; y < CARPET_MAP_GRID_SIDE; y++) {
         const rowOffset = y * CARPET_MAP_GRID_SIDE;
@@ -144,4 +162,11 @@ function findComponentBounds(pixels, gridSide) {
     return results;
 }
 
-module.exports = {readCarpetMap: readCarpetMap};
+module.exports = {
+    CARPET_MAP_GRID_SIDE: CARPET_MAP_GRID_SIDE,
+    CARPET_MAP_PATH: CARPET_MAP_PATH,
+    CARPET_MAP_RESOLUTION_MM: CARPET_MAP_RESOLUTION_MM,
+    carpetGridToPolygons: carpetGridToPolygons,
+    readCarpetGrid: readCarpetGrid,
+    readCarpetMap: readCarpetMap,
+};
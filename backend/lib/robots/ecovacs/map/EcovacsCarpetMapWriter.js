@@ -0,0 +1,93 @@
+const fs = require("fs");
+const lzma = require("lzma-purejs");
+require("../lzmaPurejsPkgIncludes");
+const {CARPET_MAP_GRID_SIDE, CARPET_MAP_PATH, CARPET_MAP_RESOLUTION_MM} = require("./EcovacsCarpetMapReader");
+const {pointInPolygon} = require("./EcovacsMapBuilder");
+
+// Value of the pixels the firmware marks as carpet. The reader accepts any non-zero value.
+const CARPET_PIXEL = 1;
+
+/**
+ * Writes the user's carpet edits into the carpet grid: pixels of removed carpets are cleared
+ * and pixels whose center lies inside an added carpet are set.
+ *
+ * @param {Uint8Array} grid - decoded carpet grid, changed in place
+ * @param {import("./EcovacsCarpetOverlay").EcovacsCarpetOverlay} overlay
+ * @returns {boolean} true if any pixel changed
+ */
+function applyCarpetOverlayToGrid(grid, overlay) {
+    let changed = false;
+    for (const polygon of overlay.removed) {
+        forEachPixelInPolygon(polygon, index => {
+            if (grid[index] !== 0) {
+                grid[index] = 0;
+                changed = true;
+            }
+        });
+    }
+    for (const polygon of overlay.added) {
+        forEachPixelInPolygon(polygon, index => {
+            if (grid[index] === 0) {
+                grid[index] = CARPET_PIXEL;
+                changed = true;
+            }
+        });
+    }
+
+    return changed;
+}
+
+/**
+ * Encodes the grid with the same header as the firmware (5 bytes LZMA properties, uint32 size)
+ * and replaces the file atomically, so the firmware never reads a partial grid.
+ *
+ * @param {Uint8Array} grid
+ * @param {string} [filePath]
+ */
+function writeCarpetGrid(grid, filePath) {
+    const path = filePath ?? CARPET_MAP_PATH;
+    // lzma-purejs writes the .lzma header: 5 bytes properties and a uint64 size
+    const lzmaAlone = Buffer.from(lzma.compressFile(Buffer.from(grid.buffer, grid.byteOffset, grid.byteLength)));
+    const header = Buffer.alloc(9);
+    lzmaAlone.copy(header, 0, 0, 5);
+    header.writeUInt32LE(grid.length, 5);
+
+    const tmpPath = `${path}.tmp`;
+    fs.writeFileSync(tmpPath, Buffer.concat([header, lzmaAlone.subarray(13)]));
+    fs.renameSync(tmpPath, path);
+}
+
+/**
+ * @param {Array<number>} polygon - [x1,y1,x2,y2,...] in world mm
+ * @param {(index: number) => void} callback - called with the grid index of every pixel whose center is inside
+ */
+function forEachPixelInPolygon(polygon, callback) {
+    const points = [];
+    for (let i = 0; i + 1 < polygon.length; i += 2) {
+        // Grid pixel coordinates, y pointing down like the grid rows
+        points.push({
+            x: Number(polygon[i]) / CARPET_MAP_RESOLUTION_MM + CARPET_MAP_GRID_SIDE / 2,
+            y: CARPET_MAP_GRID_SIDE / 2 - Number(polygon[i + 1]) / CARPET_MAP_RESOLUTION_MM
+        });
+    }
+    if (points.length < 3) {
+        return;
+    }
+
+    const minX = Math.max(0, Math.floor(Math.min(...points.map(point => point.x))));
+    const maxX = Math.min(CARPET_MAP_GRID_SIDE - 1, Math.ceil(Math.max(...points.map(point => point.x))));
+    const minY = Math.max(0, Math.floor(Math.min(...points.map(point => point.y))));
+    const maxY = Math.min(CARPET_MAP_GRID_SIDE - 1, Math.ceil(Math.max(...points.map(point => point.y))));
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            if (pointInPolygon(x + 0.5, y + 0.5, points)) {
+                callback(y * CARPET_MAP_GRID_SIDE + x);
+            }
+        }
+    }
+}
+
+module.exports = {
+    applyCarpetOverlayToGrid: applyCarpetOverlayToGrid,
+    writeCarpetGrid: writeCarpetGrid,
+};
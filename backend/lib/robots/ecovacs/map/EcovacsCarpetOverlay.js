@@ -0,0 +1,134 @@
+/**
+ * User edits of the carpet map, relative to the carpets the firmware detected.
+ *
+ * The edits are also written into the firmware grid, which only keeps the bounding box of each
+ * carpet. Grid carpets that match the bounding box of an added carpet are therefore that carpet,
+ * and removed carpets are gone from the grid, so the overlay is the only record of them.
+ *
+ * Carpets are polygon point arrays [x1,y1,x2,y2,...] in world mm. They travel through the map
+ * (and the frontend pixel grid) before they are saved again, so they are compared
+ * with a tolerance of about two map pixels.
+ */
+
+const CARPET_MATCH_TOLERANCE_MM = 100;
+
+/**
+ * @typedef {object} EcovacsCarpetOverlay
+ * @property {Array<Array<number>>} added
+ * @property {Array<Array<number>>} removed firmware carpets hidden by the user
+ */
+
+/**
+ * @param {Array<Array<number>>} carpetPolygons - carpet polygon point arrays in world mm [x1,y1,x2,y2,...]
+ * @param {EcovacsCarpetOverlay} overlay
+ * @returns {Array<Array<number>>} carpet polygon point arrays in world mm
+ */
+function applyCarpetOverlay(carpetPolygons, overlay) {
+    const kept = detectedCarpets(carpetPolygons, overlay).filter(polygon => {
+        return !overlay.removed.some(removed => {
+            return polygonsMatch(polygon, removed);
+        });
+    });
+
+    return kept.concat(overlay.added);
+}
+
+/**
+ * @param {Array<Array<number>>} carpetPolygons - carpet polygon point arrays from the firmware grid in world mm
+ * @param {Array<Array<number>>} polygons - all carpets the user wants
+ * @param {EcovacsCarpetOverlay} previousOverlay - the overlay the grid was written with
+ * @returns {EcovacsCarpetOverlay}
+ */
+function diffCarpetOverlay(carpetPolygons, polygons, previousOverlay) {
+    const firmwarePolygons = detectedCarpets(carpetPolygons, previousOverlay);
+    const stillRemoved = previousOverlay.removed.filter(removed => {
+        return !polygons.some(polygon => {
+            return polygonsMatch(removed, polygon);
+        }) && !firmwarePolygons.some(firmwarePolygon => {
+            return polygonsMatch(removed, firmwarePolygon);
+        });
+    });
+
+    return {
+        added: polygons.filter(polygon => {
+            return !firmwarePolygons.some(firmwarePolygon => {
+                return polygonsMatch(firmwarePolygon, polygon);
+            });
+        }),
+        removed: firmwarePolygons.filter(firmwarePolygon => {
+            return !polygons.some(polygon => {
+                return polygonsMatch(firmwarePolygon, polygon);
+            });
+        }).concat(stillRemoved)
+    };
+}
+
+/**
+ * @param {Array<Array<number>>} carpetPolygons - carpet polygon point arrays from the firmware grid in world mm
+ * @param {EcovacsCarpetOverlay} overlay
+ * @returns {Array<Array<number>>} the grid carpets that weren't written for an added carpet
+ */
+function detectedCarpets(carpetPolygons, overlay) {
+    const addedBounds = overlay.added.map(boundingBox);
+
+    return (Array.isArray(carpetPolygons) ? carpetPolygons : []).filter(polygon => {
+        return !addedBounds.some(bounds => {
+            return polygonsMatch(polygon, bounds);
+        });
+    });
+}
+
+/**
+ * @param {Array<number>} polygon - [x1,y1,x2,y2,...]
+ * @returns {Array<number>} the bounding rectangle in the point order of the carpet grid
+ */
+function boundingBox(polygon) {
+    const xs = polygon.filter((_, i) => {
+        return i % 2 === 0;
+    }).map(Number);
+    const ys = polygon.filter((_, i) => {
+        return i % 2 === 1;
+    }).map(Number);
+    const x0 = Math.min(...xs);
+    const x1 = Math.max(...xs);
+    const y0 = Math.max(...ys);
+    const y1 = Math.min(...ys);
+
+    return [x0, y0, x1, y0, x1, y1, x0, y1];
+}
+
+/**
+ * Polygons match if every corner of one has a corner of the other within the tolerance,
+ * regardless of where their outlines start
+ *
+ * @param {Array<number>} a - [x1,y1,x2,y2,...]
+ * @param {Array<number>} b - [x1,y1,x2,y2,...]
+ * @returns {boolean}
+ */
+function polygonsMatch(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    const unmatched = [];
+    for (let i = 0; i + 1 < b.length; i += 2) {
+        unmatched.push([Number(b[i]), Number(b[i + 1])]);
+    }
+
+    for (let i = 0; i + 1 < a.length; i += 2) {
+        const index = unmatched.findIndex(point => {
+            return Math.abs(point[0] - Number(a[i])) <= CARPET_MATCH_TOLERANCE_MM &&
+                Math.abs(point[1] - Number(a[i + 1])) <= CARPET_MATCH_TOLERANCE_MM;
+        });
+        if (index === -1) {
+            return false;
+        }
+        unmatched.splice(index, 1);
+    }
+
+    return true;
+}
+
+module.exports = {
+    applyCarpetOverlay: applyCarpetOverlay,
+    diffCarpetOverlay: diffCarpetOverlay,
+};
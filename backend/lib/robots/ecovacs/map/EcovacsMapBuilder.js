@@ -1,6 +1,10 @@
 const Logger = require("../../../Logger");
 const mapEntities = require("../../../entities/map");
-const {worldMmToMapPointCm} = require("./EcovacsMapTransforms");
+const uuid = require("uuid");
+const {isAxisAlignedRectangle, worldMmToMapPointCm} = require("./EcovacsMapTransforms");
+
+const CARPET_COVERAGE_THRESHOLD = 0.5;
+const CARPET_SAMPLE_STEP_MM = 50;
 
 /**
  * Build raster map and overlays with the same transforms used by
@@ -12,7 +16,7 @@ const {worldMmToMapPointCm} = require("./EcovacsMapTransforms");
  * @param {{width:number,height:number,resolutionCm:number,floorPixels:Array<[number,number]>,wallPixels:Array<[number,number]>}} compressedMap
  * @param {Array<{vwid:number,type:number,dots:Array<[number,number]>}>} [virtualWalls]
  * @param {Array<Array<number>>} [carpetPolygons] - carpet polygon point arrays in world mm [x1,y1,x2,y2,...]
- * @param {{rotationDegrees:number, worldMmPerPixel:number, cachedRoomCleaningPreferences:Object<string,{suction:number,water:number,times:number,sequence:number}>}} options
+ * @param {{rotationDegrees:number, worldMmPerPixel:number, cachedRoomCleaningPreferences:Object<string,{suction:number,water:number,times:number,sequence:number}>, segmentMaterials?:Object<string,string>, obstacles?:Array<{key:string,label:string,confidence:number,x:number,y:number,imagePath:string}>}} options
  * @returns {import("../../../entities/map/ValetudoMap")}
  */
 function buildMap(rooms, positions, robotPose, compressedMap, virtualWalls, carpetPolygons, options) {
@@ -79,15 +83,17 @@ function buildMap(rooms, positions, robotPose, compressedMap, virtualWalls, carp
         if (pixels.length === 0) {
             continue;
         }
-        const cachedPrefs = options.cachedRoomCleaningPreferences[String(room.index)] ?? {};
+        const segmentId = String(room.index ?? "0");
+        const cachedPrefs = options.cachedRoomCleaningPreferences[segmentId] ?? {};
         detailedLayers.push(new mapEntities.MapLayer({
             type: mapEntities.MapLayer.TYPE.SEGMENT,
             pixels: pixels.sort(mapEntities.MapLayer.COORDINATE_TUPLE_SORT).flat(),
             metaData: buildSegmentMetaData(
-                String(room.index ?? "0"),
+                segmentId,
                 room.label_name ?? `Room ${room.index ?? 0}`,
                 room,
-                cachedPrefs
+                cachedPrefs,
+                options.segmentMaterials?.[segmentId] ?? classifySegmentMaterial(polygon, carpetPolygons)
             )
         }));
     }
@@ -123,6 +129,7 @@ function buildMap(rooms, positions, robotPose, compressedMap, virtualWalls, carp
     }
     detailedEntities.push(...buildRestrictionEntities(transform, pixelSizeCm, virtualWalls));
     detailedEntities.push(...buildCarpetEntities(transform, pixelSizeCm, carpetPolygons));
+    detailedEntities.push(...buildObstacleEntities(transform, pixelSizeCm, options.obstacles));
 
     return new mapEntities.ValetudoMap({
         size: {
@@ -215,6 +222,72 @@ function rebuildEntitiesOnlyMap(currentMap, positions, robotPose, tracePathPoint
     });
 }
 
+/**
+ * Rooms are treated as carpeted once the carpet map covers at least
+ * CARPET_COVERAGE_THRESHOLD of their area. Everything else stays generic,
+ * as the firmware does not know about hard floor types.
+ *
+ * @param {Array<[number, number]>} roomPolygon - room polygon points in world mm
+ * @param {Array<Array<number>>} [carpetPolygons] - carpet polygon point arrays in world mm [x1,y1,x2,y2,...]
+ * @returns {string}
+ */
+function classifySegmentMaterial(roomPolygon, carpetPolygons) {
+    if (carpetCoverage(roomPolygon, carpetPolygons) >= CARPET_COVERAGE_THRESHOLD) {
+        return mapEntities.MapLayer.MATERIAL.CARPET;
+    }
+
+    return mapEntities.MapLayer.MATERIAL.GENERIC;
+}
+
+/**
+ * Share of the room area covered by carpet, sampled on the carpet map grid.
+ *
+ * @param {Array<[number, number]>} roomPolygon - room polygon points in world mm
+ * @param {Array<Array<number>>} [carpetPolygons] - carpet polygon point arrays in world mm [x1,y1,x2,y2,...]
+ * @returns {number} between 0 and 1
+ */
+function carpetCoverage(roomPolygon, carpetPolygons) {
+    const polygon = (Array.isArray(roomPolygon) ? roomPolygon : []).map(point => {
+        return {x: Number(point?.[0]), y: Number(point?.[1])};
+    }).filter(point => {
+        return Number.isFinite(point.x) && Number.isFinite(point.y);
+    });
+    const carpets = (Array.isArray(carpetPolygons) ? carpetPolygons : []).filter(carpet => {
+        return carpet.length >= 6;
+    }).map(carpet => {
+        const points = [];
+        for (let i = 0; i + 1 < carpet.length; i += 2) {
+            points.push({x: carpet[i], y: carpet[i + 1]});
+        }
+
+        return points;
+    });
+    if (polygon.length < 3 || carpets.length === 0) {
+        return 0;
+    }
+
+    const minX = Math.min(...polygon.map(point => point.x));
+    const maxX = Math.max(...polygon.map(point => point.x));
+    const minY = Math.min(...polygon.map(point => point.y));
+    const maxY = Math.max(...polygon.map(point => point.y));
+
+    let roomSamples = 0;
+    let carpetSamples = 0;
+    for (let y = minY + CARPET_SAMPLE_STEP_MM / 2; y < maxY; y += CARPET_SAMPLE_STEP_MM) {
+        for (let x = minX + CARPET_SAMPLE_STEP_MM / 2; x < maxX; x += CARPET_SAMPLE_STEP_MM) {
+            if (!pointInPolygon(x, y, polygon)) {
+                continue;
+            }
+            roomSamples++;
+            if (carpets.some(carpet => pointInPolygon(x, y, carpet))) {
+                carpetSamples++;
+            }
+        }
+    }
+
+    return roomSamples > 0 ? carpetSamples / roomSamples : 0;
+}
+
 // ---- Internal helpers ----
 
 /**
@@ -382,12 +455,14 @@ function clampPointToBounds(point, width, height) {
  * @param {string} name
  * @param {{preference_times?:number, preference_water?:number, preference_suction?:number, preference_sequence?:number}} room
  * @param {{times?:number, water?:number, suction?:number, sequence?:number}} cachedPrefs
- * @returns {{segmentId:string, name:string, roomCleaningPreferences:{times:number, water:number, suction:number}, roomCleaningSequence:number}}
+ * @param {string} material
+ * @returns {{segmentId:string, name:string, material:string, roomCleaningPreferences:{times:number, water:number, suction:number}, roomCleaningSequence:number}}
  */
-function buildSegmentMetaData(segmentId, name, room, cachedPrefs) {
+function buildSegmentMetaData(segmentId, name, room, cachedPrefs, material) {
     return {
         segmentId: segmentId,
         name: name,
+        material: material,
         roomCleaningPreferences: {
             times: room.preference_times ?? cachedPrefs.times,
             water: room.preference_water ?? cachedPrefs.water,
@@ -424,17 +499,18 @@ function buildRestrictionEntities(transform, pixelSizeCm, virtualWalls) {
             if (!Number.isFinite(minX) || !Number.isFinite(maxX) || !Number.isFinite(minY) || !Number.isFinite(maxY)) {
                 continue;
             }
-            const normalizedRect = [
+            // Rectangles start at the top left corner like the ones drawn in the editor
+            const points = isAxisAlignedRectangle(wall.dots) ? [
                 minX, minY,
                 maxX, minY,
                 maxX, maxY,
                 minX, maxY
-            ];
+            ] : flattened;
             entitiesOut.push(new mapEntities.PolygonMapEntity({
                 type: wall.type === 1 ?
                     mapEntities.PolygonMapEntity.TYPE.NO_MOP_AREA :
                     mapEntities.PolygonMapEntity.TYPE.NO_GO_AREA,
-                points: normalizedRect
+                points: points
             }));
         } else {
             entitiesOut.push(new mapEntities.LineMapEntity({
@@ -484,6 +560,38 @@ function buildCarpetEntities(transform, pixelSizeCm, carpetPolygons) {
     return entitiesOut;
 }
 
+/**
+ * @param {any} transform
+ * @param {number} pixelSizeCm
+ * @param {Array<{key:string,label:string,confidence:number,x:number,y:number,imagePath:string}>} [obstacles]
+ * @returns {Array<any>}
+ */
+function buildObstacleEntities(transform, pixelSizeCm, obstacles) {
+    /** @type {Array<any>} */
+    const entitiesOut = [];
+    for (const obstacle of (Array.isArray(obstacles) ? obstacles : [])) {
+        const point = worldMmToMapPointCm(transform, Number(obstacle.x), Number(obstacle.y), pixelSizeCm);
+        if (!point) {
+            continue;
+        }
+        /** @type {{label:string,id:string,image?:string}} */
+        const metaData = {
+            label: `${obstacle.label} (${obstacle.confidence}%)`,
+            id: uuid.v5(obstacle.key, OBSTACLE_ID_NAMESPACE)
+        };
+        if (obstacle.imagePath) {
+            metaData.image = obstacle.imagePath;
+        }
+        entitiesOut.push(new mapEntities.PointMapEntity({
+            type: mapEntities.PointMapEntity.TYPE.OBSTACLE,
+            points: point,
+            metaData: metaData
+        }));
+    }
+
+    return entitiesOut;
+}
+
 /**
  * Check whether the dynamic entities (robot, charger, path) in the current
  * map already match the newly computed ones by comparing points arrays
@@ -519,7 +627,11 @@ function areDynamicEntitiesUnchanged(currentEntities, newDynamic) {
     return true;
 }
 
+const OBSTACLE_ID_NAMESPACE = "4f3a52de-0a64-4c55-9b7e-2f0c3f4d8e61";
+
 module.exports = {
     buildMap: buildMap,
+    classifySegmentMaterial: classifySegmentMaterial,
+    pointInPolygon: pointInPolygon,
     rebuildEntitiesOnlyMap: rebuildEntitiesOnlyMap,
 };
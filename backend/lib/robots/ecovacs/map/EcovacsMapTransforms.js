@@ -101,6 +101,51 @@ function mapZoneToWorldRect(map, zone) {
     return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
 }
 
+/**
+ * @param {any} map
+ * @param {import("../../../entities/core/ValetudoRestrictedZone")} zone
+ * @returns {Array<[number,number]>} the zone outline in world mm
+ */
+function mapZoneToWorldPolygon(map, zone) {
+    const {transform, pixelSizeCm} = getMapTransformParams(map);
+    const points = Array.isArray(zone.polygon) ?
+        zone.polygon :
+        [zone.points?.pA, zone.points?.pB, zone.points?.pC, zone.points?.pD].filter(Boolean);
+    const dots = points.map(point => {
+        return mapCmToWorldMm(transform, Number(point?.x), Number(point?.y), pixelSizeCm);
+    });
+    if (dots.length < 3 || dots.some(dot => !dot)) {
+        throw new Error("Invalid zone points");
+    }
+
+    return dots.map(dot => [dot.x, dot.y]);
+}
+
+/**
+ * Zones that are axis-aligned rectangles are written and shown as such.
+ * Everything else keeps its outline.
+ *
+ * @param {Array<[number,number]>} dots
+ * @returns {boolean}
+ */
+function isAxisAlignedRectangle(dots) {
+    if (dots.length !== 4) {
+        return false;
+    }
+    const xs = new Set(dots.map(dot => Math.round(Number(dot[0]))));
+    const ys = new Set(dots.map(dot => Math.round(Number(dot[1]))));
+    if (xs.size !== 2 || ys.size !== 2) {
+        return false;
+    }
+
+    // All four corners of the bounding box have to be present, not just their coordinates
+    return [...xs].every(x => {
+        return [...ys].every(y => {
+            return dots.some(dot => Math.round(Number(dot[0])) === x && Math.round(Number(dot[1])) === y);
+        });
+    });
+}
+
 /**
  * @param {any} map
  * @param {{x:number,y:number}} point
@@ -140,8 +185,10 @@ function worldPointToMap(map, point) {
 
 module.exports = {
     clampInt: clampInt,
+    isAxisAlignedRectangle: isAxisAlignedRectangle,
     mapCmToWorldMm: mapCmToWorldMm,
     mapPointToWorld: mapPointToWorld,
+    mapZoneToWorldPolygon: mapZoneToWorldPolygon,
     mapZoneToWorldRect: mapZoneToWorldRect,
     worldMmToMapPointCm: worldMmToMapPointCm,
     worldPointToMap: worldPointToMap,
@@ -104,6 +104,83 @@ function tryDecodeSingleTraceChunk(raw) {
     }
 }
 
+/**
+ * Reduce a trace path to at most maxPoints using Ramer-Douglas-Peucker.
+ * The tolerance starts at toleranceMm and is doubled until the path fits,
+ * so long sessions lose detail evenly instead of losing their beginning.
+ *
+ * @template {{x:number,y:number}} T
+ * @param {Array<T>} points
+ * @param {number} maxPoints
+ * @param {number} toleranceMm
+ * @returns {Array<T>}
+ */
+function simplifyTracePath(points, maxPoints, toleranceMm) {
+    let simplified = points;
+    let tolerance = Math.max(1, toleranceMm);
+    while (simplified.length > Math.max(2, maxPoints)) {
+        simplified = simplifyRamerDouglasPeucker(simplified, tolerance);
+        tolerance *= 2;
+    }
+
+    return simplified;
+}
+
+/**
+ * Iterative to keep the stack flat for paths with many thousands of points.
+ *
+ * @template {{x:number,y:number}} T
+ * @param {Array<T>} points
+ * @param {number} tolerance
+ * @returns {Array<T>}
+ */
+function simplifyRamerDouglasPeucker(points, tolerance) {
+    if (points.length <= 2) {
+        return points.slice();
+    }
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const ranges = [[0, points.length - 1]];
+
+    while (ranges.length > 0) {
+        const [first, last] = ranges.pop();
+        let maxDistance = -1;
+        let maxIndex = -1;
+        for (let i = first + 1; i < last; i++) {
+            const distance = distanceToSegment(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                maxIndex = i;
+            }
+        }
+        if (maxIndex !== -1 && maxDistance > tolerance) {
+            keep[maxIndex] = 1;
+            ranges.push([first, maxIndex], [maxIndex, last]);
+        }
+    }
+
+    return points.filter((_, i) => keep[i] === 1);
+}
+
+/**
+ * @param {{x:number,y:number}} point
+ * @param {{x:number,y:number}} start
+ * @param {{x:number,y:number}} end
+ * @returns {number}
+ */
+function distanceToSegment(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ?
+        0 :
+        Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+
+    return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+}
+
 module.exports = {
     decodeTraceRawHexToWorldMmPoints: decodeTraceRawHexToWorldMmPoints,
+    simplifyTracePath: simplifyTracePath,
 };
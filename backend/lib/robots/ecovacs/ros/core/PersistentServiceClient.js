@@ -3,7 +3,14 @@
 const BufferedTcpSocket = require("../protocol/BufferedTcpSocket");
 const Logger = require("../../../../Logger");
 const {buildHandshakePacket, readHandshake} = require("../protocol/tcpros");
+const {getKnownLayouts, matchLayout, unknownMd5Error} = require("./RosMd5Check");
 
+/**
+ * Before the first call, the service is probed for the md5sum and type it was built with.
+ * Calls are only made if that md5sum belongs to a known message layout, so a firmware update
+ * changing the message definition fails with a clear error instead of garbled requests.
+ * Serializers that implement more than one layout pick theirs with getLayout().
+ */
 class PersistentServiceClient {
     /**
      * @param {object} options
@@ -14,6 +21,8 @@ class PersistentServiceClient {
      * @param {number} [options.connectTimeoutMs]
      * @param {number} [options.callTimeoutMs]
      * @param {boolean} [options.persistent]
+     * @param {boolean} [options.debug]
+     * @param {import("./RosTrafficRecorder").RosTrafficRecorder} [options.recorder]
      */
     constructor(options) {
         this.masterClient = options.masterClient;
@@ -24,9 +33,67 @@ class PersistentServiceClient {
         this.callTimeoutMs = options.callTimeoutMs ?? 5000;
         this.persistent = options.persistent ?? true;
         this.debug = options.debug ?? false;
+        this.recorder = options.recorder ?? null;
+        this.knownLayouts = getKnownLayouts(this.serviceName, this.serviceMd5);
+        this.knownMd5s = Object.keys(this.knownLayouts);
+
+        this.md5Checked = false;
+        /** @type {string|null} layout of the reported md5sum */
+        this.layout = null;
+        /** @type {string|null} */
+        this.reportedMd5 = null;
+        /** @type {string|null} */
+        this.reportedType = null;
 
         this.socket = null;
         this.lock = Promise.resolve();
+
+        this.callCount = 0;
+        this.errorCount = 0;
+        this.lastCallAt = 0;
+        this.lastLatencyMs = null;
+        this.lastError = null;
+        this.lastErrorAt = 0;
+    }
+
+    /**
+     * @returns {{kind:"service",name:string,md5:string,knownMd5s:Array<string>,reportedMd5:string|null,reportedType:string|null,layout:string|null,persistent:boolean,connected:boolean,callCount:number,errorCount:number,lastCallAt:number,lastLatencyMs:number|null,lastError:string|null,lastErrorAt:number}}
+     */
+    getDiagnostics() {
+        return {
+            kind: "service",
+            name: this.serviceName,
+            md5: this.serviceMd5,
+            knownMd5s: this.knownMd5s,
+            reportedMd5: this.reportedMd5,
+            reportedType: this.reportedType,
+            layout: this.layout,
+            persistent: this.persistent,
+            connected: this.socket !== null,
+            callCount: this.callCount,
+            errorCount: this.errorCount,
+            lastCallAt: this.lastCallAt,
+            lastLatencyMs: this.lastLatencyMs,
+            lastError: this.lastError,
+            lastErrorAt: this.lastErrorAt
+        };
+    }
+
+    /**
+     * The message layout of the md5sum the service reports, probing the service if that didn't happen yet.
+     *
+     * @returns {Promise<string>}
+     */
+    async getLayout() {
+        if (!this.md5Checked) {
+            const resolved = await this.masterClient.resolveService(this.callerId, this.serviceName);
+            if (!resolved) {
+                throw new Error(`Service not found: ${this.serviceName}`);
+            }
+            await this.checkMd5(resolved);
+        }
+
+        return this.layout;
     }
 
     /**
@@ -38,7 +105,7 @@ class PersistentServiceClient {
             .catch((e) => {
                 Logger.debug(`PersistentServiceClient lock chain recovered from previous error: ${e?.message ?? e}`);
             })
-            .then(() => this.callLocked(requestBody));
+            .then(() => this.callMeasured(requestBody));
 
         this.lock = next.catch((e) => {
             Logger.debug(`PersistentServiceClient call failed, keeping lock chain alive: ${e?.message ?? e}`);
@@ -47,6 +114,31 @@ class PersistentServiceClient {
         return await next;
     }
 
+    /**
+     * @param {Buffer} requestBody
+     * @returns {Promise<Buffer>}
+     */
+    async callMeasured(requestBody) {
+        const startedAt = Date.now();
+        this.callCount++;
+        this.lastCallAt = startedAt;
+        try {
+            const response = await this.callLocked(requestBody);
+            this.recorder?.recordServiceCall(this.serviceName, requestBody, response);
+
+            return response;
+        } catch (e) {
+            this.errorCount++;
+            this.lastError = e?.message ?? String(e);
+            this.lastErrorAt = Date.now();
+            this.recorder?.recordServiceCall(this.serviceName, requestBody, null, this.lastError);
+
+            throw e;
+        } finally {
+            this.lastLatencyMs = Date.now() - startedAt;
+        }
+    }
+
     /**
      * @param {Buffer} requestBody
      * @returns {Promise<Buffer>}
@@ -100,6 +192,10 @@ class PersistentServiceClient {
             throw new Error(`Service not found: ${this.serviceName}`);
         }
 
+        if (!this.md5Checked) {
+            await this.checkMd5(resolved);
+        }
+
         const socket = new BufferedTcpSocket();
         await socket.connect(resolved.host, resolved.port, this.connectTimeoutMs);
         if (this.debug) {
@@ -110,16 +206,82 @@ class PersistentServiceClient {
         }
         const handshakePacket = buildHandshakePacket([
             ["callerid", `${this.callerId}'`],
-            ["md5sum", this.serviceMd5],
+            ["md5sum", this.getHandshakeMd5()],
             ["persistent", this.persistent ? "1" : "0"],
             ["service", this.serviceName]
         ]);
-        await socket.write(handshakePacket);
-        await readHandshake(socket, this.callTimeoutMs);
+        try {
+            await socket.write(handshakePacket);
+            const header = await readHandshake(socket, this.callTimeoutMs);
+            if (header.error) {
+                // The service might have been restarted with a different build, so probe again next time
+                this.md5Checked = false;
+
+                throw new Error(`Service ${this.serviceName} rejected the handshake: ${header.error}`);
+            }
+        } catch (e) {
+            await socket.close();
+
+            throw e;
+        }
 
         return socket;
     }
 
+    /**
+     * @private
+     * @param {{host:string,port:number}} resolved
+     * @returns {Promise<void>}
+     */
+    async checkMd5(resolved) {
+        const socket = new BufferedTcpSocket();
+        let header;
+        try {
+            await socket.connect(resolved.host, resolved.port, this.connectTimeoutMs);
+            try {
+                await socket.write(buildHandshakePacket([
+                    ["callerid", `${this.callerId}'`],
+                    ["md5sum", "*"],
+                    ["probe", "1"],
+                    ["service", this.serviceName]
+                ]));
+                header = await readHandshake(socket, this.callTimeoutMs);
+            } catch (e) {
+                // Without a probe answer, the call handshake with the default md5sum still catches mismatches
+                Logger.debug(`Ecovacs ROS md5sum probe failed for ${this.serviceName}: ${e?.message ?? e}`);
+                header = {};
+            }
+        } finally {
+            await socket.close();
+        }
+
+        this.reportedMd5 = header.md5sum ?? null;
+        this.reportedType = header.type ?? null;
+
+        this.layout = matchLayout(this.knownLayouts, this.reportedMd5);
+        if (this.layout === null) {
+            throw unknownMd5Error("service", this.serviceName, this.reportedMd5, this.reportedType, this.knownMd5s);
+        }
+        if (this.debug) {
+            Logger.debug(
+                `Ecovacs ROS md5sum: service=${this.serviceName} md5=${this.reportedMd5} type=${this.reportedType} layout=${this.layout}`
+            );
+        }
+        this.md5Checked = true;
+    }
+
+    /**
+     * @private
+     * @returns {string}
+     */
+    getHandshakeMd5() {
+        if (this.reportedMd5 && this.reportedMd5 !== "*" && !this.knownMd5s.includes("*")) {
+            return this.reportedMd5;
+        }
+
+        return this.serviceMd5;
+    }
+
     /**
      * @param {Buffer} requestBody
      * @returns {Promise<Buffer>}
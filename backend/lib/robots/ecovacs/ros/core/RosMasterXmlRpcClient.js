@@ -3,6 +3,7 @@
 const http = require("http");
 const https = require("https");
 const Logger = require("../../../../Logger");
+const {buildXmlRpcRequest, parseXmlRpcMethodResponse} = require("../protocol/xmlrpc");
 const {URL} = require("url");
 
 class RosMasterXmlRpcClient {
@@ -94,32 +95,66 @@ class RosMasterXmlRpcClient {
      * @returns {Promise<Array<string>>}
      */
     async getTopicPublishers(callerId, topic) {
+        const systemState = await this.getSystemState(callerId);
+
+        return systemState?.publishers.find(entry => entry.name === topic)?.nodes ?? [];
+    }
+
+    /**
+     * @param {string} callerId
+     * @returns {Promise<{publishers:Array<RosGraphEntry>,subscribers:Array<RosGraphEntry>,services:Array<RosGraphEntry>}|null>}
+     */
+    async getSystemState(callerId) {
         const systemState = await this.call(this.masterUri, "getSystemState", [callerId]);
         if (!Array.isArray(systemState) || systemState.length < 3 || Number(systemState[0]) !== 1) {
-            return [];
+            return null;
         }
         const state = systemState[2];
         if (!Array.isArray(state) || state.length < 1 || !Array.isArray(state[0])) {
-            return [];
+            return null;
         }
-        const publishers = state[0];
-        /** @type {Array<string>} */
-        const out = [];
-        for (const item of publishers) {
-            if (!Array.isArray(item) || item.length < 2) {
-                continue;
-            }
-            if (String(item[0]) !== topic || !Array.isArray(item[1])) {
-                continue;
-            }
-            for (const publisher of item[1]) {
-                out.push(String(publisher));
+
+        return {
+            publishers: parseGraphEntries(state[0]),
+            subscribers: parseGraphEntries(state[1]),
+            services: parseGraphEntries(state[2])
+        };
+    }
+
+    /**
+     * @param {string} callerId
+     * @returns {Promise<Object<string,string>>} topic name -> message type
+     */
+    async getTopicTypes(callerId) {
+        const response = await this.call(this.masterUri, "getTopicTypes", [callerId]);
+        /** @type {Object<string,string>} */
+        const out = {};
+        if (!Array.isArray(response) || response.length < 3 || Number(response[0]) !== 1 || !Array.isArray(response[2])) {
+            return out;
+        }
+        for (const item of response[2]) {
+            if (Array.isArray(item) && item.length >= 2) {
+                out[String(item[0])] = String(item[1]);
             }
         }
 
         return out;
     }
 
+    /**
+     * @param {string} callerId
+     * @param {string} nodeName
+     * @returns {Promise<string|null>} XML-RPC URI of the node
+     */
+    async lookupNode(callerId, nodeName) {
+        const response = await this.call(this.masterUri, "lookupNode", [callerId, nodeName]);
+        if (!Array.isArray(response) || response.length < 3 || Number(response[0]) !== 1) {
+            return null;
+        }
+
+        return normalizeLocalhostUri(String(response[2] ?? "")) || null;
+    }
+
     /**
      * @param {string} callerId
      * @param {string} topic
@@ -128,12 +163,7 @@ class RosMasterXmlRpcClient {
      */
     async resolveTopicFromPublishers(callerId, topic, publishers) {
         for (const publisherName of publishers) {
-            const lookupNodeResult = await this.call(this.masterUri, "lookupNode", [callerId, String(publisherName)]);
-            if (!Array.isArray(lookupNodeResult) || lookupNodeResult.length < 3 || Number(lookupNodeResult[0]) !== 1) {
-                continue;
-            }
-
-            const nodeUri = normalizeLocalhostUri(String(lookupNodeResult[2] ?? ""));
+            const nodeUri = await this.lookupNode(callerId, String(publisherName));
             if (!nodeUri) {
                 continue;
             }
@@ -206,6 +236,29 @@ class RosMasterXmlRpcClient {
     }
 }
 
+/**
+ * @typedef {object} RosGraphEntry
+ * @property {string} name topic or service name
+ * @property {Array<string>} nodes publishing, subscribing or providing nodes
+ */
+
+/**
+ * @param {any} entries
+ * @returns {Array<RosGraphEntry>}
+ */
+function parseGraphEntries(entries) {
+    if (!Array.isArray(entries)) {
+        return [];
+    }
+
+    return entries.filter(item => Array.isArray(item) && item.length >= 2).map(item => {
+        return {
+            name: String(item[0]),
+            nodes: Array.isArray(item[1]) ? item[1].map(node => String(node)) : []
+        };
+    });
+}
+
 /**
  * ROS nodes typically bind IPv4 only.  Node.js may resolve "localhost"
  * to ::1 (IPv6) first, causing connection timeouts when the peer has
@@ -249,199 +302,4 @@ function parseRosRpcUri(uri) {
     };
 }
 
-/**
- * @param {string} methodName
- * @param {Array<any>} params
- * @returns {string}
- */
-function buildXmlRpcRequest(methodName, params) {
-    const paramXml = params.map(param => `<param><value>${toXmlRpcValue(param)}</value></param>`).join("");
-
-    return `<?xml version="1.0"?>
-<methodCall>
-<methodName>${escapeXml(methodName)}</methodName>
-<params>${paramXml}</params>
-</methodCall>`;
-}
-
-/**
- * @param {string} xml
- * @returns {any}
- */
-function parseXmlRpcMethodResponse(xml) {
-    const tree = parseSimpleXml(xml);
-    const methodResponse = firstChildByName(tree, "methodResponse");
-    if (!methodResponse) {
-        throw new Error("methodResponse node not found");
-    }
-    const faultNode = firstChildByName(methodResponse, "fault");
-    if (faultNode) {
-        const valueNode = firstChildByName(faultNode, "value");
-        const parsedFault = valueNode ? parseXmlRpcValueNode(valueNode) : "unknown fault";
-        throw new Error(`XML-RPC fault: ${JSON.stringify(parsedFault)}`);
-    }
-
-    const paramsNode = firstChildByName(methodResponse, "params");
-    const paramNode = paramsNode ? firstChildByName(paramsNode, "param") : null;
-    const valueNode = paramNode ? firstChildByName(paramNode, "value") : null;
-    if (!valueNode) {
-        throw new Error("methodResponse.params.param.value node not found");
-    }
-
-    return parseXmlRpcValueNode(valueNode);
-}
-
-/**
- * Tiny XML parser for XML-RPC responses.
- *
- * @param {string} xml
- * @returns {{name:string,children:Array<any>,text:string}}
- */
-function parseSimpleXml(xml) {
-    const root = {name: "__root__", children: [], text: ""};
-    const stack = [root];
-    const tokens = xml.match(/<[^>]+>|[^<]+/g) ?? [];
-
-    for (const token of tokens) {
-        if (token.startsWith("<?") || token.startsWith("<!")) {
-            continue;
-        }
-        if (token.startsWith("</")) {
-            stack.pop();
-            continue;
-        }
-        if (token.startsWith("<")) {
-            const rawName = token.slice(1, -1).trim();
-            const selfClosing = rawName.endsWith("/");
-            const name = rawName.replace(/\/$/, "").split(/\s+/)[0];
-            const node = {name: name, children: [], text: ""};
-            stack[stack.length - 1].children.push(node);
-            if (!selfClosing) {
-                stack.push(node);
-            }
-            continue;
-        }
-
-        const text = token.trim();
-        if (text.length > 0) {
-            stack[stack.length - 1].text += decodeXmlEntities(text);
-        }
-    }
-
-    return root;
-}
-
-/**
- * @param {{children:Array<any>}} node
- * @param {string} name
- * @returns {any|null}
- */
-function firstChildByName(node, name) {
-    return node.children.find(child => child.name === name) ?? null;
-}
-
-/**
- * @param {any} valueNode
- * @returns {any}
- */
-function parseXmlRpcValueNode(valueNode) {
-    if (!valueNode.children || valueNode.children.length === 0) {
-        return valueNode.text ?? "";
-    }
-    const typeNode = valueNode.children[0];
-    switch (typeNode.name) {
-        case "int":
-        case "i4":
-            return Number(typeNode.text ?? 0);
-        case "boolean":
-            return String(typeNode.text ?? "0") === "1";
-        case "double":
-            return Number(typeNode.text ?? 0);
-        case "string":
-            return typeNode.text ?? "";
-        case "array": {
-            const dataNode = firstChildByName(typeNode, "data");
-            if (!dataNode) {
-                return [];
-            }
-            return dataNode.children
-                .filter(child => child.name === "value")
-                .map(child => parseXmlRpcValueNode(child));
-        }
-        case "struct": {
-            const members = typeNode.children.filter(child => child.name === "member");
-            /** @type {Object<string, any>} */
-            const out = {};
-            for (const member of members) {
-                const nameNode = firstChildByName(member, "name");
-                const memberValueNode = firstChildByName(member, "value");
-                if (!nameNode || !memberValueNode) {
-                    continue;
-                }
-                out[nameNode.text ?? ""] = parseXmlRpcValueNode(memberValueNode);
-            }
-            return out;
-        }
-        default:
-            return typeNode.text ?? "";
-    }
-}
-
-/**
- * @param {any} value
- * @returns {string}
- */
-function toXmlRpcValue(value) {
-    if (Array.isArray(value)) {
-        const children = value.map(child => `<value>${toXmlRpcValue(child)}</value>`).join("");
-
-        return `<array><data>${children}</data></array>`;
-    }
-    if (value && typeof value === "object") {
-        const members = Object.entries(value).map(([key, v]) => {
-            return `<member><name>${escapeXml(key)}</name><value>${toXmlRpcValue(v)}</value></member>`;
-        }).join("");
-
-        return `<struct>${members}</struct>`;
-    }
-    if (typeof value === "number") {
-        if (Number.isInteger(value)) {
-            return `<int>${value}</int>`;
-        }
-
-        return `<double>${value}</double>`;
-    }
-    if (typeof value === "boolean") {
-        return `<boolean>${value ? 1 : 0}</boolean>`;
-    }
-
-    return `<string>${escapeXml(String(value ?? ""))}</string>`;
-}
-
-/**
- * @param {string} value
- * @returns {string}
- */
-function escapeXml(value) {
-    return value
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&apos;");
-}
-
-/**
- * @param {string} value
- * @returns {string}
- */
-function decodeXmlEntities(value) {
-    return value
-        .replace(/&lt;/g, "<")
-        .replace(/&gt;/g, ">")
-        .replace(/&quot;/g, "\"")
-        .replace(/&apos;/g, "'")
-        .replace(/&amp;/g, "&");
-}
-
 module.exports = RosMasterXmlRpcClient;
@@ -0,0 +1,75 @@
+"use strict";
+
+const DEFAULT_LAYOUT = "default";
+
+/*
+ * Message layouts of firmware builds other than the one the serializers were written against,
+ * per service or topic name, by the md5sum the build reports.
+ *
+ * The md5 a client or subscriber is created with always is the "default" layout.
+ * A build with an identical message definition maps to "default". A build with a different one
+ * gets its own layout name, which the serializers of that endpoint then branch on,
+ * e.g. { "/task/WorkManage": { "<md5 of the new build>": "<layout name>" } }.
+ * Only add an md5 here once its message definition has been checked against a firmware capture.
+ */
+const FIRMWARE_LAYOUTS = Object.freeze({});
+
+/**
+ * @param {string} name service or topic name
+ * @param {string} md5 the md5sum the serializers were written against
+ * @returns {Object<string, string>} md5 -> layout name
+ */
+function getKnownLayouts(name, md5) {
+    return Object.assign({[md5]: DEFAULT_LAYOUT}, FIRMWARE_LAYOUTS[name]);
+}
+
+/**
+ * @param {Object<string, string>} knownLayouts
+ * @param {string|null|undefined} reportedMd5
+ * @returns {string|null} the layout name, null if the md5 is unknown
+ */
+function matchLayout(knownLayouts, reportedMd5) {
+    // Wildcard clients decode any message
+    if (knownLayouts["*"] !== undefined) {
+        return knownLayouts["*"];
+    }
+    // Peers not reporting an md5 can't be checked
+    if (!reportedMd5 || reportedMd5 === "*") {
+        return DEFAULT_LAYOUT;
+    }
+
+    return knownLayouts[reportedMd5] ?? null;
+}
+
+/**
+ * @param {Array<string>} knownMd5s
+ * @param {string|null|undefined} reportedMd5
+ * @returns {boolean}
+ */
+function isKnownMd5(knownMd5s, reportedMd5) {
+    return matchLayout(Object.fromEntries(knownMd5s.map(md5 => [md5, DEFAULT_LAYOUT])), reportedMd5) !== null;
+}
+
+/**
+ * @param {string} kind
+ * @param {string} name
+ * @param {string} reportedMd5
+ * @param {string|null|undefined} reportedType
+ * @param {Array<string>} knownMd5s
+ * @returns {Error}
+ */
+function unknownMd5Error(kind, name, reportedMd5, reportedType, knownMd5s) {
+    return new Error(
+        `The ${kind} ${name} reports md5sum ${reportedMd5} (${reportedType || "unknown type"}), ` +
+        `which matches no known md5sum (known: ${knownMd5s.join(", ")}). ` +
+        "The firmware likely changed the message definition."
+    );
+}
+
+module.exports = {
+    DEFAULT_LAYOUT: DEFAULT_LAYOUT,
+    getKnownLayouts: getKnownLayouts,
+    isKnownMd5: isKnownMd5,
+    matchLayout: matchLayout,
+    unknownMd5Error: unknownMd5Error
+};
@@ -0,0 +1,157 @@
+"use strict";
+
+const fs = require("fs");
+const Logger = require("../../../../Logger");
+
+/**
+ * Appends ROS service calls and topic messages to a JSON lines file.
+ *
+ * When the file grows beyond maxBytes it is rotated to `<path>.1`, `<path>.2`, ...
+ * keeping at most maxFiles rotated files. The records can be fed back with EcovacsRosReplay.
+ */
+class RosTrafficRecorder {
+    /**
+     * @param {object} options
+     * @param {string} options.path
+     * @param {number} [options.maxBytes]
+     * @param {number} [options.maxFiles] number of rotated files to keep besides the active one
+     */
+    constructor(options) {
+        this.path = options.path;
+        this.maxBytes = options.maxBytes ?? 5 * 1024 * 1024;
+        this.maxFiles = options.maxFiles ?? 3;
+        this.writeFailed = false;
+
+        try {
+            this.size = fs.existsSync(this.path) ? fs.statSync(this.path).size : 0;
+        } catch (e) {
+            this.size = 0;
+        }
+    }
+
+    /**
+     * @param {string} serviceName
+     * @param {Buffer} request
+     * @param {Buffer|null} response null when the call failed
+     * @param {string|null} [error]
+     */
+    recordServiceCall(serviceName, request, response, error) {
+        this.append({
+            t: Date.now(),
+            kind: "service",
+            name: serviceName,
+            request: request.toString("hex"),
+            ok: response !== null,
+            response: response !== null ? response.toString("hex") : null,
+            error: error ?? null
+        });
+    }
+
+    /**
+     * @param {string} topic
+     * @param {string} type
+     * @param {Buffer} payload
+     */
+    recordTopicMessage(topic, type, payload) {
+        this.append({
+            t: Date.now(),
+            kind: "topic",
+            name: topic,
+            type: type,
+            payload: payload.toString("hex")
+        });
+    }
+
+    /**
+     * @private
+     * @param {RosTrafficRecord} record
+     */
+    append(record) {
+        const line = JSON.stringify(record) + "\n";
+        try {
+            if (this.size > 0 && this.size + line.length > this.maxBytes) {
+                this.rotate();
+            }
+            fs.appendFileSync(this.path, line);
+            this.size += line.length;
+            this.writeFailed = false;
+        } catch (e) {
+            // A full or read-only disk must never break ROS calls, so only log the first failure
+            if (!this.writeFailed) {
+                Logger.warn(`Failed to write ROS recording to ${this.path}: ${e?.message ?? e}`);
+            }
+            this.writeFailed = true;
+        }
+    }
+
+    /**
+     * @private
+     */
+    rotate() {
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${this.path}.${i}`)) {
+                fs.renameSync(`${this.path}.${i}`, `${this.path}.${i + 1}`);
+            }
+        }
+        if (this.maxFiles > 0) {
+            fs.renameSync(this.path, `${this.path}.1`);
+        } else {
+            fs.unlinkSync(this.path);
+        }
+        this.size = 0;
+    }
+}
+
+/**
+ * Read a recording including its rotated files, oldest record first.
+ *
+ * @param {string} path path of the active recording file
+ * @returns {Array<RosTrafficRecord>}
+ */
+function readRosRecording(path) {
+    const files = [];
+    for (let i = 1; fs.existsSync(`${path}.${i}`); i++) {
+        files.unshift(`${path}.${i}`);
+    }
+    if (fs.existsSync(path)) {
+        files.push(path);
+    }
+    if (files.length === 0) {
+        throw new Error(`No ROS recording found at ${path}`);
+    }
+
+    const records = [];
+    for (const file of files) {
+        for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+            if (line.trim().length === 0) {
+                continue;
+            }
+            try {
+                records.push(JSON.parse(line));
+            } catch (e) {
+                // The last line may be truncated if Valetudo was killed while writing
+                Logger.debug(`Skipping malformed ROS recording line in ${file}`);
+            }
+        }
+    }
+
+    return records.sort((a, b) => a.t - b.t);
+}
+
+/**
+ * @typedef {object} RosTrafficRecord
+ * @property {number} t unix timestamp in ms
+ * @property {"service"|"topic"} kind
+ * @property {string} name service or topic name
+ * @property {string} [request] hex, services only
+ * @property {boolean} [ok] services only
+ * @property {string|null} [response] hex, services only
+ * @property {string|null} [error] services only
+ * @property {string} [type] message type, topics only
+ * @property {string} [payload] hex, topics only
+ */
+
+module.exports = {
+    RosTrafficRecorder: RosTrafficRecorder,
+    readRosRecording: readRosRecording
+};
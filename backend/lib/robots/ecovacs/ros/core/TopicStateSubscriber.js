@@ -3,6 +3,7 @@
 const BinaryCursor = require("../protocol/BinaryCursor");
 const BufferedTcpSocket = require("../protocol/BufferedTcpSocket");
 const {buildHandshakePacket, readHandshake} = require("../protocol/tcpros");
+const {getKnownLayouts, matchLayout, unknownMd5Error} = require("./RosMd5Check");
 
 class TopicStateSubscriber {
     /**
@@ -12,12 +13,14 @@ class TopicStateSubscriber {
      * @param {string} options.topic
      * @param {string} options.type
      * @param {string} options.md5
-     * @param {(payload: Buffer) => any} options.decoder
+     * @param {(payload: Buffer, layout: string) => any} options.decoder called with the message layout of the md5sum the publisher reports
+     * @param {(value: any) => void} [options.onMessage] called with every decoded message, for topics that carry events instead of a state
      * @param {number} [options.connectTimeoutMs]
      * @param {number} [options.readTimeoutMs]
      * @param {number} [options.reconnectDelayMs]
      * @param {boolean} [options.safeResolve] - use resolveTopicTcpEndpointSafe (no registerSubscriber fallback)
      * @param {(msg: string, err?: any) => void} [options.onWarn]
+     * @param {import("./RosTrafficRecorder").RosTrafficRecorder} [options.recorder]
      */
     constructor(options) {
         this.masterClient = options.masterClient;
@@ -26,16 +29,58 @@ class TopicStateSubscriber {
         this.type = options.type;
         this.md5 = options.md5;
         this.decoder = options.decoder;
+        this.onMessage = options.onMessage ?? (() => {});
         this.connectTimeoutMs = options.connectTimeoutMs ?? 4000;
         this.readTimeoutMs = options.readTimeoutMs ?? 5000;
         this.reconnectDelayMs = options.reconnectDelayMs ?? 1500;
         this.safeResolve = options.safeResolve ?? false;
         this.onWarn = options.onWarn ?? (() => {});
+        this.recorder = options.recorder ?? null;
+        this.knownLayouts = getKnownLayouts(this.topic, this.md5);
+        this.knownMd5s = Object.keys(this.knownLayouts);
+        /** @type {string|null} layout of the reported md5sum */
+        this.layout = null;
+
+        /** @type {string|null} */
+        this.reportedMd5 = null;
+        /** @type {string|null} */
+        this.reportedType = null;
 
         this.running = false;
         this.loopPromise = null;
+        /** @type {BufferedTcpSocket|null} */
+        this.socket = null;
         this.latestValue = null;
         this.latestAt = 0;
+
+        this.connected = false;
+        this.messageCount = 0;
+        this.reconnectCount = 0;
+        this.lastError = null;
+        this.lastErrorAt = 0;
+    }
+
+    /**
+     * @returns {{kind:"topic",name:string,type:string,md5:string,knownMd5s:Array<string>,reportedMd5:string|null,reportedType:string|null,layout:string|null,running:boolean,connected:boolean,messageCount:number,lastMessageAt:number,reconnectCount:number,lastError:string|null,lastErrorAt:number}}
+     */
+    getDiagnostics() {
+        return {
+            kind: "topic",
+            name: this.topic,
+            type: this.type,
+            md5: this.md5,
+            knownMd5s: this.knownMd5s,
+            reportedMd5: this.reportedMd5,
+            reportedType: this.reportedType,
+            layout: this.layout,
+            running: this.running,
+            connected: this.connected,
+            messageCount: this.messageCount,
+            lastMessageAt: this.latestAt,
+            reconnectCount: this.reconnectCount,
+            lastError: this.lastError,
+            lastErrorAt: this.lastErrorAt
+        };
     }
 
     async start() {
@@ -48,6 +93,10 @@ class TopicStateSubscriber {
 
     async shutdown() {
         this.running = false;
+        if (this.socket) {
+            // Unblocks the read loop when the topic is quiet
+            await this.socket.close();
+        }
         try {
             await this.loopPromise;
         } catch (e) {
@@ -85,33 +134,53 @@ class TopicStateSubscriber {
                 }
 
                 socket = new BufferedTcpSocket();
+                this.socket = socket;
                 await socket.connect(endpoint.host, endpoint.port, this.connectTimeoutMs);
+                // Subscribe with the wildcard and check the md5sum the publisher reports against the known ones
                 await socket.write(buildHandshakePacket([
                     ["callerid", `${this.callerId}'`],
                     ["topic", this.topic],
                     ["type", this.type],
-                    ["md5sum", this.md5],
+                    ["md5sum", "*"],
                     ["tcp_nodelay", "1"]
                 ]));
-                await readHandshake(socket, this.readTimeoutMs);
+                const header = await readHandshake(socket, this.readTimeoutMs);
+                if (header.error) {
+                    throw new Error(`Publisher rejected subscription to ${this.topic}: ${header.error}`);
+                }
+                this.reportedMd5 = header.md5sum ?? null;
+                this.reportedType = header.type ?? null;
+                this.layout = matchLayout(this.knownLayouts, this.reportedMd5);
+                if (this.layout === null) {
+                    throw unknownMd5Error("topic", this.topic, this.reportedMd5, this.reportedType, this.knownMd5s);
+                }
+                this.connected = true;
 
                 while (this.running) {
                     const payloadLength = (await socket.readExact(4)).readUInt32LE(0);
                     const payload = await socket.readExact(payloadLength);
-                    const parsed = this.decoder(payload);
+                    this.messageCount++;
+                    this.recorder?.recordTopicMessage(this.topic, this.type, payload);
+                    const parsed = this.decoder(payload, this.layout);
                     if (parsed !== null && parsed !== undefined) {
                         this.latestValue = parsed;
                         this.latestAt = Date.now();
+                        this.onMessage(parsed);
                     }
                 }
             } catch (e) {
                 if (this.running) {
+                    this.reconnectCount++;
+                    this.lastError = e?.message ?? String(e);
+                    this.lastErrorAt = Date.now();
                     this.onWarn(`Topic subscriber reconnecting for ${this.topic}`, e?.message ?? e);
                     await delay(this.reconnectDelayMs);
                 }
             } finally {
+                this.connected = false;
                 if (socket) {
                     await socket.close();
+                    this.socket = null;
                 }
             }
         }
@@ -334,6 +403,55 @@ function decodeAlertAlerts(payload) {
     return triggered;
 }
 
+/**
+ * Decode the AI detector's recognized object list.
+ *
+ * Wire format:
+ *   count (u32)
+ *   For each object:
+ *     objectId     (u32)
+ *     objectType   (u8)
+ *     confidence   (u8)   - percent
+ *     x, y         (f32)  - world mm
+ *     timestamp    (u32)  - seconds
+ *     imagePath    (u32 length + chars) - ROS string, empty if no snapshot was stored
+ *
+ * @param {Buffer} payload
+ * @returns {Array<{objectId:number,objectType:number,confidence:number,x:number,y:number,timestamp:number,imagePath:string}>|null}
+ */
+function decodeAiDetectedObjects(payload) {
+    if (!Buffer.isBuffer(payload) || payload.length < 4) {
+        return null;
+    }
+    try {
+        const cursor = new BinaryCursor(payload);
+        const count = cursor.readUInt32LE();
+        const objects = [];
+        for (let i = 0; i < count; i++) {
+            const objectId = cursor.readUInt32LE();
+            const objectType = cursor.readUInt8();
+            const confidence = cursor.readUInt8();
+            const x = cursor.readFloatLE();
+            const y = cursor.readFloatLE();
+            const timestamp = cursor.readUInt32LE();
+            const imagePathLength = cursor.readUInt32LE();
+            objects.push({
+                objectId: objectId,
+                objectType: objectType,
+                confidence: confidence,
+                x: x,
+                y: y,
+                timestamp: timestamp,
+                imagePath: cursor.readBuffer(imagePathLength).toString("utf8")
+            });
+        }
+
+        return objects;
+    } catch (e) {
+        return null;
+    }
+}
+
 /**
  * Decode prediction/UpdatePose: predictPose(Header+xyz) + pose(Header+xyz) + isToInterpolate(u8).
  * Returns the pose (second) field.
@@ -385,5 +503,6 @@ module.exports = {
     decodeTaskWorkState: decodeTaskWorkState,
     decodeWorkStatisticToWifi: decodeWorkStatisticToWifi,
     decodeAlertAlerts: decodeAlertAlerts,
+    decodeAiDetectedObjects: decodeAiDetectedObjects,
     decodePredictionUpdatePose: decodePredictionUpdatePose
 };
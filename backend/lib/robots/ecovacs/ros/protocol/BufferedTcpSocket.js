@@ -32,18 +32,7 @@ class BufferedTcpSocket {
 
             const onConnect = () => {
                 cleanup();
-                socket.on("data", chunk => {
-                    this.readChunks.push(chunk);
-                    this.readBufferLength += chunk.length;
-                    this.drainPendingRead();
-                });
-                socket.on("error", err => {
-                    this.failPendingRead(err);
-                });
-                socket.on("close", () => {
-                    this.closed = true;
-                    this.failPendingRead(new Error("Socket closed"));
-                });
+                this.attach(socket);
                 resolve();
             };
             const onError = err => {
@@ -74,6 +63,28 @@ class BufferedTcpSocket {
         });
     }
 
+    /**
+     * Take over an already connected socket, e.g. one accepted by a net.Server.
+     *
+     * @param {net.Socket} socket
+     */
+    attach(socket) {
+        this.socket = socket;
+        this.closed = false;
+        socket.on("data", chunk => {
+            this.readChunks.push(chunk);
+            this.readBufferLength += chunk.length;
+            this.drainPendingRead();
+        });
+        socket.on("error", err => {
+            this.failPendingRead(err);
+        });
+        socket.on("close", () => {
+            this.closed = true;
+            this.failPendingRead(new Error("Socket closed"));
+        });
+    }
+
     /**
      * @param {Buffer} data
      * @returns {Promise<void>}
@@ -0,0 +1,256 @@
+"use strict";
+
+/**
+ * @param {string} methodName
+ * @param {Array<any>} params
+ * @returns {string}
+ */
+function buildXmlRpcRequest(methodName, params) {
+    const paramXml = params.map(param => `<param><value>${toXmlRpcValue(param)}</value></param>`).join("");
+
+    return `<?xml version="1.0"?>
+<methodCall>
+<methodName>${escapeXml(methodName)}</methodName>
+<params>${paramXml}</params>
+</methodCall>`;
+}
+
+/**
+ * @param {string} xml
+ * @returns {any}
+ */
+function parseXmlRpcMethodResponse(xml) {
+    const tree = parseSimpleXml(xml);
+    const methodResponse = firstChildByName(tree, "methodResponse");
+    if (!methodResponse) {
+        throw new Error("methodResponse node not found");
+    }
+    const faultNode = firstChildByName(methodResponse, "fault");
+    if (faultNode) {
+        const valueNode = firstChildByName(faultNode, "value");
+        const parsedFault = valueNode ? parseXmlRpcValueNode(valueNode) : "unknown fault";
+        throw new Error(`XML-RPC fault: ${JSON.stringify(parsedFault)}`);
+    }
+
+    const paramsNode = firstChildByName(methodResponse, "params");
+    const paramNode = paramsNode ? firstChildByName(paramsNode, "param") : null;
+    const valueNode = paramNode ? firstChildByName(paramNode, "value") : null;
+    if (!valueNode) {
+        throw new Error("methodResponse.params.param.value node not found");
+    }
+
+    return parseXmlRpcValueNode(valueNode);
+}
+
+/**
+ * @param {string} xml
+ * @returns {{methodName:string,params:Array<any>}}
+ */
+function parseXmlRpcMethodCall(xml) {
+    const tree = parseSimpleXml(xml);
+    const methodCall = firstChildByName(tree, "methodCall");
+    if (!methodCall) {
+        throw new Error("methodCall node not found");
+    }
+    const methodNameNode = firstChildByName(methodCall, "methodName");
+    if (!methodNameNode) {
+        throw new Error("methodCall.methodName node not found");
+    }
+    const paramsNode = firstChildByName(methodCall, "params");
+    const params = (paramsNode?.children ?? [])
+        .filter(child => child.name === "param")
+        .map(paramNode => {
+            const valueNode = firstChildByName(paramNode, "value");
+
+            return valueNode ? parseXmlRpcValueNode(valueNode) : "";
+        });
+
+    return {
+        methodName: methodNameNode.text ?? "",
+        params: params
+    };
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function buildXmlRpcMethodResponse(value) {
+    return `<?xml version="1.0"?>
+<methodResponse>
+<params><param><value>${toXmlRpcValue(value)}</value></param></params>
+</methodResponse>`;
+}
+
+/**
+ * @param {number} faultCode
+ * @param {string} faultString
+ * @returns {string}
+ */
+function buildXmlRpcFaultResponse(faultCode, faultString) {
+    return `<?xml version="1.0"?>
+<methodResponse>
+<fault><value>${toXmlRpcValue({faultCode: faultCode, faultString: faultString})}</value></fault>
+</methodResponse>`;
+}
+
+/**
+ * Tiny XML parser for XML-RPC messages.
+ *
+ * @param {string} xml
+ * @returns {{name:string,children:Array<any>,text:string}}
+ */
+function parseSimpleXml(xml) {
+    const root = {name: "__root__", children: [], text: ""};
+    const stack = [root];
+    const tokens = xml.match(/<[^>]+>|[^<]+/g) ?? [];
+
+    for (const token of tokens) {
+        if (token.startsWith("<?") || token.startsWith("<!")) {
+            continue;
+        }
+        if (token.startsWith("</")) {
+            stack.pop();
+            continue;
+        }
+        if (token.startsWith("<")) {
+            const rawName = token.slice(1, -1).trim();
+            const selfClosing = rawName.endsWith("/");
+            const name = rawName.replace(/\/$/, "").split(/\s+/)[0];
+            const node = {name: name, children: [], text: ""};
+            stack[stack.length - 1].children.push(node);
+            if (!selfClosing) {
+                stack.push(node);
+            }
+            continue;
+        }
+
+        const text = token.trim();
+        if (text.length > 0) {
+            stack[stack.length - 1].text += decodeXmlEntities(text);
+        }
+    }
+
+    return root;
+}
+
+/**
+ * @param {{children:Array<any>}} node
+ * @param {string} name
+ * @returns {any|null}
+ */
+function firstChildByName(node, name) {
+    return node.children.find(child => child.name === name) ?? null;
+}
+
+/**
+ * @param {any} valueNode
+ * @returns {any}
+ */
+function parseXmlRpcValueNode(valueNode) {
+    if (!valueNode.children || valueNode.children.length === 0) {
+        return valueNode.text ?? "";
+    }
+    const typeNode = valueNode.children[0];
+    switch (typeNode.name) {
+        case "int":
+        case "i4":
+            return Number(typeNode.text ?? 0);
+        case "boolean":
+            return String(typeNode.text ?? "0") === "1";
+        case "double":
+            return Number(typeNode.text ?? 0);
+        case "string":
+            return typeNode.text ?? "";
+        case "array": {
+            const dataNode = firstChildByName(typeNode, "data");
+            if (!dataNode) {
+                return [];
+            }
+            return dataNode.children
+                .filter(child => child.name === "value")
+                .map(child => parseXmlRpcValueNode(child));
+        }
+        case "struct": {
+            const members = typeNode.children.filter(child => child.name === "member");
+            /** @type {Object<string, any>} */
+            const out = {};
+            for (const member of members) {
+                const nameNode = firstChildByName(member, "name");
+                const memberValueNode = firstChildByName(member, "value");
+                if (!nameNode || !memberValueNode) {
+                    continue;
+                }
+                out[nameNode.text ?? ""] = parseXmlRpcValueNode(memberValueNode);
+            }
+            return out;
+        }
+        default:
+            return typeNode.text ?? "";
+    }
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function toXmlRpcValue(value) {
+    if (Array.isArray(value)) {
+        const children = value.map(child => `<value>${toXmlRpcValue(child)}</value>`).join("");
+
+        return `<array><data>${children}</data></array>`;
+    }
+    if (value && typeof value === "object") {
+        const members = Object.entries(value).map(([key, v]) => {
+            return `<member><name>${escapeXml(key)}</name><value>${toXmlRpcValue(v)}</value></member>`;
+        }).join("");
+
+        return `<struct>${members}</struct>`;
+    }
+    if (typeof value === "number") {
+        if (Number.isInteger(value)) {
+            return `<int>${value}</int>`;
+        }
+
+        return `<double>${value}</double>`;
+    }
+    if (typeof value === "boolean") {
+        return `<boolean>${value ? 1 : 0}</boolean>`;
+    }
+
+    return `<string>${escapeXml(String(value ?? ""))}</string>`;
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return value
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeXmlEntities(value) {
+    return value
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"")
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&");
+}
+
+module.exports = {
+    buildXmlRpcFaultResponse: buildXmlRpcFaultResponse,
+    buildXmlRpcMethodResponse: buildXmlRpcMethodResponse,
+    buildXmlRpcRequest: buildXmlRpcRequest,
+    parseXmlRpcMethodCall: parseXmlRpcMethodCall,
+    parseXmlRpcMethodResponse: parseXmlRpcMethodResponse
+};
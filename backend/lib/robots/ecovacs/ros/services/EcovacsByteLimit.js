@@ -0,0 +1,34 @@
+const stream = require("stream");
+
+/**
+ * Passes the data through and fails the pipeline once more than the limit went through
+ */
+class EcovacsByteLimit extends stream.Transform {
+    /**
+     * @param {number} maxBytes
+     * @param {string} description for the error
+     * @param {(chunk: Buffer, totalBytes: number) => void} [onChunk]
+     */
+    constructor(maxBytes, description, onChunk) {
+        super();
+
+        this.maxBytes = maxBytes;
+        this.description = description;
+        this.onChunk = onChunk ?? (() => {});
+        this.totalBytes = 0;
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.totalBytes += chunk.length;
+        if (this.totalBytes > this.maxBytes) {
+            callback(new Error(`${this.description} is larger than ${this.maxBytes} bytes`));
+
+            return;
+        }
+        this.onChunk(chunk, this.totalBytes);
+
+        callback(null, chunk);
+    }
+}
+
+module.exports = EcovacsByteLimit;
@@ -0,0 +1,145 @@
+"use strict";
+
+const {TopicStateSubscriber} = require("../core/TopicStateSubscriber");
+
+const JPEG_SOI = Buffer.from([0xff, 0xd8, 0xff]);
+const JPEG_EOI = Buffer.from([0xff, 0xd9]);
+
+/**
+ * Relays JPEG frames of a camera topic.
+ *
+ * The message layout of the camera topics differs between firmware builds and isn't known for most of them,
+ * so frames are cut out of the payload by their JPEG start and end markers. This works for
+ * sensor_msgs/CompressedImage as well as for vendor messages that embed the JPEG.
+ *
+ * Frames are large and only needed while someone is watching, so the topic is only subscribed
+ * while there is at least one frame listener.
+ */
+class EcovacsCameraService {
+    /**
+     * @param {object} options
+     * @param {import("../core/RosMasterXmlRpcClient")} options.masterClient
+     * @param {string} options.callerId
+     * @param {string} options.topic
+     * @param {number} [options.connectTimeoutMs]
+     * @param {number} [options.callTimeoutMs]
+     * @param {(msg: string, err?: any) => void} [options.onWarn]
+     */
+    constructor(options) {
+        this.topic = options.topic;
+        /** @type {Set<(frame: Buffer) => void>} */
+        this.listeners = new Set();
+        /** @type {Promise<void>} */
+        this.transition = Promise.resolve();
+
+        this.frameSubscriber = new TopicStateSubscriber({
+            masterClient: options.masterClient,
+            callerId: options.callerId,
+            connectTimeoutMs: options.connectTimeoutMs,
+            readTimeoutMs: options.callTimeoutMs,
+            onWarn: options.onWarn,
+            safeResolve: true,
+            reconnectDelayMs: 2_000,
+            topic: options.topic,
+            type: "*",
+            md5: "*",
+            decoder: (payload) => {
+                const frame = extractJpegFrame(payload);
+                if (frame !== null) {
+                    for (const listener of this.listeners) {
+                        listener(frame);
+                    }
+                }
+
+                return frame;
+            }
+        });
+    }
+
+    async shutdown() {
+        this.listeners.clear();
+        await this.updateSubscription();
+    }
+
+    /**
+     * @param {(frame: Buffer) => void} listener
+     * @returns {Promise<void>}
+     */
+    async addFrameListener(listener) {
+        this.listeners.add(listener);
+        await this.updateSubscription();
+    }
+
+    /**
+     * @param {(frame: Buffer) => void} listener
+     * @returns {Promise<void>}
+     */
+    async removeFrameListener(listener) {
+        this.listeners.delete(listener);
+        await this.updateSubscription();
+    }
+
+    /**
+     * Resolves with the next frame, or null if none arrived within the timeout.
+     *
+     * @param {number} timeoutMs
+     * @returns {Promise<Buffer|null>}
+     */
+    async getFrame(timeoutMs) {
+        let listener;
+        let timeout;
+        const frame = new Promise(resolve => {
+            listener = resolve;
+            timeout = setTimeout(() => {
+                resolve(null);
+            }, timeoutMs);
+        });
+
+        await this.addFrameListener(listener);
+        try {
+            return await frame;
+        } finally {
+            clearTimeout(timeout);
+            await this.removeFrameListener(listener);
+        }
+    }
+
+    /**
+     * Start and stop calls are chained, so that a subscription is never started
+     * while the previous one is still shutting down.
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    updateSubscription() {
+        this.transition = this.transition.then(async () => {
+            if (this.listeners.size > 0) {
+                await this.frameSubscriber.start();
+            } else if (this.frameSubscriber.running) {
+                await this.frameSubscriber.shutdown();
+            }
+        });
+
+        return this.transition;
+    }
+}
+
+/**
+ * @param {Buffer} payload
+ * @returns {Buffer|null}
+ */
+function extractJpegFrame(payload) {
+    const start = payload.indexOf(JPEG_SOI);
+    if (start === -1) {
+        return null;
+    }
+    const end = payload.lastIndexOf(JPEG_EOI);
+    if (end <= start) {
+        return null;
+    }
+
+    return payload.subarray(start, end + JPEG_EOI.length);
+}
+
+module.exports = EcovacsCameraService;
+module.exports.extractJpegFrame = extractJpegFrame;
@@ -28,6 +28,7 @@ class EcovacsLifespanService {
      * @param {number} [options.connectTimeoutMs]
      * @param {number} [options.callTimeoutMs]
      * @param {boolean} [options.debug]
+     * @param {import("../core/RosTrafficRecorder").RosTrafficRecorder} [options.recorder]
      */
     constructor(options) {
         this.lifespanClient = new PersistentServiceClient({
@@ -38,7 +39,8 @@ class EcovacsLifespanService {
             connectTimeoutMs: options.connectTimeoutMs,
             callTimeoutMs: options.callTimeoutMs,
             debug: options.debug,
-            persistent: false
+            persistent: false,
+            recorder: options.recorder
         });
     }
 
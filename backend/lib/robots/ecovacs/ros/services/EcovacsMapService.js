@@ -3,6 +3,7 @@
 const BinaryCursor = require("../protocol/BinaryCursor");
 const Logger = require("../../../../Logger");
 const PersistentServiceClient = require("../core/PersistentServiceClient");
+const {encodeUInt32} = require("../protocol/encoding");
 
 const SERVICES = {
     map: {
@@ -15,6 +16,12 @@ const SERVICES = {
     }
 };
 
+const MAP_INFOS_MANIPULATE_TYPE = Object.freeze({
+    GET: 0,
+    USE: 1,
+    DELETE: 2
+});
+
 class EcovacsMapService {
     /**
      * @param {object} options
@@ -23,6 +30,7 @@ class EcovacsMapService {
      * @param {number} [options.connectTimeoutMs]
      * @param {number} [options.callTimeoutMs]
      * @param {boolean} [options.debug]
+     * @param {import("../core/RosTrafficRecorder").RosTrafficRecorder} [options.recorder]
      */
     constructor(options) {
         this.mapClient = new PersistentServiceClient({
@@ -32,7 +40,8 @@ class EcovacsMapService {
             serviceMd5: SERVICES.map.md5,
             connectTimeoutMs: options.connectTimeoutMs,
             callTimeoutMs: options.callTimeoutMs,
-            debug: options.debug
+            debug: options.debug,
+            recorder: options.recorder
         });
         this.mapInfosClient = new PersistentServiceClient({
             masterClient: options.masterClient,
@@ -42,7 +51,8 @@ class EcovacsMapService {
             connectTimeoutMs: options.connectTimeoutMs,
             callTimeoutMs: options.callTimeoutMs,
             debug: options.debug,
-            persistent: false
+            persistent: false,
+            recorder: options.recorder
         });
     }
 
@@ -60,12 +70,63 @@ class EcovacsMapService {
      * @returns {Promise<number|null>}
      */
     async getActiveMapId() {
-        const request = Buffer.alloc(1);
-        request.writeUInt8(0, 0); // type=0 means GET_MUTI_MAPINFOS
+        const mapInfos = await this.getMapInfos();
+        if (mapInfos === null) {
+            return null;
+        }
+        const active = mapInfos.find(mapInfo => {
+            return mapInfo.isActive && mapInfo.mapid !== 0;
+        });
+        if (!active) {
+            Logger.warn("No active map found in ManipulateMapInfos response");
+            return null;
+        }
+        Logger.debug(
+            `Found active map: id=${active.mapid}, name="${active.name}", slot=${active.slotIndex}, ` +
+            `extraId=0x${active.extraId.toString(16)}`
+        );
+
+        return active.mapid;
+    }
+
+    /**
+     * List all map slots stored on the robot.
+     * Returns null if the firmware reported an error.
+     *
+     * @returns {Promise<Array<{mapid:number,extraId:number,isActive:boolean,slotIndex:number,isRecentMap:boolean,name:string}>|null>}
+     */
+    async getMapInfos() {
+        const body = await this.mapInfosClient.call(serializeMapInfosRequest({
+            type: MAP_INFOS_MANIPULATE_TYPE.GET
+        }));
+
+        return parseMapInfosResponse(body);
+    }
+
+    /**
+     * @param {number} mapId
+     * @returns {Promise<number>}
+     */
+    async setActiveMap(mapId) {
+        const body = await this.mapInfosClient.call(serializeMapInfosRequest({
+            type: MAP_INFOS_MANIPULATE_TYPE.USE,
+            mapId: mapId
+        }));
+
+        return new BinaryCursor(body).readUInt8();
+    }
 
-        const body = await this.mapInfosClient.call(request);
+    /**
+     * @param {number} mapId
+     * @returns {Promise<number>}
+     */
+    async deleteMap(mapId) {
+        const body = await this.mapInfosClient.call(serializeMapInfosRequest({
+            type: MAP_INFOS_MANIPULATE_TYPE.DELETE,
+            mapId: mapId
+        }));
 
-        return parseActiveMapIdFromMapInfos(body);
+        return new BinaryCursor(body).readUInt8();
     }
 
     /**
@@ -83,7 +144,26 @@ class EcovacsMapService {
 }
 
 /**
- * Parse ManipulateMapInfos response to extract the active map ID.
+ * GET only sends the type byte, which is what the firmware expects.
+ * All other types append the target mapid and an empty map name.
+ *
+ * @param {{type:number,mapId?:number}} options
+ * @returns {Buffer}
+ */
+function serializeMapInfosRequest(options) {
+    if (options.type === MAP_INFOS_MANIPULATE_TYPE.GET) {
+        return Buffer.from([options.type & 0xff]);
+    }
+
+    return Buffer.concat([
+        Buffer.from([options.type & 0xff]),
+        encodeUInt32(options.mapId ?? 0),
+        encodeUInt32(0) // mapName
+    ]);
+}
+
+/**
+ * Parse the ManipulateMapInfos GET response.
  *
  * Wire format (firmware-specific, differs from genpy definition):
  *   result  (u8)
@@ -96,10 +176,12 @@ class EcovacsMapService {
  *     isRecentMap   (u8)
  *     mapName       (u32 length + chars)  - ROS string
  *
+ * Truncated trailing entries are dropped.
+ *
  * @param {Buffer} body
- * @returns {number|null} Active map ID, or null if none found
+ * @returns {Array<{mapid:number,extraId:number,isActive:boolean,slotIndex:number,isRecentMap:boolean,name:string}>|null}
  */
-function parseActiveMapIdFromMapInfos(body) {
+function parseMapInfosResponse(body) {
     if (body.length < 5) {
         Logger.warn("ManipulateMapInfos response too short");
         return null;
@@ -114,6 +196,7 @@ function parseActiveMapIdFromMapInfos(body) {
         return null;
     }
 
+    const mapInfos = [];
     for (let i = 0; i < count; i++) {
         if (cursor.remaining() < 11) {
             Logger.warn(`ManipulateMapInfos entry ${i} truncated at fixed fields`);
@@ -124,7 +207,7 @@ function parseActiveMapIdFromMapInfos(body) {
         const extraId = cursor.readUInt32LE();
         const isActive = cursor.readUInt8();
         const slotIndex = cursor.readUInt8();
-        cursor.readUInt8(); // isRecentMap - not used
+        const isRecentMap = cursor.readUInt8();
 
         // Read ROS string: u32 length + data
         if (cursor.remaining() < 4) {
@@ -136,18 +219,18 @@ function parseActiveMapIdFromMapInfos(body) {
             Logger.warn(`ManipulateMapInfos entry ${i} truncated at mapName data`);
             break;
         }
-        const nameBuffer = cursor.readBuffer(nameLen);
-        const mapName = nameBuffer.toString("utf8");
 
-        // Check if this is the active map
-        if (isActive === 1 && mapid !== 0) {
-            Logger.debug(`Found active map: id=${mapid}, name="${mapName}", slot=${slotIndex}, extraId=0x${extraId.toString(16)}`);
-            return mapid;
-        }
+        mapInfos.push({
+            mapid: mapid,
+            extraId: extraId,
+            isActive: isActive === 1,
+            slotIndex: slotIndex,
+            isRecentMap: isRecentMap === 1,
+            name: cursor.readBuffer(nameLen).toString("utf8")
+        });
     }
 
-    Logger.warn("No active map found in ManipulateMapInfos response");
-    return null;
+    return mapInfos;
 }
 
 /**
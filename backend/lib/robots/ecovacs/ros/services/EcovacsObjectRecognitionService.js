@@ -0,0 +1,118 @@
+"use strict";
+
+const {TopicStateSubscriber, decodeAiDetectedObjects} = require("../core/TopicStateSubscriber");
+
+/*
+ * Neither the md5 nor the message layout of this topic have been verified against
+ * a firmware capture, so the ROS wildcard md5 is used. That is why the robot only
+ * creates this service if objectRecognitionEnabled is set.
+ */
+const TOPIC = {
+    topic: "/ai/DetectedObjects",
+    type: "ai/DetectedObjects",
+    md5: "*"
+};
+
+const OBJECT_TYPE_NAMES = Object.freeze({
+    1: "Cable",
+    2: "Sock",
+    3: "Shoe",
+    4: "Pet waste",
+    5: "Power strip",
+    6: "Dustpan",
+    7: "Weighing scale",
+    8: "Furniture base"
+});
+
+const DEFAULT_MAX_OBJECTS = 100;
+
+class EcovacsObjectRecognitionService {
+    /**
+     * @param {object} options
+     * @param {import("../core/RosMasterXmlRpcClient")} options.masterClient
+     * @param {string} options.callerId
+     * @param {number} [options.connectTimeoutMs]
+     * @param {number} [options.callTimeoutMs]
+     * @param {number} [options.maxObjects]
+     * @param {(msg: string, err?: any) => void} [options.onWarn]
+     * @param {import("../core/RosTrafficRecorder").RosTrafficRecorder} [options.recorder]
+     */
+    constructor(options) {
+        this.maxObjects = options.maxObjects ?? DEFAULT_MAX_OBJECTS;
+        /** @type {Map<string, {key:string,objectId:number,objectType:number,label:string,confidence:number,x:number,y:number,timestamp:number,imagePath:string}>} */
+        this.objects = new Map();
+
+        this.objectSubscriber = new TopicStateSubscriber({
+            masterClient: options.masterClient,
+            callerId: options.callerId,
+            connectTimeoutMs: options.connectTimeoutMs,
+            readTimeoutMs: options.callTimeoutMs,
+            onWarn: options.onWarn,
+            safeResolve: true,
+            reconnectDelayMs: 10_000,
+            recorder: options.recorder,
+            ...TOPIC,
+            decoder: decodeAiDetectedObjects,
+            onMessage: (decoded) => {
+                this.mergeObjects(decoded);
+            }
+        });
+    }
+
+    async startup() {
+        await this.objectSubscriber.start();
+    }
+
+    async shutdown() {
+        await this.objectSubscriber.shutdown();
+    }
+
+    /**
+     * Forget all recognized objects, e.g. after the active map changed.
+     */
+    clear() {
+        this.objects.clear();
+    }
+
+    /**
+     * @returns {Array<{key:string,objectId:number,objectType:number,label:string,confidence:number,x:number,y:number,timestamp:number,imagePath:string}>}
+     */
+    getObjects() {
+        return Array.from(this.objects.values());
+    }
+
+    /**
+     * The firmware republishes objects it still sees, so entries are keyed
+     * by id and detection time and only the most recent ones are kept.
+     *
+     * @private
+     * @param {Array<{objectId:number,objectType:number,confidence:number,x:number,y:number,timestamp:number,imagePath:string}>} decoded
+     */
+    mergeObjects(decoded) {
+        for (const object of decoded) {
+            if (!Number.isFinite(object.x) || !Number.isFinite(object.y)) {
+                continue;
+            }
+            const key = `${object.objectId}_${object.timestamp}`;
+
+            this.objects.delete(key);
+            this.objects.set(key, {
+                key: key,
+                objectId: object.objectId,
+                objectType: object.objectType,
+                label: OBJECT_TYPE_NAMES[object.objectType] ?? `Unknown ID ${object.objectType}`,
+                confidence: object.confidence,
+                x: object.x,
+                y: object.y,
+                timestamp: object.timestamp,
+                imagePath: object.imagePath
+            });
+        }
+
+        while (this.objects.size > this.maxObjects) {
+            this.objects.delete(this.objects.keys().next().value);
+        }
+    }
+}
+
+module.exports = EcovacsObjectRecognitionService;
@@ -25,6 +25,7 @@ class EcovacsPositionService {
      * @param {number} [options.callTimeoutMs]
      * @param {boolean} [options.debug]
      * @param {(msg: string, err?: any) => void} [options.onWarn]
+     * @param {import("../core/RosTrafficRecorder").RosTrafficRecorder} [options.recorder]
      */
     constructor(options) {
         this.chargerClient = new PersistentServiceClient({
@@ -34,7 +35,8 @@ class EcovacsPositionService {
             serviceMd5: SERVICE.md5,
             connectTimeoutMs: options.connectTimeoutMs,
             callTimeoutMs: options.callTimeoutMs,
-            debug: options.debug
+            debug: options.debug,
+            recorder: options.recorder
         });
         this.poseSubscriber = new TopicStateSubscriber({
             masterClient: options.masterClient,
@@ -42,6 +44,7 @@ class EcovacsPositionService {
             connectTimeoutMs: options.connectTimeoutMs,
             readTimeoutMs: options.callTimeoutMs,
             onWarn: options.onWarn,
+            recorder: options.recorder,
             ...TOPIC
         });
     }
@@ -0,0 +1,383 @@
+"use strict";
+
+const BufferedTcpSocket = require("../protocol/BufferedTcpSocket");
+const {buildHandshakePacket, readHandshake} = require("../protocol/tcpros");
+const {isKnownMd5} = require("../core/RosMd5Check");
+
+/**
+ * @typedef {import("../core/RosMasterXmlRpcClient").RosGraphEntry} RosGraphEntry
+ */
+
+/**
+ * Read-only view on the firmware ROS graph, used to diagnose firmware differences.
+ *
+ * Unlike the domain services this one is not bound to known message definitions,
+ * so it handshakes with the "*" md5sum wildcard and returns raw payloads.
+ */
+class EcovacsRosIntrospectionService {
+    /**
+     * @param {object} options
+     * @param {import("../core/RosMasterXmlRpcClient")} options.masterClient
+     * @param {string} options.callerId
+     * @param {number} [options.connectTimeoutMs]
+     * @param {number} [options.callTimeoutMs]
+     */
+    constructor(options) {
+        this.masterClient = options.masterClient;
+        this.callerId = options.callerId;
+        this.connectTimeoutMs = options.connectTimeoutMs ?? 4000;
+        this.callTimeoutMs = options.callTimeoutMs ?? 5000;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<{publishers:Array<RosGraphEntry>,subscribers:Array<RosGraphEntry>,services:Array<RosGraphEntry>}>}
+     */
+    async getSystemState() {
+        const systemState = await this.masterClient.getSystemState(this.callerId);
+        if (!systemState) {
+            throw new Error("ROS master did not return a system state");
+        }
+
+        return systemState;
+    }
+
+    /**
+     * Names of all nodes that publish, subscribe or provide anything, without probing them.
+     *
+     * @returns {Promise<Array<string>>}
+     */
+    async getNodeNames() {
+        const systemState = await this.getSystemState();
+        const names = new Set(
+            [...systemState.publishers, ...systemState.subscribers, ...systemState.services].flatMap(entry => entry.nodes)
+        );
+
+        return Array.from(names).sort();
+    }
+
+    /**
+     * @returns {Promise<RosGraph>}
+     */
+    async getGraph() {
+        const [systemState, topicTypes] = await Promise.all([
+            this.getSystemState(),
+            this.masterClient.getTopicTypes(this.callerId)
+        ]);
+
+        /** @type {Map<string, RosGraphNode>} */
+        const nodes = new Map();
+        const getNode = (name) => {
+            if (!nodes.has(name)) {
+                nodes.set(name, {name: name, uri: null, publishes: [], subscribes: [], provides: []});
+            }
+
+            return nodes.get(name);
+        };
+        /** @type {Map<string, RosGraphTopic>} */
+        const topics = new Map();
+        const getTopic = (name) => {
+            if (!topics.has(name)) {
+                topics.set(name, {name: name, type: topicTypes[name] ?? null, publishers: [], subscribers: []});
+            }
+
+            return topics.get(name);
+        };
+
+        for (const entry of systemState.publishers) {
+            getTopic(entry.name).publishers.push(...entry.nodes);
+            entry.nodes.forEach(node => getNode(node).publishes.push(entry.name));
+        }
+        for (const entry of systemState.subscribers) {
+            getTopic(entry.name).subscribers.push(...entry.nodes);
+            entry.nodes.forEach(node => getNode(node).subscribes.push(entry.name));
+        }
+
+        /** @type {Array<RosGraphService>} */
+        const services = [];
+        for (const entry of systemState.services) {
+            // Sequential on purpose, some firmware nodes handle connections one at a time
+            const probe = await this.probeService(entry.name);
+            services.push({
+                name: entry.name,
+                type: probe.type,
+                md5: probe.md5,
+                providers: entry.nodes
+            });
+            entry.nodes.forEach(node => getNode(node).provides.push(entry.name));
+        }
+        for (const node of nodes.values()) {
+            try {
+                node.uri = await this.masterClient.lookupNode(this.callerId, node.name);
+            } catch (e) {
+                node.uri = null;
+            }
+        }
+
+        return {
+            nodes: sortByName(Array.from(nodes.values())),
+            topics: sortByName(Array.from(topics.values())),
+            services: sortByName(services)
+        };
+    }
+
+    /**
+     * Ask a service provider for its type and md5sum without calling it.
+     *
+     * @param {string} serviceName
+     * @returns {Promise<{type:string|null,md5:string|null}>}
+     */
+    async probeService(serviceName) {
+        const resolved = await this.masterClient.resolveService(this.callerId, serviceName);
+        if (!resolved) {
+            return {type: null, md5: null};
+        }
+
+        const socket = new BufferedTcpSocket();
+        try {
+            await socket.connect(resolved.host, resolved.port, this.connectTimeoutMs);
+            await socket.write(buildHandshakePacket([
+                ["callerid", `${this.callerId}'`],
+                ["md5sum", "*"],
+                ["probe", "1"],
+                ["service", serviceName]
+            ]));
+            const header = await readHandshake(socket, this.callTimeoutMs);
+
+            return {
+                type: header.type ?? null,
+                md5: header.md5sum ?? null
+            };
+        } catch (e) {
+            return {type: null, md5: null};
+        } finally {
+            await socket.close();
+        }
+    }
+
+    /**
+     * Ask a topic publisher for its type and md5sum by subscribing and hanging up right after the handshake.
+     *
+     * @param {string} topic
+     * @returns {Promise<{type:string|null,md5:string|null}>}
+     */
+    async probeTopic(topic) {
+        const endpoint = await this.masterClient.resolveTopicTcpEndpointSafe(this.callerId, topic);
+        if (!endpoint) {
+            return {type: null, md5: null};
+        }
+
+        const socket = new BufferedTcpSocket();
+        try {
+            await socket.connect(endpoint.host, endpoint.port, this.connectTimeoutMs);
+            await socket.write(buildHandshakePacket([
+                ["callerid", `${this.callerId}'`],
+                ["topic", topic],
+                ["type", "*"],
+                ["md5sum", "*"],
+                ["tcp_nodelay", "1"]
+            ]));
+            const header = await readHandshake(socket, this.callTimeoutMs);
+
+            return {
+                type: header.type ?? null,
+                md5: header.md5sum ?? null
+            };
+        } catch (e) {
+            return {type: null, md5: null};
+        } finally {
+            await socket.close();
+        }
+    }
+
+    /**
+     * Check the services and topics Valetudo uses against what the firmware provides.
+     *
+     * @param {Array<{kind:"service"|"topic",name:string,knownMd5s:Array<string>}>} endpoints
+     * @returns {Promise<Array<RosCompatibilityEntry>>}
+     */
+    async getCompatibilityReport(endpoints) {
+        const systemState = await this.getSystemState();
+        const available = {
+            service: new Set(systemState.services.map(entry => entry.name)),
+            topic: new Set(systemState.publishers.map(entry => entry.name))
+        };
+
+        /** @type {Array<RosCompatibilityEntry>} */
+        const report = [];
+        for (const endpoint of endpoints) {
+            let probe = null;
+            if (available[endpoint.kind].has(endpoint.name)) {
+                // Sequential on purpose, some firmware nodes handle connections one at a time
+                probe = endpoint.kind === "service" ?
+                    await this.probeService(endpoint.name) :
+                    await this.probeTopic(endpoint.name);
+            }
+            let status = ROS_COMPATIBILITY_STATUS.MISSING;
+            if (probe !== null) {
+                status = isKnownMd5(endpoint.knownMd5s, probe.md5) ?
+                    ROS_COMPATIBILITY_STATUS.SUPPORTED :
+                    ROS_COMPATIBILITY_STATUS.UNKNOWN_MD5;
+            }
+
+            report.push({
+                kind: endpoint.kind,
+                name: endpoint.name,
+                status: status,
+                md5: probe?.md5 ?? null,
+                type: probe?.type ?? null,
+                knownMd5s: endpoint.knownMd5s
+            });
+        }
+
+        return report;
+    }
+
+    /**
+     * Subscribe to a topic and collect up to `count` raw messages.
+     * Returns whatever arrived once `timeoutMs` has passed.
+     *
+     * Publishers are resolved without registerSubscriber, see RosMasterXmlRpcClient.
+     *
+     * @param {string} topic
+     * @param {number} count
+     * @param {number} timeoutMs
+     * @returns {Promise<{topic:string,type:string|null,md5:string|null,messages:Array<{receivedAt:number,length:number,hex:string}>}>}
+     */
+    async captureTopicMessages(topic, count, timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        const [endpoint, topicTypes] = await Promise.all([
+            this.masterClient.resolveTopicTcpEndpointSafe(this.callerId, topic),
+            this.masterClient.getTopicTypes(this.callerId)
+        ]);
+        if (!endpoint) {
+            throw new Error(`No publisher for topic ${topic}`);
+        }
+
+        const socket = new BufferedTcpSocket();
+        try {
+            await socket.connect(endpoint.host, endpoint.port, this.connectTimeoutMs);
+            await socket.write(buildHandshakePacket([
+                ["callerid", `${this.callerId}'`],
+                ["topic", topic],
+                ["type", topicTypes[topic] ?? "*"],
+                ["md5sum", "*"],
+                ["tcp_nodelay", "1"]
+            ]));
+            const header = await readHandshake(socket, Math.max(1, deadline - Date.now()));
+            if (header.error) {
+                throw new Error(`Publisher rejected subscription to ${topic}: ${header.error}`);
+            }
+
+            const messages = [];
+            while (messages.length < count && Date.now() < deadline) {
+                let payload;
+                try {
+                    const length = (await socket.readExact(4, Math.max(1, deadline - Date.now()))).readUInt32LE(0);
+                    payload = await socket.readExact(length, Math.max(1, deadline - Date.now()));
+                } catch (e) {
+                    if (e?.message?.startsWith("Read timeout")) {
+                        break;
+                    }
+
+                    throw e;
+                }
+                messages.push({
+                    receivedAt: Date.now(),
+                    length: payload.length,
+                    hex: payload.toString("hex")
+                });
+            }
+
+            return {
+                topic: topic,
+                type: header.type ?? topicTypes[topic] ?? null,
+                md5: header.md5sum ?? null,
+                messages: messages
+            };
+        } finally {
+            await socket.close();
+        }
+    }
+}
+
+/**
+ * @enum {string}
+ */
+const ROS_COMPATIBILITY_STATUS = Object.freeze({
+    SUPPORTED: "supported",
+    UNKNOWN_MD5: "unknown_md5",
+    // Also the case for topics that are only published in some robot states
+    MISSING: "missing"
+});
+
+/**
+ * @param {Array<RosCompatibilityEntry>} report
+ * @returns {{supported:number,unknownMd5:Array<string>,missing:Array<string>}}
+ */
+function summarizeRosCompatibility(report) {
+    const namesWithStatus = (status) => {
+        return report.filter(entry => entry.status === status).map(entry => entry.name);
+    };
+
+    return {
+        supported: namesWithStatus(ROS_COMPATIBILITY_STATUS.SUPPORTED).length,
+        unknownMd5: namesWithStatus(ROS_COMPATIBILITY_STATUS.UNKNOWN_MD5),
+        missing: namesWithStatus(ROS_COMPATIBILITY_STATUS.MISSING)
+    };
+}
+
+/**
+ * @template {{name:string}} T
+ * @param {Array<T>} items
+ * @returns {Array<T>}
+ */
+function sortByName(items) {
+    return items.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @typedef {object} RosGraphNode
+ * @property {string} name
+ * @property {string|null} uri
+ * @property {Array<string>} publishes
+ * @property {Array<string>} subscribes
+ * @property {Array<string>} provides
+ */
+
+/**
+ * @typedef {object} RosGraphTopic
+ * @property {string} name
+ * @property {string|null} type
+ * @property {Array<string>} publishers
+ * @property {Array<string>} subscribers
+ */
+
+/**
+ * @typedef {object} RosGraphService
+ * @property {string} name
+ * @property {string|null} type
+ * @property {string|null} md5
+ * @property {Array<string>} providers
+ */
+
+/**
+ * @typedef {object} RosCompatibilityEntry
+ * @property {"service"|"topic"} kind
+ * @property {string} name
+ * @property {string} status one of ROS_COMPATIBILITY_STATUS
+ * @property {string|null} md5 as reported by the firmware
+ * @property {string|null} type as reported by the firmware
+ * @property {Array<string>} knownMd5s
+ */
+
+/**
+ * @typedef {object} RosGraph
+ * @property {Array<RosGraphNode>} nodes
+ * @property {Array<RosGraphTopic>} topics
+ * @property {Array<RosGraphService>} services
+ */
+
+module.exports = EcovacsRosIntrospectionService;
+module.exports.ROS_COMPATIBILITY_STATUS = ROS_COMPATIBILITY_STATUS;
+module.exports.summarizeRosCompatibility = summarizeRosCompatibility;
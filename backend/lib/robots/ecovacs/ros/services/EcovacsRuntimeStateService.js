@@ -43,6 +43,7 @@ class EcovacsRuntimeStateService {
      * @param {number} [options.connectTimeoutMs]
      * @param {number} [options.callTimeoutMs]
      * @param {(msg: string, err?: any) => void} [options.onWarn]
+     * @param {import("../core/RosTrafficRecorder").RosTrafficRecorder} [options.recorder]
      */
     constructor(options) {
         const subscriberOpts = {
@@ -50,7 +51,8 @@ class EcovacsRuntimeStateService {
             callerId: options.callerId,
             connectTimeoutMs: options.connectTimeoutMs,
             readTimeoutMs: options.callTimeoutMs,
-            onWarn: options.onWarn
+            onWarn: options.onWarn,
+            recorder: options.recorder
         };
 
         this.batterySubscriber = new TopicStateSubscriber({...subscriberOpts, ...TOPICS.battery});
@@ -15,12 +15,33 @@ const SETTING_MANAGE_TYPE = Object.freeze({
 });
 
 const SETTING_TYPE = Object.freeze({
+    BLOCK_TIME: 1,
+    MOP_MODE: 5,
     AUTO_COLLECT: 13,
     WATER_LEVEL: 6,
     FAN_LEVEL: 7,
     ROOM_PREFERENCES: 14,
     CLEANING_TIMES: 15,
-    SUCTION_BOOST_ON_CARPET: 8
+    SUCTION_BOOST_ON_CARPET: 8,
+    AI_SETTING: 9
+});
+
+/**
+ * Positions in the aiSetting.aiSettingVals array.
+ * aiSetting.isOn itself is the master obstacle avoidance switch.
+ */
+const AI_SETTING_VAL_INDEX = Object.freeze({
+    PET_MODE: 1
+});
+
+const AI_SETTING_VALS_LENGTH = 5;
+
+/**
+ * Only applies with the water tank mounted, without it the robot always just vacuums.
+ */
+const MOP_MODE = Object.freeze({
+    VACUUM_AND_MOP: 0,
+    MOP_ONLY: 1
 });
 
 class EcovacsSettingService {
@@ -31,6 +52,7 @@ class EcovacsSettingService {
      * @param {number} [options.connectTimeoutMs]
      * @param {number} [options.callTimeoutMs]
      * @param {boolean} [options.debug]
+     * @param {import("../core/RosTrafficRecorder").RosTrafficRecorder} [options.recorder]
      */
     constructor(options) {
         this.settingClient = new PersistentServiceClient({
@@ -41,7 +63,8 @@ class EcovacsSettingService {
             connectTimeoutMs: options.connectTimeoutMs,
             callTimeoutMs: options.callTimeoutMs,
             debug: options.debug,
-            persistent: false
+            persistent: false,
+            recorder: options.recorder
         });
     }
 
@@ -94,6 +117,20 @@ class EcovacsSettingService {
         return parsed.waterLevel;
     }
 
+    /**
+     * @returns {Promise<number>} one of MOP_MODE
+     */
+    async getMopMode() {
+        const request = serializeSettingManageRequest({
+            manageType: SETTING_MANAGE_TYPE.GET,
+            settingType: SETTING_TYPE.MOP_MODE
+        });
+        const body = await this.settingClient.call(request);
+        const parsed = parseSettingManageResponse(body);
+
+        return parsed.mopMode;
+    }
+
     /**
      * @returns {Promise<"on"|"off">}
      */
@@ -136,6 +173,57 @@ class EcovacsSettingService {
         return parsed.autoCollect === 1 ? "on" : "off";
     }
 
+    /**
+     * The firmware do-not-disturb window ("block time"), in robot local time.
+     *
+     * @returns {Promise<{isOn:number,startHour:number,startMinute:number,endHour:number,endMinute:number}>}
+     */
+    async getBlockTime() {
+        const request = serializeSettingManageRequest({
+            manageType: SETTING_MANAGE_TYPE.GET,
+            settingType: SETTING_TYPE.BLOCK_TIME
+        });
+        const body = await this.settingClient.call(request);
+        const parsed = parseSettingManageResponse(body);
+
+        return parsed.blockTime;
+    }
+
+    /**
+     * @returns {Promise<{isOn:number,vals:Array<number>}>}
+     */
+    async getAiSetting() {
+        const request = serializeSettingManageRequest({
+            manageType: SETTING_MANAGE_TYPE.GET,
+            settingType: SETTING_TYPE.AI_SETTING
+        });
+        const body = await this.settingClient.call(request);
+        const parsed = parseSettingManageResponse(body);
+
+        return {
+            isOn: parsed.aiSettingIsOn,
+            vals: parsed.aiSettingVals
+        };
+    }
+
+    /**
+     * @returns {Promise<"on"|"off">}
+     */
+    async getObstacleAvoidanceEnabled() {
+        const aiSetting = await this.getAiSetting();
+
+        return aiSetting.isOn === 1 ? "on" : "off";
+    }
+
+    /**
+     * @returns {Promise<"on"|"off">}
+     */
+    async getPetModeEnabled() {
+        const aiSetting = await this.getAiSetting();
+
+        return aiSetting.vals[AI_SETTING_VAL_INDEX.PET_MODE] === 1 ? "on" : "off";
+    }
+
     /**
      * @param {"on"|"off"} value
      * @returns {Promise<number>}
@@ -204,6 +292,22 @@ class EcovacsSettingService {
         return parsed.response;
     }
 
+    /**
+     * @param {number} mode one of MOP_MODE
+     * @returns {Promise<number>}
+     */
+    async setMopMode(mode) {
+        const request = serializeSettingManageRequest({
+            manageType: SETTING_MANAGE_TYPE.SET,
+            settingType: SETTING_TYPE.MOP_MODE,
+            mopMode: mode
+        });
+        const body = await this.settingClient.call(request);
+        const parsed = parseSettingManageResponse(body);
+
+        return parsed.response;
+    }
+
     /**
      * @param {"on"|"off"} value
      * @returns {Promise<number>}
@@ -236,6 +340,65 @@ class EcovacsSettingService {
         return parsed.response;
     }
 
+    /**
+     * The firmware replaces the whole aiSetting struct on SET,
+     * so the current values are read first and written back.
+     *
+     * @param {"on"|"off"} value
+     * @returns {Promise<number>}
+     */
+    async setObstacleAvoidanceEnabled(value) {
+        const aiSetting = await this.getAiSetting();
+
+        return await this.setAiSetting(value === "on" ? 1 : 0, aiSetting.vals);
+    }
+
+    /**
+     * @param {"on"|"off"} value
+     * @returns {Promise<number>}
+     */
+    async setPetModeEnabled(value) {
+        const aiSetting = await this.getAiSetting();
+        const vals = aiSetting.vals.slice();
+        vals[AI_SETTING_VAL_INDEX.PET_MODE] = value === "on" ? 1 : 0;
+
+        return await this.setAiSetting(aiSetting.isOn, vals);
+    }
+
+    /**
+     * @param {number} isOn
+     * @param {Array<number>} vals
+     * @returns {Promise<number>}
+     */
+    async setAiSetting(isOn, vals) {
+        const request = serializeSettingManageRequest({
+            manageType: SETTING_MANAGE_TYPE.SET,
+            settingType: SETTING_TYPE.AI_SETTING,
+            aiSettingIsOn: isOn,
+            aiSettingVals: vals
+        });
+        const body = await this.settingClient.call(request);
+        const parsed = parseSettingManageResponse(body);
+
+        return parsed.response;
+    }
+
+    /**
+     * @param {{isOn:number,startHour:number,startMinute:number,endHour:number,endMinute:number}} blockTime
+     * @returns {Promise<number>}
+     */
+    async setBlockTime(blockTime) {
+        const request = serializeSettingManageRequest({
+            manageType: SETTING_MANAGE_TYPE.SET,
+            settingType: SETTING_TYPE.BLOCK_TIME,
+            blockTime: blockTime
+        });
+        const body = await this.settingClient.call(request);
+        const parsed = parseSettingManageResponse(body);
+
+        return parsed.response;
+    }
+
     /**
      * @param {number} passes
      * @returns {Promise<number>}
@@ -259,9 +422,13 @@ class EcovacsSettingService {
  * @param {number} options.settingType
  * @param {number} [options.customSettingType]
  * @param {number} [options.customSettingVal]
+ * @param {{isOn:number,startHour:number,startMinute:number,endHour:number,endMinute:number}} [options.blockTime]
+ * @param {number} [options.mopMode]
  * @param {number} [options.waterLevel]
  * @param {number} [options.fanMode]
  * @param {number} [options.fanIsSilent]
+ * @param {number} [options.aiSettingIsOn]
+ * @param {Array<number>} [options.aiSettingVals]
  * @param {number} [options.autoCollect]
  * @param {number} [options.roomPreferences]
  * @param {number} [options.cleaningTimes]
@@ -273,11 +440,23 @@ function serializeSettingManageRequest(options) {
     fixed.writeUInt8(options.settingType & 0xff, 1);
     fixed.writeUInt8((options.customSettingType ?? 0) & 0xff, 2);
     fixed.writeUInt8((options.customSettingVal ?? 0) & 0xff, 3);
+    if (options.blockTime) {
+        fixed.writeUInt8(options.blockTime.isOn & 0xff, 4);
+        fixed.writeUInt8(options.blockTime.startHour & 0xff, 5);
+        fixed.writeUInt8(options.blockTime.startMinute & 0xff, 6);
+        fixed.writeUInt8(options.blockTime.endHour & 0xff, 7);
+        fixed.writeUInt8(options.blockTime.endMinute & 0xff, 8);
+    }
+    fixed.writeUInt8((options.mopMode ?? 0) & 0xff, 19);
     fixed.writeUInt8((options.waterLevel ?? 0) & 0xff, 20);
     fixed.writeUInt8((options.fanMode ?? 0) & 0xff, 21);
     fixed.writeUInt8((options.fanIsSilent ?? 0) & 0xff, 22);
+    fixed.writeUInt8((options.aiSettingIsOn ?? 0) & 0xff, 23);
 
-    const aiSettingVals = Buffer.alloc(5, 0);
+    const aiSettingVals = Buffer.alloc(AI_SETTING_VALS_LENGTH, 0);
+    (options.aiSettingVals ?? []).slice(0, AI_SETTING_VALS_LENGTH).forEach((val, i) => {
+        aiSettingVals.writeUInt8(val & 0xff, i);
+    });
     const aiLen = encodeUInt32(aiSettingVals.length);
     const tail = Buffer.alloc(10, 0);
     const padding = Buffer.from([0, 0]); // capture-validated
@@ -302,7 +481,7 @@ function serializeSettingManageRequest(options) {
 
 /**
  * @param {Buffer} body
- * @returns {{response:number,settingType:number,customSettingVal:number,waterLevel:number,fanMode:number,fanIsSilent:number,autoCollect:number,roomPreferences:number,cleaningTimes:number}}
+ * @returns {{response:number,settingType:number,customType:number,customSettingVal:number,blockTime:{isOn:number,startHour:number,startMinute:number,endHour:number,endMinute:number},mopMode:number,waterLevel:number,fanMode:number,fanIsSilent:number,aiSettingIsOn:number,aiSettingVals:Array<number>,autoCollect:number,roomPreferences:number,cleaningTimes:number}}
  */
 function parseSettingManageResponse(body) {
     const cursor = new BinaryCursor(body);
@@ -310,13 +489,21 @@ function parseSettingManageResponse(body) {
     const settingType = cursor.readUInt8();
     const customType = cursor.readUInt8();
     const customSettingVal = cursor.readUInt8();
-    cursor.readBuffer(16); // blocktime + mop mode
+    const blockTime = {
+        isOn: cursor.readUInt8(),
+        startHour: cursor.readUInt8(),
+        startMinute: cursor.readUInt8(),
+        endHour: cursor.readUInt8(),
+        endMinute: cursor.readUInt8()
+    };
+    cursor.readBuffer(10); // blocktime reserved
+    const mopMode = cursor.readUInt8();
     const waterLevel = cursor.readUInt8(); // waterLevel.level
     const fanMode = cursor.readUInt8(); // fanMode.mode
     const fanIsSilent = cursor.readUInt8(); // fanMode.isSilent
-    cursor.readUInt8(); // aiSetting.isOn
+    const aiSettingIsOn = cursor.readUInt8();
     const aiSettingValsLength = cursor.readUInt32LE();
-    cursor.readBuffer(aiSettingValsLength);
+    const aiSettingVals = Array.from(cursor.readBuffer(aiSettingValsLength));
     cursor.readBuffer(8); // mop change + notice time
     cursor.readUInt8(); // StructLightOnOff
     const autoCollect = cursor.readUInt8();
@@ -328,9 +515,13 @@ function parseSettingManageResponse(body) {
         settingType: settingType,
         customType: customType,
         customSettingVal: customSettingVal,
+        blockTime: blockTime,
+        mopMode: mopMode,
         waterLevel: waterLevel,
         fanMode: fanMode,
         fanIsSilent: fanIsSilent,
+        aiSettingIsOn: aiSettingIsOn,
+        aiSettingVals: aiSettingVals,
         autoCollect: autoCollect,
         roomPreferences: roomPreferences,
         cleaningTimes: cleaningTimes
@@ -338,3 +529,4 @@ function parseSettingManageResponse(body) {
 }
 
 module.exports = EcovacsSettingService;
+module.exports.MOP_MODE = MOP_MODE;
@@ -26,6 +26,37 @@ class EcovacsSoundService {
         await this.playSound(SOUND_BEEP);
     }
 
+    /**
+     * Unlike play, get_volume and set_volume haven't been seen in a firmware capture,
+     * so the robot only uses them with speakerVolumeControlEnabled.
+     *
+     * @returns {Promise<number>} 0-100
+     */
+    async getVolume() {
+        const reply = await this.mdsctlClient.query("audio0", {
+            todo: "audio",
+            cmd: "get_volume"
+        });
+        const volume = Number(reply?.volume);
+        if (!Number.isFinite(volume)) {
+            throw new Error(`Invalid volume reply: ${JSON.stringify(reply)}`);
+        }
+
+        return volume;
+    }
+
+    /**
+     * @param {number} volume 0-100
+     * @returns {Promise<void>}
+     */
+    async setVolume(volume) {
+        await this.mdsctlClient.send("audio0", {
+            todo: "audio",
+            cmd: "set_volume",
+            volume: Math.min(100, Math.max(0, Math.round(volume)))
+        });
+    }
+
     /**
      * @param {number} fileNumber
      * @returns {Promise<void>}
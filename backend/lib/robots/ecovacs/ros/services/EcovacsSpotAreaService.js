@@ -22,6 +22,7 @@ class EcovacsSpotAreaService {
      * @param {number} [options.connectTimeoutMs]
      * @param {number} [options.callTimeoutMs]
      * @param {boolean} [options.debug]
+     * @param {import("../core/RosTrafficRecorder").RosTrafficRecorder} [options.recorder]
      */
     constructor(options) {
         this.spotAreaClient = new PersistentServiceClient({
@@ -31,7 +32,8 @@ class EcovacsSpotAreaService {
             serviceMd5: SERVICE.md5,
             connectTimeoutMs: options.connectTimeoutMs,
             callTimeoutMs: options.callTimeoutMs,
-            debug: options.debug
+            debug: options.debug,
+            recorder: options.recorder
         });
     }
 
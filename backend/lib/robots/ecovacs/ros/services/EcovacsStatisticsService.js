@@ -31,6 +31,7 @@ class EcovacsStatisticsService {
      * @param {number} [options.callTimeoutMs]
      * @param {boolean} [options.debug]
      * @param {(msg: string, err?: any) => void} [options.onWarn]
+     * @param {import("../core/RosTrafficRecorder").RosTrafficRecorder} [options.recorder]
      */
     constructor(options) {
         this.getLogInfoClient = new PersistentServiceClient({
@@ -41,7 +42,8 @@ class EcovacsStatisticsService {
             connectTimeoutMs: options.connectTimeoutMs,
             callTimeoutMs: options.callTimeoutMs,
             debug: options.debug,
-            persistent: false
+            persistent: false,
+            recorder: options.recorder
         });
         this.getLastLogInfoClient = new PersistentServiceClient({
             masterClient: options.masterClient,
@@ -51,7 +53,8 @@ class EcovacsStatisticsService {
             connectTimeoutMs: options.connectTimeoutMs,
             callTimeoutMs: options.callTimeoutMs,
             debug: options.debug,
-            persistent: false
+            persistent: false,
+            recorder: options.recorder
         });
         this.workStatisticSubscriber = new TopicStateSubscriber({
             masterClient: options.masterClient,
@@ -61,6 +64,7 @@ class EcovacsStatisticsService {
             onWarn: options.onWarn,
             safeResolve: true,
             reconnectDelayMs: 10_000,
+            recorder: options.recorder,
             ...TOPIC
         });
     }
@@ -0,0 +1,194 @@
+const fs = require("fs");
+const path = require("path");
+const stream = require("stream");
+
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Writes the members of an uncompressed (ustar, GNU or pax) tarball into a directory as they stream in.
+ *
+ * Only regular files and directories with relative paths are accepted. Links, devices and
+ * absolute or ".." paths would let an archive write outside of the voice pack directory.
+ */
+class EcovacsTarExtractor extends stream.Writable {
+    /**
+     * @param {string} directory
+     */
+    constructor(directory) {
+        super();
+
+        this.directory = directory;
+        this.pending = Buffer.alloc(0);
+        /** @type {{remaining: number, padding: number, file: fs.promises.FileHandle|null, meta: Array<Buffer>|null, type: string}|null} */
+        this.entry = null;
+        this.nextName = null;
+        this.endReached = false;
+    }
+
+    _write(chunk, encoding, callback) {
+        this.pending = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+        this.consume().then(() => callback(), callback);
+    }
+
+    _final(callback) {
+        callback(this.entry === null ? null : new Error("Voice pack archive is truncated"));
+    }
+
+    _destroy(err, callback) {
+        const file = this.entry?.file;
+        this.entry = null;
+        if (file) {
+            file.close().then(() => callback(err), () => callback(err));
+        } else {
+            callback(err);
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Promise<void>}
+     */
+    async consume() {
+        while (!this.endReached) {
+            if (this.entry === null) {
+                if (this.pending.length < TAR_BLOCK_SIZE) {
+                    return;
+                }
+                const header = this.pending.subarray(0, TAR_BLOCK_SIZE);
+                this.pending = this.pending.subarray(TAR_BLOCK_SIZE);
+                if (header.every(byte => byte === 0)) {
+                    this.endReached = true;
+                } else {
+                    this.entry = await this.startEntry(header);
+                }
+            } else if (this.entry.remaining > 0) {
+                if (this.pending.length === 0) {
+                    return;
+                }
+                const data = this.pending.subarray(0, this.entry.remaining);
+                this.pending = this.pending.subarray(data.length);
+                this.entry.remaining -= data.length;
+                if (this.entry.file) {
+                    await this.entry.file.write(data);
+                } else if (this.entry.meta) {
+                    this.entry.meta.push(data);
+                }
+            } else if (this.entry.padding > 0) {
+                const skipped = Math.min(this.entry.padding, this.pending.length);
+                if (skipped === 0) {
+                    return;
+                }
+                this.pending = this.pending.subarray(skipped);
+                this.entry.padding -= skipped;
+            } else {
+                await this.finishEntry();
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @param {Buffer} header
+     * @returns {Promise<{remaining: number, padding: number, file: fs.promises.FileHandle|null, meta: Array<Buffer>|null, type: string}>}
+     */
+    async startEntry(header) {
+        const size = parseInt(readTarString(header, 124, 12) || "0", 8);
+        const type = readTarString(header, 156, 1) || "0";
+        const prefix = readTarString(header, 345, 155);
+        if (!Number.isInteger(size) || size < 0) {
+            throw new Error("Voice pack archive has a broken header");
+        }
+        const entry = {
+            remaining: size,
+            padding: Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE - size,
+            file: null,
+            meta: null,
+            type: type
+        };
+
+        // pax extended headers and GNU long names change the name of the next member
+        if (type === "x" || type === "L") {
+            entry.meta = [];
+
+            return entry;
+        } else if (type === "g") {
+            return entry;
+        }
+
+        const name = this.nextName ?? (prefix ? `${prefix}/${readTarString(header, 0, 100)}` : readTarString(header, 0, 100));
+        this.nextName = null;
+
+        if (type !== "0" && type !== "5") {
+            throw new Error(`Voice pack archive contains an unsupported member: ${name} (type ${type})`);
+        }
+        if (name.startsWith("/") || name.split("/").includes("..")) {
+            throw new Error(`Voice pack archive contains an unsafe path: ${name}`);
+        }
+
+        const normalizedName = path.posix.normalize(name).replace(/\/+$/, "");
+        if (normalizedName === "." || normalizedName === "") {
+            return entry;
+        }
+
+        const target = path.join(this.directory, normalizedName);
+        if (type === "5") {
+            await fs.promises.mkdir(target, {recursive: true});
+        } else {
+            await fs.promises.mkdir(path.dirname(target), {recursive: true});
+            entry.file = await fs.promises.open(target, "w");
+        }
+
+        return entry;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<void>}
+     */
+    async finishEntry() {
+        const entry = this.entry;
+        this.entry = null;
+
+        if (entry.file) {
+            await entry.file.close();
+        } else if (entry.type === "x") {
+            // Only the path is relevant, as it overrides the name of the next member
+            this.nextName = parsePaxRecords(Buffer.concat(entry.meta)).path ?? this.nextName;
+        } else if (entry.type === "L") {
+            this.nextName = Buffer.concat(entry.meta).toString("utf8").replace(/\0+$/, "");
+        }
+    }
+}
+
+/**
+ * @param {Buffer} header
+ * @param {number} start
+ * @param {number} length
+ * @returns {string}
+ */
+function readTarString(header, start, length) {
+    const field = header.subarray(start, start + length);
+    const end = field.indexOf(0);
+
+    return field.subarray(0, end === -1 ? field.length : end).toString("utf8").trim();
+}
+
+/**
+ * @param {Buffer} data records of the form "<length> <key>=<value>\n"
+ * @returns {Object<string, string>}
+ */
+function parsePaxRecords(data) {
+    /** @type {Object<string, string>} */
+    const records = {};
+
+    for (const line of data.toString("utf8").split("\n")) {
+        const match = /^\d+ ([^=]+)=(.*)$/.exec(line);
+        if (match) {
+            records[match[1]] = match[2];
+        }
+    }
+
+    return records;
+}
+
+module.exports = EcovacsTarExtractor;
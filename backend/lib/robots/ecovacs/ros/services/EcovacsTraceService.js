@@ -8,6 +8,11 @@ const SERVICE = {
     name: "/map/ManipulateTrace"
 };
 
+const TRACE_REQUEST_TYPE = Object.freeze({
+    GET_TRACE_BETWEEN_IDX: 0,
+    GET_TRACE_INFO: 1
+});
+
 class EcovacsTraceService {
     /**
      * @param {object} options
@@ -16,6 +21,7 @@ class EcovacsTraceService {
      * @param {number} [options.connectTimeoutMs]
      * @param {number} [options.callTimeoutMs]
      * @param {boolean} [options.debug]
+     * @param {import("../core/RosTrafficRecorder").RosTrafficRecorder} [options.recorder]
      */
     constructor(options) {
         this.traceClient = new PersistentServiceClient({
@@ -25,7 +31,8 @@ class EcovacsTraceService {
             serviceMd5: SERVICE.md5,
             connectTimeoutMs: options.connectTimeoutMs,
             callTimeoutMs: options.callTimeoutMs,
-            debug: options.debug
+            debug: options.debug,
+            recorder: options.recorder
         });
     }
 
@@ -35,49 +42,63 @@ class EcovacsTraceService {
 
     /**
      * @param {number} mapId
-     * @param {number} tailCount
-     * @returns {Promise<any>}
+     * @returns {Promise<{mapId:number,endIdx:number}|null>} null while the trace is being reset
      */
-    async getTraceLatest(mapId, tailCount) {
-        const traceInfoRequest = Buffer.alloc(13);
-        traceInfoRequest.writeUInt8(1, 0); // GET_TRACE_INFO
-        traceInfoRequest.writeUInt32LE(mapId >>> 0, 1);
-        traceInfoRequest.writeUInt32LE(0, 5);
-        traceInfoRequest.writeUInt32LE(0, 9);
-        const infoBody = await this.traceClient.call(traceInfoRequest);
-        const traceInfo = parseTraceResponse(infoBody);
-
+    async getTraceInfo(mapId) {
+        const traceInfo = parseTraceResponse(
+            await this.traceClient.call(buildTraceRequest(TRACE_REQUEST_TYPE.GET_TRACE_INFO, mapId, 0, 0))
+        );
         const endIdx = Number(traceInfo.endIdx);
 
         // 0xFFFFFFFF means the trace is being reset (e.g. cleaning just started);
-        // no data is available yet so skip the range fetch.
+        // no data is available yet.
         if (endIdx === 0 || endIdx >= 0xFFFFFFF0) {
             return null;
         }
 
-        const startIdx = Math.max(0, endIdx - Math.max(1, tailCount));
+        return {
+            mapId: traceInfo.mapid,
+            endIdx: endIdx
+        };
+    }
 
-        const traceRangeRequest = Buffer.alloc(13);
-        traceRangeRequest.writeUInt8(0, 0); // GET_TRACE_BETWEEN_IDX
-        traceRangeRequest.writeUInt32LE(mapId >>> 0, 1);
-        traceRangeRequest.writeUInt32LE(startIdx >>> 0, 5);
-        traceRangeRequest.writeUInt32LE(endIdx >>> 0, 9);
-        const rangeBody = await this.traceClient.call(traceRangeRequest);
-        const range = parseTraceResponse(rangeBody);
-        const raw = range.data;
+    /**
+     * @param {number} mapId
+     * @param {number} startIdx inclusive
+     * @param {number} endIdx exclusive
+     * @returns {Promise<{mapId:number,startIdx:number,endIdx:number,rawHex:string}>}
+     */
+    async getTraceRange(mapId, startIdx, endIdx) {
+        const range = parseTraceResponse(
+            await this.traceClient.call(buildTraceRequest(TRACE_REQUEST_TYPE.GET_TRACE_BETWEEN_IDX, mapId, startIdx, endIdx))
+        );
 
         return {
-            source: "manipulate_trace_service_raw",
-            trace_end_idx: endIdx,
-            trace_start_idx: startIdx,
-            trace_mapid: range.mapid,
-            trace_raw_len: raw.length,
-            trace_raw_hex: raw.toString("hex"),
-            trace_decode_error: "disabled on robot (raw payload mode)"
+            mapId: range.mapid,
+            startIdx: startIdx,
+            endIdx: endIdx,
+            rawHex: range.data.toString("hex")
         };
     }
 }
 
+/**
+ * @param {number} type
+ * @param {number} mapId
+ * @param {number} startIdx
+ * @param {number} endIdx
+ * @returns {Buffer}
+ */
+function buildTraceRequest(type, mapId, startIdx, endIdx) {
+    const request = Buffer.alloc(13);
+    request.writeUInt8(type, 0);
+    request.writeUInt32LE(mapId >>> 0, 1);
+    request.writeUInt32LE(startIdx >>> 0, 5);
+    request.writeUInt32LE(endIdx >>> 0, 9);
+
+    return request;
+}
+
 /**
  * @param {Buffer} body
  * @returns {{result:number,mapid:number,traceId:number,startIdx:number,endIdx:number,data:Buffer}}
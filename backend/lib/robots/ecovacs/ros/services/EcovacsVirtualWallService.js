@@ -29,6 +29,7 @@ class EcovacsVirtualWallService {
      * @param {number} [options.connectTimeoutMs]
      * @param {number} [options.callTimeoutMs]
      * @param {boolean} [options.debug]
+     * @param {import("../core/RosTrafficRecorder").RosTrafficRecorder} [options.recorder]
      */
     constructor(options) {
         this.virtualWallClient = new PersistentServiceClient({
@@ -39,7 +40,8 @@ class EcovacsVirtualWallService {
             connectTimeoutMs: options.connectTimeoutMs,
             callTimeoutMs: options.callTimeoutMs,
             debug: options.debug,
-            persistent: false
+            persistent: false,
+            recorder: options.recorder
         });
     }
 
@@ -0,0 +1,209 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const Logger = require("../../../../Logger");
+const path = require("path");
+const zlib = require("zlib");
+const EcovacsByteLimit = require("./EcovacsByteLimit");
+const EcovacsTarExtractor = require("./EcovacsTarExtractor");
+const {default: axios} = require("axios");
+const {pipeline} = require("stream/promises");
+
+const LANGUAGE_MARKER_FILE = ".valetudo_language";
+const MAX_ARCHIVE_BYTES = 32 * 1024 * 1024;
+// Generous for a few hundred prompts, but keeps a gzip bomb from filling the flash
+const MAX_EXTRACTED_BYTES = 64 * 1024 * 1024;
+
+const OPERATION_STATE = Object.freeze({
+    IDLE: "idle",
+    DOWNLOADING: "downloading",
+    INSTALLING: "installing",
+    ERROR: "error"
+});
+
+/**
+ * Installs voice packs (gzipped tarballs of the firmware's numbered audio files)
+ * into the audio directory the audio0 element plays prompts from.
+ */
+class EcovacsVoicePackService {
+    /**
+     * @param {object} options
+     * @param {string} options.voicePackDirectory
+     * @param {number} [options.downloadTimeoutMs]
+     */
+    constructor(options) {
+        this.voicePackDirectory = options.voicePackDirectory;
+        this.downloadTimeoutMs = options.downloadTimeoutMs ?? 120_000;
+
+        /** @type {{state:string,progress:number|undefined}} */
+        this.operation = {
+            state: OPERATION_STATE.IDLE,
+            progress: undefined
+        };
+    }
+
+    /**
+     * @returns {Promise<string>} lowercase language code, "en" for the stock voice
+     */
+    async getCurrentLanguage() {
+        try {
+            const language = await fs.promises.readFile(path.join(this.voicePackDirectory, LANGUAGE_MARKER_FILE), "utf8");
+
+            return language.trim().toLowerCase() || "en";
+        } catch (e) {
+            return "en";
+        }
+    }
+
+    /**
+     * @returns {{state:string,progress:number|undefined}}
+     */
+    getOperation() {
+        return this.operation;
+    }
+
+    /**
+     * Starts the download + install in the background.
+     * Progress is reported via getOperation().
+     *
+     * @param {object} options
+     * @param {string} options.url
+     * @param {string} [options.language]
+     * @param {string} [options.hash] md5 of the archive
+     */
+    startInstall(options) {
+        if (
+            this.operation.state === OPERATION_STATE.DOWNLOADING ||
+            this.operation.state === OPERATION_STATE.INSTALLING
+        ) {
+            throw new Error("A voice pack operation is already in progress");
+        }
+        this.operation = {
+            state: OPERATION_STATE.DOWNLOADING,
+            progress: 0
+        };
+
+        void this.install(options).then(() => {
+            this.operation = {
+                state: OPERATION_STATE.IDLE,
+                progress: undefined
+            };
+        }).catch(e => {
+            Logger.warn("Ecovacs voice pack installation failed", e?.message ?? e);
+            this.operation = {
+                state: OPERATION_STATE.ERROR,
+                progress: undefined
+            };
+        });
+    }
+
+    /**
+     * @private
+     * @param {object} options
+     * @param {string} options.url
+     * @param {string} [options.language]
+     * @param {string} [options.hash]
+     * @returns {Promise<void>}
+     */
+    async install(options) {
+        const response = await axios.get(options.url, {
+            responseType: "stream",
+            timeout: this.downloadTimeoutMs,
+            // axios doesn't enforce this for streams, so the size is checked here and while streaming
+            maxContentLength: MAX_ARCHIVE_BYTES
+        });
+        const expectedSize = parseInt(response.headers?.["content-length"]);
+        if (expectedSize > MAX_ARCHIVE_BYTES) {
+            response.data.destroy();
+
+            throw new Error(`Voice pack archive is larger than ${MAX_ARCHIVE_BYTES} bytes`);
+        }
+
+        await this.installArchive(response.data, options.language, {
+            hash: options.hash,
+            expectedSize: expectedSize
+        });
+    }
+
+    /**
+     * Extracts the archive into a staging directory while it is downloaded and swaps it in.
+     * Neither the archive nor the extracted files are held in memory.
+     *
+     * The first install moves the stock voice to <voicePackDirectory>.stock, where it stays
+     * so that it can be restored by hand. Later installs replace the previous pack.
+     * If the swap fails, the previous pack is moved back.
+     *
+     * @param {import("stream").Readable} archive gzipped tarball
+     * @param {string} [language]
+     * @param {object} [options]
+     * @param {string} [options.hash] md5 of the archive, checked before the swap
+     * @param {number} [options.expectedSize] size of the archive for the progress
+     * @returns {Promise<void>}
+     */
+    async installArchive(archive, language, options = {}) {
+        const stagingDirectory = `${this.voicePackDirectory}.new`;
+        const stockDirectory = `${this.voicePackDirectory}.stock`;
+        const previousDirectory = `${this.voicePackDirectory}.old`;
+        const md5 = crypto.createHash("md5");
+
+        await fs.promises.rm(stagingDirectory, {recursive: true, force: true});
+        try {
+            await fs.promises.mkdir(stagingDirectory, {recursive: true});
+            await pipeline(
+                archive,
+                new EcovacsByteLimit(MAX_ARCHIVE_BYTES, "Voice pack archive", (chunk, totalBytes) => {
+                    md5.update(chunk);
+                    if (options.expectedSize > 0) {
+                        this.operation.progress = Math.min(Math.round(totalBytes / options.expectedSize * 100), 100);
+                    }
+                }),
+                zlib.createGunzip(),
+                new EcovacsByteLimit(MAX_EXTRACTED_BYTES, "Extracted voice pack"),
+                new EcovacsTarExtractor(stagingDirectory)
+            );
+
+            const hash = md5.digest("hex");
+            if (options.hash && hash !== options.hash.toLowerCase()) {
+                throw new Error(`Voice pack md5 mismatch: expected ${options.hash}, got ${hash}`);
+            }
+            await fs.promises.writeFile(
+                path.join(stagingDirectory, LANGUAGE_MARKER_FILE),
+                (language ?? "").toLowerCase()
+            );
+        } catch (e) {
+            await fs.promises.rm(stagingDirectory, {recursive: true, force: true});
+
+            throw e;
+        }
+
+        this.operation = {
+            state: OPERATION_STATE.INSTALLING,
+            progress: undefined
+        };
+
+        const backupDirectory = fs.existsSync(stockDirectory) ? previousDirectory : stockDirectory;
+        let movedAway = false;
+        try {
+            await fs.promises.rm(previousDirectory, {recursive: true, force: true});
+            if (fs.existsSync(this.voicePackDirectory)) {
+                await fs.promises.rename(this.voicePackDirectory, backupDirectory);
+                movedAway = true;
+            }
+            await fs.promises.rename(stagingDirectory, this.voicePackDirectory);
+        } catch (e) {
+            if (movedAway && !fs.existsSync(this.voicePackDirectory)) {
+                await fs.promises.rename(backupDirectory, this.voicePackDirectory);
+            }
+            await fs.promises.rm(stagingDirectory, {recursive: true, force: true});
+
+            throw e;
+        }
+
+        await fs.promises.rm(previousDirectory, {recursive: true, force: true});
+    }
+}
+
+EcovacsVoicePackService.OPERATION_STATE = OPERATION_STATE;
+
+module.exports = EcovacsVoicePackService;
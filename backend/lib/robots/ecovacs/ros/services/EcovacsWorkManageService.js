@@ -26,6 +26,7 @@ class EcovacsWorkManageService {
      * @param {number} [options.connectTimeoutMs]
      * @param {number} [options.callTimeoutMs]
      * @param {boolean} [options.debug]
+     * @param {import("../core/RosTrafficRecorder").RosTrafficRecorder} [options.recorder]
      */
     constructor(options) {
         this.debug = options.debug ?? false;
@@ -37,7 +38,8 @@ class EcovacsWorkManageService {
             connectTimeoutMs: options.connectTimeoutMs,
             callTimeoutMs: options.callTimeoutMs,
             debug: options.debug,
-            persistent: false
+            persistent: false,
+            recorder: options.recorder
         });
     }
 
@@ -151,17 +153,50 @@ class EcovacsWorkManageService {
         );
     }
 
+    /**
+     * The go-to target is carried as a single custom area point.
+     *
+     * @param {number} x world mm
+     * @param {number} y world mm
+     * @returns {Promise<number>}
+     */
+    async goTo(x, y) {
+        return await this.callWorkManage(
+            serializeWorkManageRequest({
+                manageType: WORK_MANAGE_TYPE.START,
+                workType: WORK_TYPE.GOTO,
+                customAreaPoints: [[Number(x), Number(y)]]
+            })
+        );
+    }
+
+    /**
+     * Explore and build a new map without cleaning.
+     *
+     * @returns {Promise<number>}
+     */
+    async startMapping() {
+        return await this.callWorkManage(
+            serializeWorkManageRequest({
+                manageType: WORK_MANAGE_TYPE.START,
+                workType: WORK_TYPE.BUILD_MAP
+            })
+        );
+    }
+
     /**
      * @param {number} moveType
-     * @param {number} [w]
+     * @param {number} [w] angular rate, positive turns clockwise
+     * @param {number} [v] linear velocity in mm/s, only used by REMOTE_MOVE_MVA_CUSTOM
      * @returns {Promise<number>}
      */
-    async remoteMove(moveType, w = 0) {
+    async remoteMove(moveType, w = 0, v = 0) {
         return await this.callWorkManage(
             serializeWorkManageRequest({
                 manageType: WORK_MANAGE_TYPE.START,
                 workType: WORK_TYPE.REMOTE_CONTROL,
                 remoteMoveType: moveType,
+                remoteV: v,
                 remoteW: w
             })
         );
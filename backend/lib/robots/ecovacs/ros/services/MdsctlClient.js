@@ -24,16 +24,34 @@ class MdsctlClient {
         const args = [this.socketPath, element, JSON.stringify(payload)];
         await runCommandWithTimeout(this.binaryPath, args, this.timeoutMs);
     }
+
+    /**
+     * Like send(), but returns the JSON reply the element printed to stdout.
+     *
+     * @param {string} element
+     * @param {object} payload
+     * @returns {Promise<any>}
+     */
+    async query(element, payload) {
+        const args = [this.socketPath, element, JSON.stringify(payload)];
+        const stdout = await runCommandWithTimeout(this.binaryPath, args, this.timeoutMs);
+
+        try {
+            return JSON.parse(stdout);
+        } catch (e) {
+            throw new Error(`mdsctl returned invalid JSON: ${stdout.trim()}`);
+        }
+    }
 }
 
 /**
  * @param {string} command
  * @param {Array<string>} args
  * @param {number} timeoutMs
- * @returns {Promise<void>}
+ * @returns {Promise<string>} stdout
  */
 async function runCommandWithTimeout(command, args, timeoutMs) {
-    await new Promise((resolve, reject) => {
+    return new Promise((resolve, reject) => {
         const child = childProcess.spawn(command, args);
         let stdout = "";
         let stderr = "";
@@ -64,7 +82,7 @@ async function runCommandWithTimeout(command, args, timeoutMs) {
                 reject(new Error(`mdsctl failed (${code}) stdout=${stdout.trim()} stderr=${stderr.trim()}`));
                 return;
             }
-            resolve();
+            resolve(stdout);
         });
     });
 }
@@ -135,7 +135,8 @@ class MideaCombinedVirtualRestrictionsCapabilityV1 extends CombinedVirtualRestri
             supportedRestrictedZoneTypes: [
                 ValetudoRestrictedZone.TYPE.REGULAR,
                 ValetudoRestrictedZone.TYPE.MOP,
-            ]
+            ],
+            supportsPolygonalRestrictedZones: false
         };
     }
 }
@@ -89,7 +89,8 @@ class MideaCombinedVirtualRestrictionsCapabilityV2 extends CombinedVirtualRestri
             supportedRestrictedZoneTypes: [
                 ValetudoRestrictedZone.TYPE.REGULAR,
                 ValetudoRestrictedZone.TYPE.MOP,
-            ]
+            ],
+            supportsPolygonalRestrictedZones: false
         };
     }
 }
@@ -1,8 +1,7 @@
 const express = require("express");
 
-const Logger = require("../../Logger");
 const NotImplementedError = require("../../core/NotImplementedError");
-const RobotFirmwareError = require("../../core/RobotFirmwareError");
+const sendErrorResponse = require("../sendErrorResponse");
 
 class CapabilityRouter {
     /**
@@ -47,20 +46,7 @@ class CapabilityRouter {
      * @param {Error} err
      */
     sendErrorResponse(req, res, err) {
-        if (err instanceof RobotFirmwareError) {
-            Logger.warn(`${this.constructor.name}: Received error from robot while handling route "${req.path}"`, {
-                body: req.body,
-                message: err.message
-            });
-        } else {
-            Logger.warn(`${this.constructor.name}: Error while handling route "${req.path}"`, {
-                body: req.body,
-                message: err.message
-            });
-        }
-
-
-        res.status(500).json(err.message);
+        sendErrorResponse(this.constructor.name, req, res, err);
     }
 
     getRouter() {
@@ -0,0 +1,29 @@
+const CapabilityRouter = require("./CapabilityRouter");
+
+class CleaningHistoryCapabilityRouter extends CapabilityRouter {
+    initRoutes() {
+        this.router.get("/", async (req, res) => {
+            try {
+                res.json(await this.capability.getEntries());
+            } catch (e) {
+                this.sendErrorResponse(req, res, e);
+            }
+        });
+
+        this.router.get("/:id", async (req, res) => {
+            try {
+                const entry = await this.capability.getEntry(req.params.id);
+
+                if (entry === null) {
+                    res.sendStatus(404);
+                } else {
+                    res.json(entry);
+                }
+            } catch (e) {
+                this.sendErrorResponse(req, res, e);
+            }
+        });
+    }
+}
+
+module.exports = CleaningHistoryCapabilityRouter;
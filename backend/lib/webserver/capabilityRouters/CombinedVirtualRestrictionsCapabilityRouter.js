@@ -15,6 +15,16 @@ class CombinedVirtualRestrictionsCapabilityRouter extends CapabilityRouter {
 
         this.router.put("/", this.validator, async (req, res) => {
             if (Array.isArray(req.body.virtualWalls) && Array.isArray(req.body.restrictedZones)) {
+                const hasPolygons = req.body.restrictedZones.some(requestZone => {
+                    return requestZone.polygon !== undefined;
+                });
+
+                if (hasPolygons && this.capability.getProperties().supportsPolygonalRestrictedZones !== true) {
+                    res.sendStatus(400);
+
+                    return;
+                }
+
                 const virtualRestrictions = new ValetudoVirtualRestrictions({
                     virtualWalls: req.body.virtualWalls.map(requestWall => {
                         return new ValetudoVirtualWall({
@@ -50,6 +60,12 @@ class CombinedVirtualRestrictionsCapabilityRouter extends CapabilityRouter {
                                     y: requestZone.points.pD.y
                                 }
                             },
+                            polygon: Array.isArray(requestZone.polygon) ? requestZone.polygon.map(point => {
+                                return {
+                                    x: point.x,
+                                    y: point.y
+                                };
+                            }) : undefined,
                             type: requestZone.type
                         });
                     })
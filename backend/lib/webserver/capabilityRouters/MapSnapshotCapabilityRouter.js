@@ -19,6 +19,13 @@ class MapSnapshotCapabilityRouter extends CapabilityRouter {
                 } catch (e) {
                     this.sendErrorResponse(req, res, e);
                 }
+            } else if (req.body.action === "delete" && req.body.id !== undefined && this.capability.getProperties().supportsDeletion) {
+                try {
+                    await this.capability.deleteSnapshot(new ValetudoMapSnapshot({id: req.body.id}));
+                    res.sendStatus(200);
+                } catch (e) {
+                    this.sendErrorResponse(req, res, e);
+                }
             } else {
                 res.sendStatus(400);
             }
@@ -5,6 +5,7 @@ module.exports = {
     BasicControlCapabilityRouter: require("./BasicControlCapabilityRouter"),
     CarpetSensorModeControlCapabilityRouter: require("./CarpetSensorModeControlCapabilityRouter"),
     CleanRouteControlCapabilityRouter: require("./CleanRouteControlCapabilityRouter"),
+    CleaningHistoryCapabilityRouter: require("./CleaningHistoryCapabilityRouter"),
     CombinedVirtualRestrictionsCapabilityRouter: require("./CombinedVirtualRestrictionsCapabilityRouter"),
     ConsumableMonitoringCapabilityRouter: require("./ConsumableMonitoringCapabilityRouter"),
     DoNotDisturbCapabilityRouter: require("./DoNotDisturbCapabilityRouter"),
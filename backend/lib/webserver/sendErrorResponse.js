@@ -0,0 +1,29 @@
+const Logger = require("../Logger");
+const RobotFirmwareError = require("../core/RobotFirmwareError");
+
+/**
+ * Logs an error that occurred while handling a route and responds with a 500 carrying its message
+ *
+ * @param {string} source name of the router handling the route, used as the log prefix
+ * @param {any} req
+ * @param {any} res
+ * @param {Error} err
+ */
+function sendErrorResponse(source, req, res, err) {
+    if (err instanceof RobotFirmwareError) {
+        Logger.warn(`${source}: Received error from robot while handling route "${req.path}"`, {
+            body: req.body,
+            message: err.message
+        });
+    } else {
+        Logger.warn(`${source}: Error while handling route "${req.path}"`, {
+            body: req.body,
+            message: err.message
+        });
+    }
+
+
+    res.status(500).json(err.message);
+}
+
+module.exports = sendErrorResponse;
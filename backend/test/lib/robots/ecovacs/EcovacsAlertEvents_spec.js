@@ -0,0 +1,70 @@
+const should = require("should");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const {ALERT_TYPE} = require("../../../../lib/robots/ecovacs/ros/core/TopicStateSubscriber");
+
+should.config.checkProtoEql = false;
+
+/**
+ * @param {Array<number>} types
+ * @returns {Array<{type: number, state: number}>}
+ */
+function alerts(types) {
+    return types.map(type => {
+        return {type: type, state: 1};
+    });
+}
+
+describe("EcovacsAlertEvents", function () {
+    this.timeout(10000);
+
+    let testRobot;
+    let robot;
+
+    beforeEach(async function() {
+        testRobot = await createEcovacsTestRobot();
+        robot = testRobot.robot;
+    });
+
+    afterEach(async function() {
+        await testRobot.stop();
+    });
+
+    it("Should raise one event per warning and leave errors to the status", function() {
+        const triggered = alerts([ALERT_TYPE.LEFT_BUMP_REPEAT_TRIGE_WARNING, ALERT_TYPE.ROBOT_STUCK_ERROR]);
+
+        robot.syncAlertEvents(triggered);
+        robot.syncAlertEvents(triggered);
+
+        robot.valetudoEventStore.getAll().map(event => {
+            return [event.__class, event.message, event.processed];
+        }).should.deepEqual([
+            ["ErrorStateValetudoEvent", "Left bumper repeated trigger (sensors)", false]
+        ]);
+    });
+
+    it("Should clear events once their alert is gone and raise a new one when it returns", function() {
+        robot.syncAlertEvents(alerts([ALERT_TYPE.NO_RETURN_CHARGE_WARNING, ALERT_TYPE.ROLL_GESTURE_SLOPE_WARNING]));
+        robot.syncAlertEvents(alerts([ALERT_TYPE.ROLL_GESTURE_SLOPE_WARNING]));
+        robot.syncAlertEvents(alerts([ALERT_TYPE.NO_RETURN_CHARGE_WARNING, ALERT_TYPE.ROLL_GESTURE_SLOPE_WARNING]));
+
+        robot.valetudoEventStore.getAll().map(event => {
+            return [event.message, event.processed];
+        }).should.deepEqual([
+            ["Cannot find charging station (dock)", false],
+            ["Robot tilted sideways (sensors)", false],
+            ["Cannot find charging station (dock)", true]
+        ]);
+    });
+
+    it("Should not raise a dismissed event again while its alert persists", function() {
+        robot.syncAlertEvents(alerts([ALERT_TYPE.ROBOT_BEEN_MOVED_DURING_IDLE]));
+        const [event] = robot.valetudoEventStore.getAll();
+        robot.valetudoEventStore.setProcessed(event.id);
+
+        robot.syncAlertEvents(alerts([ALERT_TYPE.ROBOT_BEEN_MOVED_DURING_IDLE]));
+
+        robot.valetudoEventStore.getAll().should.have.length(1);
+        robot.valetudoEventStore.getAll()[0].processed.should.equal(true);
+    });
+});
@@ -0,0 +1,113 @@
+const should = require("should");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const entities = require("../../../../lib/entities");
+const MopAttachmentReminderValetudoEvent = require("../../../../lib/valetudo_events/events/MopAttachmentReminderValetudoEvent");
+const {ALERT_TYPE} = require("../../../../lib/robots/ecovacs/ros/core/TopicStateSubscriber");
+const {determineAttachmentState} = require("../../../../lib/robots/ecovacs/EcovacsAlertMapping");
+const {WORK_STATE, WORK_TYPE} = require("../../../../lib/robots/ecovacs/EcovacsStateMapping");
+
+should.config.checkProtoEql = false;
+
+const AttachmentStateAttribute = entities.state.attributes.AttachmentStateAttribute;
+
+/**
+ * @param {Array<number>} types
+ * @returns {Array<{type: number, state: number}>}
+ */
+function alerts(types) {
+    return types.map(type => {
+        return {type: type, state: 1};
+    });
+}
+
+describe("EcovacsAttachmentState", function () {
+    this.timeout(10000);
+
+    let testRobot;
+    let robot;
+    let workStatistic;
+
+    beforeEach(async function() {
+        workStatistic = null;
+
+        testRobot = await createEcovacsTestRobot();
+        robot = testRobot.robot;
+        robot.statisticsService.getWorkStatistic = () => {
+            return workStatistic;
+        };
+    });
+
+    afterEach(async function() {
+        await testRobot.stop();
+    });
+
+    /**
+     * @returns {Object<string, boolean>}
+     */
+    function attachments() {
+        return Object.fromEntries(robot.state.getMatchingAttributes({
+            attributeClass: AttachmentStateAttribute.name
+        }).map(attachment => {
+            return [attachment.type, attachment.attached];
+        }));
+    }
+
+    it("Should derive attachments from the alerts and the worklog waterbox type", function() {
+        determineAttachmentState(null, null).should.deepEqual({dustbin: null, watertank: null, mop: null});
+        determineAttachmentState(alerts([]), 1).should.deepEqual({dustbin: true, watertank: true, mop: true});
+        determineAttachmentState(alerts([ALERT_TYPE.DIRT_BOX_STATE, ALERT_TYPE.WATER_BOX_STATE]), 1).should.deepEqual({
+            dustbin: false,
+            watertank: false,
+            mop: false
+        });
+        determineAttachmentState(alerts([ALERT_TYPE.ULTRA_WATERBOX_WARNING]), 0).should.deepEqual({
+            dustbin: true,
+            watertank: true,
+            mop: true
+        });
+    });
+
+    it("Should publish the attachments and report changes only once", function() {
+        robot.refreshAttachmentState(alerts([])).should.equal(true);
+        attachments().should.deepEqual({dustbin: true});
+
+        workStatistic = {waterboxType: 1, startTimeSecs: 1700000000};
+        robot.trackCleaningJob({worktype: WORK_TYPE.AUTO_CLEAN, state: WORK_STATE.RUNNING});
+        robot.refreshAttachmentState(alerts([])).should.equal(true);
+        robot.refreshAttachmentState(alerts([])).should.equal(false);
+        attachments().should.deepEqual({dustbin: true, watertank: true, mop: true});
+
+        robot.refreshAttachmentState(alerts([ALERT_TYPE.DIRT_BOX_STATE])).should.equal(true);
+        attachments().should.deepEqual({dustbin: false, watertank: true, mop: true});
+    });
+
+    it("Should not report the water tank of the last job while idle", function() {
+        workStatistic = {waterboxType: 1, startTimeSecs: 1700000000};
+        robot.refreshAttachmentState(alerts([]));
+        attachments().should.deepEqual({dustbin: true});
+
+        robot.trackCleaningJob({worktype: WORK_TYPE.AUTO_CLEAN, state: WORK_STATE.RUNNING});
+        robot.refreshAttachmentState(alerts([]));
+        attachments().should.deepEqual({dustbin: true, watertank: true, mop: true});
+
+        robot.trackCleaningJob({worktype: WORK_TYPE.IDLE, state: WORK_STATE.IDLE});
+        robot.refreshAttachmentState(alerts([])).should.equal(true);
+        attachments().should.deepEqual({dustbin: true});
+
+        robot.refreshAttachmentState(alerts([ALERT_TYPE.WATER_BOX_STATE]));
+        attachments().should.deepEqual({dustbin: true, watertank: false, mop: false});
+    });
+
+    it("Should remind to remove the mop after a job and clear the reminder once it is removed", function() {
+        workStatistic = {waterboxType: 1, startTimeSecs: 1700000000};
+        robot.trackCleaningJob({worktype: WORK_TYPE.AUTO_CLEAN, state: WORK_STATE.RUNNING});
+        robot.refreshAttachmentState(alerts([]));
+
+        robot.trackCleaningJob({worktype: WORK_TYPE.IDLE, state: WORK_STATE.IDLE});
+        robot.valetudoEventStore.getById(MopAttachmentReminderValetudoEvent.ID).processed.should.equal(false);
+
+        robot.refreshAttachmentState(alerts([ALERT_TYPE.WATER_BOX_STATE]));
+        robot.valetudoEventStore.getById(MopAttachmentReminderValetudoEvent.ID).processed.should.equal(true);
+    });
+});
@@ -0,0 +1,111 @@
+const should = require("should");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const EcovacsCameraService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsCameraService");
+const FakeRosMaster = require("./sim/FakeRosMaster");
+const FakeTopicPublisher = require("./sim/FakeTopicPublisher");
+const RosMasterXmlRpcClient = require("../../../../lib/robots/ecovacs/ros/core/RosMasterXmlRpcClient");
+const {extractJpegFrame} = require("../../../../lib/robots/ecovacs/ros/services/EcovacsCameraService");
+
+const TOPIC = "/camera/image/compressed";
+
+/**
+ * A sensor_msgs/CompressedImage-like message around the given JPEG
+ *
+ * @param {Buffer} jpeg
+ * @returns {Buffer}
+ */
+function compressedImage(jpeg) {
+    const format = Buffer.from("jpeg");
+    const header = Buffer.alloc(16);
+    const formatLength = Buffer.alloc(4);
+    const dataLength = Buffer.alloc(4);
+    formatLength.writeUInt32LE(format.length, 0);
+    dataLength.writeUInt32LE(jpeg.length, 0);
+
+    return Buffer.concat([header, formatLength, format, dataLength, jpeg]);
+}
+
+/**
+ * @param {number} marker
+ * @returns {Buffer}
+ */
+function jpeg(marker) {
+    return Buffer.from([0xff, 0xd8, 0xff, 0xe0, marker, 0x00, 0xff, 0xd9]);
+}
+
+describe("EcovacsCameraService", function () {
+    this.timeout(10000);
+
+    let master;
+    let publisher;
+    let service;
+
+    beforeEach(async function() {
+        master = new FakeRosMaster({port: 0});
+        await master.start();
+        publisher = new FakeTopicPublisher({topic: TOPIC, type: "sensor_msgs/CompressedImage"});
+        await publisher.start();
+        master.registerTopic(TOPIC, "sensor_msgs/CompressedImage", publisher.getEndpoint());
+
+        service = new EcovacsCameraService({
+            masterClient: new RosMasterXmlRpcClient({masterUri: master.getUri()}),
+            callerId: "/valetudo_test",
+            topic: TOPIC
+        });
+    });
+
+    afterEach(async function() {
+        await service.shutdown();
+        await publisher.stop();
+        await master.stop();
+    });
+
+    it("Should cut JPEG frames out of camera messages", function() {
+        extractJpegFrame(compressedImage(jpeg(1))).should.deepEqual(jpeg(1));
+        should(extractJpegFrame(Buffer.from("no image here"))).be.null();
+        should(extractJpegFrame(Buffer.from([0xff, 0xd9, 0x00, 0xff, 0xd8, 0xff]))).be.null();
+    });
+
+    it("Should only subscribe while frames are requested", async function() {
+        publisher.publish(compressedImage(jpeg(1)));
+
+        (await service.getFrame(5000)).should.deepEqual(jpeg(1));
+        service.frameSubscriber.running.should.equal(false);
+
+        const frames = [];
+        const listener = frame => {
+            frames.push(frame[4]);
+        };
+        await service.addFrameListener(listener);
+        while (frames.length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        publisher.publish(compressedImage(jpeg(2)));
+        publisher.publish(Buffer.from("not a frame"));
+        publisher.publish(compressedImage(jpeg(3)));
+        while (frames.length < 3) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        await service.removeFrameListener(listener);
+
+        frames.should.deepEqual([1, 2, 3]);
+        service.frameSubscriber.running.should.equal(false);
+    });
+
+    it("Should resolve with null if no frame arrives in time", async function() {
+        should(await service.getFrame(100)).be.null();
+    });
+
+    it("Should only report the camera as available with a configured topic", async function() {
+        for (const [cameraTopic, expected] of [[undefined, undefined], [TOPIC, true]]) {
+            const testRobot = await createEcovacsTestRobot({cameraTopic: cameraTopic});
+
+            try {
+                should(testRobot.robot.getProperties().cameraAvailable).equal(expected);
+            } finally {
+                await testRobot.stop();
+            }
+        }
+    });
+});
@@ -0,0 +1,202 @@
+const path = require("path");
+const should = require("should");
+
+const EcovacsCarpetOverlayStore = require("../../../../lib/robots/ecovacs/EcovacsCarpetOverlayStore");
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const EcovacsCombinedVirtualRestrictionsCapability = require("../../../../lib/robots/ecovacs/capabilities/EcovacsCombinedVirtualRestrictionsCapability");
+const ValetudoRestrictedZone = require("../../../../lib/entities/core/ValetudoRestrictedZone");
+const ValetudoVirtualRestrictions = require("../../../../lib/entities/core/ValetudoVirtualRestrictions");
+const {applyCarpetOverlay, diffCarpetOverlay} = require("../../../../lib/robots/ecovacs/map/EcovacsCarpetOverlay");
+const {applyCarpetOverlayToGrid, writeCarpetGrid} = require("../../../../lib/robots/ecovacs/map/EcovacsCarpetMapWriter");
+const {buildMap} = require("../../../../lib/robots/ecovacs/map/EcovacsMapBuilder");
+const {CARPET_MAP_GRID_SIDE, readCarpetGrid} = require("../../../../lib/robots/ecovacs/map/EcovacsCarpetMapReader");
+const {worldPointToMap} = require("../../../../lib/robots/ecovacs/map/EcovacsMapTransforms");
+
+should.config.checkProtoEql = false;
+
+const FIRMWARE_CARPETS = [
+    [-2000, 0, -1000, 0, -1000, -1000, -2000, -1000],
+    [500, 1500, 1500, 1500, 1500, 500, 500, 500]
+];
+const NO_OVERLAY = {added: [], removed: []};
+
+describe("EcovacsCarpetOverlay", function () {
+    this.timeout(10000);
+
+    let testRobot;
+    let simulator;
+    let robot;
+    let capability;
+
+    beforeEach(async function() {
+        testRobot = await createEcovacsTestRobot();
+        simulator = testRobot.simulator;
+        robot = testRobot.robot;
+        robot.activeMapId = await robot.mapService.getActiveMapId();
+        writeGrid(FIRMWARE_CARPETS);
+        robot.state.map = buildMap([], undefined, null, {width: 100, height: 100, resolutionCm: 5, floorPixels: [], wallPixels: []}, [], [], {
+            rotationDegrees: 0,
+            worldMmPerPixel: 50,
+            cachedRoomCleaningPreferences: {}
+        });
+        robot.pollMap = () => {};
+
+        capability = new EcovacsCombinedVirtualRestrictionsCapability({robot: robot});
+    });
+
+    afterEach(async function() {
+        await testRobot.stop();
+    });
+
+    /**
+     * Writes a carpet grid the way the firmware would after detecting the carpets
+     *
+     * @param {Array<Array<number>>} carpets
+     */
+    function writeGrid(carpets) {
+        const grid = new Uint8Array(CARPET_MAP_GRID_SIDE * CARPET_MAP_GRID_SIDE);
+        applyCarpetOverlayToGrid(grid, {added: carpets, removed: []});
+        writeCarpetGrid(grid, robot.carpetMapPath);
+    }
+
+    /**
+     * @param {number} x - world mm
+     * @param {number} y - world mm
+     * @returns {boolean}
+     */
+    function isCarpetInGrid(x, y) {
+        const grid = readCarpetGrid(robot.carpetMapPath);
+        const center = CARPET_MAP_GRID_SIDE / 2;
+
+        return grid[Math.floor(center - y / 50) * CARPET_MAP_GRID_SIDE + Math.floor(x / 50 + center)] !== 0;
+    }
+
+    /**
+     * @param {[number, number, number, number]} rect - world mm
+     * @param {string} type
+     * @returns {ValetudoRestrictedZone}
+     */
+    function zone(rect, type) {
+        const a = worldPointToMap(robot.state.map, {x: rect[0], y: rect[1]});
+        const b = worldPointToMap(robot.state.map, {x: rect[2], y: rect[3]});
+
+        return new ValetudoRestrictedZone({
+            points: {
+                pA: {x: Math.min(a.x, b.x), y: Math.min(a.y, b.y)},
+                pB: {x: Math.max(a.x, b.x), y: Math.min(a.y, b.y)},
+                pC: {x: Math.max(a.x, b.x), y: Math.max(a.y, b.y)},
+                pD: {x: Math.min(a.x, b.x), y: Math.max(a.y, b.y)}
+            },
+            type: type
+        });
+    }
+
+    /**
+     * @param {Array<ValetudoRestrictedZone>} zones
+     * @returns {Object<string, number>}
+     */
+    function countByType(zones) {
+        const counts = {};
+        for (const restrictedZone of zones) {
+            counts[restrictedZone.type] = (counts[restrictedZone.type] ?? 0) + 1;
+        }
+
+        return counts;
+    }
+
+    it("Should diff and apply carpet edits with a tolerance", function() {
+        const overlay = diffCarpetOverlay(FIRMWARE_CARPETS, [
+            [-1020, 30, -1960, 30, -1960, -1040, -1020, -1040],
+            [2000, 2000, 2400, 2000, 2200, 2400]
+        ], NO_OVERLAY);
+
+        overlay.should.deepEqual({
+            added: [[2000, 2000, 2400, 2000, 2200, 2400]],
+            removed: [FIRMWARE_CARPETS[1]]
+        });
+        applyCarpetOverlay(FIRMWARE_CARPETS, overlay).should.deepEqual([
+            FIRMWARE_CARPETS[0],
+            [2000, 2000, 2400, 2000, 2200, 2400]
+        ]);
+    });
+
+    it("Should tell the written carpets apart from the detected ones", function() {
+        const overlay = {
+            added: [[2000, 2000, 2400, 2000, 2200, 2400]],
+            removed: [FIRMWARE_CARPETS[1]]
+        };
+        // The grid as written: the removed carpet is gone and the added one is its bounding box
+        const grid = [FIRMWARE_CARPETS[0], [2000, 2400, 2400, 2400, 2400, 2000, 2000, 2000]];
+
+        applyCarpetOverlay(grid, overlay).should.deepEqual([
+            FIRMWARE_CARPETS[0],
+            [2000, 2000, 2400, 2000, 2200, 2400]
+        ]);
+        diffCarpetOverlay(grid, [FIRMWARE_CARPETS[0], [2000, 2000, 2400, 2000, 2200, 2400]], overlay).should.deepEqual(overlay);
+        diffCarpetOverlay(grid, [FIRMWARE_CARPETS[1]], overlay).should.deepEqual({
+            added: [FIRMWARE_CARPETS[1]],
+            removed: [FIRMWARE_CARPETS[0]]
+        });
+    });
+
+    it("Should write carpet edits to the firmware carpet grid", async function() {
+        const initial = await capability.getVirtualRestrictions();
+        countByType(initial.restrictedZones).should.deepEqual({carpet: 2});
+
+        await capability.setVirtualRestrictions(new ValetudoVirtualRestrictions({
+            virtualWalls: [],
+            restrictedZones: [
+                zone([-2000, -1000, -1000, 0], ValetudoRestrictedZone.TYPE.CARPET),
+                zone([2000, 2000, 2400, 2400], ValetudoRestrictedZone.TYPE.CARPET),
+                zone([-500, -500, 0, 0], ValetudoRestrictedZone.TYPE.MOP)
+            ]
+        }));
+
+        simulator.virtualT8.virtualWalls.map(wall => wall.type).should.deepEqual([1]);
+        isCarpetInGrid(-1500, -500).should.be.true();
+        isCarpetInGrid(1000, 1000).should.be.false();
+        isCarpetInGrid(2200, 2200).should.be.true();
+
+        const overlay = new EcovacsCarpetOverlayStore({filePath: path.join(testRobot.tmpDir, "carpets.json")}).getOverlay(robot.activeMapId);
+        overlay.added.should.have.length(1);
+        overlay.removed.should.deepEqual([FIRMWARE_CARPETS[1]]);
+
+        const restrictions = await capability.getVirtualRestrictions();
+        countByType(restrictions.restrictedZones).should.deepEqual({mop: 1, carpet: 2});
+    });
+
+    it("Should write the edits again after the firmware rewrote the grid", async function() {
+        await capability.setVirtualRestrictions(new ValetudoVirtualRestrictions({
+            virtualWalls: [],
+            restrictedZones: [
+                zone([-2000, -1000, -1000, 0], ValetudoRestrictedZone.TYPE.CARPET),
+                zone([2000, 2000, 2400, 2400], ValetudoRestrictedZone.TYPE.CARPET)
+            ]
+        }));
+
+        writeGrid(FIRMWARE_CARPETS);
+        robot.writeCarpetOverlay(robot.activeMapId);
+
+        isCarpetInGrid(1000, 1000).should.be.false();
+        isCarpetInGrid(2200, 2200).should.be.true();
+        countByType((await capability.getVirtualRestrictions()).restrictedZones).should.deepEqual({carpet: 2});
+    });
+
+    it("Should keep the outline of polygonal carpets", async function() {
+        const triangle = [[2000, 2000], [2400, 2000], [2200, 2400]].map(point => {
+            return worldPointToMap(robot.state.map, {x: point[0], y: point[1]});
+        });
+
+        await capability.setVirtualRestrictions(new ValetudoVirtualRestrictions({
+            virtualWalls: [],
+            restrictedZones: [ValetudoRestrictedZone.FROM_POLYGON(triangle, ValetudoRestrictedZone.TYPE.CARPET)]
+        }));
+
+        simulator.virtualT8.virtualWalls.should.have.length(0);
+        isCarpetInGrid(2200, 2100).should.be.true();
+        isCarpetInGrid(2020, 2380).should.be.false();
+        const carpets = (await capability.getVirtualRestrictions()).restrictedZones;
+        carpets.should.have.length(1);
+        carpets[0].polygon.should.deepEqual(triangle);
+    });
+});
@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const should = require("should");
+const zlib = require("zlib");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const EcovacsCleaningHistoryCapability = require("../../../../lib/robots/ecovacs/capabilities/EcovacsCleaningHistoryCapability");
+const EcovacsCleaningHistoryStore = require("../../../../lib/robots/ecovacs/EcovacsCleaningHistoryStore");
+const {WORK_TYPE} = require("../../../../lib/robots/ecovacs/EcovacsStateMapping");
+const {waitFor} = require("./EcovacsTestRobot");
+
+should.config.checkProtoEql = false;
+
+describe("EcovacsCleaningHistory", function () {
+    this.timeout(10000);
+
+    let testRobot;
+    let historyDir;
+    let simulator;
+    let robot;
+    let workManageService;
+    let capability;
+
+    beforeEach(async function() {
+        testRobot = await createEcovacsTestRobot();
+        historyDir = path.join(testRobot.tmpDir, "history");
+        simulator = testRobot.simulator;
+        robot = testRobot.robot;
+        workManageService = robot.workManageService;
+
+        capability = new EcovacsCleaningHistoryCapability({robot: robot});
+    });
+
+    afterEach(async function() {
+        await testRobot.stop();
+    });
+
+    it("Should record observed jobs with the worklog figures and the final map", async function() {
+        const virtualT8 = simulator.virtualT8;
+
+        (await workManageService.startRoomClean([1])).should.equal(0);
+        robot.trackCleaningJob(virtualT8.workState);
+        for (let i = 0; i < 10; i++) {
+            virtualT8.tick(1000);
+        }
+        (await workManageService.returnToDock()).should.equal(0);
+        robot.trackCleaningJob(virtualT8.workState);
+        for (let i = 0; i < 60 && virtualT8.chargeState.isOnCharger === 0; i++) {
+            virtualT8.tick(1000);
+        }
+        robot.trackCleaningJob(virtualT8.workState);
+        await waitFor(() => robot.cleaningHistoryStore.getRecords().length > 0);
+
+        const entries = await capability.getEntries();
+        entries.should.have.length(1);
+        entries[0].should.deepEqual({
+            __class: "ValetudoCleaningHistoryEntry",
+            id: String(virtualT8.lastSession.startTimeSecs),
+            timestamp: new Date(virtualT8.lastSession.startTimeSecs * 1000),
+            duration: Math.round(virtualT8.lastSession.worktime),
+            area: Math.round(virtualT8.lastSession.areaM2) * 10000,
+            mode: "vacuum",
+            jobType: "segment",
+            hasMap: true,
+            metaData: {source: "valetudo", worktype: WORK_TYPE.AREA_CLEAN, waterboxType: 0}
+        });
+        (await capability.getEntry(entries[0].id)).map.should.deepEqual(robot.state.map);
+    });
+
+    it("Should import the last firmware worklog entry once", async function() {
+        simulator.virtualT8.lastSession = {worktype: WORK_TYPE.AUTO_CLEAN, worktime: 1200, areaM2: 25, startTimeSecs: 1700000000};
+
+        await robot.importFirmwareCleaningLog();
+        await robot.importFirmwareCleaningLog();
+
+        const entries = await capability.getEntries();
+        entries.map(entry => [entry.id, entry.jobType, entry.duration, entry.hasMap, entry.metaData.source]).should.deepEqual([
+            ["1700000000", "full", 1200, false, "firmware"]
+        ]);
+        should((await capability.getEntry("1700000000")).map).be.undefined();
+        should(await capability.getEntry("1")).be.null();
+    });
+
+    it("Should take the start time of a job that was already running from the firmware", async function() {
+        const virtualT8 = simulator.virtualT8;
+
+        (await workManageService.startRoomClean([1])).should.equal(0);
+        virtualT8.session.startTimeSecs -= 3600;
+        await robot.statisticsService.startup();
+        virtualT8.tick(1000);
+        await waitFor(() => robot.statisticsService.getWorkStatistic(Infinity) !== null);
+        robot.trackCleaningJob(virtualT8.workState);
+
+        (await workManageService.returnToDock()).should.equal(0);
+        for (let i = 0; i < 60 && virtualT8.chargeState.isOnCharger === 0; i++) {
+            virtualT8.tick(1000);
+        }
+        robot.trackCleaningJob(virtualT8.workState);
+        await waitFor(() => robot.cleaningHistoryStore.getRecords().length > 0);
+
+        robot.cleaningHistoryStore.getRecords().map(record => [record.id, record.source]).should.deepEqual([
+            [String(virtualT8.lastSession.startTimeSecs), "valetudo"]
+        ]);
+    });
+
+    it("Should keep only the newest entries and drop their snapshots", function() {
+        const store = new EcovacsCleaningHistoryStore({directory: historyDir, maxEntries: 2, maxMapBytes: 1024 * 1024});
+        for (const startTimeSecs of [300, 100, 200]) {
+            store.addRecord({
+                startTimeSecs: startTimeSecs,
+                worktime: 60,
+                workareaM2: 1,
+                worktype: WORK_TYPE.AUTO_CLEAN,
+                waterboxType: 1,
+                source: "valetudo"
+            }, {layers: [], entities: []});
+        }
+
+        store.getRecords().map(record => record.id).should.deepEqual(["300", "200"]);
+        fs.readdirSync(historyDir).sort().should.deepEqual(["200.map.json.gz", "300.map.json.gz", "index.json"]);
+        store.getMap("300").should.deepEqual({layers: [], entities: []});
+        new EcovacsCleaningHistoryStore({directory: historyDir, maxEntries: 2, maxMapBytes: 1024 * 1024}).getRecords().should.deepEqual(store.getRecords());
+    });
+
+    it("Should drop the snapshots of the oldest entries once they exceed the budget", function() {
+        const map = {layers: [], entities: [], metaData: {noise: crypto.randomBytes(400).toString("hex")}};
+        const mapBytes = zlib.gzipSync(JSON.stringify(map)).length;
+        const store = new EcovacsCleaningHistoryStore({directory: historyDir, maxEntries: 10, maxMapBytes: mapBytes * 2});
+        for (const startTimeSecs of [100, 200, 300]) {
+            store.addRecord({
+                startTimeSecs: startTimeSecs,
+                worktime: 60,
+                workareaM2: 1,
+                worktype: WORK_TYPE.AUTO_CLEAN,
+                waterboxType: 1,
+                source: "valetudo"
+            }, map);
+        }
+
+        store.getRecords().map(record => [record.id, record.hasMap]).should.deepEqual([["300", true], ["200", true], ["100", false]]);
+        fs.readdirSync(historyDir).sort().should.deepEqual(["200.map.json.gz", "300.map.json.gz", "index.json"]);
+        should(store.getMap("100")).be.null();
+    });
+});
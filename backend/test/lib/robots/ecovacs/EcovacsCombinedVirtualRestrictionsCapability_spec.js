@@ -0,0 +1,190 @@
+const should = require("should");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const EcovacsCombinedVirtualRestrictionsCapability = require("../../../../lib/robots/ecovacs/capabilities/EcovacsCombinedVirtualRestrictionsCapability");
+const ValetudoRestrictedZone = require("../../../../lib/entities/core/ValetudoRestrictedZone");
+const ValetudoVirtualRestrictions = require("../../../../lib/entities/core/ValetudoVirtualRestrictions");
+const ValetudoVirtualWall = require("../../../../lib/entities/core/ValetudoVirtualWall");
+const {buildMap} = require("../../../../lib/robots/ecovacs/map/EcovacsMapBuilder");
+
+should.config.checkProtoEql = false;
+
+// Map cm coordinates of a 100x100 px map with 5 cm pixels, centered on the world origin
+const ROTATED_ZONE = [{x: 250, y: 150}, {x: 350, y: 250}, {x: 250, y: 350}, {x: 150, y: 250}];
+const L_SHAPED_ZONE = [{x: 100, y: 100}, {x: 200, y: 100}, {x: 200, y: 150}, {x: 150, y: 150}, {x: 150, y: 200}, {x: 100, y: 200}];
+
+describe("EcovacsCombinedVirtualRestrictionsCapability", function () {
+    this.timeout(10000);
+
+    let testRobot;
+    let simulator;
+    let robot;
+    let capability;
+
+    beforeEach(async function() {
+        testRobot = await createEcovacsTestRobot();
+        simulator = testRobot.simulator;
+        robot = testRobot.robot;
+        robot.activeMapId = await robot.mapService.getActiveMapId();
+        robot.state.map = build();
+        robot.pollMap = () => {};
+
+        capability = new EcovacsCombinedVirtualRestrictionsCapability({robot: robot});
+    });
+
+    afterEach(async function() {
+        await testRobot.stop();
+    });
+
+    /**
+     * @returns {import("../../../../lib/entities/map/ValetudoMap")}
+     */
+    function build() {
+        return buildMap([], undefined, null, {width: 100, height: 100, resolutionCm: 5, floorPixels: [], wallPixels: []}, simulator.virtualT8.virtualWalls, [], {
+            rotationDegrees: 0,
+            worldMmPerPixel: 50,
+            cachedRoomCleaningPreferences: {}
+        });
+    }
+
+    /**
+     * @param {number} x0
+     * @param {number} y0
+     * @param {number} x1
+     * @param {number} y1
+     * @returns {ValetudoRestrictedZone}
+     */
+    function rect(x0, y0, x1, y1) {
+        return new ValetudoRestrictedZone({
+            points: {
+                pA: {x: x0, y: y0},
+                pB: {x: x1, y: y0},
+                pC: {x: x1, y: y1},
+                pD: {x: x0, y: y1}
+            },
+            type: ValetudoRestrictedZone.TYPE.REGULAR
+        });
+    }
+
+    /**
+     * @param {Array<ValetudoRestrictedZone>} zones
+     * @returns {ValetudoVirtualRestrictions}
+     */
+    function restrictions(zones) {
+        return new ValetudoVirtualRestrictions({
+            virtualWalls: [new ValetudoVirtualWall({points: {pA: {x: 100, y: 300}, pB: {x: 200, y: 300}}})],
+            restrictedZones: zones
+        });
+    }
+
+    /**
+     * @returns {Object<string, number>} dots -> vwid
+     */
+    function wallIds() {
+        return Object.fromEntries(simulator.virtualT8.virtualWalls.map(wall => [JSON.stringify(wall.dots), wall.vwid]));
+    }
+
+    it("Should only add and delete the walls that changed", async function() {
+        await capability.setVirtualRestrictions(restrictions([rect(100, 100, 150, 150), rect(200, 100, 250, 150)]));
+        const before = wallIds();
+        Object.values(before).should.deepEqual([1, 2, 3]);
+
+        await capability.setVirtualRestrictions(restrictions([rect(100, 100, 150, 150), rect(300, 100, 350, 150)]));
+        const after = wallIds();
+
+        Object.keys(after).should.have.length(3);
+        for (const [dots, vwid] of Object.entries(after)) {
+            if (before[dots] !== undefined) {
+                vwid.should.equal(before[dots]);
+            } else {
+                vwid.should.equal(4);
+            }
+        }
+        Object.values(after).should.not.containEql(3);
+    });
+
+    it("Should roll back to the previous walls if a call fails halfway", async function() {
+        await capability.setVirtualRestrictions(restrictions([rect(100, 100, 150, 150), rect(200, 100, 250, 150)]));
+        const before = simulator.virtualT8.virtualWalls.map(wall => [wall.vwid, wall.type, wall.dots]).sort();
+
+        const deleteVirtualWall = robot.virtualWallService.deleteVirtualWall.bind(robot.virtualWallService);
+        let deletes = 0;
+        robot.virtualWallService.deleteVirtualWall = async (mapId, vwid) => {
+            if (++deletes === 2) {
+                throw new Error("Timeout");
+            }
+
+            return deleteVirtualWall(mapId, vwid);
+        };
+
+        await capability.setVirtualRestrictions(restrictions([rect(300, 100, 350, 150)])).should.be.rejectedWith(
+            "Saving virtual restrictions failed and was rolled back: Timeout"
+        );
+
+        simulator.virtualT8.virtualWalls.map(wall => [wall.vwid, wall.type, wall.dots]).sort().should.deepEqual(before);
+    });
+
+    it("Should write polygonal zones with their outline and read them back unchanged", async function() {
+        capability.getProperties().supportsPolygonalRestrictedZones.should.equal(true);
+
+        await capability.setVirtualRestrictions(new ValetudoVirtualRestrictions({
+            virtualWalls: [],
+            restrictedZones: [
+                ValetudoRestrictedZone.FROM_POLYGON(ROTATED_ZONE, ValetudoRestrictedZone.TYPE.REGULAR),
+                ValetudoRestrictedZone.FROM_POLYGON(L_SHAPED_ZONE, ValetudoRestrictedZone.TYPE.MOP)
+            ]
+        }));
+
+        simulator.virtualT8.virtualWalls.map(wall => [wall.type, wall.dots]).should.deepEqual([
+            [0, [[0, 1000], [1000, 0], [0, -1000], [-1000, 0]]],
+            [1, [[-1500, 1500], [-500, 1500], [-500, 1000], [-1000, 1000], [-1000, 500], [-1500, 500]]]
+        ]);
+
+        const restrictions = await capability.getVirtualRestrictions();
+        restrictions.restrictedZones.map(zone => [zone.type, zone.polygon]).should.deepEqual([
+            [ValetudoRestrictedZone.TYPE.REGULAR, ROTATED_ZONE],
+            [ValetudoRestrictedZone.TYPE.MOP, L_SHAPED_ZONE]
+        ]);
+        restrictions.restrictedZones[0].points.should.deepEqual({
+            pA: {x: 150, y: 150},
+            pB: {x: 350, y: 150},
+            pC: {x: 350, y: 350},
+            pD: {x: 150, y: 350}
+        });
+
+        build().entities.filter(entity => entity.type === "no_go_area" || entity.type === "no_mop_area").map(entity => entity.points).should.deepEqual([
+            ROTATED_ZONE.flatMap(point => [point.x, point.y]),
+            L_SHAPED_ZONE.flatMap(point => [point.x, point.y])
+        ]);
+    });
+
+    it("Should keep writing axis-aligned zones as rectangles", async function() {
+        await capability.setVirtualRestrictions(new ValetudoVirtualRestrictions({
+            virtualWalls: [],
+            restrictedZones: [
+                new ValetudoRestrictedZone({
+                    points: {
+                        pA: {x: 100, y: 100},
+                        pB: {x: 200, y: 100},
+                        pC: {x: 200, y: 200},
+                        pD: {x: 100, y: 200}
+                    },
+                    type: ValetudoRestrictedZone.TYPE.REGULAR
+                })
+            ]
+        }));
+
+        simulator.virtualT8.virtualWalls.map(wall => wall.dots).should.deepEqual([
+            [[-1500, 500], [-1500, 1500], [-500, 1500], [-500, 500]]
+        ]);
+
+        const restrictions = await capability.getVirtualRestrictions();
+        should(restrictions.restrictedZones[0].polygon).be.undefined();
+        restrictions.restrictedZones[0].points.should.deepEqual({
+            pA: {x: 100, y: 100},
+            pB: {x: 200, y: 100},
+            pC: {x: 200, y: 200},
+            pD: {x: 100, y: 200}
+        });
+    });
+});
@@ -0,0 +1,103 @@
+const should = require("should");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const EcovacsConnectionHealthMonitor = require("../../../../lib/robots/ecovacs/EcovacsConnectionHealthMonitor");
+const EcovacsRosSimulator = require("./sim/EcovacsRosSimulator");
+const entities = require("../../../../lib/entities");
+const RosMasterXmlRpcClient = require("../../../../lib/robots/ecovacs/ros/core/RosMasterXmlRpcClient");
+const {determineConnectionHealth} = require("../../../../lib/robots/ecovacs/EcovacsConnectionHealthMonitor");
+
+should.config.checkProtoEql = false;
+
+const FirmwareConnectionStateAttribute = entities.state.attributes.FirmwareConnectionStateAttribute;
+
+describe("EcovacsConnectionHealth", function () {
+    this.timeout(10000);
+
+    let testRobot;
+
+    afterEach(async function() {
+        await testRobot?.stop();
+        testRobot = undefined;
+    });
+
+    it("Should aggregate the diagnostics of the endpoints in use", function() {
+        const service = (name, lastCallAt, lastErrorAt) => {
+            return {kind: "service", name: name, callCount: 1, lastCallAt: lastCallAt, lastErrorAt: lastErrorAt};
+        };
+        const topic = (name, connected, lastErrorAt) => {
+            return {kind: "topic", name: name, running: true, connected: connected, lastErrorAt: lastErrorAt};
+        };
+
+        determineConnectionHealth(null, [
+            service("/map/ManipulateTrace", 200, 100),
+            topic("/power/Battery", true, 50),
+            topic("/only/while/cleaning", false, 0)
+        ], 0).should.deepEqual({value: "connected", masterError: null, failing: []});
+
+        determineConnectionHealth(null, [
+            service("/map/ManipulateTrace", 200, 210),
+            service("/task/WorkManage", 10, 20),
+            topic("/power/Battery", true, 0)
+        ], 100).should.deepEqual({value: "degraded", masterError: null, failing: ["/map/ManipulateTrace"]});
+
+        determineConnectionHealth(null, [
+            service("/map/ManipulateTrace", 200, 210),
+            topic("/power/Battery", false, 220)
+        ], 100).value.should.equal("unreachable");
+        determineConnectionHealth("connect ECONNREFUSED", [], 0).value.should.equal("unreachable");
+    });
+
+    it("Should report the firmware unreachable once the ROS master is gone", async function() {
+        const simulator = new EcovacsRosSimulator({port: 0, tickIntervalMs: 0});
+        await simulator.start();
+        const monitor = new EcovacsConnectionHealthMonitor({
+            masterClient: new RosMasterXmlRpcClient({masterUri: simulator.getMasterUri(), timeoutMs: 1000}),
+            callerId: "/valetudo_test",
+            getDiagnostics: () => []
+        });
+
+        try {
+            (await monitor.check()).value.should.equal("connected");
+        } finally {
+            await simulator.stop();
+        }
+
+        const health = await monitor.check();
+        health.value.should.equal("unreachable");
+        should(health.masterError).not.be.null();
+    });
+
+    it("Should publish the state and raise an event for outages", async function() {
+        let health;
+
+        testRobot = await createEcovacsTestRobot({firmwareOutageEventDelayMs: 0});
+        const robot = testRobot.robot;
+        robot.connectionHealthMonitor.check = async () => {
+            return health;
+        };
+        const connectionState = () => {
+            return robot.state.getFirstMatchingAttributeByConstructor(FirmwareConnectionStateAttribute).value;
+        };
+
+        health = {value: "connected", masterError: null, failing: []};
+        await robot.refreshConnectionHealth();
+        connectionState().should.equal("connected");
+        robot.valetudoEventStore.getAll().should.have.length(0);
+
+        health = {value: "unreachable", masterError: "connect ECONNREFUSED 127.0.0.1:11311", failing: []};
+        await robot.refreshConnectionHealth();
+        await robot.refreshConnectionHealth();
+        connectionState().should.equal("unreachable");
+
+        health = {value: "connected", masterError: null, failing: []};
+        await robot.refreshConnectionHealth();
+        connectionState().should.equal("connected");
+
+        robot.valetudoEventStore.getAll().map(event => {
+            return [event.__class, event.message, event.processed];
+        }).should.deepEqual([
+            ["ErrorStateValetudoEvent", "Robot firmware unreachable for 0s (connect ECONNREFUSED 127.0.0.1:11311)", true]
+        ]);
+    });
+});
@@ -0,0 +1,85 @@
+const should = require("should");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const EcovacsDoNotDisturbCapability = require("../../../../lib/robots/ecovacs/capabilities/EcovacsDoNotDisturbCapability");
+const ValetudoDNDConfiguration = require("../../../../lib/entities/core/ValetudoDNDConfiguration");
+
+should.config.checkProtoEql = false;
+
+describe("EcovacsDoNotDisturbCapability", function () {
+    this.timeout(10000);
+
+    const getTimezoneOffset = Date.prototype.getTimezoneOffset;
+
+    let testRobot;
+    let simulator;
+    let capability;
+
+    beforeEach(async function() {
+        testRobot = await createEcovacsTestRobot({doNotDisturbEnabled: true});
+        simulator = testRobot.simulator;
+
+        capability = new EcovacsDoNotDisturbCapability({robot: testRobot.robot});
+    });
+
+    afterEach(async function() {
+        Date.prototype.getTimezoneOffset = getTimezoneOffset;
+        await testRobot.stop();
+    });
+
+    /**
+     * @param {number} offset minutes, as returned by Date.prototype.getTimezoneOffset
+     */
+    function setTimezoneOffset(offset) {
+        Date.prototype.getTimezoneOffset = () => {
+            return offset;
+        };
+    }
+
+    it("Should only be registered with doNotDisturbEnabled", async function() {
+        testRobot.robot.hasCapability(EcovacsDoNotDisturbCapability.TYPE).should.be.true();
+
+        const disabled = await createEcovacsTestRobot();
+        try {
+            disabled.robot.hasCapability(EcovacsDoNotDisturbCapability.TYPE).should.be.false();
+        } finally {
+            await disabled.stop();
+        }
+    });
+
+    it("Should report the firmware window in the robot's local time as UTC", async function() {
+        setTimezoneOffset(-120);
+        simulator.virtualT8.settings.blockTime = {isOn: 1, startHour: 22, startMinute: 0, endHour: 1, endMinute: 30};
+
+        (await capability.getDndConfiguration()).should.deepEqual(new ValetudoDNDConfiguration({
+            enabled: true,
+            start: {hour: 20, minute: 0},
+            end: {hour: 23, minute: 30}
+        }));
+    });
+
+    it("Should write the window in the robot's local time and wrap around midnight", async function() {
+        setTimezoneOffset(300);
+
+        await capability.setDndConfiguration(new ValetudoDNDConfiguration({
+            enabled: true,
+            start: {hour: 2, minute: 15},
+            end: {hour: 13, minute: 0}
+        }));
+
+        simulator.virtualT8.settings.blockTime.should.deepEqual({isOn: 1, startHour: 21, startMinute: 15, endHour: 8, endMinute: 0});
+    });
+
+    it("Should read back what it wrote", async function() {
+        setTimezoneOffset(-330);
+        const dndConfig = new ValetudoDNDConfiguration({
+            enabled: false,
+            start: {hour: 21, minute: 45},
+            end: {hour: 6, minute: 10}
+        });
+
+        await capability.setDndConfiguration(dndConfig);
+
+        (await capability.getDndConfiguration()).should.deepEqual(dndConfig);
+    });
+});
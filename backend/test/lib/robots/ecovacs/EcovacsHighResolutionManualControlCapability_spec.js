@@ -0,0 +1,101 @@
+const should = require("should");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const EcovacsHighResolutionManualControlCapability = require("../../../../lib/robots/ecovacs/capabilities/EcovacsHighResolutionManualControlCapability");
+const EcovacsManualControlCapability = require("../../../../lib/robots/ecovacs/capabilities/EcovacsManualControlCapability");
+const ValetudoManualMovementVector = require("../../../../lib/entities/core/ValetudoManualMovementVector");
+const {REMOTE_MOVE_MVA_CUSTOM, REMOTE_MOVE_STOP, REMOTE_TURN_W} = require("../../../../lib/robots/ecovacs/EcovacsStateMapping");
+
+should.config.checkProtoEql = false;
+
+describe("EcovacsHighResolutionManualControlCapability", function () {
+    this.timeout(10000);
+
+    let testRobot;
+    let capability;
+    let moves;
+
+    beforeEach(async function() {
+        moves = [];
+
+        testRobot = await createEcovacsTestRobot({manualControlSessionCode: "1234"});
+        const robot = testRobot.robot;
+        robot.remoteSessionService.open = async () => {};
+        robot.remoteSessionService.close = async () => {};
+        robot.workManageService.remoteMove = async (moveType, w = 0, v = 0) => {
+            moves.push([moveType, w, v]);
+
+            return 0;
+        };
+
+        capability = new EcovacsHighResolutionManualControlCapability({robot: robot});
+        await capability.enableManualControl();
+    });
+
+    afterEach(async function() {
+        await capability.disableManualControl();
+        await testRobot.stop();
+    });
+
+    it("Should map the vector to velocity and angular rate", async function() {
+        await capability.manualControl(new ValetudoManualMovementVector({velocity: 0.5, angle: 45}));
+        await capability.manualControl(new ValetudoManualMovementVector({velocity: -1, angle: -180}));
+        await capability.manualControl(new ValetudoManualMovementVector({velocity: 0, angle: 0}));
+
+        moves.should.deepEqual([
+            [REMOTE_MOVE_MVA_CUSTOM, Math.round(REMOTE_TURN_W / 2), 125],
+            [REMOTE_MOVE_MVA_CUSTOM, -REMOTE_TURN_W, -250],
+            [REMOTE_MOVE_STOP, 0, 0]
+        ]);
+    });
+
+    it("Should scale the velocity to the configured top speed", async function() {
+        testRobot.robot.manualControlMaxVelocityMmS = 400;
+
+        await capability.manualControl(new ValetudoManualMovementVector({velocity: 0.5, angle: 0}));
+
+        moves.should.deepEqual([[REMOTE_MOVE_MVA_CUSTOM, 0, 200]]);
+    });
+
+    it("Should share the session with the regular manual control", async function() {
+        const manualControlCapability = new EcovacsManualControlCapability({robot: testRobot.robot});
+        (await manualControlCapability.manualControlActive()).should.equal(true);
+
+        await manualControlCapability.disableManualControl();
+
+        (await capability.manualControlActive()).should.equal(false);
+    });
+
+    it("Should stop the robot once vectors stop arriving", async function() {
+        this.timeout(5000);
+
+        await capability.manualControl(new ValetudoManualMovementVector({velocity: 1, angle: 0}));
+        await new Promise(resolve => setTimeout(resolve, 400));
+        await capability.manualControl(new ValetudoManualMovementVector({velocity: 1, angle: 0}));
+        await new Promise(resolve => setTimeout(resolve, 400));
+
+        moves.map(move => move[0]).should.deepEqual([REMOTE_MOVE_MVA_CUSTOM, REMOTE_MOVE_MVA_CUSTOM]);
+
+        await new Promise(resolve => setTimeout(resolve, 500));
+
+        moves.map(move => move[0]).should.deepEqual([REMOTE_MOVE_MVA_CUSTOM, REMOTE_MOVE_MVA_CUSTOM, REMOTE_MOVE_STOP]);
+    });
+
+    it("Should keep one dead-man timer when calls overlap", async function() {
+        await Promise.all([
+            capability.manualControl(new ValetudoManualMovementVector({velocity: 1, angle: 0})),
+            capability.manualControl(new ValetudoManualMovementVector({velocity: 1, angle: 0}))
+        ]);
+        await new Promise(resolve => setTimeout(resolve, 900));
+
+        moves.map(move => move[0]).should.deepEqual([REMOTE_MOVE_MVA_CUSTOM, REMOTE_MOVE_MVA_CUSTOM, REMOTE_MOVE_STOP]);
+    });
+
+    it("Should reject vectors while manual control is disabled", async function() {
+        await capability.disableManualControl();
+
+        await capability.manualControl(new ValetudoManualMovementVector({velocity: 1, angle: 0})).should.be.rejectedWith(
+            "Manual control mode is not active."
+        );
+    });
+});
@@ -0,0 +1,116 @@
+const fs = require("fs");
+const path = require("path");
+const should = require("should");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const EcovacsMapSegmentMaterialControlCapability = require("../../../../lib/robots/ecovacs/capabilities/EcovacsMapSegmentMaterialControlCapability");
+const EcovacsSegmentMaterialStore = require("../../../../lib/robots/ecovacs/EcovacsSegmentMaterialStore");
+const ValetudoMapSegment = require("../../../../lib/entities/core/ValetudoMapSegment");
+const {buildMap, classifySegmentMaterial} = require("../../../../lib/robots/ecovacs/map/EcovacsMapBuilder");
+
+should.config.checkProtoEql = false;
+
+const MAP_ID = 7;
+const ROOMS = [
+    {index: 0, label_name: "Living room", polygon: [[-2000, -1000], [0, -1000], [0, 1000], [-2000, 1000]]},
+    {index: 1, label_name: "Kitchen", polygon: [[0, -1000], [2000, -1000], [2000, 1000], [0, 1000]]}
+];
+// 70% of the living room and 20% of the kitchen
+const CARPETS = [
+    [-2000, -1000, -600, -1000, -600, 1000, -2000, 1000],
+    [0, -1000, 400, -1000, 400, 1000, 0, 1000]
+];
+
+describe("EcovacsMapSegmentMaterialControlCapability", function () {
+    this.timeout(10000);
+
+    let testRobot;
+    let robot;
+    let capability;
+    let mapPolls;
+
+    beforeEach(async function() {
+        mapPolls = 0;
+
+        testRobot = await createEcovacsTestRobot();
+        robot = testRobot.robot;
+        robot.activeMapId = MAP_ID;
+        robot.state.map = build();
+        robot.pollMap = () => {
+            mapPolls++;
+            robot.state.map = build();
+        };
+
+        capability = new EcovacsMapSegmentMaterialControlCapability({robot: robot});
+    });
+
+    afterEach(async function() {
+        await testRobot.stop();
+    });
+
+    /**
+     * @returns {import("../../../../lib/entities/map/ValetudoMap")}
+     */
+    function build() {
+        return buildMap(ROOMS, undefined, null, {width: 100, height: 100, resolutionCm: 5, floorPixels: [], wallPixels: []}, [], CARPETS, {
+            rotationDegrees: 0,
+            worldMmPerPixel: 50,
+            cachedRoomCleaningPreferences: {},
+            segmentMaterials: robot.segmentMaterialStore.getMaterials(MAP_ID)
+        });
+    }
+
+    /**
+     * @returns {Object<string, string>}
+     */
+    function materials() {
+        return Object.fromEntries(robot.state.map.getSegments().map(segment => {
+            return [segment.name, segment.material];
+        }));
+    }
+
+    it("Should classify rooms by their carpet coverage", function() {
+        classifySegmentMaterial(ROOMS[0].polygon, CARPETS).should.equal("carpet");
+        classifySegmentMaterial(ROOMS[1].polygon, CARPETS).should.equal("generic");
+        classifySegmentMaterial(ROOMS[0].polygon, []).should.equal("generic");
+        // An L-shaped runner along two walls spans the whole kitchen but only covers 36% of it
+        classifySegmentMaterial(ROOMS[1].polygon, [
+            [0, -1000, 2000, -1000, 2000, -600, 400, -600, 400, 1000, 0, 1000]
+        ]).should.equal("generic");
+
+        materials().should.deepEqual({"Living room": "carpet", "Kitchen": "generic"});
+    });
+
+    it("Should persist material overrides and prefer them over the carpet map", async function() {
+        await capability.setMaterial(new ValetudoMapSegment({id: "0"}), "wood");
+        await capability.setMaterial(new ValetudoMapSegment({id: "1"}), "tile");
+
+        mapPolls.should.equal(2);
+        materials().should.deepEqual({"Living room": "wood", "Kitchen": "tile"});
+
+        robot.segmentMaterialStore = new EcovacsSegmentMaterialStore({filePath: path.join(testRobot.tmpDir, "materials.json")});
+        robot.segmentMaterialStore.getMaterials(MAP_ID).should.deepEqual({"0": "wood", "1": "tile"});
+        robot.segmentMaterialStore.getMaterials(MAP_ID + 1).should.deepEqual({});
+    });
+
+    it("Should drop the override when generic is set", async function() {
+        await capability.setMaterial(new ValetudoMapSegment({id: "0"}), "wood");
+        await capability.setMaterial(new ValetudoMapSegment({id: "1"}), "tile");
+        await capability.setMaterial(new ValetudoMapSegment({id: "0"}), "generic");
+
+        materials().should.deepEqual({"Living room": "carpet", "Kitchen": "tile"});
+
+        await capability.setMaterial(new ValetudoMapSegment({id: "1"}), "generic");
+
+        materials().should.deepEqual({"Living room": "carpet", "Kitchen": "generic"});
+        JSON.parse(fs.readFileSync(path.join(testRobot.tmpDir, "materials.json"), "utf8")).should.deepEqual({});
+    });
+
+    it("Should reject unknown segments and materials", async function() {
+        await capability.setMaterial(new ValetudoMapSegment({id: "5"}), "wood").should.be.rejectedWith("Unknown segment: 5");
+        await capability.setMaterial(new ValetudoMapSegment({id: "0"}), "marble").should.be.rejectedWith("Unsupported material: marble");
+
+        mapPolls.should.equal(0);
+        fs.existsSync(path.join(testRobot.tmpDir, "materials.json")).should.equal(false);
+    });
+});
@@ -0,0 +1,109 @@
+const should = require("should");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const EcovacsMapSegmentationCapability = require("../../../../lib/robots/ecovacs/capabilities/EcovacsMapSegmentationCapability");
+const ValetudoMapSegment = require("../../../../lib/entities/core/ValetudoMapSegment");
+const {waitFor} = require("./EcovacsTestRobot");
+
+should.config.checkProtoEql = false;
+
+describe("EcovacsMapSegmentationCapability", function () {
+    this.timeout(10000);
+
+    let testRobot;
+    let simulator;
+    let robot;
+    let capability;
+
+    beforeEach(async function() {
+        testRobot = await createEcovacsTestRobot();
+        simulator = testRobot.simulator;
+        robot = testRobot.robot;
+        robot.activeMapId = await robot.mapService.getActiveMapId();
+
+        capability = new EcovacsMapSegmentationCapability({robot: robot});
+    });
+
+    afterEach(async function() {
+        await testRobot.stop();
+    });
+
+    /**
+     * @param {Array<string>} ids
+     * @returns {Array<ValetudoMapSegment>}
+     */
+    function segments(ids) {
+        return ids.map(id => new ValetudoMapSegment({id: id}));
+    }
+
+    it("Should clean segments with the requested iterations and order and restore the settings after the job", async function() {
+        const virtualT8 = simulator.virtualT8;
+
+        await capability.executeSegmentAction(segments(["2", "0"]), {iterations: 2, customOrder: true});
+        robot.trackCleaningJob(virtualT8.workState);
+
+        virtualT8.session.passes.should.equal(2);
+        virtualT8.session.roomIds.should.deepEqual([2, 0]);
+        virtualT8.settings.cleaningTimes.should.equal(2);
+
+        (await robot.workManageService.returnToDock()).should.equal(0);
+        for (let i = 0; i < 60 && virtualT8.chargeState.isOnCharger === 0; i++) {
+            virtualT8.tick(1000);
+        }
+        robot.trackCleaningJob(virtualT8.workState);
+        await waitFor(() => virtualT8.settings.cleaningTimes === 1);
+
+        virtualT8.settings.cleaningTimes.should.equal(1);
+        virtualT8.rooms.map(room => room.sequence).should.deepEqual([1, 2, 3]);
+    });
+
+    it("Should restore the settings after a restart once no job runs", async function() {
+        const virtualT8 = simulator.virtualT8;
+
+        await capability.executeSegmentAction(segments(["2", "0"]), {iterations: 2, customOrder: true});
+        robot.trackCleaningJob(virtualT8.workState);
+        robot = await testRobot.restartRobot();
+
+        robot.trackCleaningJob(virtualT8.workState);
+        virtualT8.settings.cleaningTimes.should.equal(2);
+
+        (await robot.workManageService.returnToDock()).should.equal(0);
+        for (let i = 0; i < 60 && virtualT8.chargeState.isOnCharger === 0; i++) {
+            virtualT8.tick(1000);
+        }
+        robot = await testRobot.restartRobot();
+        robot.trackCleaningJob(virtualT8.workState);
+        await waitFor(() => virtualT8.settings.cleaningTimes === 1);
+
+        virtualT8.settings.cleaningTimes.should.equal(1);
+        virtualT8.rooms.map(room => room.sequence).should.deepEqual([1, 2, 3]);
+    });
+
+    it("Should restore the settings right away if the job doesn't start", async function() {
+        robot.workManageService.startRoomClean = async () => {
+            throw new Error("WorkManage failed");
+        };
+
+        await capability.executeSegmentAction(segments(["2", "0"]), {iterations: 2, customOrder: true}).should.be.rejectedWith(
+            "WorkManage failed"
+        );
+
+        simulator.virtualT8.settings.cleaningTimes.should.equal(1);
+        simulator.virtualT8.rooms.map(room => room.sequence).should.deepEqual([1, 2, 3]);
+    });
+
+    it("Should leave the firmware settings alone without overrides", async function() {
+        await capability.executeSegmentAction(segments(["2", "0"]), {});
+
+        simulator.virtualT8.session.passes.should.equal(1);
+        simulator.virtualT8.session.roomIds.should.deepEqual([0, 2]);
+    });
+
+    it("Should reject unsupported iteration counts", async function() {
+        await capability.executeSegmentAction(segments(["1"]), {iterations: 3}).should.be.rejectedWith(
+            "Ecovacs supports 1 or 2 cleaning iterations, got 3"
+        );
+
+        should(simulator.virtualT8.session).be.null();
+    });
+});
@@ -0,0 +1,56 @@
+const should = require("should");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const EcovacsMapSnapshotCapability = require("../../../../lib/robots/ecovacs/capabilities/EcovacsMapSnapshotCapability");
+const ValetudoMapSnapshot = require("../../../../lib/entities/core/ValetudoMapSnapshot");
+
+should.config.checkProtoEql = false;
+
+describe("EcovacsMapSnapshotCapability", function () {
+    this.timeout(10000);
+
+    let testRobot;
+    let simulator;
+    let robot;
+    let capability;
+    let firstMapId;
+    let secondMapId;
+
+    beforeEach(async function() {
+        testRobot = await createEcovacsTestRobot();
+        simulator = testRobot.simulator;
+        robot = testRobot.robot;
+        robot.pollMap = () => {};
+
+        firstMapId = await robot.mapService.getActiveMapId();
+        secondMapId = simulator.virtualT8.createMap("Upstairs", []);
+        robot.activeMapId = secondMapId;
+        robot.cachedRoomCleaningPreferences = {1: {}};
+
+        capability = new EcovacsMapSnapshotCapability({robot: robot});
+    });
+
+    afterEach(async function() {
+        await testRobot.stop();
+    });
+
+    it("Should delete a stored map and keep the state of the active one", async function() {
+        await capability.deleteSnapshot(new ValetudoMapSnapshot({id: String(firstMapId)}));
+
+        (await capability.getSnapshots()).map(snapshot => snapshot.id).should.deepEqual([String(secondMapId)]);
+        robot.activeMapId.should.equal(secondMapId);
+        robot.cachedRoomCleaningPreferences.should.have.property("1");
+    });
+
+    it("Should reset the map state like a map reset when deleting the active map", async function() {
+        await capability.deleteSnapshot(new ValetudoMapSnapshot({id: String(secondMapId)}));
+
+        (await capability.getSnapshots()).map(snapshot => snapshot.id).should.deepEqual([String(firstMapId)]);
+        should(robot.activeMapId).be.null();
+        robot.cachedRoomCleaningPreferences.should.deepEqual({});
+    });
+
+    it("Should reject unknown maps", async function() {
+        await capability.deleteSnapshot(new ValetudoMapSnapshot({id: "42"})).should.be.rejectedWith("Map 42 does not exist on the robot");
+    });
+});
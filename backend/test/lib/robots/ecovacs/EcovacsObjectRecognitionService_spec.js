@@ -0,0 +1,44 @@
+const should = require("should");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const ObstacleImagesCapability = require("../../../../lib/core/capabilities/ObstacleImagesCapability");
+const {waitFor} = require("./EcovacsTestRobot");
+
+should.config.checkProtoEql = false;
+
+describe("EcovacsObjectRecognitionService", function () {
+    this.timeout(10000);
+
+    let testRobot;
+
+    afterEach(async function() {
+        await testRobot?.stop();
+        testRobot = undefined;
+    });
+
+    it("Should stay off unless enabled in the config", async function() {
+        testRobot = await createEcovacsTestRobot();
+
+        should(testRobot.robot.objectRecognitionService).be.null();
+        testRobot.robot.hasCapability(ObstacleImagesCapability.TYPE).should.equal(false);
+    });
+
+    it("Should keep the latest recognized objects", async function() {
+        testRobot = await createEcovacsTestRobot({objectRecognitionEnabled: true, obstacleMaxEntities: 2});
+        const service = testRobot.robot.objectRecognitionService;
+        testRobot.robot.hasCapability(ObstacleImagesCapability.TYPE).should.equal(true);
+
+        await service.startup();
+        testRobot.simulator.virtualT8.addDetectedObject({objectType: 1, confidence: 90, x: 100, y: 200});
+        testRobot.simulator.virtualT8.addDetectedObject({objectType: 3, confidence: 80, x: 300, y: 400});
+        testRobot.simulator.virtualT8.addDetectedObject({objectType: 42, confidence: 70, x: 500, y: 600});
+        await waitFor(() => {
+            return service.getObjects().some(object => object.objectId === 3);
+        });
+
+        service.getObjects().map(object => [object.objectId, object.label, object.x, object.y]).should.deepEqual([
+            [2, "Shoe", 300, 400],
+            [3, "Unknown ID 42", 500, 600]
+        ]);
+    });
+});
@@ -0,0 +1,95 @@
+const should = require("should");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const EcovacsOperationModeControlCapability = require("../../../../lib/robots/ecovacs/capabilities/EcovacsOperationModeControlCapability");
+const entities = require("../../../../lib/entities");
+
+should.config.checkProtoEql = false;
+
+const stateAttrs = entities.state.attributes;
+
+describe("EcovacsOperationModeControlCapability", function () {
+    this.timeout(10000);
+
+    let testRobot;
+    let simulator;
+    let robot;
+    let capability;
+
+    beforeEach(async function() {
+        testRobot = await createEcovacsTestRobot();
+        simulator = testRobot.simulator;
+        robot = testRobot.robot;
+
+        capability = new EcovacsOperationModeControlCapability({robot: robot});
+    });
+
+    afterEach(async function() {
+        await testRobot.stop();
+    });
+
+    /**
+     * @param {boolean|null} attached null if unknown
+     */
+    function setWatertank(attached) {
+        if (attached === null) {
+            robot.state.removeMatchingAttributes({
+                attributeClass: stateAttrs.AttachmentStateAttribute.name,
+                attributeType: stateAttrs.AttachmentStateAttribute.TYPE.WATERTANK
+            });
+        } else {
+            robot.state.upsertFirstMatchingAttribute(new stateAttrs.AttachmentStateAttribute({
+                type: stateAttrs.AttachmentStateAttribute.TYPE.WATERTANK,
+                attached: attached
+            }));
+        }
+    }
+
+    /**
+     * @returns {string}
+     */
+    function operationMode() {
+        return robot.state.getFirstMatchingAttribute({
+            attributeClass: stateAttrs.PresetSelectionStateAttribute.name,
+            attributeType: stateAttrs.PresetSelectionStateAttribute.TYPE.OPERATION_MODE
+        })?.value;
+    }
+
+    it("Should switch the firmware mop mode and report it while the water tank is mounted", async function() {
+        setWatertank(true);
+
+        await capability.selectPreset("mop");
+        simulator.virtualT8.settings.mopMode.should.equal(1);
+        operationMode().should.equal("mop");
+
+        await capability.selectPreset("vacuum_and_mop");
+        simulator.virtualT8.settings.mopMode.should.equal(0);
+        (await robot.settingService.getMopMode()).should.equal(0);
+        operationMode().should.equal("vacuum_and_mop");
+    });
+
+    it("Should report vacuum without the water tank and not offer it as preset", async function() {
+        setWatertank(false);
+        await capability.selectPreset("mop");
+        operationMode().should.equal("vacuum");
+        simulator.virtualT8.settings.mopMode.should.equal(1);
+
+        capability.getPresets().should.deepEqual(["mop", "vacuum_and_mop"]);
+        await capability.selectPreset("vacuum").should.be.rejectedWith("Invalid preset");
+    });
+
+    it("Should report the stored mop mode once the water tank is mounted", async function() {
+        setWatertank(false);
+        await capability.selectPreset("mop");
+
+        setWatertank(true);
+        await robot.refreshCleaningSettingsState();
+        operationMode().should.equal("mop");
+    });
+
+    it("Should report the stored mop mode while the water tank state is unknown", async function() {
+        setWatertank(null);
+        await capability.selectPreset("mop");
+        operationMode().should.equal("mop");
+    });
+});
@@ -0,0 +1,122 @@
+const should = require("should");
+
+const EcovacsRosIntrospectionService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsRosIntrospectionService");
+const EcovacsRosSimulator = require("./sim/EcovacsRosSimulator");
+const EcovacsWorkManageService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsWorkManageService");
+const FakeServiceServer = require("./sim/FakeServiceServer");
+const RosMasterXmlRpcClient = require("../../../../lib/robots/ecovacs/ros/core/RosMasterXmlRpcClient");
+const {summarizeRosCompatibility} = require("../../../../lib/robots/ecovacs/ros/services/EcovacsRosIntrospectionService");
+
+should.config.checkProtoEql = false;
+
+describe("EcovacsRosIntrospectionService", function () {
+    this.timeout(10000);
+
+    let simulator;
+    let rosOptions;
+    let introspectionService;
+
+    beforeEach(async function() {
+        simulator = new EcovacsRosSimulator({port: 0, tickIntervalMs: 0});
+        await simulator.start();
+
+        rosOptions = {
+            masterClient: new RosMasterXmlRpcClient({masterUri: simulator.getMasterUri()}),
+            callerId: "/valetudo_test"
+        };
+        introspectionService = new EcovacsRosIntrospectionService(rosOptions);
+    });
+
+    afterEach(async function() {
+        await simulator.stop();
+    });
+
+    it("Should list nodes, topics and services", async function() {
+        const graph = await introspectionService.getGraph();
+
+        graph.nodes.should.have.length(1);
+        graph.nodes[0].name.should.equal("/ecovacs_sim");
+        graph.nodes[0].uri.should.equal(simulator.getMasterUri());
+        graph.topics.find(topic => topic.name === "/power/Battery").should.deepEqual({
+            name: "/power/Battery",
+            type: "power/Battery",
+            publishers: ["/ecovacs_sim"],
+            subscribers: []
+        });
+        graph.services.find(service => service.name === "/task/WorkManage").should.deepEqual({
+            name: "/task/WorkManage",
+            type: null,
+            md5: "*",
+            providers: ["/ecovacs_sim"]
+        });
+        graph.nodes[0].provides.should.have.length(graph.services.length);
+    });
+
+    it("Should capture raw topic messages", async function() {
+        const capturePromise = introspectionService.captureTopicMessages("/power/Battery", 2, 2000);
+        setTimeout(() => {
+            simulator.virtualT8.setBattery(42);
+        }, 100);
+        const capture = await capturePromise;
+
+        capture.type.should.equal("power/Battery");
+        capture.messages.map(message => message.hex).should.deepEqual(["6400", "2a00"]);
+    });
+
+    it("Should return the messages received before the timeout", async function() {
+        const capture = await introspectionService.captureTopicMessages("/power/Battery", 5, 200);
+
+        capture.messages.should.have.length(1);
+        await introspectionService.captureTopicMessages("/does/not/exist", 1, 200).should.be.rejectedWith("No publisher for topic /does/not/exist");
+    });
+
+    it("Should report service client diagnostics", async function() {
+        const workManageService = new EcovacsWorkManageService(rosOptions);
+        simulator.virtualT8.failService("/task/WorkManage", "simulated failure");
+        await workManageService.startAutoClean().should.be.rejected();
+        simulator.virtualT8.failService("/task/WorkManage", null);
+        await workManageService.startAutoClean();
+
+        const diagnostics = workManageService.workClient.getDiagnostics();
+        await workManageService.shutdown();
+
+        diagnostics.callCount.should.equal(2);
+        diagnostics.errorCount.should.equal(1);
+        diagnostics.lastError.should.equal("Service error response: simulated failure");
+        diagnostics.lastLatencyMs.should.be.aboveOrEqual(0);
+    });
+
+    it("Should report services and topics as supported, unknown_md5 or missing", async function() {
+        const otherBuild = new FakeServiceServer({
+            serviceName: "/setting/SettingManage",
+            md5: "0123456789abcdef0123456789abcdef",
+            handler: request => request
+        });
+        await otherBuild.start();
+        simulator.master.registerService("/setting/SettingManage", otherBuild.getEndpoint());
+
+        try {
+            const report = await introspectionService.getCompatibilityReport([
+                {kind: "service", name: "/task/WorkManage", knownMd5s: ["aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa"]},
+                {kind: "service", name: "/setting/SettingManage", knownMd5s: ["aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa"]},
+                {kind: "topic", name: "/power/Battery", knownMd5s: ["bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb"]},
+                {kind: "topic", name: "/does/not/exist", knownMd5s: ["*"]}
+            ]);
+
+            report.map(entry => [entry.name, entry.status]).should.deepEqual([
+                ["/task/WorkManage", "supported"],
+                ["/setting/SettingManage", "unknown_md5"],
+                ["/power/Battery", "supported"],
+                ["/does/not/exist", "missing"]
+            ]);
+            report[1].md5.should.equal("0123456789abcdef0123456789abcdef");
+            summarizeRosCompatibility(report).should.deepEqual({
+                supported: 2,
+                unknownMd5: ["/setting/SettingManage"],
+                missing: ["/does/not/exist"]
+            });
+        } finally {
+            await otherBuild.stop();
+        }
+    });
+});
@@ -0,0 +1,86 @@
+const should = require("should");
+
+const FakeRosMaster = require("./sim/FakeRosMaster");
+const FakeServiceServer = require("./sim/FakeServiceServer");
+const PersistentServiceClient = require("../../../../lib/robots/ecovacs/ros/core/PersistentServiceClient");
+const RosMasterXmlRpcClient = require("../../../../lib/robots/ecovacs/ros/core/RosMasterXmlRpcClient");
+const {isKnownMd5, matchLayout} = require("../../../../lib/robots/ecovacs/ros/core/RosMd5Check");
+
+const SERVICE = "/task/WorkManage";
+const FIRMWARE_MD5 = "0123456789abcdef0123456789abcdef";
+
+describe("EcovacsRosMd5Check", function () {
+    this.timeout(10000);
+
+    let master;
+    let server;
+    let client;
+
+    beforeEach(async function() {
+        master = new FakeRosMaster({port: 0});
+        await master.start();
+        server = new FakeServiceServer({
+            serviceName: SERVICE,
+            md5: FIRMWARE_MD5,
+            handler: request => request
+        });
+        await server.start();
+        master.registerService(SERVICE, server.getEndpoint());
+    });
+
+    afterEach(async function() {
+        await client?.shutdown();
+        await server.stop();
+        await master.stop();
+    });
+
+    /**
+     * @param {string} md5
+     * @returns {PersistentServiceClient}
+     */
+    function createClient(md5) {
+        return new PersistentServiceClient({
+            masterClient: new RosMasterXmlRpcClient({masterUri: master.getUri()}),
+            callerId: "/valetudo_test",
+            serviceName: SERVICE,
+            serviceMd5: md5
+        });
+    }
+
+    it("Should check reported md5sums against the known ones", function() {
+        isKnownMd5([FIRMWARE_MD5], FIRMWARE_MD5).should.equal(true);
+        isKnownMd5([FIRMWARE_MD5], "*").should.equal(true);
+        isKnownMd5([FIRMWARE_MD5], "ffffffffffffffffffffffffffffffff").should.equal(false);
+        isKnownMd5(["*"], "ffffffffffffffffffffffffffffffff").should.equal(true);
+    });
+
+    it("Should look up the message layout of reported md5sums", function() {
+        const knownLayouts = {[FIRMWARE_MD5]: "default", "fedcba9876543210fedcba9876543210": "v2"};
+
+        matchLayout(knownLayouts, "fedcba9876543210fedcba9876543210").should.equal("v2");
+        matchLayout(knownLayouts, FIRMWARE_MD5).should.equal("default");
+        matchLayout(knownLayouts, null).should.equal("default");
+        should(matchLayout(knownLayouts, "ffffffffffffffffffffffffffffffff")).be.null();
+    });
+
+    it("Should call a service reporting a known md5sum", async function() {
+        client = createClient(FIRMWARE_MD5);
+
+        (await client.getLayout()).should.equal("default");
+        (await client.call(Buffer.from([1, 2]))).should.deepEqual(Buffer.from([1, 2]));
+        client.getDiagnostics().should.containEql({
+            reportedMd5: FIRMWARE_MD5,
+            knownMd5s: [FIRMWARE_MD5],
+            layout: "default"
+        });
+    });
+
+    it("Should refuse to call a service with an unknown md5sum", async function() {
+        client = createClient("ffffffffffffffffffffffffffffffff");
+
+        await client.call(Buffer.from([1])).should.be.rejectedWith(
+            new RegExp(`service ${SERVICE} reports md5sum ${FIRMWARE_MD5} .*matches no known md5sum`)
+        );
+        should(client.getDiagnostics().connected).be.false();
+    });
+});
@@ -0,0 +1,103 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+
+const EcovacsMapService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsMapService");
+const EcovacsRosReplay = require("./sim/EcovacsRosReplay");
+const EcovacsRosSimulator = require("./sim/EcovacsRosSimulator");
+const EcovacsRuntimeStateService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsRuntimeStateService");
+const EcovacsSpotAreaService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsSpotAreaService");
+const RosMasterXmlRpcClient = require("../../../../lib/robots/ecovacs/ros/core/RosMasterXmlRpcClient");
+const {readRosRecording, RosTrafficRecorder} = require("../../../../lib/robots/ecovacs/ros/core/RosTrafficRecorder");
+const {waitFor} = require("./EcovacsTestRobot");
+
+should.config.checkProtoEql = false;
+
+/**
+ * @param {string} masterUri
+ * @param {RosTrafficRecorder} [recorder]
+ */
+function createServices(masterUri, recorder) {
+    const rosOptions = {
+        masterClient: new RosMasterXmlRpcClient({masterUri: masterUri}),
+        callerId: "/valetudo_test",
+        recorder: recorder
+    };
+
+    return {
+        mapService: new EcovacsMapService(rosOptions),
+        spotAreaService: new EcovacsSpotAreaService(rosOptions),
+        runtimeStateService: new EcovacsRuntimeStateService(rosOptions)
+    };
+}
+
+/**
+ * @param {Object<string, {shutdown: () => Promise<void>}>} services
+ */
+async function shutdownServices(services) {
+    await Promise.all(Object.values(services).map(service => service.shutdown()));
+}
+
+describe("EcovacsRosReplay", function () {
+    this.timeout(10000);
+
+    let tmpDir;
+
+    beforeEach(function() {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ecovacs-ros-recording-"));
+    });
+
+    afterEach(function() {
+        fs.rmSync(tmpDir, {recursive: true, force: true});
+    });
+
+    it("Should rotate recordings and read them back in order", function() {
+        const recordingPath = path.join(tmpDir, "ros.jsonl");
+        const recorder = new RosTrafficRecorder({path: recordingPath, maxBytes: 200, maxFiles: 2});
+
+        for (let i = 0; i < 10; i++) {
+            recorder.recordTopicMessage("/power/Battery", "power/Battery", Buffer.from([i, 0]));
+        }
+
+        fs.readdirSync(tmpDir).sort().should.deepEqual(["ros.jsonl", "ros.jsonl.1", "ros.jsonl.2"]);
+        const payloads = readRosRecording(recordingPath).map(record => record.payload);
+        payloads.length.should.be.below(10);
+        payloads[payloads.length - 1].should.equal("0900");
+        payloads.should.deepEqual(payloads.slice().sort());
+    });
+
+    it("Should replay recorded service calls and topic messages", async function() {
+        const recordingPath = path.join(tmpDir, "ros.jsonl");
+        const simulator = new EcovacsRosSimulator({port: 0, tickIntervalMs: 0});
+        await simulator.start();
+        simulator.virtualT8.setBattery(42);
+
+        const recorded = createServices(simulator.getMasterUri(), new RosTrafficRecorder({path: recordingPath}));
+        await recorded.runtimeStateService.startup();
+        const activeMapId = await recorded.mapService.getActiveMapId();
+        const compressedMap = await recorded.mapService.getCompressedMap(activeMapId);
+        const rooms = await recorded.spotAreaService.getRooms(activeMapId);
+        await waitFor(() => recorded.runtimeStateService.getPowerState(Infinity).battery !== null);
+        await shutdownServices(recorded);
+        await simulator.stop();
+
+        const replay = new EcovacsRosReplay({records: readRosRecording(recordingPath), port: 0, speed: 10});
+        await replay.start();
+        const replayed = createServices(replay.getMasterUri());
+        try {
+            await replayed.runtimeStateService.startup();
+
+            (await replayed.mapService.getActiveMapId()).should.equal(activeMapId);
+            (await replayed.mapService.getCompressedMap(activeMapId)).should.deepEqual(compressedMap);
+            (await replayed.spotAreaService.getRooms(activeMapId)).should.deepEqual(rooms);
+            await replayed.spotAreaService.getRooms(activeMapId + 1).should.be.rejectedWith(/No recorded response/);
+
+            await waitFor(() => replayed.runtimeStateService.getPowerState(Infinity).battery !== null);
+            replayed.runtimeStateService.getPowerState(Infinity).battery.battery.should.equal(42);
+        } finally {
+            await shutdownServices(replayed);
+            await replay.stop();
+        }
+    });
+});
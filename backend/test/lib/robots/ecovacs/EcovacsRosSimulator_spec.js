@@ -0,0 +1,184 @@
+const should = require("should");
+
+const EcovacsMapService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsMapService");
+const EcovacsRosSimulator = require("./sim/EcovacsRosSimulator");
+const EcovacsRuntimeStateService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsRuntimeStateService");
+const EcovacsSettingService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsSettingService");
+const EcovacsSpotAreaService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsSpotAreaService");
+const EcovacsTraceService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsTraceService");
+const EcovacsWorkManageService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsWorkManageService");
+const RosMasterXmlRpcClient = require("../../../../lib/robots/ecovacs/ros/core/RosMasterXmlRpcClient");
+const {ALERT_TYPE} = require("../../../../lib/robots/ecovacs/ros/core/TopicStateSubscriber");
+const {decodeCompressedMapResponse} = require("../../../../lib/robots/ecovacs/map/EcovacsCompressedMapDecoder");
+const {decodeTraceRawHexToWorldMmPoints} = require("../../../../lib/robots/ecovacs/map/EcovacsTraceDecoder");
+const {waitFor} = require("./EcovacsTestRobot");
+const {WORK_STATE, WORK_TYPE} = require("../../../../lib/robots/ecovacs/EcovacsStateMapping");
+
+should.config.checkProtoEql = false;
+
+describe("EcovacsRosSimulator", function () {
+    this.timeout(10000);
+
+    let simulator;
+    let rosOptions;
+    let services;
+
+    beforeEach(async function() {
+        simulator = new EcovacsRosSimulator({port: 0, tickIntervalMs: 0});
+        await simulator.start();
+
+        rosOptions = {
+            masterClient: new RosMasterXmlRpcClient({masterUri: simulator.getMasterUri()}),
+            callerId: "/valetudo_test"
+        };
+        services = [];
+    });
+
+    afterEach(async function() {
+        await simulator.stop();
+        await Promise.all(services.map(service => service.shutdown()));
+    });
+
+    /**
+     * @template T
+     * @param {T} service
+     * @returns {T}
+     */
+    function track(service) {
+        services.push(service);
+
+        return service;
+    }
+
+    it("Should resolve services and topics via the fake master", async function() {
+        const service = await rosOptions.masterClient.resolveService("/valetudo_test", "/map/ManipulateSpotArea");
+        const topic = await rosOptions.masterClient.resolveTopicTcpEndpointSafe("/valetudo_test", "/power/Battery");
+        const missing = await rosOptions.masterClient.resolveService("/valetudo_test", "/does/not/exist");
+
+        service.host.should.equal("127.0.0.1");
+        service.port.should.be.above(0);
+        topic.port.should.be.above(0);
+        should(missing).be.null();
+    });
+
+    it("Should serve the active map, its raster and its rooms", async function() {
+        const mapService = track(new EcovacsMapService(rosOptions));
+        const spotAreaService = track(new EcovacsSpotAreaService(rosOptions));
+
+        const mapInfos = await mapService.getMapInfos();
+        const activeMapId = await mapService.getActiveMapId();
+        const compressedMap = await mapService.getCompressedMap(activeMapId);
+        const decoded = decodeCompressedMapResponse(compressedMap);
+        const rooms = await spotAreaService.getRooms(activeMapId);
+
+        mapInfos.should.have.length(4);
+        mapInfos.filter(mapInfo => mapInfo.isActive).map(mapInfo => mapInfo.mapid).should.deepEqual([activeMapId]);
+        decoded.resolutionCm.should.equal(5);
+        decoded.floorPixels.length.should.equal(18400);
+        decoded.wallPixels.length.should.be.above(0);
+        rooms.rooms.map(room => room.label_name).should.deepEqual(["living_room", "kitchen", "bedroom"]);
+        rooms.rooms[1].polygon.should.deepEqual([[1000, -2500], [4000, -2500], [4000, 500], [1000, 500]]);
+    });
+
+    it("Should apply room edits", async function() {
+        const mapService = track(new EcovacsMapService(rosOptions));
+        const spotAreaService = track(new EcovacsSpotAreaService(rosOptions));
+        const activeMapId = await mapService.getActiveMapId();
+
+        (await spotAreaService.setRoomLabel(activeMapId, 2, 4)).result.should.equal(0);
+        (await spotAreaService.mergeRooms(activeMapId, [1, 2])).result.should.equal(0);
+        (await spotAreaService.splitRoom(activeMapId, 0, [-1500, -2500, -1500, 2500])).result.should.equal(0);
+        await spotAreaService.setRoomCleaningPreferences(activeMapId, 0, 2, 3, 1);
+
+        const rooms = (await spotAreaService.getRooms(activeMapId)).rooms;
+
+        rooms.map(room => room.index).should.deepEqual([0, 1, 2]);
+        rooms[0].polygon.should.deepEqual([[-4000, -2500], [-1500, -2500], [-1500, 2500], [-4000, 2500]]);
+        rooms[0].preference_times.should.equal(2);
+        rooms[0].preference_water.should.equal(3);
+        rooms[1].polygon.should.deepEqual([[1000, -2500], [4000, -2500], [4000, 4500], [1000, 4500]]);
+        rooms[2].polygon.should.deepEqual([[-1500, -2500], [1000, -2500], [1000, 2500], [-1500, 2500]]);
+    });
+
+    it("Should persist settings written through SettingManage", async function() {
+        const settingService = track(new EcovacsSettingService(rosOptions));
+
+        await settingService.setFanMode(2, 0);
+        await settingService.setWaterLevel(3);
+        await settingService.setPetModeEnabled("on");
+        await settingService.setCleaningTimesPasses(2);
+        await settingService.setSuctionBoostOnCarpet("off");
+        await settingService.setBlockTime({isOn: 1, startHour: 21, startMinute: 30, endHour: 7, endMinute: 15});
+
+        (await settingService.getFanMode()).should.deepEqual({mode: 2, isSilent: 0});
+        (await settingService.getWaterLevel()).should.equal(3);
+        (await settingService.getPetModeEnabled()).should.equal("on");
+        (await settingService.getObstacleAvoidanceEnabled()).should.equal("on");
+        (await settingService.getCleaningTimesPasses()).should.equal(2);
+        (await settingService.getSuctionBoostOnCarpet()).should.equal("off");
+        (await settingService.getAutoCollectEnabled()).should.equal("on");
+        (await settingService.getBlockTime()).should.deepEqual({isOn: 1, startHour: 21, startMinute: 30, endHour: 7, endMinute: 15});
+    });
+
+    it("Should publish state changes to topic subscribers", async function() {
+        const runtimeStateService = track(new EcovacsRuntimeStateService(rosOptions));
+        await runtimeStateService.startup();
+        await waitFor(() => runtimeStateService.getRuntimeState(Infinity).workState !== null);
+
+        simulator.virtualT8.setBattery(42);
+        simulator.virtualT8.raiseAlert(ALERT_TYPE.ROBOT_STUCK_ERROR);
+        await waitFor(() => {
+            return runtimeStateService.getPowerState(Infinity).battery?.battery === 42 &&
+                runtimeStateService.getTriggeredAlerts(Infinity)?.length === 1;
+        });
+
+        runtimeStateService.getRuntimeState(Infinity).should.deepEqual({
+            battery: {battery: 42, isLowVoltageToPowerOff: 0},
+            chargeState: {isOnCharger: 1, chargeState: 0},
+            workState: {worktype: WORK_TYPE.IDLE, state: WORK_STATE.IDLE, workcause: 0}
+        });
+        runtimeStateService.getTriggeredAlerts(Infinity).should.deepEqual([{type: ALERT_TYPE.ROBOT_STUCK_ERROR, state: 1}]);
+    });
+
+    it("Should simulate a cleaning run with trace", async function() {
+        const mapService = track(new EcovacsMapService(rosOptions));
+        const traceService = track(new EcovacsTraceService(rosOptions));
+        const workManageService = track(new EcovacsWorkManageService(rosOptions));
+        const virtualT8 = simulator.virtualT8;
+        const activeMapId = await mapService.getActiveMapId();
+
+        (await workManageService.startRoomClean([1])).should.equal(0);
+        virtualT8.workState.should.deepEqual({worktype: WORK_TYPE.AREA_CLEAN, state: WORK_STATE.RUNNING, workcause: 0});
+        virtualT8.chargeState.isOnCharger.should.equal(0);
+
+        for (let i = 0; i < 10; i++) {
+            virtualT8.tick(1000);
+        }
+        const traceInfo = await traceService.getTraceInfo(activeMapId);
+        const trace = await traceService.getTraceRange(activeMapId, traceInfo.endIdx - 2, traceInfo.endIdx);
+        const points = decodeTraceRawHexToWorldMmPoints(trace.rawHex, 10);
+
+        traceInfo.endIdx.should.equal(virtualT8.trace.length);
+        points.should.have.length(2);
+        points[1].should.deepEqual({x: Math.round(virtualT8.pose.x / 10) * 10, y: Math.round(virtualT8.pose.y / 10) * 10, flag: 0});
+
+        (await workManageService.returnToDock()).should.equal(0);
+        for (let i = 0; i < 60 && virtualT8.chargeState.isOnCharger === 0; i++) {
+            virtualT8.tick(1000);
+        }
+
+        virtualT8.chargeState.isOnCharger.should.equal(1);
+        virtualT8.workState.state.should.equal(WORK_STATE.IDLE);
+        virtualT8.totalStatistics.totalCnt.should.equal(1);
+    });
+
+    it("Should return error responses for failing services", async function() {
+        const workManageService = track(new EcovacsWorkManageService(rosOptions));
+        simulator.virtualT8.failService("/task/WorkManage", "simulated failure");
+
+        await workManageService.startAutoClean().should.be.rejectedWith("Service error response: simulated failure");
+
+        simulator.virtualT8.failService("/task/WorkManage", null);
+        (await workManageService.startAutoClean()).should.equal(0);
+    });
+});
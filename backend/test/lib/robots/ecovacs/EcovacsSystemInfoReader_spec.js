@@ -0,0 +1,77 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+
+const EcovacsRosIntrospectionService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsRosIntrospectionService");
+const EcovacsRosSimulator = require("./sim/EcovacsRosSimulator");
+const RosMasterXmlRpcClient = require("../../../../lib/robots/ecovacs/ros/core/RosMasterXmlRpcClient");
+const {flattenSystemInfoReply, pickSystemInfo, readSystemInfoFiles} = require("../../../../lib/robots/ecovacs/EcovacsSystemInfoReader");
+
+should.config.checkProtoEql = false;
+
+describe("EcovacsSystemInfoReader", function () {
+    let tmpDir;
+
+    beforeEach(function() {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ecovacs-system-info-"));
+    });
+
+    afterEach(function() {
+        fs.rmSync(tmpDir, {recursive: true, force: true});
+    });
+
+    it("Should pick identity values from key/value and single-value files", function() {
+        fs.writeFileSync(path.join(tmpDir, "version"), [
+            "# build info",
+            "FW_VERSION=\"1.4.2\"",
+            "VERSION_ID=0.9",
+            "medusa_version: \"2023-11-02\"",
+            "LDS-Version = 3.1"
+        ].join("\n"));
+        fs.writeFileSync(path.join(tmpDir, "model"), "ecovacs,t8-aivi\0");
+        fs.writeFileSync(path.join(tmpDir, "camera_version"), "2.0.1\n");
+
+        const entries = readSystemInfoFiles([
+            path.join(tmpDir, "version"),
+            path.join(tmpDir, "model"),
+            path.join(tmpDir, "camera_version"),
+            path.join(tmpDir, "missing")
+        ]);
+
+        pickSystemInfo(entries).should.deepEqual({
+            firmwareVersion: "1.4.2",
+            boardId: "ecovacs,t8-aivi",
+            medusaVersion: "2023-11-02",
+            ldsVersion: "3.1",
+            cameraModuleVersion: "2.0.1"
+        });
+    });
+
+    it("Should read mdsctl replies by their exact leaf keys", function() {
+        pickSystemInfo(flattenSystemInfoReply({
+            ret: "ok",
+            info: {sn: "E0001", cameraMode: "night", modules: [{cameraVer: "2.0.1"}], medusaBuildDate: "2023-11-02"}
+        })).should.deepEqual({
+            serialNumber: "E0001",
+            cameraModuleVersion: "2.0.1"
+        });
+    });
+
+    it("Should list the ROS nodes without probing them", async function() {
+        this.timeout(10000);
+
+        const simulator = new EcovacsRosSimulator({port: 0, tickIntervalMs: 0});
+        await simulator.start();
+        try {
+            const service = new EcovacsRosIntrospectionService({
+                masterClient: new RosMasterXmlRpcClient({masterUri: simulator.getMasterUri()}),
+                callerId: "/valetudo_test"
+            });
+
+            (await service.getNodeNames()).should.deepEqual([simulator.master.nodeName]);
+        } finally {
+            await simulator.stop();
+        }
+    });
+});
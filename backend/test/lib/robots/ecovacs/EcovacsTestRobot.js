@@ -0,0 +1,96 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const EcovacsRosSimulator = require("./sim/EcovacsRosSimulator");
+const EcovacsT8AiviValetudoRobot = require("../../../../lib/robots/ecovacs/EcovacsT8AiviValetudoRobot");
+const ValetudoEventStore = require("../../../../lib/ValetudoEventStore");
+
+/**
+ * Starts the simulator and constructs an EcovacsT8AiviValetudoRobot connected to it.
+ *
+ * The config is a stub and every file the robot persists lives in a temporary directory.
+ * The robot isn't started, so no timers run unless a spec starts them.
+ *
+ * @param {object} [implementationSpecificConfig] overrides of the robot config
+ * @returns {Promise<EcovacsTestRobot>}
+ */
+async function createEcovacsTestRobot(implementationSpecificConfig) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ecovacs-robot-"));
+    const simulator = new EcovacsRosSimulator({port: 0, tickIntervalMs: 0});
+    await simulator.start();
+
+    const robotConfig = {
+        implementation: "EcovacsT8AiviValetudoRobot",
+        implementationSpecificConfig: Object.assign({
+            rosMasterUri: simulator.getMasterUri(),
+            rosCallerId: "/valetudo_test",
+            rosDebug: false,
+            runtimeStateCachePath: path.join(tmpDir, "runtime_state.json"),
+            cleaningHistoryPath: path.join(tmpDir, "history"),
+            segmentMaterialsPath: path.join(tmpDir, "materials.json"),
+            carpetOverlayPath: path.join(tmpDir, "carpets.json"),
+            carpetMapPath: path.join(tmpDir, "carpetMap.7z"),
+            voicePackDirectory: path.join(tmpDir, "voice")
+        }, implementationSpecificConfig)
+    };
+    const createRobot = () => {
+        return new EcovacsT8AiviValetudoRobot({
+            config: /** @type {any} */ ({
+                get: key => {
+                    return key === "robot" ? robotConfig : undefined;
+                }
+            }),
+            valetudoEventStore: new ValetudoEventStore({})
+        });
+    };
+
+    const testRobot = {
+        robot: createRobot(),
+        simulator: simulator,
+        tmpDir: tmpDir,
+        restartRobot: async () => {
+            await testRobot.robot.shutdown();
+            testRobot.robot = createRobot();
+
+            return testRobot.robot;
+        },
+        stop: async () => {
+            await simulator.stop();
+            await testRobot.robot.shutdown();
+            fs.rmSync(tmpDir, {recursive: true, force: true});
+        }
+    };
+
+    return testRobot;
+}
+
+/**
+ * Polls the predicate until it holds, for at most two seconds.
+ *
+ * @param {() => boolean} predicate
+ * @returns {Promise<void>}
+ */
+async function waitFor(predicate) {
+    for (let i = 0; i < 100; i++) {
+        if (predicate()) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    throw new Error(`Timed out waiting for ${predicate.toString()}`);
+}
+
+/**
+ * @typedef {object} EcovacsTestRobot
+ * @property {EcovacsT8AiviValetudoRobot} robot
+ * @property {EcovacsRosSimulator} simulator
+ * @property {string} tmpDir
+ * @property {() => Promise<EcovacsT8AiviValetudoRobot>} restartRobot shuts the robot down and constructs a new one
+ *           with the same config, simulator and files
+ * @property {() => Promise<void>} stop stops the simulator and the robot and removes the temporary directory
+ */
+
+module.exports = createEcovacsTestRobot;
+module.exports.waitFor = waitFor;
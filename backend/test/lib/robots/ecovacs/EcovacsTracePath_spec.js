@@ -0,0 +1,122 @@
+const should = require("should");
+
+const createEcovacsTestRobot = require("./EcovacsTestRobot");
+const {simplifyTracePath} = require("../../../../lib/robots/ecovacs/map/EcovacsTraceDecoder");
+
+should.config.checkProtoEql = false;
+
+/**
+ * @param {number} count
+ * @param {number} [offset]
+ * @returns {Array<{x:number,y:number,flag:number}>}
+ */
+function straightTrace(count, offset = 0) {
+    return Array.from({length: count}, (_, i) => {
+        return {x: (offset + i) * 100, y: 0, flag: 0};
+    });
+}
+
+describe("EcovacsTracePath", function () {
+    this.timeout(10000);
+
+    let testRobot;
+
+    afterEach(async function() {
+        await testRobot?.stop();
+        testRobot = undefined;
+    });
+
+    /**
+     * @param {object} [config] overrides of the robot config
+     * @returns {Promise<import("../../../../lib/robots/ecovacs/EcovacsT8AiviValetudoRobot")>}
+     */
+    async function createRobot(config) {
+        testRobot = await createEcovacsTestRobot(Object.assign({runtimeStateCacheWriteMinIntervalMs: 0}, config));
+        testRobot.robot.activeMapId = await testRobot.robot.mapService.getActiveMapId();
+
+        return testRobot.robot;
+    }
+
+    it("Should backfill the whole session in batches and then fetch only new entries", async function() {
+        const robot = await createRobot({traceBatchesPerRefresh: 2});
+        testRobot.simulator.virtualT8.trace = straightTrace(120);
+
+        await robot.updateTracePathFromService();
+        robot.lastTraceEndIdx.should.equal(100);
+        robot.tracePathPointsMm.length.should.equal(100);
+
+        await robot.updateTracePathFromService();
+        robot.lastTraceEndIdx.should.equal(120);
+        robot.tracePathPointsMm.length.should.equal(120);
+
+        testRobot.simulator.virtualT8.trace.push(...straightTrace(5, 120));
+        await robot.updateTracePathFromService();
+        robot.tracePathPointsMm.map(point => point.x).should.deepEqual(straightTrace(125).map(point => point.x));
+    });
+
+    it("Should restore the persisted path and reset when a new session starts", async function() {
+        const robot = await createRobot();
+        testRobot.simulator.virtualT8.trace = straightTrace(30);
+        await robot.updateTracePathFromService();
+
+        const restarted = await testRobot.restartRobot();
+        restarted.activeMapId = robot.activeMapId;
+        restarted.runtimeStateCache.data.trace.endIdx.should.equal(30);
+        restarted.tracePathPointsMm.length.should.equal(30);
+
+        testRobot.simulator.virtualT8.trace = straightTrace(10, 500);
+        await restarted.updateTracePathFromService();
+
+        restarted.tracePathPointsMm.map(point => point.x).should.deepEqual(straightTrace(10, 500).map(point => point.x));
+        restarted.runtimeStateCache.data.trace.endIdx.should.equal(10);
+    });
+
+    it("Should reset when a job with another start time ran further than the persisted path", async function() {
+        const robot = await createRobot();
+        robot.statisticsService.getWorkStatistic = () => {
+            return /** @type {any} */ ({startTimeSecs: 1000});
+        };
+        testRobot.simulator.virtualT8.trace = straightTrace(30);
+        await robot.updateTracePathFromService();
+
+        const restarted = await testRobot.restartRobot();
+        restarted.activeMapId = robot.activeMapId;
+        restarted.lastTraceStartTimeSecs.should.equal(1000);
+        restarted.statisticsService.getWorkStatistic = () => {
+            return /** @type {any} */ ({startTimeSecs: 2000});
+        };
+
+        testRobot.simulator.virtualT8.trace = straightTrace(40, 500);
+        await restarted.updateTracePathFromService();
+
+        restarted.tracePathPointsMm.map(point => point.x).should.deepEqual(straightTrace(40, 500).map(point => point.x));
+        restarted.runtimeStateCache.data.trace.startTimeSecs.should.equal(2000);
+    });
+
+    it("Should simplify long paths instead of dropping their beginning", async function() {
+        const zigzag = Array.from({length: 200}, (_, i) => {
+            return {x: i * 100, y: (i % 2) * 1000, flag: 0};
+        });
+        const robot = await createRobot({tracePathMaxPoints: 500, traceBatchEntries: 1000});
+        testRobot.simulator.virtualT8.trace = [...straightTrace(600, -600), ...zigzag];
+
+        await robot.updateTracePathFromService();
+
+        robot.tracePathPointsMm.length.should.be.belowOrEqual(500);
+        robot.tracePathPointsMm[0].x.should.equal(-60000);
+        robot.tracePathPointsMm[robot.tracePathPointsMm.length - 1].x.should.equal(19900);
+        robot.tracePathPointsMm.filter(point => point.y === 1000).length.should.equal(100);
+    });
+
+    it("Should keep corners when simplifying", function() {
+        const points = [...straightTrace(50), ...straightTrace(50).map(point => {
+            return {x: 4900, y: (point.x / 100 + 1) * 100};
+        })];
+
+        simplifyTracePath(points, 10, 10).should.deepEqual([
+            {x: 0, y: 0, flag: 0},
+            {x: 4900, y: 0, flag: 0},
+            {x: 4900, y: 5000}
+        ]);
+    });
+});
@@ -0,0 +1,159 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const stream = require("stream");
+const zlib = require("zlib");
+
+const EcovacsVoicePackService = require("../../../../lib/robots/ecovacs/ros/services/EcovacsVoicePackService");
+
+should.config.checkProtoEql = false;
+
+/**
+ * Builds a gzipped ustar archive
+ *
+ * @param {Array<{name: string, type?: string, data?: string, linkname?: string}>} members
+ * @param {number} [chunkSize] size of the chunks the archive streams in
+ * @returns {stream.Readable}
+ */
+function tarball(members, chunkSize) {
+    const blocks = [];
+
+    for (const member of members) {
+        const data = Buffer.from(member.data ?? "");
+        const header = Buffer.alloc(512);
+        header.write(member.name, 0, 100);
+        header.write("0000644\0", 100);
+        header.write("0000000\0", 108);
+        header.write("0000000\0", 116);
+        header.write(`${data.length.toString(8).padStart(11, "0")}\0`, 124);
+        header.write("00000000000\0", 136);
+        header.write("        ", 148);
+        header.write(member.type ?? "0", 156);
+        header.write(member.linkname ?? "", 157, 100);
+        header.write("ustar\u000000", 257);
+        const checksum = header.reduce((sum, byte) => sum + byte, 0);
+        header.write(`${checksum.toString(8).padStart(6, "0")}\0 `, 148);
+
+        blocks.push(header, data, Buffer.alloc((512 - data.length % 512) % 512));
+    }
+    blocks.push(Buffer.alloc(1024));
+
+    const archive = zlib.gzipSync(Buffer.concat(blocks));
+    const chunks = [];
+    for (let offset = 0; offset < archive.length; offset += chunkSize ?? archive.length) {
+        chunks.push(archive.subarray(offset, offset + (chunkSize ?? archive.length)));
+    }
+
+    return stream.Readable.from(chunks);
+}
+
+describe("EcovacsVoicePackService", function () {
+    let tmpDir;
+    let voicePackDirectory;
+    let service;
+
+    beforeEach(function() {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ecovacs-voice-pack-"));
+        voicePackDirectory = path.join(tmpDir, "audio");
+        fs.mkdirSync(voicePackDirectory);
+        fs.writeFileSync(path.join(voicePackDirectory, "30.mp3"), "stock");
+
+        service = new EcovacsVoicePackService({voicePackDirectory: voicePackDirectory});
+    });
+
+    afterEach(function() {
+        fs.rmSync(tmpDir, {recursive: true, force: true});
+    });
+
+    /**
+     * @param {string} directory
+     * @returns {Object<string, string>}
+     */
+    function readDirectory(directory) {
+        return Object.fromEntries(fs.readdirSync(directory, {recursive: true}).filter(name => {
+            return fs.statSync(path.join(directory, String(name))).isFile();
+        }).map(name => {
+            return [String(name), fs.readFileSync(path.join(directory, String(name)), "utf8")];
+        }));
+    }
+
+    it("Should keep the stock voice and replace later packs", async function() {
+        await service.installArchive(tarball([
+            {name: "./", type: "5"},
+            {name: "./30.mp3", data: "de-30"},
+            {name: "./extra/", type: "5"},
+            {name: "./extra/17.mp3", data: "de-17"}
+        ]), "DE");
+
+        readDirectory(voicePackDirectory).should.deepEqual({
+            "30.mp3": "de-30",
+            "extra/17.mp3": "de-17",
+            ".valetudo_language": "de"
+        });
+        (await service.getCurrentLanguage()).should.equal("de");
+
+        await service.installArchive(tarball([{name: "30.mp3", data: "fr-30"}]), "fr");
+
+        readDirectory(voicePackDirectory).should.deepEqual({"30.mp3": "fr-30", ".valetudo_language": "fr"});
+        readDirectory(`${voicePackDirectory}.stock`).should.deepEqual({"30.mp3": "stock"});
+        fs.readdirSync(tmpDir).sort().should.deepEqual(["audio", "audio.stock"]);
+    });
+
+    it("Should extract archives that arrive in small chunks", async function() {
+        await service.installArchive(tarball([
+            {name: "30.mp3", data: "de-30".repeat(200)},
+            {name: "extra/17.mp3", data: "de-17"}
+        ], 7), "de");
+
+        readDirectory(voicePackDirectory).should.deepEqual({
+            "30.mp3": "de-30".repeat(200),
+            "extra/17.mp3": "de-17",
+            ".valetudo_language": "de"
+        });
+    });
+
+    it("Should reject archives with the wrong md5 hash", async function() {
+        await service.installArchive(tarball([{name: "30.mp3", data: "de-30"}]), "de", {
+            hash: "00000000000000000000000000000000"
+        }).should.be.rejectedWith(/md5 mismatch/);
+
+        readDirectory(voicePackDirectory).should.deepEqual({"30.mp3": "stock"});
+        fs.readdirSync(tmpDir).should.deepEqual(["audio"]);
+    });
+
+    it("Should reject archives that would write outside of the voice pack directory", async function() {
+        for (const member of [
+            {name: "../30.mp3", data: "evil"},
+            {name: "sub/../../30.mp3", data: "evil"},
+            {name: "/tmp/30.mp3", data: "evil"},
+            {name: "30.mp3", type: "2", linkname: "/etc/passwd"},
+            {name: "30.mp3", type: "1", linkname: "../outside"}
+        ]) {
+            await service.installArchive(tarball([member]), "de").should.be.rejectedWith(/unsafe path|unsupported member/);
+        }
+
+        readDirectory(voicePackDirectory).should.deepEqual({"30.mp3": "stock"});
+        fs.readdirSync(tmpDir).should.deepEqual(["audio"]);
+    });
+
+    it("Should move the previous pack back if the swap fails", async function() {
+        const rename = fs.promises.rename;
+        fs.promises.rename = async (from, to) => {
+            if (String(from).endsWith(".new")) {
+                throw new Error("EIO");
+            }
+
+            return rename(from, to);
+        };
+
+        try {
+            await service.installArchive(tarball([{name: "30.mp3", data: "de-30"}]), "de").should.be.rejectedWith("EIO");
+        } finally {
+            fs.promises.rename = rename;
+        }
+
+        readDirectory(voicePackDirectory).should.deepEqual({"30.mp3": "stock"});
+        fs.readdirSync(tmpDir).should.deepEqual(["audio"]);
+    });
+});
@@ -0,0 +1,179 @@
+"use strict";
+
+const FakeRosMaster = require("./FakeRosMaster");
+const FakeServiceServer = require("./FakeServiceServer");
+const FakeTopicPublisher = require("./FakeTopicPublisher");
+const Logger = require("../../../../../lib/Logger");
+const {readRosRecording} = require("../../../../../lib/robots/ecovacs/ros/core/RosTrafficRecorder");
+
+/**
+ * Serves a recording made with RosTrafficRecorder through a fake ROS master,
+ * so EcovacsT8AiviValetudoRobot sees exactly what it saw on the robot.
+ *
+ * Service calls are answered by matching the request body: identical requests get
+ * the recorded responses in their original order, the last one is repeated once
+ * they run out. Topic messages are published with their original timing.
+ */
+class EcovacsRosReplay {
+    /**
+     * @param {object} options
+     * @param {Array<import("../core/RosTrafficRecorder").RosTrafficRecord>} options.records
+     * @param {string} [options.host]
+     * @param {number} [options.port] ROS master port, 0 picks a free port
+     * @param {number} [options.speed] playback speed factor for topic messages
+     */
+    constructor(options) {
+        this.records = options.records;
+        this.host = options.host ?? "127.0.0.1";
+        this.speed = options.speed ?? 1;
+        this.master = new FakeRosMaster({
+            host: this.host,
+            port: options.port ?? 11311
+        });
+
+        /** @type {Map<string, Map<string, {records: Array<import("../core/RosTrafficRecorder").RosTrafficRecord>, cursor: number}>>} */
+        this.serviceCalls = new Map();
+        /** @type {Map<string, {type: string, records: Array<import("../core/RosTrafficRecorder").RosTrafficRecord>}>} */
+        this.topicMessages = new Map();
+        /** @type {Array<FakeServiceServer>} */
+        this.serviceServers = [];
+        /** @type {Array<FakeTopicPublisher>} */
+        this.publishers = [];
+        this.timers = [];
+
+        for (const record of this.records) {
+            if (record.kind === "service") {
+                if (!this.serviceCalls.has(record.name)) {
+                    this.serviceCalls.set(record.name, new Map());
+                }
+                const byRequest = this.serviceCalls.get(record.name);
+                if (!byRequest.has(record.request)) {
+                    byRequest.set(record.request, {records: [], cursor: 0});
+                }
+                byRequest.get(record.request).records.push(record);
+            } else if (record.kind === "topic") {
+                if (!this.topicMessages.has(record.name)) {
+                    this.topicMessages.set(record.name, {type: record.type, records: []});
+                }
+                this.topicMessages.get(record.name).records.push(record);
+            }
+        }
+    }
+
+    /**
+     * @returns {string}
+     */
+    getMasterUri() {
+        return this.master.getUri();
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async start() {
+        await this.master.start();
+
+        for (const serviceName of this.serviceCalls.keys()) {
+            const server = new FakeServiceServer({
+                serviceName: serviceName,
+                host: this.host,
+                callerId: this.master.nodeName,
+                handler: request => this.replayServiceCall(serviceName, request)
+            });
+            await server.start();
+            this.serviceServers.push(server);
+            this.master.registerService(serviceName, server.getEndpoint());
+        }
+
+        const startedAt = this.records.length > 0 ? this.records[0].t : 0;
+        for (const [topic, {type, records}] of this.topicMessages.entries()) {
+            const publisher = new FakeTopicPublisher({
+                topic: topic,
+                type: type,
+                host: this.host,
+                callerId: this.master.nodeName
+            });
+            await publisher.start();
+            this.publishers.push(publisher);
+            this.master.registerTopic(topic, type, publisher.getEndpoint());
+
+            for (const record of records) {
+                this.timers.push(setTimeout(() => {
+                    publisher.publish(Buffer.from(record.payload, "hex"));
+                }, (record.t - startedAt) / this.speed));
+            }
+        }
+
+        Logger.info(
+            `Ecovacs ROS replay running with ${this.records.length} records. ROS master at ${this.getMasterUri()}`
+        );
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+
+        await Promise.all([
+            ...this.serviceServers.map(server => server.stop()),
+            ...this.publishers.map(publisher => publisher.stop())
+        ]);
+        this.serviceServers = [];
+        this.publishers = [];
+        await this.master.stop();
+    }
+
+    /**
+     * @private
+     * @param {string} serviceName
+     * @param {Buffer} request
+     * @returns {Buffer}
+     */
+    replayServiceCall(serviceName, request) {
+        const requestHex = request.toString("hex");
+        const recorded = this.serviceCalls.get(serviceName)?.get(requestHex);
+        if (!recorded) {
+            throw new Error(`No recorded response for ${serviceName} request ${requestHex}`);
+        }
+        const record = recorded.records[Math.min(recorded.cursor, recorded.records.length - 1)];
+        recorded.cursor++;
+
+        if (!record.ok) {
+            throw new Error(record.error ?? "Recorded call failed");
+        }
+
+        return Buffer.from(record.response, "hex");
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const getArg = (name) => {
+        const index = args.indexOf(name);
+
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    if (getArg("--recording") === undefined) {
+        Logger.error("Usage: EcovacsRosReplay.js --recording <path> [--host <host>] [--port <port>] [--speed <factor>]");
+        process.exit(1);
+    }
+    const replay = new EcovacsRosReplay({
+        records: readRosRecording(getArg("--recording")),
+        host: getArg("--host"),
+        port: getArg("--port") !== undefined ? Number(getArg("--port")) : undefined,
+        speed: getArg("--speed") !== undefined ? Number(getArg("--speed")) : undefined
+    });
+
+    replay.start().catch(err => {
+        Logger.error("Failed to start the Ecovacs ROS replay", err);
+        process.exit(1);
+    });
+
+    process.on("SIGINT", () => {
+        void replay.stop().then(() => process.exit(0));
+    });
+}
+
+module.exports = EcovacsRosReplay;
@@ -0,0 +1,182 @@
+"use strict";
+
+const FakeRosMaster = require("./FakeRosMaster");
+const FakeServiceServer = require("./FakeServiceServer");
+const FakeTopicPublisher = require("./FakeTopicPublisher");
+const fs = require("fs");
+const Logger = require("../../../../../lib/Logger");
+const VirtualT8 = require("./VirtualT8");
+
+const SCRIPTABLE_ACTIONS = Object.freeze([
+    "setBattery",
+    "setDocked",
+    "setWorkState",
+    "setPose",
+    "setWaterboxType",
+    "raiseAlert",
+    "clearAlert",
+    "addDetectedObject",
+    "failService",
+    "createMap",
+    "setRooms"
+]);
+
+/**
+ * Serves a VirtualT8 through a fake ROS master, one TCPROS server per service
+ * and one latched publisher per topic, so EcovacsT8AiviValetudoRobot can run
+ * off-robot by pointing rosMasterUri at it.
+ */
+class EcovacsRosSimulator {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.host]
+     * @param {number} [options.port] ROS master port, 0 picks a free port
+     * @param {number} [options.tickIntervalMs] 0 disables the simulation clock
+     * @param {VirtualT8} [options.virtualT8]
+     */
+    constructor(options) {
+        this.host = options?.host ?? "127.0.0.1";
+        this.tickIntervalMs = options?.tickIntervalMs ?? 1000;
+        this.virtualT8 = options?.virtualT8 ?? new VirtualT8();
+        this.master = new FakeRosMaster({
+            host: this.host,
+            port: options?.port ?? 11311
+        });
+
+        /** @type {Array<FakeServiceServer>} */
+        this.serviceServers = [];
+        /** @type {Map<string, FakeTopicPublisher>} */
+        this.publishers = new Map();
+        this.tickTimer = null;
+        this.scenarioTimers = [];
+        this.onTopicChanged = (topic) => {
+            this.publish(topic);
+        };
+    }
+
+    /**
+     * @returns {string}
+     */
+    getMasterUri() {
+        return this.master.getUri();
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async start() {
+        await this.master.start();
+
+        for (const serviceName of this.virtualT8.getServiceNames()) {
+            const server = new FakeServiceServer({
+                serviceName: serviceName,
+                host: this.host,
+                callerId: this.master.nodeName,
+                handler: request => this.virtualT8.handleServiceCall(serviceName, request)
+            });
+            await server.start();
+            this.serviceServers.push(server);
+            this.master.registerService(serviceName, server.getEndpoint());
+        }
+
+        for (const {topic, type} of this.virtualT8.getTopics()) {
+            const publisher = new FakeTopicPublisher({
+                topic: topic,
+                type: type,
+                host: this.host,
+                callerId: this.master.nodeName
+            });
+            await publisher.start();
+            this.publishers.set(topic, publisher);
+            this.master.registerTopic(topic, type, publisher.getEndpoint());
+            this.publish(topic);
+        }
+
+        this.virtualT8.on("topic", this.onTopicChanged);
+        if (this.tickIntervalMs > 0) {
+            this.tickTimer = setInterval(() => {
+                this.virtualT8.tick(this.tickIntervalMs);
+            }, this.tickIntervalMs);
+        }
+        Logger.info(`Ecovacs ROS simulator running. ROS master at ${this.getMasterUri()}`);
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        clearInterval(this.tickTimer);
+        this.tickTimer = null;
+        this.scenarioTimers.forEach(timer => clearTimeout(timer));
+        this.scenarioTimers = [];
+        this.virtualT8.off("topic", this.onTopicChanged);
+
+        await Promise.all([
+            ...this.serviceServers.map(server => server.stop()),
+            ...Array.from(this.publishers.values()).map(publisher => publisher.stop())
+        ]);
+        this.serviceServers = [];
+        this.publishers.clear();
+        await this.master.stop();
+    }
+
+    /**
+     * Schedule calls of the VirtualT8 scripting API.
+     *
+     * @param {Array<{atMs:number,action:string,args?:Array<any>}>} steps
+     */
+    runScenario(steps) {
+        for (const step of steps) {
+            if (!SCRIPTABLE_ACTIONS.includes(step.action)) {
+                throw new Error(`Unknown scenario action "${step.action}"`);
+            }
+        }
+        for (const step of steps) {
+            this.scenarioTimers.push(setTimeout(() => {
+                Logger.info(`Ecovacs ROS simulator scenario: ${step.action}(${JSON.stringify(step.args ?? [])})`);
+                this.virtualT8[step.action](...(step.args ?? []));
+            }, step.atMs));
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} topic
+     */
+    publish(topic) {
+        const publisher = this.publishers.get(topic);
+        const payload = this.virtualT8.encodeTopic(topic);
+        if (publisher && payload !== null) {
+            publisher.publish(payload);
+        }
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const getArg = (name) => {
+        const index = args.indexOf(name);
+
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    const simulator = new EcovacsRosSimulator({
+        host: getArg("--host"),
+        port: getArg("--port") !== undefined ? Number(getArg("--port")) : undefined
+    });
+    const scenarioPath = getArg("--scenario");
+
+    simulator.start().then(() => {
+        if (scenarioPath) {
+            simulator.runScenario(JSON.parse(fs.readFileSync(scenarioPath, "utf8")));
+        }
+    }).catch(err => {
+        Logger.error("Failed to start the Ecovacs ROS simulator", err);
+        process.exit(1);
+    });
+
+    process.on("SIGINT", () => {
+        void simulator.stop().then(() => process.exit(0));
+    });
+}
+
+module.exports = EcovacsRosSimulator;
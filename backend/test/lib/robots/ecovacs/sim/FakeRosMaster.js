@@ -0,0 +1,169 @@
+"use strict";
+
+const http = require("http");
+const Logger = require("../../../../../lib/Logger");
+const {buildXmlRpcFaultResponse, buildXmlRpcMethodResponse, parseXmlRpcMethodCall} = require("../../../../../lib/robots/ecovacs/ros/protocol/xmlrpc");
+
+/**
+ * Minimal ROS master for off-robot development.
+ *
+ * Only the calls issued by RosMasterXmlRpcClient are implemented.
+ * The master also answers the slave API (requestTopic) for its single
+ * publishing node, so lookupNode simply returns the master URI.
+ */
+class FakeRosMaster {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.host]
+     * @param {number} [options.port] 0 picks a free port
+     * @param {string} [options.nodeName] name of the node publishing all topics and services
+     */
+    constructor(options) {
+        this.host = options?.host ?? "127.0.0.1";
+        this.port = options?.port ?? 0;
+        this.nodeName = options?.nodeName ?? "/ecovacs_sim";
+
+        /** @type {Map<string, {host:string,port:number}>} */
+        this.services = new Map();
+        /** @type {Map<string, {type:string,host:string,port:number}>} */
+        this.topics = new Map();
+        /** @type {http.Server|null} */
+        this.server = null;
+    }
+
+    /**
+     * @param {string} serviceName
+     * @param {{host:string,port:number}} endpoint
+     */
+    registerService(serviceName, endpoint) {
+        this.services.set(serviceName, endpoint);
+    }
+
+    /**
+     * @param {string} topic
+     * @param {string} type
+     * @param {{host:string,port:number}} endpoint
+     */
+    registerTopic(topic, type, endpoint) {
+        this.topics.set(topic, {
+            type: type,
+            host: endpoint.host,
+            port: endpoint.port
+        });
+    }
+
+    /**
+     * Publishers that are not advertised are invisible to getSystemState,
+     * just like topics of firmware nodes that are currently not running.
+     *
+     * @param {string} topic
+     */
+    unregisterTopic(topic) {
+        this.topics.delete(topic);
+    }
+
+    /**
+     * @returns {string}
+     */
+    getUri() {
+        return `http://${this.host}:${this.port}/`;
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on("data", chunk => chunks.push(chunk));
+            req.on("end", () => {
+                let responseBody;
+                try {
+                    const call = parseXmlRpcMethodCall(Buffer.concat(chunks).toString("utf8"));
+                    responseBody = buildXmlRpcMethodResponse(this.handleCall(call.methodName, call.params));
+                } catch (e) {
+                    responseBody = buildXmlRpcFaultResponse(1, e.message);
+                }
+                res.writeHead(200, {
+                    "Content-Type": "text/xml",
+                    "Content-Length": Buffer.byteLength(responseBody, "utf8")
+                });
+                res.end(responseBody);
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off("error", reject);
+                // @ts-ignore
+                this.port = this.server.address().port;
+                resolve();
+            });
+        });
+        Logger.debug(`Fake ROS master listening on ${this.getUri()}`);
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+        const server = this.server;
+        this.server = null;
+
+        await new Promise(resolve => {
+            server.close(() => resolve());
+            server.closeAllConnections();
+        });
+    }
+
+    /**
+     * @private
+     * @param {string} methodName
+     * @param {Array<any>} params
+     * @returns {any}
+     */
+    handleCall(methodName, params) {
+        switch (methodName) {
+            case "lookupService": {
+                const endpoint = this.services.get(String(params[1]));
+                if (!endpoint) {
+                    return [-1, `no provider for ${params[1]}`, ""];
+                }
+
+                return [1, "", `rosrpc://${endpoint.host}:${endpoint.port}`];
+            }
+            case "getSystemState": {
+                const publishers = Array.from(this.topics.keys()).map(topic => [topic, [this.nodeName]]);
+                const services = Array.from(this.services.keys()).map(service => [service, [this.nodeName]]);
+
+                return [1, "current system state", [publishers, [], services]];
+            }
+            case "getTopicTypes":
+                return [1, "current topics", Array.from(this.topics.entries()).map(([topic, {type}]) => [topic, type])];
+            case "lookupNode":
+                if (String(params[1]) !== this.nodeName) {
+                    return [-1, `unknown node ${params[1]}`, ""];
+                }
+
+                return [1, "", this.getUri()];
+            case "registerSubscriber":
+                return [1, "", this.topics.has(String(params[1])) ? [this.nodeName] : []];
+            case "requestTopic": {
+                const topic = this.topics.get(String(params[1]));
+                if (!topic) {
+                    return [-1, `not a publisher of ${params[1]}`, []];
+                }
+
+                return [1, "", ["TCPROS", topic.host, topic.port]];
+            }
+            default:
+                throw new Error(`Unsupported method ${methodName}`);
+        }
+    }
+}
+
+module.exports = FakeRosMaster;
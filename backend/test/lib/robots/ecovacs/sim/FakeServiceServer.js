@@ -0,0 +1,152 @@
+"use strict";
+
+const BufferedTcpSocket = require("../../../../../lib/robots/ecovacs/ros/protocol/BufferedTcpSocket");
+const Logger = require("../../../../../lib/Logger");
+const net = require("net");
+const {buildHandshakePacket, readHandshake} = require("../../../../../lib/robots/ecovacs/ros/protocol/tcpros");
+
+const HANDSHAKE_TIMEOUT_MS = 5000;
+
+/**
+ * TCPROS service provider.
+ *
+ * Any md5sum is accepted and echoed back, so the same server works for
+ * whatever message definitions the client was built against.
+ * With a fixed md5sum, other md5sums are rejected like a firmware node would.
+ */
+class FakeServiceServer {
+    /**
+     * @param {object} options
+     * @param {string} options.serviceName
+     * @param {(request: Buffer) => Buffer|Promise<Buffer>} options.handler throwing results in an error response
+     * @param {string} [options.host]
+     * @param {string} [options.callerId]
+     * @param {string} [options.md5] md5sum to report instead of echoing the client's
+     */
+    constructor(options) {
+        this.serviceName = options.serviceName;
+        this.md5 = options.md5 ?? null;
+        this.handler = options.handler;
+        this.host = options.host ?? "127.0.0.1";
+        this.callerId = options.callerId ?? "/ecovacs_sim";
+        this.port = 0;
+
+        /** @type {net.Server|null} */
+        this.server = null;
+        /** @type {Set<BufferedTcpSocket>} */
+        this.sockets = new Set();
+    }
+
+    /**
+     * @returns {{host:string,port:number}}
+     */
+    getEndpoint() {
+        return {host: this.host, port: this.port};
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.server = net.createServer(rawSocket => {
+            void this.handleConnection(rawSocket);
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(0, this.host, () => {
+                this.server.off("error", reject);
+                // @ts-ignore
+                this.port = this.server.address().port;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+        const server = this.server;
+        this.server = null;
+
+        await Promise.all(Array.from(this.sockets).map(socket => socket.close()));
+        await new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * @private
+     * @param {net.Socket} rawSocket
+     * @returns {Promise<void>}
+     */
+    async handleConnection(rawSocket) {
+        const socket = new BufferedTcpSocket();
+        socket.attach(rawSocket);
+        this.sockets.add(socket);
+
+        try {
+            const header = await readHandshake(socket, HANDSHAKE_TIMEOUT_MS);
+            if (header.service !== this.serviceName) {
+                await socket.write(buildHandshakePacket([
+                    ["error", `${this.callerId} does not provide ${header.service}`]
+                ]));
+
+                return;
+            }
+            if (this.md5 !== null && header.md5sum !== "*" && header.md5sum !== this.md5) {
+                await socket.write(buildHandshakePacket([
+                    ["error", `client wants service ${this.serviceName} to have md5sum ${header.md5sum}, but it has ${this.md5}`]
+                ]));
+
+                return;
+            }
+            await socket.write(buildHandshakePacket([
+                ["callerid", this.callerId],
+                ["md5sum", this.md5 ?? header.md5sum ?? "*"],
+                ["service", this.serviceName]
+            ]));
+            if (header.probe === "1") {
+                return;
+            }
+
+            const persistent = header.persistent === "1";
+            do {
+                const requestLength = (await socket.readExact(4, Infinity)).readUInt32LE(0);
+                const request = await socket.readExact(requestLength, Infinity);
+                await socket.write(await this.buildResponse(request));
+            } while (persistent);
+        } catch (e) {
+            // client disconnected
+        } finally {
+            this.sockets.delete(socket);
+            await socket.close();
+        }
+    }
+
+    /**
+     * @private
+     * @param {Buffer} request
+     * @returns {Promise<Buffer>}
+     */
+    async buildResponse(request) {
+        let ok = 1;
+        let body;
+        try {
+            body = await this.handler(request);
+        } catch (e) {
+            Logger.debug(`Fake ROS service ${this.serviceName} failed: ${e?.message ?? e}`);
+            ok = 0;
+            body = Buffer.from(String(e?.message ?? e), "utf8");
+        }
+        const header = Buffer.alloc(5);
+        header.writeUInt8(ok, 0);
+        header.writeUInt32LE(body.length, 1);
+
+        return Buffer.concat([header, body]);
+    }
+}
+
+module.exports = FakeServiceServer;
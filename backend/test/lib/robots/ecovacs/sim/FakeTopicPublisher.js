@@ -0,0 +1,159 @@
+"use strict";
+
+const BufferedTcpSocket = require("../../../../../lib/robots/ecovacs/ros/protocol/BufferedTcpSocket");
+const net = require("net");
+const {buildHandshakePacket, readHandshake} = require("../../../../../lib/robots/ecovacs/ros/protocol/tcpros");
+
+const HANDSHAKE_TIMEOUT_MS = 5000;
+
+/**
+ * Latched TCPROS topic publisher.
+ *
+ * New subscribers immediately receive the last published message,
+ * which mirrors how the firmware state topics behave for a late subscriber.
+ */
+class FakeTopicPublisher {
+    /**
+     * @param {object} options
+     * @param {string} options.topic
+     * @param {string} options.type
+     * @param {string} [options.host]
+     * @param {string} [options.callerId]
+     */
+    constructor(options) {
+        this.topic = options.topic;
+        this.type = options.type;
+        this.host = options.host ?? "127.0.0.1";
+        this.callerId = options.callerId ?? "/ecovacs_sim";
+        this.port = 0;
+
+        /** @type {Buffer|null} */
+        this.latestMessage = null;
+        /** @type {net.Server|null} */
+        this.server = null;
+        /** @type {Set<BufferedTcpSocket>} */
+        this.subscribers = new Set();
+    }
+
+    /**
+     * @returns {{host:string,port:number}}
+     */
+    getEndpoint() {
+        return {host: this.host, port: this.port};
+    }
+
+    /**
+     * @returns {number}
+     */
+    getSubscriberCount() {
+        return this.subscribers.size;
+    }
+
+    /**
+     * @param {Buffer} payload serialized message without the length prefix
+     */
+    publish(payload) {
+        this.latestMessage = payload;
+        const frame = frameMessage(payload);
+
+        for (const socket of this.subscribers) {
+            socket.write(frame).catch(() => {
+                this.dropSubscriber(socket);
+            });
+        }
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.server = net.createServer(rawSocket => {
+            void this.handleConnection(rawSocket);
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(0, this.host, () => {
+                this.server.off("error", reject);
+                // @ts-ignore
+                this.port = this.server.address().port;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+        const server = this.server;
+        this.server = null;
+
+        await Promise.all(Array.from(this.subscribers).map(socket => this.dropSubscriber(socket)));
+        await new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * @private
+     * @param {net.Socket} rawSocket
+     * @returns {Promise<void>}
+     */
+    async handleConnection(rawSocket) {
+        const socket = new BufferedTcpSocket();
+        socket.attach(rawSocket);
+
+        try {
+            const header = await readHandshake(socket, HANDSHAKE_TIMEOUT_MS);
+            if (header.topic !== this.topic) {
+                await socket.write(buildHandshakePacket([
+                    ["error", `${this.callerId} does not publish ${header.topic}`]
+                ]));
+                await socket.close();
+
+                return;
+            }
+            await socket.write(buildHandshakePacket([
+                ["callerid", this.callerId],
+                ["md5sum", header.md5sum ?? "*"],
+                ["type", this.type],
+                ["topic", this.topic],
+                ["latching", "1"]
+            ]));
+            if (this.latestMessage !== null) {
+                await socket.write(frameMessage(this.latestMessage));
+            }
+            this.subscribers.add(socket);
+            rawSocket.once("close", () => {
+                this.subscribers.delete(socket);
+            });
+        } catch (e) {
+            await socket.close();
+        }
+    }
+
+    /**
+     * @private
+     * @param {BufferedTcpSocket} socket
+     * @returns {Promise<void>}
+     */
+    async dropSubscriber(socket) {
+        this.subscribers.delete(socket);
+        await socket.close();
+    }
+}
+
+/**
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function frameMessage(payload) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(payload.length, 0);
+
+    return Buffer.concat([length, payload]);
+}
+
+module.exports = FakeTopicPublisher;
@@ -0,0 +1,1396 @@
+"use strict";
+
+const BinaryCursor = require("../../../../../lib/robots/ecovacs/ros/protocol/BinaryCursor");
+const EventEmitter = require("events").EventEmitter;
+const lzma = require("lzma-purejs");
+const {encodeFloat32, encodeUInt32, encodeUInt8Array} = require("../../../../../lib/robots/ecovacs/ros/protocol/encoding");
+const {WORK_STATE, WORK_TYPE} = require("../../../../../lib/robots/ecovacs/EcovacsStateMapping");
+require("../../../../../lib/robots/ecovacs/lzmaPurejsPkgIncludes");
+
+const MAP_SIZE_PX = 400;
+const SUBMAP_SIZE_PX = 100;
+const MM_PER_PIXEL = 50;
+const MAP_SLOT_COUNT = 4;
+const TRACE_UNIT_MM = 10;
+const LZMA_LEVEL = 1;
+
+const SPEED_MM_PER_SECOND = 300;
+const CLEANING_LANE_MM = 300;
+const BATTERY_DRAIN_INTERVAL_MS = 30000;
+const BATTERY_CHARGE_INTERVAL_MS = 10000;
+
+const TOPICS = Object.freeze({
+    BATTERY: {topic: "/power/Battery", type: "power/Battery"},
+    CHARGE_STATE: {topic: "/power/ChargeState", type: "power/ChargeState"},
+    WORK_STATE: {topic: "/task/WorkState", type: "task/WorkState"},
+    ALERTS: {topic: "/alert/Alerts", type: "alert/Alerts"},
+    POSE: {topic: "/prediction/UpdatePose", type: "prediction/UpdatePose"},
+    WORK_STATISTIC: {topic: "/worklog/WorkStatisticToWifi", type: "worklog/WorkStatisticToWifi"},
+    DETECTED_OBJECTS: {topic: "/ai/DetectedObjects", type: "ai/DetectedObjects"}
+});
+
+const SERVICES = Object.freeze({
+    COMPRESS_MAP: "/map/GetCurrentCompressMap",
+    MAP_INFOS: "/map/ManipulateMapInfos",
+    SPOT_AREA: "/map/ManipulateSpotArea",
+    CHARGER: "/map/ManipulateCharger",
+    VIRTUAL_WALL: "/map/ManipulateVirtualWall",
+    TRACE: "/map/ManipulateTrace",
+    WORK_MANAGE: "/task/WorkManage",
+    SETTING_MANAGE: "/setting/SettingManage",
+    LIFESPAN: "/lifespan/lifespan",
+    LOG_INFO: "/worklog/GetLogInfo",
+    LAST_LOG_INFO: "/worklog/GetLastLogInfo"
+});
+
+/** @type {ReadonlyArray<{id:number,labelId:number,polygon:Array<[number,number]>}>} */
+const DEFAULT_ROOMS = Object.freeze([
+    {id: 0, labelId: 1, polygon: [[-4000, -2500], [1000, -2500], [1000, 2500], [-4000, 2500]]},
+    {id: 1, labelId: 5, polygon: [[1000, -2500], [4000, -2500], [4000, 500], [1000, 500]]},
+    {id: 2, labelId: 3, polygon: [[1000, 500], [4000, 500], [4000, 4500], [1000, 4500]]}
+]);
+
+/**
+ * Firmware-side model of a T8 AIVI.
+ *
+ * Service requests are answered in the same binary formats the real firmware uses,
+ * topic payloads are produced on demand via encodeTopic().
+ * Every state change emits "topic" with the affected topic name.
+ *
+ * The map raster is laid out so that it lines up with the room polygons
+ * when rendered with the default detailedMapRotationDegrees of 270.
+ */
+class VirtualT8 extends EventEmitter {
+    constructor() {
+        super();
+
+        this.battery = 100;
+        this.chargeState = {isOnCharger: 1, chargeState: 0};
+        this.workState = {worktype: WORK_TYPE.IDLE, state: WORK_STATE.IDLE, workcause: 0};
+        /** @type {Set<number>} */
+        this.alerts = new Set();
+        /** 0 without the water tank, which carries the mop plate */
+        this.waterboxType = 0;
+        this.charger = {x: 0, y: -2300, theta: Math.PI / 2};
+        this.pose = {x: this.charger.x, y: this.charger.y + 200, theta: Math.PI / 2};
+
+        /** @type {Array<{mapid:number,name:string,isActive:boolean}>} */
+        this.maps = [];
+        /** @type {Array<{id:number,name:string,labelId:number,polygon:Array<[number,number]>,suction:number,water:number,times:number,sequence:number}>} */
+        this.rooms = [];
+        /** @type {Array<{vwid:number,type:number,dots:Array<[number,number]>}>} */
+        this.virtualWalls = [];
+        /** @type {Array<{x:number,y:number,flag:number}>} */
+        this.trace = [];
+        /** @type {Array<{objectId:number,objectType:number,confidence:number,x:number,y:number,timestamp:number,imagePath:string}>} */
+        this.detectedObjects = [];
+        this.compressedSubmaps = null;
+
+        this.settings = {
+            blockTime: {isOn: 0, startHour: 22, startMinute: 0, endHour: 8, endMinute: 0},
+            mopMode: 0,
+            waterLevel: 1,
+            fanMode: 1,
+            fanIsSilent: 0,
+            aiSettingIsOn: 1,
+            aiSettingVals: [1, 0, 0, 0, 0],
+            suctionBoostOnCarpet: 1,
+            autoCollect: 1,
+            roomPreferences: 0,
+            cleaningTimes: 1
+        };
+        /** @type {Object<number, {life:number,total:number}>} */
+        this.lifespans = {
+            0: {life: 15000, total: 18000},
+            1: {life: 7000, total: 9000},
+            2: {life: 6500, total: 9000},
+            3: {life: 1200, total: 1800}
+        };
+        this.totalStatistics = {totalCnt: 0, totalSecs: 0, totalAreaM2: 0};
+        this.session = null;
+        this.lastSession = null;
+
+        /** @type {Array<{x:number,y:number}>} */
+        this.waypoints = [];
+        this.batteryTimerMs = 0;
+        /** @type {Map<string, string>} */
+        this.failingServices = new Map();
+
+        this.serviceHandlers = {
+            [SERVICES.COMPRESS_MAP]: request => this.handleCompressMap(request),
+            [SERVICES.MAP_INFOS]: request => this.handleMapInfos(request),
+            [SERVICES.SPOT_AREA]: request => this.handleSpotArea(request),
+            [SERVICES.CHARGER]: () => this.handleCharger(),
+            [SERVICES.VIRTUAL_WALL]: request => this.handleVirtualWall(request),
+            [SERVICES.TRACE]: request => this.handleTrace(request),
+            [SERVICES.WORK_MANAGE]: request => this.handleWorkManage(request),
+            [SERVICES.SETTING_MANAGE]: request => this.handleSettingManage(request),
+            [SERVICES.LIFESPAN]: request => this.handleLifespan(request),
+            [SERVICES.LOG_INFO]: () => this.handleLogInfo(),
+            [SERVICES.LAST_LOG_INFO]: () => this.handleLastLogInfo()
+        };
+
+        this.createMap("Home", DEFAULT_ROOMS);
+    }
+
+    /**
+     * @returns {Array<string>}
+     */
+    getServiceNames() {
+        return Object.keys(this.serviceHandlers);
+    }
+
+    /**
+     * @returns {Array<{topic:string,type:string}>}
+     */
+    getTopics() {
+        return Object.values(TOPICS);
+    }
+
+    /**
+     * @param {string} serviceName
+     * @param {Buffer} request
+     * @returns {Buffer}
+     */
+    handleServiceCall(serviceName, request) {
+        const failure = this.failingServices.get(serviceName);
+        if (failure !== undefined) {
+            throw new Error(failure);
+        }
+        const handler = this.serviceHandlers[serviceName];
+        if (!handler) {
+            throw new Error(`Unknown service ${serviceName}`);
+        }
+
+        return handler(request);
+    }
+
+    /**
+     * @param {string} topic
+     * @returns {Buffer|null} null if the topic currently has nothing to publish
+     */
+    encodeTopic(topic) {
+        switch (topic) {
+            case TOPICS.BATTERY.topic:
+                return Buffer.from([this.battery, this.battery <= 5 ? 1 : 0]);
+            case TOPICS.CHARGE_STATE.topic:
+                return Buffer.from([this.chargeState.isOnCharger, this.chargeState.chargeState]);
+            case TOPICS.WORK_STATE.topic:
+                return encodeWorkState(this.workState);
+            case TOPICS.ALERTS.topic:
+                return encodeAlerts(Array.from(this.alerts));
+            case TOPICS.POSE.topic:
+                return encodeUpdatePose(this.pose);
+            case TOPICS.WORK_STATISTIC.topic:
+                return this.session ? encodeWorkStatistic(this.session) : null;
+            case TOPICS.DETECTED_OBJECTS.topic:
+                return encodeDetectedObjects(this.detectedObjects);
+            default:
+                return null;
+        }
+    }
+
+    /*
+     * Scripting API
+     */
+
+    /**
+     * @param {number} level
+     */
+    setBattery(level) {
+        this.battery = Math.max(0, Math.min(100, Math.round(level)));
+        this.emit("topic", TOPICS.BATTERY.topic);
+    }
+
+    /**
+     * @param {boolean} docked
+     */
+    setDocked(docked) {
+        this.chargeState = {
+            isOnCharger: docked ? 1 : 0,
+            chargeState: docked && this.battery < 100 ? 1 : 0
+        };
+        if (docked) {
+            this.pose = {x: this.charger.x, y: this.charger.y + 200, theta: this.charger.theta};
+            this.emit("topic", TOPICS.POSE.topic);
+        }
+        this.emit("topic", TOPICS.CHARGE_STATE.topic);
+    }
+
+    /**
+     * @param {{worktype:number,state:number,workcause?:number}} workState
+     */
+    setWorkState(workState) {
+        this.workState = {
+            worktype: workState.worktype,
+            state: workState.state,
+            workcause: workState.workcause ?? 0
+        };
+        this.emit("topic", TOPICS.WORK_STATE.topic);
+    }
+
+    /**
+     * Reported with the statistics of jobs started from now on.
+     *
+     * @param {number} waterboxType 0 without the water tank
+     */
+    setWaterboxType(waterboxType) {
+        this.waterboxType = waterboxType;
+    }
+
+    /**
+     * @param {{x:number,y:number,theta?:number}} pose world mm, radians
+     */
+    setPose(pose) {
+        this.pose = {x: pose.x, y: pose.y, theta: pose.theta ?? this.pose.theta};
+        this.emit("topic", TOPICS.POSE.topic);
+    }
+
+    /**
+     * @param {number} alertType one of ALERT_TYPE
+     */
+    raiseAlert(alertType) {
+        this.alerts.add(alertType);
+        this.emit("topic", TOPICS.ALERTS.topic);
+    }
+
+    /**
+     * @param {number} alertType one of ALERT_TYPE
+     */
+    clearAlert(alertType) {
+        this.alerts.delete(alertType);
+        this.emit("topic", TOPICS.ALERTS.topic);
+    }
+
+    /**
+     * @param {{objectType:number,confidence:number,x:number,y:number,imagePath?:string}} object
+     */
+    addDetectedObject(object) {
+        this.detectedObjects.push({
+            objectId: this.detectedObjects.length + 1,
+            objectType: object.objectType,
+            confidence: object.confidence,
+            x: object.x,
+            y: object.y,
+            timestamp: Math.floor(Date.now() / 1000),
+            imagePath: object.imagePath ?? ""
+        });
+        this.emit("topic", TOPICS.DETECTED_OBJECTS.topic);
+    }
+
+    /**
+     * Make every call of a service fail with the given error message until cleared.
+     *
+     * @param {string} serviceName
+     * @param {string|null} message null to clear
+     */
+    failService(serviceName, message) {
+        if (message === null) {
+            this.failingServices.delete(serviceName);
+        } else {
+            this.failingServices.set(serviceName, message);
+        }
+    }
+
+    /**
+     * Store a new map and make it the active one, as if a mapping run just finished.
+     *
+     * @param {string} name
+     * @param {ReadonlyArray<{id:number,labelId:number,name?:string,polygon:Array<[number,number]>}>} rooms world mm polygons
+     * @returns {number} the new mapid
+     */
+    createMap(name, rooms) {
+        const mapid = 1000000 + Math.floor(Math.random() * 1000000);
+        this.maps.forEach(map => {
+            map.isActive = false;
+        });
+        this.maps = this.maps.slice(-(MAP_SLOT_COUNT - 1));
+        this.maps.push({mapid: mapid, name: name, isActive: true});
+        this.setRooms(rooms);
+        this.virtualWalls = [];
+        this.trace = [];
+
+        return mapid;
+    }
+
+    /**
+     * @param {ReadonlyArray<{id:number,labelId:number,name?:string,polygon:Array<[number,number]>}>} rooms world mm polygons
+     */
+    setRooms(rooms) {
+        this.rooms = rooms.map((room, i) => {
+            return {
+                id: room.id,
+                name: room.name ?? "",
+                labelId: room.labelId,
+                polygon: room.polygon.map(([x, y]) => [x, y]),
+                suction: 1,
+                water: 1,
+                times: 1,
+                sequence: i + 1
+            };
+        });
+        this.compressedSubmaps = null;
+    }
+
+    /**
+     * Advance the simulation.
+     *
+     * @param {number} elapsedMs
+     */
+    tick(elapsedMs) {
+        const running = this.workState.state === WORK_STATE.RUNNING;
+
+        if (running && this.waypoints.length > 0) {
+            this.moveAlongWaypoints(SPEED_MM_PER_SECOND * elapsedMs / 1000);
+        } else if (running) {
+            this.onWaypointsReached();
+        }
+
+        this.batteryTimerMs += elapsedMs;
+        if (this.chargeState.isOnCharger === 1 && this.battery < 100) {
+            if (this.batteryTimerMs >= BATTERY_CHARGE_INTERVAL_MS) {
+                this.batteryTimerMs = 0;
+                this.setBattery(this.battery + 1);
+                if (this.battery === 100) {
+                    this.setDocked(true);
+                }
+            }
+        } else if (running && this.batteryTimerMs >= BATTERY_DRAIN_INTERVAL_MS) {
+            this.batteryTimerMs = 0;
+            this.setBattery(this.battery - 1);
+        }
+
+        if (this.session && running) {
+            this.session.worktime += elapsedMs / 1000;
+            this.emit("topic", TOPICS.WORK_STATISTIC.topic);
+        }
+    }
+
+    /**
+     * @private
+     * @param {number} distanceMm
+     */
+    moveAlongWaypoints(distanceMm) {
+        let remaining = distanceMm;
+        while (remaining > 0 && this.waypoints.length > 0) {
+            const target = this.waypoints[0];
+            const dx = target.x - this.pose.x;
+            const dy = target.y - this.pose.y;
+            const distance = Math.hypot(dx, dy);
+            const theta = distance > 0 ? Math.atan2(dy, dx) : this.pose.theta;
+            const step = Math.min(distance, remaining);
+
+            if (distance <= remaining) {
+                this.pose = {x: target.x, y: target.y, theta: theta};
+                this.waypoints.shift();
+            } else {
+                this.pose = {
+                    x: this.pose.x + dx / distance * step,
+                    y: this.pose.y + dy / distance * step,
+                    theta: theta
+                };
+            }
+            remaining -= step;
+            this.trace.push({x: this.pose.x, y: this.pose.y, flag: 0});
+            if (this.session && this.workState.worktype !== WORK_TYPE.RETURN) {
+                this.session.areaM2 += step * CLEANING_LANE_MM / 1000000;
+            }
+        }
+        this.emit("topic", TOPICS.POSE.topic);
+    }
+
+    /**
+     * @private
+     */
+    onWaypointsReached() {
+        switch (this.workState.worktype) {
+            case WORK_TYPE.RETURN:
+                this.finishSession();
+                this.setWorkState({worktype: WORK_TYPE.IDLE, state: WORK_STATE.IDLE});
+                this.setDocked(true);
+                break;
+            case WORK_TYPE.GOTO:
+                this.setWorkState({worktype: WORK_TYPE.IDLE, state: WORK_STATE.IDLE});
+                break;
+            case WORK_TYPE.REMOTE_CONTROL:
+                // stays in manual control until stopped
+                break;
+            default:
+                this.startReturn();
+        }
+    }
+
+    /**
+     * @private
+     */
+    startReturn() {
+        this.waypoints = [{x: this.charger.x, y: this.charger.y + 200}];
+        this.setWorkState({worktype: WORK_TYPE.RETURN, state: WORK_STATE.RUNNING});
+    }
+
+    /**
+     * @private
+     * @param {number} worktype
+     * @param {Array<number>} roomIds rooms in cleaning order
+     */
+    startSession(worktype, roomIds) {
+        this.session = {
+            worktype: worktype,
+            worktime: 0,
+            areaM2: 0,
+            startTimeSecs: Math.floor(Date.now() / 1000),
+            waterboxType: this.waterboxType,
+            passes: Math.max(1, this.settings.cleaningTimes),
+            roomIds: roomIds
+        };
+        this.trace = [];
+    }
+
+    /**
+     * @private
+     */
+    finishSession() {
+        if (!this.session) {
+            return;
+        }
+        this.totalStatistics.totalCnt += 1;
+        this.totalStatistics.totalSecs += Math.round(this.session.worktime);
+        this.totalStatistics.totalAreaM2 += Math.round(this.session.areaM2);
+        this.lastSession = this.session;
+        this.session = null;
+    }
+
+    /**
+     * @private
+     * @param {Array<{x:number,y:number}>} waypoints
+     * @param {number} worktype
+     * @param {Array<number>} [roomIds] rooms in cleaning order
+     */
+    startWork(waypoints, worktype, roomIds) {
+        if (this.chargeState.isOnCharger === 1) {
+            this.setDocked(false);
+        }
+        this.waypoints = waypoints;
+        if (worktype !== WORK_TYPE.GOTO && worktype !== WORK_TYPE.REMOTE_CONTROL) {
+            this.startSession(worktype, roomIds ?? []);
+        }
+        this.setWorkState({worktype: worktype, state: WORK_STATE.RUNNING});
+    }
+
+    /*
+     * Service handlers
+     */
+
+    /**
+     * @private
+     * @returns {{mapid:number,name:string,isActive:boolean}|null}
+     */
+    getActiveMap() {
+        return this.maps.find(map => map.isActive) ?? null;
+    }
+
+    /**
+     * @private
+     * @param {Buffer} request
+     * @returns {Buffer}
+     */
+    handleCompressMap(request) {
+        const cursor = new BinaryCursor(request);
+        cursor.readUInt8();
+        const mapId = cursor.readUInt32LE();
+        const activeMap = this.getActiveMap();
+        const info = Buffer.alloc(14);
+        info.writeUInt16LE(MAP_SIZE_PX, 0);
+        info.writeUInt16LE(MAP_SIZE_PX, 2);
+        info.writeUInt16LE(MAP_SIZE_PX / SUBMAP_SIZE_PX, 4);
+        info.writeUInt16LE(MAP_SIZE_PX / SUBMAP_SIZE_PX, 6);
+        info.writeUInt16LE(SUBMAP_SIZE_PX, 8);
+        info.writeUInt16LE(SUBMAP_SIZE_PX, 10);
+        info.writeUInt16LE(MM_PER_PIXEL, 12);
+
+        if (!activeMap || activeMap.mapid !== mapId) {
+            return Buffer.concat([Buffer.from([1]), encodeUInt32(mapId), info, encodeUInt32(0)]);
+        }
+        if (this.compressedSubmaps === null) {
+            this.compressedSubmaps = this.buildCompressedSubmaps();
+        }
+
+        const chunks = [Buffer.from([0]), encodeUInt32(mapId), info, encodeUInt32(this.compressedSubmaps.length)];
+        this.compressedSubmaps.forEach((data, i) => {
+            const header = Buffer.alloc(10);
+            header.writeUInt16LE(i, 0);
+            header.writeUInt32LE(0, 2); // crc32, not checked by the backend
+            header.writeUInt32LE(SUBMAP_SIZE_PX * SUBMAP_SIZE_PX, 6);
+            chunks.push(header, encodeUInt32(data.length), data);
+        });
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * @private
+     * @returns {Array<Buffer>}
+     */
+    buildCompressedSubmaps() {
+        const raster = Buffer.alloc(MAP_SIZE_PX * MAP_SIZE_PX, 0);
+        for (let ox = 0; ox < MAP_SIZE_PX; ox++) {
+            for (let oy = 0; oy < MAP_SIZE_PX; oy++) {
+                const world = rasterPixelToWorldMm(ox, oy);
+                if (this.rooms.some(room => pointInPolygon(world.x, world.y, room.polygon))) {
+                    raster[oy * MAP_SIZE_PX + ox] = 1;
+                }
+            }
+        }
+        for (let i = 0; i < raster.length; i++) {
+            if (raster[i] !== 0) {
+                continue;
+            }
+            const x = i % MAP_SIZE_PX;
+            const neighbours = [
+                x > 0 ? raster[i - 1] : 0,
+                x < MAP_SIZE_PX - 1 ? raster[i + 1] : 0,
+                raster[i - MAP_SIZE_PX] ?? 0,
+                raster[i + MAP_SIZE_PX] ?? 0
+            ];
+            if (neighbours.includes(1)) {
+                raster[i] = 2;
+            }
+        }
+
+        const submapsPerSide = MAP_SIZE_PX / SUBMAP_SIZE_PX;
+        const submaps = [];
+        for (let row = 0; row < submapsPerSide; row++) {
+            for (let column = 0; column < submapsPerSide; column++) {
+                const tile = Buffer.alloc(SUBMAP_SIZE_PX * SUBMAP_SIZE_PX);
+                for (let y = 0; y < SUBMAP_SIZE_PX; y++) {
+                    const offset = (row * SUBMAP_SIZE_PX + y) * MAP_SIZE_PX + column * SUBMAP_SIZE_PX;
+                    raster.copy(tile, y * SUBMAP_SIZE_PX, offset, offset + SUBMAP_SIZE_PX);
+                }
+                submaps.push(compressEcovacsLzma(tile));
+            }
+        }
+
+        return submaps;
+    }
+
+    /**
+     * @private
+     * @param {Buffer} request
+     * @returns {Buffer}
+     */
+    handleMapInfos(request) {
+        const cursor = new BinaryCursor(request);
+        const type = cursor.readUInt8();
+        const mapId = cursor.remaining() >= 4 ? cursor.readUInt32LE() : 0;
+
+        if (type === 1 || type === 2) {
+            const map = this.maps.find(entry => entry.mapid === mapId);
+            if (!map) {
+                return Buffer.from([1]);
+            }
+            if (type === 1) {
+                this.maps.forEach(entry => {
+                    entry.isActive = entry === map;
+                });
+            } else {
+                this.maps = this.maps.filter(entry => entry !== map);
+                if (map.isActive) {
+                    this.rooms = [];
+                    this.virtualWalls = [];
+                    this.trace = [];
+                }
+            }
+            this.compressedSubmaps = null;
+
+            return Buffer.from([0]);
+        }
+
+        const chunks = [Buffer.from([0]), encodeUInt32(MAP_SLOT_COUNT)];
+        for (let slot = 0; slot < MAP_SLOT_COUNT; slot++) {
+            const map = this.maps[slot];
+            const name = Buffer.from(map?.name ?? "", "utf8");
+            chunks.push(
+                encodeUInt32(map?.mapid ?? 0),
+                encodeUInt32(map ? 0x10000 + slot : 0),
+                Buffer.from([map?.isActive ? 1 : 0, slot, map?.isActive ? 1 : 0]),
+                encodeUInt32(name.length),
+                name
+            );
+        }
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * @private
+     * @param {Buffer} request
+     * @returns {Buffer}
+     */
+    handleSpotArea(request) {
+        const type = request.readUInt8(0);
+        const mapId = request.readUInt32LE(1);
+        const activeMap = this.getActiveMap();
+        const header = result => {
+            return Buffer.concat([
+                Buffer.from([result]),
+                encodeUInt32(mapId),
+                encodeUInt32(0),
+                encodeUInt32(result === 0 ? this.rooms.length : 0)
+            ]);
+        };
+        if (!activeMap || activeMap.mapid !== mapId) {
+            return header(1);
+        }
+
+        switch (type) {
+            case 0:
+                return Buffer.concat([header(0), ...this.rooms.map(encodeSpotArea)]);
+            case 1: {
+                const room = this.findRoom(request.readUInt32LE(17));
+                if (!room) {
+                    return header(1);
+                }
+                room.labelId = request.readUInt32LE(25);
+
+                return header(0);
+            }
+            case 2:
+                return header(this.mergeRooms(readUInt32Array(request, 5)) ? 0 : 1);
+            case 3: {
+                const ids = readUInt32Array(request, 5);
+                const lineOffset = 9 + ids.length * 4;
+                /** @type {Array<[number,number]>} */
+                const line = [];
+                for (let i = 0; i < request.readUInt32LE(lineOffset); i++) {
+                    line.push([request.readFloatLE(lineOffset + 4 + i * 8), request.readFloatLE(lineOffset + 8 + i * 8)]);
+                }
+
+                return header(this.splitRoom(ids[0], line) ? 0 : 1);
+            }
+            case 4: {
+                const room = this.findRoom(request.readUInt8(17));
+                if (!room) {
+                    return header(1);
+                }
+                room.suction = request.readUInt32LE(34);
+                room.water = request.readUInt32LE(38);
+                room.times = request.readUInt32LE(42);
+
+                return header(0);
+            }
+            case 5: {
+                const count = request.readUInt32LE(13);
+                for (let i = 0; i < count; i++) {
+                    const room = this.findRoom(request.readUInt8(17 + i * 30));
+                    if (room) {
+                        room.sequence = request.readUInt8(17 + i * 30 + 29);
+                    }
+                }
+
+                return header(0);
+            }
+            default:
+                return header(1);
+        }
+    }
+
+    /**
+     * @private
+     * @param {number} roomId
+     * @returns {{id:number,name:string,labelId:number,polygon:Array<[number,number]>,suction:number,water:number,times:number,sequence:number}|undefined}
+     */
+    findRoom(roomId) {
+        return this.rooms.find(room => room.id === roomId);
+    }
+
+    /**
+     * The simulated rooms are rectangles, so merging keeps the bounding box.
+     *
+     * @private
+     * @param {Array<number>} roomIds
+     * @returns {boolean}
+     */
+    mergeRooms(roomIds) {
+        const rooms = roomIds.map(id => this.findRoom(id));
+        if (rooms.length < 2 || rooms.some(room => !room)) {
+            return false;
+        }
+        const bounds = getBounds(rooms.flatMap(room => room.polygon));
+        rooms[0].polygon = boundsToPolygon(bounds);
+        this.rooms = this.rooms.filter(room => !rooms.slice(1).includes(room));
+        this.compressedSubmaps = null;
+
+        return true;
+    }
+
+    /**
+     * Splits along the axis the line is closest to.
+     *
+     * @private
+     * @param {number} roomId
+     * @param {Array<[number,number]>} line
+     * @returns {boolean}
+     */
+    splitRoom(roomId, line) {
+        const room = this.findRoom(roomId);
+        if (!room || line.length < 2) {
+            return false;
+        }
+        const bounds = getBounds(room.polygon);
+        const [[x1, y1], [x2, y2]] = line;
+        const second = {...bounds};
+        if (Math.abs(x2 - x1) < Math.abs(y2 - y1)) {
+            const x = (x1 + x2) / 2;
+            if (x <= bounds.minX || x >= bounds.maxX) {
+                return false;
+            }
+            bounds.maxX = x;
+            second.minX = x;
+        } else {
+            const y = (y1 + y2) / 2;
+            if (y <= bounds.minY || y >= bounds.maxY) {
+                return false;
+            }
+            bounds.maxY = y;
+            second.minY = y;
+        }
+        room.polygon = boundsToPolygon(bounds);
+        this.rooms.push({
+            ...room,
+            id: Math.max(...this.rooms.map(entry => entry.id)) + 1,
+            name: "",
+            polygon: boundsToPolygon(second),
+            sequence: this.rooms.length + 1
+        });
+        this.compressedSubmaps = null;
+
+        return true;
+    }
+
+    /**
+     * @private
+     * @returns {Buffer}
+     */
+    handleCharger() {
+        const out = Buffer.alloc(15);
+        out.writeUInt8(1, 0); // isPoseValid
+        out.writeUInt8(0, 1); // docktype
+        out.writeFloatLE(this.charger.x, 2);
+        out.writeFloatLE(this.charger.y, 6);
+        out.writeFloatLE(this.charger.theta, 10);
+        out.writeUInt8(0, 14);
+
+        return out;
+    }
+
+    /**
+     * @private
+     * @param {Buffer} request
+     * @returns {Buffer}
+     */
+    handleVirtualWall(request) {
+        const cursor = new BinaryCursor(request);
+        const type = cursor.readUInt8();
+        const mapId = cursor.readUInt32LE();
+        const vwid = cursor.readUInt32LE();
+        const walls = readVirtualWalls(cursor);
+        const respond = (result, responseWalls) => {
+            return Buffer.concat([Buffer.from([result]), encodeUInt32(mapId), ...encodeVirtualWalls(responseWalls)]);
+        };
+        if (this.getActiveMap()?.mapid !== mapId) {
+            return respond(1, []);
+        }
+
+        switch (type) {
+            case 0:
+                for (const wall of walls) {
+                    this.virtualWalls = this.virtualWalls.filter(existing => existing.vwid !== wall.vwid);
+                    this.virtualWalls.push(wall);
+                }
+
+                return respond(0, []);
+            case 1: {
+                const before = this.virtualWalls.length;
+                this.virtualWalls = this.virtualWalls.filter(existing => existing.vwid !== vwid);
+
+                return respond(this.virtualWalls.length < before ? 0 : 1, []);
+            }
+            case 4:
+                return respond(0, this.virtualWalls);
+            case 5: {
+                const wall = this.virtualWalls.find(existing => existing.vwid === vwid);
+
+                return respond(wall ? 0 : 1, wall ? [wall] : []);
+            }
+            default:
+                return respond(1, []);
+        }
+    }
+
+    /**
+     * @private
+     * @param {Buffer} request
+     * @returns {Buffer}
+     */
+    handleTrace(request) {
+        const type = request.readUInt8(0);
+        const mapId = request.readUInt32LE(1);
+        const endIdx = Math.min(request.readUInt32LE(9), this.trace.length);
+        const startIdx = Math.min(request.readUInt32LE(5), endIdx);
+        const header = Buffer.alloc(17);
+        header.writeUInt32LE(mapId, 1);
+
+        if (type === 1) {
+            header.writeUInt32LE(0, 9);
+            header.writeUInt32LE(this.trace.length, 13);
+
+            return Buffer.concat([header, encodeUInt32(0)]);
+        }
+
+        const records = Buffer.alloc((endIdx - startIdx) * 5);
+        this.trace.slice(startIdx, endIdx).forEach((point, i) => {
+            records.writeInt16LE(Math.round(point.x / TRACE_UNIT_MM), i * 5);
+            records.writeInt16LE(Math.round(point.y / TRACE_UNIT_MM), i * 5 + 2);
+            records.writeUInt8(point.flag, i * 5 + 4);
+        });
+        const data = records.length > 0 ? compressEcovacsLzma(records) : Buffer.alloc(0);
+        header.writeUInt32LE(startIdx, 9);
+        header.writeUInt32LE(endIdx, 13);
+
+        return Buffer.concat([header, encodeUInt32(data.length), data]);
+    }
+
+    /**
+     * @private
+     * @param {Buffer} request
+     * @returns {Buffer}
+     */
+    handleWorkManage(request) {
+        const cursor = new BinaryCursor(request);
+        const manageType = cursor.readUInt8();
+        const workType = cursor.readUInt8();
+        const cleanIds = Array.from(cursor.readBuffer(cursor.readUInt32LE()));
+        const points = [];
+        const pointCount = cursor.readUInt32LE();
+        for (let i = 0; i < pointCount; i++) {
+            points.push({x: cursor.readFloatLE(), y: cursor.readFloatLE()});
+        }
+
+        switch (manageType) {
+            case 0:
+                return Buffer.from([this.startWorkType(workType, cleanIds, points) ? 0 : 1]);
+            case 1:
+                this.waypoints = [];
+                this.finishSession();
+                this.setWorkState({worktype: WORK_TYPE.IDLE, state: WORK_STATE.IDLE});
+                break;
+            case 2:
+                if (this.workState.state !== WORK_STATE.RUNNING) {
+                    return Buffer.from([1]);
+                }
+                this.setWorkState({worktype: this.workState.worktype, state: WORK_STATE.PAUSED});
+                break;
+            case 3:
+                if (this.workState.state !== WORK_STATE.PAUSED) {
+                    return Buffer.from([1]);
+                }
+                this.setWorkState({worktype: this.workState.worktype, state: WORK_STATE.RUNNING});
+                break;
+            default:
+                return Buffer.from([1]);
+        }
+
+        return Buffer.from([0]);
+    }
+
+    /**
+     * @private
+     * @param {number} workType
+     * @param {Array<number>} cleanIds
+     * @param {Array<{x:number,y:number}>} points
+     * @returns {boolean}
+     */
+    startWorkType(workType, cleanIds, points) {
+        const passes = Math.max(1, this.settings.cleaningTimes);
+
+        switch (workType) {
+            case WORK_TYPE.AUTO_CLEAN:
+            case WORK_TYPE.AREA_CLEAN: {
+                // Like the firmware, rooms without a sequence position are cleaned last
+                const rooms = (workType === WORK_TYPE.AUTO_CLEAN ?
+                    this.rooms.slice() :
+                    cleanIds.map(id => this.findRoom(id)).filter(Boolean)
+                ).sort((a, b) => (a.sequence || Infinity) - (b.sequence || Infinity));
+                if (rooms.length === 0) {
+                    return false;
+                }
+                const lanes = rooms.flatMap(room => buildLanes(getBounds(room.polygon)));
+                this.startWork(repeatPasses(lanes, passes), workType, rooms.map(room => room.id));
+
+                return true;
+            }
+            case WORK_TYPE.CUSTOM_CLEAN: {
+                const waypoints = [];
+                for (let i = 0; i + 1 < points.length; i += 2) {
+                    waypoints.push(...buildLanes(getBounds([[points[i].x, points[i].y], [points[i + 1].x, points[i + 1].y]])));
+                }
+                if (waypoints.length === 0) {
+                    return false;
+                }
+                this.startWork(repeatPasses(waypoints, passes), workType);
+
+                return true;
+            }
+            case WORK_TYPE.BUILD_MAP:
+                if (!this.getActiveMap()) {
+                    this.createMap("", DEFAULT_ROOMS);
+                }
+                this.startWork(this.rooms.map(room => getCenter(room.polygon)), workType);
+
+                return true;
+            case WORK_TYPE.RETURN:
+                if (this.chargeState.isOnCharger === 1) {
+                    return false;
+                }
+                this.startReturn();
+
+                return true;
+            case WORK_TYPE.GOTO:
+                if (points.length === 0) {
+                    return false;
+                }
+                this.startWork([points[0]], workType);
+
+                return true;
+            case WORK_TYPE.REMOTE_CONTROL:
+                this.startWork([], workType);
+
+                return true;
+            case WORK_TYPE.AUTO_COLLECT_DIRT:
+                return this.chargeState.isOnCharger === 1;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * @private
+     * @param {Buffer} request
+     * @returns {Buffer}
+     */
+    handleSettingManage(request) {
+        const manageType = request.readUInt8(0);
+        const settingType = request.readUInt8(1);
+
+        if (manageType === 1) {
+            this.applySetting(settingType, request);
+        }
+
+        const settings = this.settings;
+        const fixed = Buffer.alloc(24, 0);
+        fixed.writeUInt8(0, 0);
+        fixed.writeUInt8(settingType, 1);
+        fixed.writeUInt8(settingType === 8 ? 8 : 0, 2);
+        fixed.writeUInt8(settingType === 8 ? settings.suctionBoostOnCarpet : 0, 3);
+        fixed.writeUInt8(settings.blockTime.isOn, 4);
+        fixed.writeUInt8(settings.blockTime.startHour, 5);
+        fixed.writeUInt8(settings.blockTime.startMinute, 6);
+        fixed.writeUInt8(settings.blockTime.endHour, 7);
+        fixed.writeUInt8(settings.blockTime.endMinute, 8);
+        fixed.writeUInt8(settings.mopMode, 19);
+        fixed.writeUInt8(settings.waterLevel, 20);
+        fixed.writeUInt8(settings.fanMode, 21);
+        fixed.writeUInt8(settings.fanIsSilent, 22);
+        fixed.writeUInt8(settings.aiSettingIsOn, 23);
+
+        return Buffer.concat([
+            fixed,
+            encodeUInt8Array(settings.aiSettingVals),
+            Buffer.alloc(9, 0), // mop change, notice time, structured light
+            Buffer.from([settings.autoCollect, settings.roomPreferences, settings.cleaningTimes])
+        ]);
+    }
+
+    /**
+     * @private
+     * @param {number} settingType
+     * @param {Buffer} request
+     */
+    applySetting(settingType, request) {
+        const settings = this.settings;
+        const tail = request.length;
+
+        switch (settingType) {
+            case 1:
+                settings.blockTime = {
+                    isOn: request.readUInt8(4),
+                    startHour: request.readUInt8(5),
+                    startMinute: request.readUInt8(6),
+                    endHour: request.readUInt8(7),
+                    endMinute: request.readUInt8(8)
+                };
+                break;
+            case 5:
+                settings.mopMode = request.readUInt8(19);
+                break;
+            case 6:
+                settings.waterLevel = request.readUInt8(20);
+                break;
+            case 7:
+                settings.fanMode = request.readUInt8(21);
+                settings.fanIsSilent = request.readUInt8(22);
+                break;
+            case 8:
+                settings.suctionBoostOnCarpet = request.readUInt8(3);
+                break;
+            case 9:
+                settings.aiSettingIsOn = request.readUInt8(23);
+                settings.aiSettingVals = Array.from(request.subarray(28, 28 + request.readUInt32LE(24)));
+                break;
+            case 13:
+                settings.autoCollect = request.readUInt8(tail - 3);
+                break;
+            case 14:
+                settings.roomPreferences = request.readUInt8(tail - 2);
+                break;
+            case 15:
+                settings.cleaningTimes = request.readUInt8(tail - 1);
+                break;
+        }
+    }
+
+    /**
+     * @private
+     * @param {Buffer} request
+     * @returns {Buffer}
+     */
+    handleLifespan(request) {
+        const type = request.readUInt8(0);
+        const part = request.readUInt8(1);
+        const lifespan = this.lifespans[part];
+        if (!lifespan) {
+            return Buffer.concat([Buffer.from([1]), encodeUInt32(0), encodeUInt32(0)]);
+        }
+        if (type === 1) {
+            lifespan.life = lifespan.total;
+        }
+
+        return Buffer.concat([
+            Buffer.from([0]),
+            encodeUInt32(1),
+            encodeUInt32(lifespan.life),
+            encodeUInt32(1),
+            encodeUInt32(lifespan.total)
+        ]);
+    }
+
+    /**
+     * @private
+     * @returns {Buffer}
+     */
+    handleLogInfo() {
+        return Buffer.concat([
+            encodeUInt32(this.totalStatistics.totalCnt),
+            encodeUInt32(this.totalStatistics.totalSecs),
+            encodeUInt32(this.totalStatistics.totalAreaM2)
+        ]);
+    }
+
+    /**
+     * @private
+     * @returns {Buffer}
+     */
+    handleLastLogInfo() {
+        return encodeWorkStatistic(this.lastSession ?? {
+            worktype: WORK_TYPE.AUTO_CLEAN,
+            worktime: 0,
+            areaM2: 0,
+            startTimeSecs: 0
+        });
+    }
+}
+
+/**
+ * The inverse of what the map builder does with a 270° rotation:
+ * the rotated grid is centered on the world origin with y pointing up.
+ *
+ * @param {number} ox
+ * @param {number} oy
+ * @returns {{x:number,y:number}}
+ */
+function rasterPixelToWorldMm(ox, oy) {
+    return {
+        x: (oy - MAP_SIZE_PX / 2) * MM_PER_PIXEL,
+        y: (ox + 1 - MAP_SIZE_PX / 2) * MM_PER_PIXEL
+    };
+}
+
+/**
+ * Produces the firmware's LZMA framing: 5 bytes props, u32 uncompressed size, raw stream.
+ *
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function compressEcovacsLzma(data) {
+    const compressed = Buffer.from(lzma.compressFile(data, null, LZMA_LEVEL));
+
+    return Buffer.concat([compressed.subarray(0, 5), encodeUInt32(data.length), compressed.subarray(13)]);
+}
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<[number,number]>} polygon
+ * @returns {boolean}
+ */
+function pointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * @param {Array<[number,number]>} points
+ * @returns {{minX:number,minY:number,maxX:number,maxY:number}}
+ */
+function getBounds(points) {
+    const xs = points.map(point => point[0]);
+    const ys = points.map(point => point[1]);
+
+    return {
+        minX: Math.min(...xs),
+        minY: Math.min(...ys),
+        maxX: Math.max(...xs),
+        maxY: Math.max(...ys)
+    };
+}
+
+/**
+ * @param {{minX:number,minY:number,maxX:number,maxY:number}} bounds
+ * @returns {Array<[number,number]>}
+ */
+function boundsToPolygon(bounds) {
+    return [
+        [bounds.minX, bounds.minY],
+        [bounds.maxX, bounds.minY],
+        [bounds.maxX, bounds.maxY],
+        [bounds.minX, bounds.maxY]
+    ];
+}
+
+/**
+ * @param {Array<[number,number]>} polygon
+ * @returns {{x:number,y:number}}
+ */
+function getCenter(polygon) {
+    const bounds = getBounds(polygon);
+
+    return {
+        x: (bounds.minX + bounds.maxX) / 2,
+        y: (bounds.minY + bounds.maxY) / 2
+    };
+}
+
+/**
+ * @param {Array<{x:number,y:number}>} waypoints
+ * @param {number} passes
+ * @returns {Array<{x:number,y:number}>}
+ */
+function repeatPasses(waypoints, passes) {
+    const out = [];
+    for (let i = 0; i < passes; i++) {
+        out.push(...(i % 2 === 0 ? waypoints : waypoints.slice().reverse()));
+    }
+
+    return out;
+}
+
+/**
+ * Boustrophedon path covering the bounds.
+ *
+ * @param {{minX:number,minY:number,maxX:number,maxY:number}} bounds
+ * @returns {Array<{x:number,y:number}>}
+ */
+function buildLanes(bounds) {
+    const waypoints = [];
+    const margin = CLEANING_LANE_MM / 2;
+    let leftToRight = true;
+    for (let y = bounds.minY + margin; y <= bounds.maxY - margin; y += CLEANING_LANE_MM) {
+        const fromX = leftToRight ? bounds.minX + margin : bounds.maxX - margin;
+        const toX = leftToRight ? bounds.maxX - margin : bounds.minX + margin;
+        waypoints.push({x: fromX, y: y}, {x: toX, y: y});
+        leftToRight = !leftToRight;
+    }
+
+    return waypoints;
+}
+
+/**
+ * @param {Buffer} request
+ * @param {number} offset
+ * @returns {Array<number>}
+ */
+function readUInt32Array(request, offset) {
+    const out = [];
+    for (let i = 0; i < request.readUInt32LE(offset); i++) {
+        out.push(request.readUInt32LE(offset + 4 + i * 4));
+    }
+
+    return out;
+}
+
+/**
+ * @param {BinaryCursor} cursor
+ * @returns {Array<{vwid:number,type:number,dots:Array<[number,number]>}>}
+ */
+function readVirtualWalls(cursor) {
+    const walls = [];
+    const count = cursor.readUInt32LE();
+    for (let i = 0; i < count; i++) {
+        const vwid = cursor.readUInt32LE();
+        const type = cursor.readUInt8();
+        /** @type {Array<[number,number]>} */
+        const dots = [];
+        const dotCount = cursor.readUInt32LE();
+        for (let j = 0; j < dotCount; j++) {
+            dots.push([cursor.readFloatLE(), cursor.readFloatLE()]);
+        }
+        walls.push({vwid: vwid, type: type, dots: dots});
+    }
+
+    return walls;
+}
+
+/**
+ * @param {Array<{vwid:number,type:number,dots:Array<[number,number]>}>} walls
+ * @returns {Array<Buffer>}
+ */
+function encodeVirtualWalls(walls) {
+    const chunks = [encodeUInt32(walls.length)];
+    for (const wall of walls) {
+        chunks.push(encodeUInt32(wall.vwid), Buffer.from([wall.type]), encodeUInt32(wall.dots.length));
+        for (const [x, y] of wall.dots) {
+            chunks.push(encodeFloat32(x), encodeFloat32(y));
+        }
+    }
+
+    return chunks;
+}
+
+/**
+ * @param {{id:number,name:string,labelId:number,polygon:Array<[number,number]>,suction:number,water:number,times:number,sequence:number}} room
+ * @returns {Buffer}
+ */
+function encodeSpotArea(room) {
+    const name = Buffer.from(room.name, "utf8");
+    const chunks = [
+        encodeUInt32(room.id),
+        encodeUInt32(name.length),
+        name,
+        Buffer.from([room.labelId]),
+        encodeUInt32(room.polygon.length)
+    ];
+    for (const [x, y] of room.polygon) {
+        chunks.push(encodeFloat32(x), encodeFloat32(y));
+    }
+    chunks.push(
+        encodeUInt32(0), // connections
+        encodeUInt32(room.suction),
+        encodeUInt32(room.water),
+        encodeUInt32(room.times),
+        Buffer.from([room.sequence])
+    );
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * @param {{worktype:number,state:number,workcause:number}} workState
+ * @returns {Buffer}
+ */
+function encodeWorkState(workState) {
+    return Buffer.concat([
+        Buffer.from([workState.worktype, workState.state]),
+        encodeUInt32(0), // cleanData.ids
+        encodeUInt32(0), // cleanData.customAreas
+        encodeUInt32(0), // cleanData.cycles
+        encodeUInt32(0), // cleanData.states
+        encodeUInt32(0), // extraWorkData.ids
+        encodeUInt32(0), // extraWorkData.poses
+        Buffer.alloc(7), // RemoteMove
+        encodeUInt32(0), // extraWorkData.states
+        Buffer.from([workState.workcause])
+    ]);
+}
+
+/**
+ * @param {Array<number>} alertTypes
+ * @returns {Buffer}
+ */
+function encodeAlerts(alertTypes) {
+    return Buffer.concat([
+        encodeUInt32(alertTypes.length),
+        Buffer.from(alertTypes.flatMap(type => [type, 1]))
+    ]);
+}
+
+/**
+ * @param {{x:number,y:number,theta:number}} pose
+ * @returns {Buffer}
+ */
+function encodeUpdatePose(pose) {
+    const header = Buffer.concat([encodeUInt32(0), encodeUInt32(Math.floor(Date.now() / 1000)), encodeUInt32(0), encodeUInt32(0)]);
+    const xyz = Buffer.concat([encodeFloat32(pose.x), encodeFloat32(pose.y), encodeFloat32(pose.theta)]);
+
+    return Buffer.concat([header, xyz, header, xyz, Buffer.from([0])]);
+}
+
+/**
+ * @param {{worktype:number,worktime:number,areaM2:number,startTimeSecs:number,waterboxType?:number}} session
+ * @returns {Buffer}
+ */
+function encodeWorkStatistic(session) {
+    return Buffer.concat([
+        Buffer.from([session.worktype]),
+        encodeUInt32(Math.round(session.worktime)),
+        encodeUInt32(Math.round(session.areaM2)),
+        encodeUInt32(0),
+        Buffer.from([session.waterboxType ?? 0]),
+        encodeUInt32(session.startTimeSecs),
+        encodeUInt32(0)
+    ]);
+}
+
+/**
+ * @param {Array<{objectId:number,objectType:number,confidence:number,x:number,y:number,timestamp:number,imagePath:string}>} objects
+ * @returns {Buffer}
+ */
+function encodeDetectedObjects(objects) {
+    const chunks = [encodeUInt32(objects.length)];
+    for (const object of objects) {
+        const imagePath = Buffer.from(object.imagePath, "utf8");
+        chunks.push(
+            encodeUInt32(object.objectId),
+            Buffer.from([object.objectType, object.confidence]),
+            encodeFloat32(object.x),
+            encodeFloat32(object.y),
+            encodeUInt32(object.timestamp),
+            encodeUInt32(imagePath.length),
+            imagePath
+        );
+    }
+
+    return Buffer.concat(chunks);
+}
+
+VirtualT8.TOPICS = TOPICS;
+VirtualT8.SERVICES = SERVICES;
+
+module.exports = VirtualT8;
@@ -65,7 +65,8 @@ export enum RawMapLayerMaterial {
     Tile = "tile",
     Wood = "wood",
     WoodHorizontal = "wood_horizontal",
-    WoodVertical = "wood_vertical"
+    WoodVertical = "wood_vertical",
+    Carpet = "carpet"
 }
 
 export enum RawMapEntityType {
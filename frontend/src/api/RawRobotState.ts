@@ -17,6 +17,7 @@ export enum RobotAttributeClass {
     AttachmentState = "AttachmentStateAttribute",
     DockStatusState = "DockStatusStateAttribute",
     DockComponentState = "DockComponentStateAttribute",
+    FirmwareConnectionState = "FirmwareConnectionStateAttribute",
 }
 
 export interface StatusState {
@@ -81,6 +82,12 @@ export interface DockComponentState {
     value: DockComponentStateAttributeValue;
 }
 
+export interface FirmwareConnectionState {
+    __class: RobotAttributeClass.FirmwareConnectionState;
+    metaData: Record<string, never>;
+    value: "connected" | "degraded" | "unreachable";
+}
+
 
 export type RobotAttribute =
     | StatusState
@@ -88,4 +95,5 @@ export type RobotAttribute =
     | PresetSelectionState
     | AttachmentState
     | DockStatusState
-    | DockComponentState;
+    | DockComponentState
+    | FirmwareConnectionState;
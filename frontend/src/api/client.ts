@@ -15,6 +15,7 @@ import {
     CleanRoute,
     CleanRouteControlProperties,
     CleanRoutePayload,
+    CleaningHistoryEntry,
     CombinedVirtualRestrictionsProperties,
     CombinedVirtualRestrictionsUpdateRequestParameters,
     ConsumableId,
@@ -1083,6 +1084,22 @@ export const fetchTotalStatisticsProperties = async (): Promise<StatisticsProper
         });
 };
 
+export const fetchCleaningHistory = async (): Promise<Array<CleaningHistoryEntry>> => {
+    return valetudoAPI
+        .get<Array<CleaningHistoryEntry>>(`/robot/capabilities/${Capability.CleaningHistory}`)
+        .then(({ data }) => {
+            return data;
+        });
+};
+
+export const fetchCleaningHistoryEntry = async (id: string): Promise<CleaningHistoryEntry> => {
+    return valetudoAPI
+        .get<CleaningHistoryEntry>(`/robot/capabilities/${Capability.CleaningHistory}/${encodeURIComponent(id)}`)
+        .then(({ data }) => {
+            return data;
+        });
+};
+
 export const fetchQuirks = async (): Promise<Array<Quirk>> => {
     return valetudoAPI
         .get<Array<Quirk>>(`/robot/capabilities/${Capability.Quirks}`)
@@ -14,6 +14,8 @@ import {
     deleteTimer,
     fetchCapabilities,
     fetchCarpetModeState,
+    fetchCleaningHistory,
+    fetchCleaningHistoryEntry,
     fetchCombinedVirtualRestrictionsProperties,
     fetchConsumableStateInformation,
     fetchCurrentStatistics,
@@ -249,6 +251,8 @@ enum QueryKey {
     CurrentStatisticsProperties = "current_statistics_properties",
     TotalStatistics = "total_statistics",
     TotalStatisticsProperties = "total_statistics_properties",
+    CleaningHistory = "cleaning_history",
+    CleaningHistoryEntry = "cleaning_history_entry",
     Quirks = "quirks",
     RobotProperties = "robot_properties",
     ValetudoCustomizations = "valetudo_customizations",
@@ -1363,12 +1367,13 @@ export const useHighResolutionManualControlInteraction = () => {
     });
 };
 
-export const useCombinedVirtualRestrictionsPropertiesQuery = () => {
+export const useCombinedVirtualRestrictionsPropertiesQuery = (enabled?: boolean) => {
     return useQuery({
         queryKey: [QueryKey.CombinedVirtualRestrictionsProperties],
         queryFn: fetchCombinedVirtualRestrictionsProperties,
 
-        staleTime: Infinity
+        staleTime: Infinity,
+        enabled: enabled ?? true
     });
 };
 
@@ -1473,6 +1478,28 @@ export const useTotalStatisticsPropertiesQuery = () => {
     });
 };
 
+export const useCleaningHistoryQuery = () => {
+    return useQuery({
+        queryKey: [QueryKey.CleaningHistory],
+        queryFn: fetchCleaningHistory,
+
+        staleTime: 60_000,
+        refetchInterval: 60_000
+    });
+};
+
+export const useCleaningHistoryEntryQuery = (id: string | null) => {
+    return useQuery({
+        queryKey: [QueryKey.CleaningHistoryEntry, id],
+        queryFn: () => {
+            return fetchCleaningHistoryEntry(id as string);
+        },
+        enabled: id !== null,
+
+        staleTime: Infinity
+    });
+};
+
 export const useQuirksQuery = () => {
     return useQuery({
         queryKey: [QueryKey.Quirks],
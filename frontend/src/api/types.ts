@@ -1,4 +1,5 @@
 import {AttachmentStateAttributeType, DockComponentStateAttributeType} from "./RawRobotState";
+import {RawMapData} from "./RawMapData";
 
 export enum Capability {
     AutoEmptyDockAutoEmptyIntervalControl = "AutoEmptyDockAutoEmptyIntervalControlCapability",
@@ -9,6 +10,7 @@ export enum Capability {
     CarpetSensorModeControl = "CarpetSensorModeControlCapability",
     CameraLightControl = "CameraLightControlCapability",
     CleanRouteControl = "CleanRouteControlCapability",
+    CleaningHistory = "CleaningHistoryCapability",
     CollisionAvoidantNavigation = "CollisionAvoidantNavigationControlCapability",
     CombinedVirtualRestrictions = "CombinedVirtualRestrictionsCapability",
     ConsumableMonitoring = "ConsumableMonitoringCapability",
@@ -171,7 +173,8 @@ export enum MapSegmentMaterial {
     Tile = "tile",
     Wood = "wood",
     WoodHorizontal = "wood_horizontal",
-    WoodVertical = "wood_vertical"
+    WoodVertical = "wood_vertical",
+    Carpet = "carpet"
 }
 
 
@@ -538,7 +541,8 @@ export interface HighResolutionManualControlInteraction {
 
 export enum ValetudoRestrictedZoneType {
     Regular = "regular",
-    Mop = "mop"
+    Mop = "mop",
+    Carpet = "carpet"
 }
 
 export interface ValetudoRestrictedZone {
@@ -548,7 +552,8 @@ export interface ValetudoRestrictedZone {
         pB: Point,
         pC: Point,
         pD: Point
-    }
+    },
+    polygon?: Array<Point>
 }
 
 export interface CombinedVirtualRestrictionsUpdateRequestParameters {
@@ -562,7 +567,8 @@ export interface CombinedVirtualRestrictionsUpdateRequestParameters {
 }
 
 export interface CombinedVirtualRestrictionsProperties {
-    supportedRestrictedZoneTypes: Array<ValetudoRestrictedZoneType>
+    supportedRestrictedZoneTypes: Array<ValetudoRestrictedZoneType>,
+    supportsPolygonalRestrictedZones: boolean
 }
 
 export interface UpdaterConfiguration {
@@ -601,6 +607,22 @@ export interface StatisticsProperties {
     availableStatistics: Array<ValetudoDataPointType>
 }
 
+export type CleaningHistoryEntryMode = "vacuum" | "mop";
+
+export type CleaningHistoryEntryJobType = "full" | "segment" | "zone" | "mapping" | "other";
+
+export interface CleaningHistoryEntry {
+    id: string,
+    timestamp: string,
+    duration: number,
+    area: number,
+    mode: CleaningHistoryEntryMode,
+    jobType: CleaningHistoryEntryJobType,
+    hasMap: boolean,
+    map?: RawMapData,
+    metaData: Record<string, unknown>
+}
+
 export interface Quirk {
     id: string,
     options: Array<string>,
@@ -616,6 +638,18 @@ export interface SetQuirkValueCommand {
 
 export interface RobotProperties {
     firmwareVersion: string
+    boardId?: string
+    serialNumber?: string
+    medusaVersion?: string
+    ldsVersion?: string
+    cameraModuleVersion?: string
+    rosNodes?: Array<string>
+    rosCompatibility?: {
+        supported: number
+        unknownMd5: Array<string>
+        missing: Array<string>
+    }
+    cameraAvailable?: boolean
 }
 
 export interface ValetudoCustomizations {
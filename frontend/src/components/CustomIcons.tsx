@@ -57,6 +57,12 @@ export const AddNoMopAreaIcon = createSvgIcon(
     "addNoMopArea"
 );
 
+// Remixed from the "rug" material design icon
+export const AddCarpetAreaIcon = createSvgIcon(
+    <path d="M 4 3 L 4 4 L 2 4 L 2 5 L 4 5 L 4 7 L 2 7 L 2 8 L 4 8 L 4 10 L 2 10 L 2 11 L 4 11 L 4 13 L 2 13 L 2 14 L 4 14 L 4 16 L 2 16 L 2 17 L 4 17 L 4 18 L 13.083984 18 A 6 6 0 0 1 13.537109 16 L 6 16 L 6 5 L 18 5 L 18 13.083984 A 6 6 0 0 1 20 13.537109 L 20 3 L 4 3 z M 8 7 L 8 14 L 14.535156 14 A 6 6 0 0 1 16 13.349609 L 16 7 L 8 7 z M 18 15 L 18 18 L 15 18 L 15 20 L 18 20 L 18 23 L 20 23 L 20 20 L 23 20 L 23 18 L 20 18 L 20 15 L 18 15 z " />,
+    "addCarpetArea"
+);
+
 // Remixed from the "minus-circle" material design icon
 export const AddNoGoAreaIcon = createSvgIcon(
     <path d="M 12 2 C 6.4771635 2 2 6.4771635 2 12 C 2 17.522835 6.4771635 22 12 22 C 12.592362 22 13.17226 21.946433 13.736328 21.847656 A 6 6 0 0 1 13 19 A 6 6 0 0 1 16.623047 13.5 L 3.3457031 13.5 L 3.3457031 10.5 L 20.650391 10.503906 L 20.650391 13.232422 A 6 6 0 0 1 21.849609 13.720703 C 21.946622 13.161509 22 12.586934 22 12 C 22 6.4771635 17.522835 2 12 2 z M 18 15 L 18 18 L 15 18 L 15 20 L 18 20 L 18 23 L 20 23 L 20 20 L 23 20 L 23 18 L 20 18 L 20 15 L 18 15 z " />,
@@ -19,6 +19,7 @@ import React from "react";
 import {
     AccessTime as TimeIcon,
     Equalizer as StatisticsIcon,
+    History as CleaningHistoryIcon,
     DarkMode as DarkModeIcon,
     Map as MapManagementIcon,
     Home as HomeIcon,
@@ -95,7 +96,8 @@ const menuTree: Array<MenuEntry | MenuSubEntry | MenuSubheader> = [
                 Capability.ConsumableMonitoring,
                 Capability.ManualControl,
                 Capability.HighResolutionManualControl,
-                Capability.TotalStatistics
+                Capability.TotalStatistics,
+                Capability.CleaningHistory
             ],
             type: "anyof"
         }
@@ -133,6 +135,17 @@ const menuTree: Array<MenuEntry | MenuSubEntry | MenuSubheader> = [
             type: "allof"
         }
     },
+    {
+        kind: "MenuEntry",
+        route: "/robot/cleaning_history",
+        title: "Cleaning History",
+        menuIcon: CleaningHistoryIcon,
+        menuText: "Cleaning History",
+        requiredCapabilities: {
+            capabilities: [Capability.CleaningHistory],
+            type: "allof"
+        }
+    },
     {
         kind: "Subheader",
         title: "Options"
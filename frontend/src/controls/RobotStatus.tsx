@@ -38,6 +38,11 @@ const RobotStatus = (): React.ReactElement => {
         isPending: isBatteryPending,
         isError: isBatteryError,
     } = useRobotAttributeQuery(RobotAttributeClass.BatteryState);
+    const {
+        data: firmwareUnreachable,
+    } = useRobotAttributeQuery(RobotAttributeClass.FirmwareConnectionState, (attributes) => {
+        return attributes[0]?.value === "unreachable";
+    });
     const isPending = isStatusPending || isBatteryPending;
 
     const stateDetails = React.useMemo(() => {
@@ -124,6 +129,13 @@ const RobotStatus = (): React.ReactElement => {
                         {stateDetails}
                     </Grid2>
                 </Grid2>
+                {firmwareUnreachable === true && (
+                    <Grid2>
+                        <Typography variant="caption" color="error">
+                            The robot firmware is unreachable. The state shown might be outdated.
+                        </Typography>
+                    </Grid2>
+                )}
                 {batteries !== undefined && batteries.length > 0 && (
                     <Grid2 size="grow" container direction="row" width="100%">
                         {batteriesDetails}
@@ -1,5 +1,5 @@
 import BaseMap, {MapContainer, MapProps, MapState} from "./BaseMap";
-import {Capability, RawMapEntityType, RawMapLayerMaterial, RawMapLayerType, StatusState} from "../api";
+import {Capability, RawMapEntityType, RawMapLayerMaterial, RawMapLayerType, StatusState, ValetudoRestrictedZoneType} from "../api";
 import {ActionsContainer} from "./Styled";
 import SegmentLabelMapStructure from "./structures/map_structures/SegmentLabelMapStructure";
 import SegmentActions from "./actions/edit_map_actions/SegmentActions";
@@ -8,11 +8,13 @@ import VirtualWallClientStructure from "./structures/client_structures/VirtualWa
 import VirtualRestrictionActions from "./actions/edit_map_actions/VirtualRestrictionActions";
 import NoGoAreaClientStructure from "./structures/client_structures/NoGoAreaClientStructure";
 import NoMopAreaClientStructure from "./structures/client_structures/NoMopAreaClientStructure";
+import CarpetAreaClientStructure from "./structures/client_structures/CarpetAreaClientStructure";
 import HelpDialog from "../components/HelpDialog";
 import HelpAction from "./actions/edit_map_actions/HelpAction";
 import {ProviderContext} from "notistack";
 import React from "react";
 import {PathDrawer} from "./PathDrawer";
+import {PointCoordinates} from "./utils/types";
 
 export type mode = "segments" | "virtual_restrictions";
 
@@ -27,6 +29,8 @@ interface EditMapProps extends MapProps {
     mode: mode,
     helpText: string,
     robotStatus: StatusState,
+    supportedRestrictedZoneTypes: Array<ValetudoRestrictedZoneType>,
+    supportsPolygonalRestrictedZones: boolean,
     enqueueSnackbar: ProviderContext["enqueueSnackbar"]
 }
 
@@ -44,6 +48,7 @@ interface EditMapState extends MapState {
     virtualWalls: Array<VirtualWallClientStructure>,
     noGoAreas: Array<NoGoAreaClientStructure>,
     noMopAreas: Array<NoMopAreaClientStructure>,
+    carpetAreas: Array<CarpetAreaClientStructure>,
 
     helpDialogOpen: boolean
 }
@@ -69,6 +74,7 @@ class EditMap extends BaseMap<EditMapProps, EditMapState> {
             virtualWalls: [],
             noGoAreas: [],
             noMopAreas: [],
+            carpetAreas: [],
 
             helpDialogOpen: false
         };
@@ -120,8 +126,10 @@ class EditMap extends BaseMap<EditMapProps, EditMapState> {
             entities: this.props.rawMap.entities.filter(e => {
                 switch (e.type) {
                     case RawMapEntityType.ChargerLocation:
-                    case RawMapEntityType.Carpet:
                         return true;
+                    case RawMapEntityType.Carpet:
+                        // Editable carpets are drawn as client structures instead
+                        return !(mode === "virtual_restrictions" && this.canEditCarpets());
                     default:
                         return false;
                 }
@@ -191,10 +199,30 @@ class EditMap extends BaseMap<EditMapProps, EditMapState> {
                 if (s.type === NoMopAreaClientStructure.TYPE) {
                     return true;
                 }
-            }) as Array<NoMopAreaClientStructure>
+            }) as Array<NoMopAreaClientStructure>,
+            carpetAreas: this.structureManager.getClientStructures().filter(s => {
+                if (s.type === CarpetAreaClientStructure.TYPE) {
+                    return true;
+                }
+            }) as Array<CarpetAreaClientStructure>
         });
     }
 
+    private getNewRestrictedZonePoints() : Array<PointCoordinates> {
+        const currentCenter = this.getCurrentViewportCenterCoordinatesInPixelSpace();
+
+        return [
+            {x: currentCenter.x -15, y: currentCenter.y -15},
+            {x: currentCenter.x +15, y: currentCenter.y -15},
+            {x: currentCenter.x +15, y: currentCenter.y +15},
+            {x: currentCenter.x -15, y: currentCenter.y +15}
+        ];
+    }
+
+    private canEditCarpets() : boolean {
+        return this.props.supportedRestrictedZoneTypes.includes(ValetudoRestrictedZoneType.Carpet);
+    }
+
     private updateVirtualRestrictionClientStructures(remove: boolean) : void {
         if (remove) {
             this.structureManager.getClientStructures().forEach(s => {
@@ -202,6 +230,7 @@ class EditMap extends BaseMap<EditMapProps, EditMapState> {
                     case VirtualWallClientStructure.TYPE:
                     case NoGoAreaClientStructure.TYPE:
                     case NoMopAreaClientStructure.TYPE:
+                    case CarpetAreaClientStructure.TYPE:
                         this.structureManager.removeClientStructure(s);
                 }
             });
@@ -220,33 +249,43 @@ class EditMap extends BaseMap<EditMapProps, EditMapState> {
                         break;
                     }
                     case RawMapEntityType.NoGoArea: {
-                        const p0 = this.structureManager.convertCMCoordinatesToPixelSpace({x: e.points[0], y: e.points[1]});
-                        const p1 = this.structureManager.convertCMCoordinatesToPixelSpace({x: e.points[2], y: e.points[3]});
-                        const p2 = this.structureManager.convertCMCoordinatesToPixelSpace({x: e.points[4], y: e.points[5]});
-                        const p3 = this.structureManager.convertCMCoordinatesToPixelSpace({x: e.points[6], y: e.points[7]});
-
-
                         this.structureManager.addClientStructure(new NoGoAreaClientStructure(
-                            p0.x, p0.y,
-                            p1.x, p1.y,
-                            p2.x, p2.y,
-                            p3.x, p3.y,
-                            false
+                            this.structureManager.convertCMPolygonToPixelSpace(e.points),
+                            false,
+                            this.props.supportsPolygonalRestrictedZones
                         ));
                         break;
                     }
                     case RawMapEntityType.NoMopArea: {
-                        const p0 = this.structureManager.convertCMCoordinatesToPixelSpace({x: e.points[0], y: e.points[1]});
-                        const p1 = this.structureManager.convertCMCoordinatesToPixelSpace({x: e.points[2], y: e.points[3]});
-                        const p2 = this.structureManager.convertCMCoordinatesToPixelSpace({x: e.points[4], y: e.points[5]});
-                        const p3 = this.structureManager.convertCMCoordinatesToPixelSpace({x: e.points[6], y: e.points[7]});
-
-
                         this.structureManager.addClientStructure(new NoMopAreaClientStructure(
-                            p0.x, p0.y,
-                            p1.x, p1.y,
-                            p2.x, p2.y,
-                            p3.x, p3.y,
+                            this.structureManager.convertCMPolygonToPixelSpace(e.points),
+                            false,
+                            this.props.supportsPolygonalRestrictedZones
+                        ));
+                        break;
+                    }
+                    case RawMapEntityType.Carpet: {
+                        // Carpets can be polygons with an arbitrary point count, but only rectangles are editable
+                        if (!this.canEditCarpets() || e.points.length !== 8) {
+                            break;
+                        }
+
+                        const points = this.structureManager.convertCMPolygonToPixelSpace(e.points);
+                        const xs = points.map(p => {
+                            return p.x;
+                        });
+                        const ys = points.map(p => {
+                            return p.y;
+                        });
+
+                        // The scale button expects the top left corner first
+                        this.structureManager.addClientStructure(new CarpetAreaClientStructure(
+                            [
+                                {x: Math.min(...xs), y: Math.min(...ys)},
+                                {x: Math.max(...xs), y: Math.min(...ys)},
+                                {x: Math.max(...xs), y: Math.max(...ys)},
+                                {x: Math.min(...xs), y: Math.max(...ys)}
+                            ],
                             false
                         ));
                         break;
@@ -411,6 +450,7 @@ class EditMap extends BaseMap<EditMapProps, EditMapState> {
                             virtualWalls={this.state.virtualWalls}
                             noGoAreas={this.state.noGoAreas}
                             noMopAreas={this.state.noMopAreas}
+                            carpetAreas={this.state.carpetAreas}
 
                             convertPixelCoordinatesToCMSpace={(coordinates => {
                                 return this.structureManager.convertPixelCoordinatesToCMSpace(coordinates);
@@ -439,32 +479,10 @@ class EditMap extends BaseMap<EditMapProps, EditMapState> {
                                 this.draw();
                             }}
                             onAddNoGoArea={() => {
-                                const currentCenter = this.getCurrentViewportCenterCoordinatesInPixelSpace();
-
-                                const p0 = {
-                                    x: currentCenter.x -15,
-                                    y: currentCenter.y -15
-                                };
-                                const p1 = {
-                                    x: currentCenter.x +15,
-                                    y: currentCenter.y -15
-                                };
-                                const p2 = {
-                                    x: currentCenter.x +15,
-                                    y: currentCenter.y +15
-                                };
-                                const p3 = {
-                                    x: currentCenter.x -15,
-                                    y: currentCenter.y +15
-                                };
-
-
                                 this.structureManager.addClientStructure(new NoGoAreaClientStructure(
-                                    p0.x, p0.y,
-                                    p1.x, p1.y,
-                                    p2.x, p2.y,
-                                    p3.x, p3.y,
-                                    true
+                                    this.getNewRestrictedZonePoints(),
+                                    true,
+                                    this.props.supportsPolygonalRestrictedZones
                                 ));
 
                                 this.updateState();
@@ -472,30 +490,19 @@ class EditMap extends BaseMap<EditMapProps, EditMapState> {
                                 this.draw();
                             }}
                             onAddNoMopArea={() => {
-                                const currentCenter = this.getCurrentViewportCenterCoordinatesInPixelSpace();
+                                this.structureManager.addClientStructure(new NoMopAreaClientStructure(
+                                    this.getNewRestrictedZonePoints(),
+                                    true,
+                                    this.props.supportsPolygonalRestrictedZones
+                                ));
 
-                                const p0 = {
-                                    x: currentCenter.x -15,
-                                    y: currentCenter.y -15
-                                };
-                                const p1 = {
-                                    x: currentCenter.x +15,
-                                    y: currentCenter.y -15
-                                };
-                                const p2 = {
-                                    x: currentCenter.x +15,
-                                    y: currentCenter.y +15
-                                };
-                                const p3 = {
-                                    x: currentCenter.x -15,
-                                    y: currentCenter.y +15
-                                };
+                                this.updateState();
 
-                                this.structureManager.addClientStructure(new NoMopAreaClientStructure(
-                                    p0.x, p0.y,
-                                    p1.x, p1.y,
-                                    p2.x, p2.y,
-                                    p3.x, p3.y,
+                                this.draw();
+                            }}
+                            onAddCarpetArea={() => {
+                                this.structureManager.addClientStructure(new CarpetAreaClientStructure(
+                                    this.getNewRestrictedZonePoints(),
                                     true
                                 ));
 
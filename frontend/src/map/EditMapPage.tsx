@@ -1,6 +1,7 @@
 import {Box, Button, CircularProgress, styled, Typography, useTheme} from "@mui/material";
 import {
     Capability,
+    useCombinedVirtualRestrictionsPropertiesQuery,
     useRobotMapQuery,
     useRobotStatusQuery
 } from "../api";
@@ -49,6 +50,11 @@ const EditMapPage = (props: {
         Capability.MapSegmentMaterialControl
     );
 
+    const {
+        data: combinedVirtualRestrictionsProperties,
+        isPending: combinedVirtualRestrictionsPropertiesPending
+    } = useCombinedVirtualRestrictionsPropertiesQuery(combinedVirtualRestrictionsCapabilitySupported);
+
     const theme = useTheme();
     const {enqueueSnackbar} = useSnackbar();
 
@@ -74,7 +80,11 @@ const EditMapPage = (props: {
         );
     }
 
-    if ((!mapData && mapIsPending) || (!robotStatus && robotStatusPending)) {
+    if (
+        (!mapData && mapIsPending) ||
+        (!robotStatus && robotStatusPending) ||
+        (combinedVirtualRestrictionsCapabilitySupported && !combinedVirtualRestrictionsProperties && combinedVirtualRestrictionsPropertiesPending)
+    ) {
         return (
             <Container>
                 <CircularProgress/>
@@ -104,6 +114,8 @@ const EditMapPage = (props: {
         mode={props.mode}
         helpText={helpText}
         robotStatus={robotStatus}
+        supportedRestrictedZoneTypes={combinedVirtualRestrictionsProperties?.supportedRestrictedZoneTypes ?? []}
+        supportsPolygonalRestrictedZones={combinedVirtualRestrictionsProperties?.supportsPolygonalRestrictedZones ?? false}
         enqueueSnackbar={enqueueSnackbar}
 
         supportedCapabilities={{
@@ -115,6 +115,19 @@ const chevronPixelPatternHandler: PixelPatternHandler = (x, y) => {
     return diagonalValue % PLANK_WIDTH === 0;
 };
 
+/*
+ *  .   .   .   .
+ *    .   .   .   .
+ *  .   .   .   .
+ *    .   .   .   .
+ */
+const carpetPixelPatternHandler: PixelPatternHandler = (x, y) => {
+    const PILE_SPACING = 4;
+    const rowOffset = Math.floor(y / (PILE_SPACING / 2)) % 2 === 0 ? 0 : PILE_SPACING / 2;
+
+    return y % (PILE_SPACING / 2) === 0 && (x + rowOffset) % PILE_SPACING === 0;
+};
+
 
 /*
  * +-----+-----+
@@ -181,6 +194,7 @@ const materialToPixelPatternHandler: {[key in RawMapLayerMaterial]: PixelPattern
     [RawMapLayerMaterial.Wood]: chevronPixelPatternHandler,
     [RawMapLayerMaterial.WoodHorizontal]: createPlankPixelPatternHandler(true),
     [RawMapLayerMaterial.WoodVertical]: createPlankPixelPatternHandler(false),
+    [RawMapLayerMaterial.Carpet]: carpetPixelPatternHandler,
 };
 
 export function PROCESS_LAYERS(layers: Array<RawMapLayer>, pixelSize: number, paletteMode: PaletteMode, selectedSegmentIds: string[]) {
@@ -107,30 +107,14 @@ class StructureManager {
                     break;
                 }
                 case RawMapEntityType.NoGoArea: {
-                    const p0 = this.convertCMCoordinatesToPixelSpace({x: e.points[0], y: e.points[1]});
-                    const p1 = this.convertCMCoordinatesToPixelSpace({x: e.points[2], y: e.points[3]});
-                    const p2 = this.convertCMCoordinatesToPixelSpace({x: e.points[4], y: e.points[5]});
-                    const p3 = this.convertCMCoordinatesToPixelSpace({x: e.points[6], y: e.points[7]});
-
                     mapStructures.push(new NoGoAreaMapStructure(
-                        p0.x, p0.y,
-                        p1.x, p1.y,
-                        p2.x, p2.y,
-                        p3.x, p3.y,
+                        this.convertCMPolygonToPixelSpace(e.points)
                     ));
                     break;
                 }
                 case RawMapEntityType.NoMopArea: {
-                    const p0 = this.convertCMCoordinatesToPixelSpace({x: e.points[0], y: e.points[1]});
-                    const p1 = this.convertCMCoordinatesToPixelSpace({x: e.points[2], y: e.points[3]});
-                    const p2 = this.convertCMCoordinatesToPixelSpace({x: e.points[4], y: e.points[5]});
-                    const p3 = this.convertCMCoordinatesToPixelSpace({x: e.points[6], y: e.points[7]});
-
                     mapStructures.push(new NoMopAreaMapStructure(
-                        p0.x, p0.y,
-                        p1.x, p1.y,
-                        p2.x, p2.y,
-                        p3.x, p3.y,
+                        this.convertCMPolygonToPixelSpace(e.points)
                     ));
                     break;
                 }
@@ -146,18 +130,8 @@ class StructureManager {
                 }
                 case RawMapEntityType.Carpet: {
                     // Carpets can be polygons with an arbitrary point count
-                    const points: Array<{x: number, y: number}> = [];
-
-                    for (let i = 0; i < e.points.length; i += 2) {
-                        const p = this.convertCMCoordinatesToPixelSpace({
-                            x: e.points[i],
-                            y: e.points[i + 1]
-                        });
-                        points.push(p);
-                    }
-
                     mapStructures.push(new CarpetMapStructure(
-                        points
+                        this.convertCMPolygonToPixelSpace(e.points)
                     ));
                     break;
                 }
@@ -274,6 +248,24 @@ class StructureManager {
     convertPixelCoordinatesToCMSpace(coordinates: PointCoordinates) : PointCoordinates {
         return {x: Math.floor(coordinates.x * this.pixelSize), y: Math.floor(coordinates.y * this.pixelSize)};
     }
+
+    /**
+     * Converts flat [x1, y1, x2, y2, ...] entity points, as used by polygons with an arbitrary point count
+     *
+     * @param {Array<number>} points - in cm coordinates
+     */
+    convertCMPolygonToPixelSpace(points: Array<number>) : Array<PointCoordinates> {
+        const pixelPoints: Array<PointCoordinates> = [];
+
+        for (let i = 0; i + 1 < points.length; i += 2) {
+            pixelPoints.push(this.convertCMCoordinatesToPixelSpace({
+                x: points[i],
+                y: points[i + 1]
+            }));
+        }
+
+        return pixelPoints;
+    }
 }
 
 // This is important because it determines the draw order
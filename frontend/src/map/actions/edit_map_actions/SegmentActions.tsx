@@ -59,6 +59,8 @@ const getMaterialLabel = (material: MapSegmentMaterial): string => {
             return "Wood (Horizontal)";
         case MapSegmentMaterial.WoodVertical:
             return "Wood (Vertical)";
+        case MapSegmentMaterial.Carpet:
+            return "Carpet";
         default:
             return material;
     }
@@ -12,6 +12,7 @@ import {ActionButton} from "../../Styled";
 import VirtualWallClientStructure from "../../structures/client_structures/VirtualWallClientStructure";
 import NoGoAreaClientStructure from "../../structures/client_structures/NoGoAreaClientStructure";
 import NoMopAreaClientStructure from "../../structures/client_structures/NoMopAreaClientStructure";
+import CarpetAreaClientStructure from "../../structures/client_structures/CarpetAreaClientStructure";
 import RestrictedZoneClientStructure from "../../structures/client_structures/RestrictedZoneClientStructure";
 import {PointCoordinates} from "../../utils/types";
 import {
@@ -19,6 +20,7 @@ import {
     Refresh as RefreshIcon, Clear as ClearIcon,
 } from "@mui/icons-material";
 import {
+    AddCarpetAreaIcon,
     AddNoGoAreaIcon,
     AddNoMopAreaIcon,
     AddVirtualWallIcon
@@ -29,12 +31,14 @@ interface VirtualRestrictionActionsProperties {
     virtualWalls: Array<VirtualWallClientStructure>,
     noGoAreas: Array<NoGoAreaClientStructure>,
     noMopAreas: Array<NoMopAreaClientStructure>,
+    carpetAreas: Array<CarpetAreaClientStructure>,
 
     convertPixelCoordinatesToCMSpace(coordinates: PointCoordinates) : PointCoordinates
 
     onAddVirtualWall(): void,
     onAddNoGoArea(): void,
     onAddNoMopArea(): void,
+    onAddCarpetArea(): void,
 
     onSave(): void;
     onRefresh(): void;
@@ -48,6 +52,7 @@ const VirtualRestrictionActions = (
         virtualWalls,
         noGoAreas,
         noMopAreas,
+        carpetAreas,
 
         convertPixelCoordinatesToCMSpace,
 
@@ -55,6 +60,7 @@ const VirtualRestrictionActions = (
         onAddVirtualWall,
         onAddNoGoArea,
         onAddNoMopArea,
+        onAddCarpetArea,
 
         onSave,
         onRefresh,
@@ -83,34 +89,48 @@ const VirtualRestrictionActions = (
         }
         const restrictedZones : Array<ValetudoRestrictedZone> = [];
 
-        [...noGoAreas, ...noMopAreas].forEach((rZ : RestrictedZoneClientStructure) => {
+        [...noGoAreas, ...noMopAreas, ...carpetAreas].forEach((rZ : RestrictedZoneClientStructure) => {
             let type : ValetudoRestrictedZoneType = ValetudoRestrictedZoneType.Regular;
 
             if (rZ.type === NoMopAreaClientStructure.TYPE) {
                 type = ValetudoRestrictedZoneType.Mop;
+            } else if (rZ.type === CarpetAreaClientStructure.TYPE) {
+                type = ValetudoRestrictedZoneType.Carpet;
             }
 
-            restrictedZones.push({
-                type: type,
-                points: {
-                    pA: convertPixelCoordinatesToCMSpace({
-                        x: rZ.x0,
-                        y: rZ.y0
-                    }),
-                    pB: convertPixelCoordinatesToCMSpace({
-                        x: rZ.x1,
-                        y: rZ.y1
-                    }),
-                    pC: convertPixelCoordinatesToCMSpace({
-                        x: rZ.x2,
-                        y: rZ.y2
-                    }),
-                    pD: convertPixelCoordinatesToCMSpace({
-                        x: rZ.x3,
-                        y: rZ.y3
-                    })
-                }
-            });
+            if (!rZ.isPolygon()) {
+                restrictedZones.push({
+                    type: type,
+                    points: {
+                        pA: convertPixelCoordinatesToCMSpace(rZ.points[0]),
+                        pB: convertPixelCoordinatesToCMSpace(rZ.points[1]),
+                        pC: convertPixelCoordinatesToCMSpace(rZ.points[2]),
+                        pD: convertPixelCoordinatesToCMSpace(rZ.points[3])
+                    }
+                });
+            } else {
+                const polygon = rZ.points.map(p => {
+                    return convertPixelCoordinatesToCMSpace(p);
+                });
+                const xs = polygon.map(p => {
+                    return p.x;
+                });
+                const ys = polygon.map(p => {
+                    return p.y;
+                });
+
+                // The points are the bounding box of the polygon
+                restrictedZones.push({
+                    type: type,
+                    points: {
+                        pA: {x: Math.min(...xs), y: Math.min(...ys)},
+                        pB: {x: Math.max(...xs), y: Math.min(...ys)},
+                        pC: {x: Math.max(...xs), y: Math.max(...ys)},
+                        pD: {x: Math.min(...xs), y: Math.max(...ys)}
+                    },
+                    polygon: polygon
+                });
+            }
         });
 
         saveRestrictions({
@@ -130,7 +150,7 @@ const VirtualRestrictionActions = (
             }),
             restrictedZones: restrictedZones
         });
-    }, [canEdit, saveRestrictions, virtualWalls, noGoAreas, noMopAreas, convertPixelCoordinatesToCMSpace]);
+    }, [canEdit, saveRestrictions, virtualWalls, noGoAreas, noMopAreas, carpetAreas, convertPixelCoordinatesToCMSpace]);
 
     if (combinedVirtualRestrictionsPropertiesLoadError) {
         return (
@@ -240,6 +260,22 @@ const VirtualRestrictionActions = (
                     </ActionButton>
                 </Grid2>
             }
+            {
+                canEdit &&
+                combinedVirtualRestrictionsProperties.supportedRestrictedZoneTypes.includes(ValetudoRestrictedZoneType.Carpet) &&
+
+                <Grid2>
+                    <ActionButton
+                        color="inherit"
+                        size="medium"
+                        variant="extended"
+                        onClick={onAddCarpetArea}
+                    >
+                        <AddCarpetAreaIcon style={{marginRight: "0.25rem", marginLeft: "-0.25rem"}}/>
+                        Carpet ({carpetAreas.length})
+                    </ActionButton>
+                </Grid2>
+            }
             {
                 canEdit &&
 
@@ -247,7 +283,7 @@ const VirtualRestrictionActions = (
                     <ActionButton
                         color="inherit"
                         size="medium"
-                        disabled={noGoAreas.length === 0 && noMopAreas.length === 0 && virtualWalls.length === 0}
+                        disabled={noGoAreas.length === 0 && noMopAreas.length === 0 && carpetAreas.length === 0 && virtualWalls.length === 0}
                         variant="extended"
                         onClick={onClear}
                     >
@@ -9,6 +9,13 @@ You can use virtual restrictions to protect your fragile furniture from your rob
 Not all firmwares support all of those. Also, usually, there's a firmware-determined limit on how many virtual
 restrictions you can have.
 
+Some firmwares also let you correct the detected carpets here. Carpets can be added, resized or removed
+just like no mop areas.
+
+If your firmware supports arbitrary shapes, selected no go and no mop areas show extra handles.
+Drag a corner to move it, drag the handle above the area to rotate it and tap the handle in the middle of an edge
+to add a corner there. Tapping a corner of a shape that isn't a rectangle removes it again.
+
 
 Keep in mind that while these work great most of the time, robots may sometimes forget where they are and then start
 driving around not knowing anything about any of the previously configured virtual restrictions.
@@ -0,0 +1,17 @@
+import RestrictedZoneClientStructure from "./RestrictedZoneClientStructure";
+
+class CarpetAreaClientStructure extends RestrictedZoneClientStructure {
+    public static readonly TYPE = "CarpetAreaClientStructure";
+
+    protected activeStyle : { stroke: string, fill: string } = {
+        stroke: "rgb(120, 113, 108)",
+        fill: "rgba(120, 113, 108, 0)"
+    };
+
+    protected style : { stroke: string, fill: string } = {
+        stroke: "rgb(120, 113, 108)",
+        fill: "rgba(120, 113, 108, 0.4)"
+    };
+}
+
+export default CarpetAreaClientStructure;
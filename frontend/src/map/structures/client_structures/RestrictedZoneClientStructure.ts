@@ -4,7 +4,7 @@ import scaleButtonIconSVG from "../icons/scale_zone.svg";
 import {StructureInterceptionHandlerResult} from "../Structure";
 import {Canvas2DContextTrackingWrapper} from "../../utils/Canvas2DContextTrackingWrapper";
 import {PointCoordinates} from "../../utils/types";
-import {calculateBoxAroundPoint, considerHiDPI, isInsideBox} from "../../utils/helpers";
+import {calculateBoxAroundPoint, considerHiDPI, isInsideBox, isInsidePolygon} from "../../utils/helpers";
 
 const img_delete_button = new Image();
 img_delete_button.src = deleteButtonIconSVG;
@@ -12,6 +12,17 @@ img_delete_button.src = deleteButtonIconSVG;
 const img_scale_button = new Image();
 img_scale_button.src = scaleButtonIconSVG;
 
+const handleRadius = 7;
+const handleHitboxPadding = 14;
+const rotateHandleOffset = 40;
+
+/*
+    Restricted zones start out as rectangles, which are resized with the scale button.
+
+    If the robot supports polygonal zones, every vertex can also be dragged on its own, the zone can be rotated
+    using the handle above it and tapping the handle in the middle of an edge splits that edge.
+    Tapping a vertex removes it again, as long as the zone stays a polygon.
+ */
 abstract class RestrictedZoneClientStructure extends ClientStructure {
     protected activeStyle : { stroke: string, fill: string } = {
         stroke: "rgb(0, 255, 0)",
@@ -23,38 +34,49 @@ abstract class RestrictedZoneClientStructure extends ClientStructure {
         fill: "rgba(0, 255, 0, 0.4)"
     };
 
-    public x1: number;
-    public y1: number;
-    public x2: number;
-    public y2: number;
-    public x3: number;
-    public y3: number;
+    public points: Array<PointCoordinates>; // In pixel map space. The first point is also x0/y0
+    public readonly polygonEditable: boolean;
+
+    private draggedVertexIndex: number | null = null;
+    private isRotating = false;
 
     constructor(
-        x0: number, y0: number,
-        x1: number, y1: number,
-        x2: number, y2: number,
-        x3: number, y3: number,
-        active?: boolean
+        points: Array<PointCoordinates>,
+        active?: boolean,
+        polygonEditable?: boolean
     ) {
-        super(x0, y0);
+        super(points[0].x, points[0].y);
 
-        this.x1 = x1;
-        this.y1 = y1;
-        this.x2 = x2;
-        this.y2 = y2;
-        this.x3 = x3;
-        this.y3 = y3;
+        this.points = points.map(p => {
+            return {x: p.x, y: p.y};
+        });
 
         this.active = active ?? true;
+        this.polygonEditable = polygonEditable ?? false;
+    }
+
+    /**
+     * Without polygon support, every zone is handled as the rectangle it always was
+     */
+    isPolygon(): boolean {
+        return this.polygonEditable && !this.isAxisAlignedRectangle();
+    }
+
+    /**
+     * Rectangles are drawn clockwise starting at the top left corner
+     */
+    private isAxisAlignedRectangle(): boolean {
+        if (this.points.length !== 4) {
+            return false;
+        }
+        const [p0, p1, p2, p3] = this.points;
+
+        return p0.y === p1.y && p1.x === p2.x && p2.y === p3.y && p3.x === p0.x && p0.x < p1.x && p0.y < p3.y;
     }
 
     draw(ctxWrapper: Canvas2DContextTrackingWrapper, transformationMatrixToScreenSpace: DOMMatrixInit, scaleFactor: number): void {
         const ctx = ctxWrapper.getContext();
-        const p0 = new DOMPoint(this.x0, this.y0).matrixTransform(transformationMatrixToScreenSpace);
-        const p1 = new DOMPoint(this.x1, this.y1).matrixTransform(transformationMatrixToScreenSpace);
-        const p2 = new DOMPoint(this.x2, this.y2).matrixTransform(transformationMatrixToScreenSpace);
-        const p3 = new DOMPoint(this.x3, this.y3).matrixTransform(transformationMatrixToScreenSpace);
+        const screenPoints = this.getScreenPoints(transformationMatrixToScreenSpace);
 
 
         ctxWrapper.save();
@@ -78,25 +100,13 @@ abstract class RestrictedZoneClientStructure extends ClientStructure {
         ctx.strokeStyle = "rgba(0,0,0, 0.8)";
         ctx.lineWidth = ctx.lineWidth + considerHiDPI(2);
 
-        ctx.beginPath();
-        ctx.moveTo(p0.x, p0.y);
-        ctx.lineTo(p1.x, p1.y);
-        ctx.lineTo(p2.x, p2.y);
-        ctx.lineTo(p3.x, p3.y);
-        ctx.closePath();
-
+        this.tracePath(ctx, screenPoints);
         ctx.stroke();
 
         ctx.restore();
 
 
-        ctx.beginPath();
-        ctx.moveTo(p0.x, p0.y);
-        ctx.lineTo(p1.x, p1.y);
-        ctx.lineTo(p2.x, p2.y);
-        ctx.lineTo(p3.x, p3.y);
-        ctx.closePath();
-
+        this.tracePath(ctx, screenPoints);
         ctx.fill();
         ctx.stroke();
 
@@ -105,55 +115,88 @@ abstract class RestrictedZoneClientStructure extends ClientStructure {
 
 
         if (this.active) {
+            if (this.polygonEditable) {
+                this.drawPolygonHandles(ctxWrapper, screenPoints);
+            }
+
             const scaledDeleteButtonSize = this.getControlElementImageScaledSize(img_delete_button, scaleFactor);
-            const scaledScaleButtonSize = this.getControlElementImageScaledSize(img_scale_button, scaleFactor);
 
             ctx.drawImage(
                 this.getOptimizedImage(img_delete_button, scaledDeleteButtonSize.width, scaledDeleteButtonSize.height),
-                p0.x - scaledDeleteButtonSize.width / 2,
-                p0.y - scaledDeleteButtonSize.height / 2,
+                screenPoints[0].x - scaledDeleteButtonSize.width / 2,
+                screenPoints[0].y - scaledDeleteButtonSize.height / 2,
                 scaledDeleteButtonSize.width,
                 scaledDeleteButtonSize.height
             );
 
-            ctx.drawImage(
-                this.getOptimizedImage(img_scale_button, scaledScaleButtonSize.width, scaledScaleButtonSize.height),
-                p2.x - scaledScaleButtonSize.width / 2,
-                p2.y - scaledScaleButtonSize.height / 2,
-                scaledScaleButtonSize.width,
-                scaledScaleButtonSize.height
-            );
+            if (!this.isPolygon()) {
+                const scaledScaleButtonSize = this.getControlElementImageScaledSize(img_scale_button, scaleFactor);
+
+                ctx.drawImage(
+                    this.getOptimizedImage(img_scale_button, scaledScaleButtonSize.width, scaledScaleButtonSize.height),
+                    screenPoints[2].x - scaledScaleButtonSize.width / 2,
+                    screenPoints[2].y - scaledScaleButtonSize.height / 2,
+                    scaledScaleButtonSize.width,
+                    scaledScaleButtonSize.height
+                );
+            }
         }
     }
 
     postProcess(): void {
-        this.x0 = Math.round(this.x0);
-        this.y0 = Math.round(this.y0);
-
-        this.x1 = Math.round(this.x1);
-        this.y1 = Math.round(this.y1);
-
-        this.x2 = Math.round(this.x2);
-        this.y2 = Math.round(this.y2);
+        this.points = this.points.map(p => {
+            return {x: Math.round(p.x), y: Math.round(p.y)};
+        });
+        this.syncOrigin();
 
-        this.x3 = Math.round(this.x3);
-        this.y3 = Math.round(this.y3);
+        this.draggedVertexIndex = null;
+        this.isRotating = false;
     }
 
     tap(tappedPoint : PointCoordinates, transformationMatrixToScreenSpace: DOMMatrixInit, scaleFactor: number) : StructureInterceptionHandlerResult {
-        const p0 = new DOMPoint(this.x0, this.y0).matrixTransform(transformationMatrixToScreenSpace);
-        const p2 = new DOMPoint(this.x2, this.y2).matrixTransform(transformationMatrixToScreenSpace);
+        const screenPoints = this.getScreenPoints(transformationMatrixToScreenSpace);
 
         const scaledDeleteButtonSize = this.getControlElementImageScaledSize(img_delete_button, scaleFactor);
         const deleteButtonHitboxPadding = Math.max(scaledDeleteButtonSize.width, scaledDeleteButtonSize.height) / 2;
-        const deleteButtonHitbox = calculateBoxAroundPoint(p0, deleteButtonHitboxPadding);
+        const deleteButtonHitbox = calculateBoxAroundPoint(screenPoints[0], deleteButtonHitboxPadding);
 
         if (this.active && isInsideBox(tappedPoint, deleteButtonHitbox)) {
             return {
                 deleteMe: true,
                 stopPropagation: true
             };
-        } else if (isInsideBox(tappedPoint, {topLeftBound: p0, bottomRightBound: p2})) {
+        }
+
+        if (this.active && this.polygonEditable) {
+            const edgeIndex = this.getEdgeMidpoints(screenPoints).findIndex(midpoint => {
+                return isInsideBox(tappedPoint, calculateBoxAroundPoint(midpoint, handleHitboxPadding));
+            });
+
+            if (edgeIndex !== -1) {
+                const a = this.points[edgeIndex];
+                const b = this.points[(edgeIndex + 1) % this.points.length];
+
+                this.points.splice(edgeIndex + 1, 0, {x: (a.x + b.x) / 2, y: (a.y + b.y) / 2});
+                this.postProcess();
+
+                return {
+                    stopPropagation: true
+                };
+            }
+
+            const vertexIndex = this.getDraggableVertexIndex(tappedPoint, screenPoints);
+
+            if (vertexIndex !== null && this.points.length > 3 && this.isPolygon()) {
+                this.points.splice(vertexIndex, 1);
+                this.syncOrigin();
+
+                return {
+                    stopPropagation: true
+                };
+            }
+        }
+
+        if (isInsidePolygon(tappedPoint, screenPoints)) {
             this.active = true;
 
             return {
@@ -182,46 +225,85 @@ abstract class RestrictedZoneClientStructure extends ClientStructure {
         pixelSize: number
     ) : StructureInterceptionHandlerResult {
         if (this.active) {
-            const p0 = new DOMPoint(this.x0, this.y0).matrixTransform(transformationMatrixToScreenSpace);
-            const p2 = new DOMPoint(this.x2, this.y2).matrixTransform(transformationMatrixToScreenSpace);
+            const screenPoints = this.getScreenPoints(transformationMatrixToScreenSpace);
+
+            if (!this.isResizing && !this.isPolygon()) {
+                const scaledScaleButtonSize = this.getControlElementImageScaledSize(img_scale_button, scaleFactor);
+                const scaleButtonHitboxPadding = Math.max(scaledScaleButtonSize.width, scaledScaleButtonSize.height) / 2;
+                const scaleButtonHitbox = calculateBoxAroundPoint(screenPoints[2], scaleButtonHitboxPadding);
 
-            const scaledScaleButtonSize = this.getControlElementImageScaledSize(img_scale_button, scaleFactor);
-            const scaleButtonHitboxPadding = Math.max(scaledScaleButtonSize.width, scaledScaleButtonSize.height) / 2;
-            const scaleButtonHitbox = calculateBoxAroundPoint(p2, scaleButtonHitboxPadding);
+                if (isInsideBox(lastCoordinates, scaleButtonHitbox)) {
+                    this.isResizing = true;
+                }
+            }
 
-            if (!this.isResizing && isInsideBox(lastCoordinates, scaleButtonHitbox)) {
-                this.isResizing = true;
+            if (!this.isResizing && this.polygonEditable) {
+                if (isInsideBox(lastCoordinates, calculateBoxAroundPoint(this.getRotateHandle(screenPoints), handleHitboxPadding))) {
+                    this.isResizing = true;
+                    this.isRotating = true;
+                } else {
+                    const vertexIndex = this.getDraggableVertexIndex(lastCoordinates, screenPoints);
+
+                    if (vertexIndex !== null) {
+                        this.isResizing = true;
+                        this.draggedVertexIndex = vertexIndex;
+                    }
+                }
             }
 
             const {
                 dx,
                 dy,
+                lastInMapSpace,
                 currentInMapSpace
             } = ClientStructure.calculateTranslateDelta(lastCoordinates, currentCoordinates, transformationMatrixToScreenSpace);
 
 
-            if (this.isResizing) {
-                if (currentInMapSpace.x > this.x0 + pixelSize && this.x1 + dx > this.x0 + pixelSize) {
-                    this.x1 += dx;
-                    this.x2 += dx;
+            if (this.isResizing && this.isRotating) {
+                const center = this.getCenter();
+                const angle = Math.atan2(currentInMapSpace.y - center.y, currentInMapSpace.x - center.x) -
+                    Math.atan2(lastInMapSpace.y - center.y, lastInMapSpace.x - center.x);
+                const rotation = new DOMMatrix().translate(center.x, center.y).rotate(angle * 180 / Math.PI).translate(-center.x, -center.y);
+
+                this.points = this.points.map(p => {
+                    const rotated = new DOMPoint(p.x, p.y).matrixTransform(rotation);
+
+                    return {x: rotated.x, y: rotated.y};
+                });
+                this.syncOrigin();
+
+                return {
+                    stopPropagation: true
+                };
+            } else if (this.isResizing && this.draggedVertexIndex !== null) {
+                this.points[this.draggedVertexIndex].x += dx;
+                this.points[this.draggedVertexIndex].y += dy;
+                this.syncOrigin();
+
+                return {
+                    stopPropagation: true
+                };
+            } else if (this.isResizing) {
+                const [p0, p1, p2, p3] = this.points;
+
+                if (currentInMapSpace.x > p0.x + pixelSize && p1.x + dx > p0.x + pixelSize) {
+                    p1.x += dx;
+                    p2.x += dx;
                 }
-                if (currentInMapSpace.y > this.y0 + pixelSize && this.y2 + dy > this.y0 + pixelSize) {
-                    this.y2 += dy;
-                    this.y3 += dy;
+                if (currentInMapSpace.y > p0.y + pixelSize && p2.y + dy > p0.y + pixelSize) {
+                    p2.y += dy;
+                    p3.y += dy;
                 }
 
                 return {
                     stopPropagation: true
                 };
-            } else if (isInsideBox(lastCoordinates, {topLeftBound: p0, bottomRightBound: p2})) {
-                this.x0 += dx;
-                this.y0 += dy;
-                this.x1 += dx;
-                this.y1 += dy;
-                this.x2 += dx;
-                this.y2 += dy;
-                this.x3 += dx;
-                this.y3 += dy;
+            } else if (isInsidePolygon(lastCoordinates, screenPoints)) {
+                this.points.forEach(p => {
+                    p.x += dx;
+                    p.y += dy;
+                });
+                this.syncOrigin();
 
                 return {
                     stopPropagation: true
@@ -235,6 +317,114 @@ abstract class RestrictedZoneClientStructure extends ClientStructure {
             stopPropagation: false
         };
     }
+
+    private syncOrigin(): void {
+        this.x0 = this.points[0].x;
+        this.y0 = this.points[0].y;
+    }
+
+    private getScreenPoints(transformationMatrixToScreenSpace: DOMMatrixInit): Array<DOMPoint> {
+        return this.points.map(p => {
+            return new DOMPoint(p.x, p.y).matrixTransform(transformationMatrixToScreenSpace);
+        });
+    }
+
+    private getCenter(): PointCoordinates {
+        return {
+            x: this.points.reduce((sum, p) => sum + p.x, 0) / this.points.length,
+            y: this.points.reduce((sum, p) => sum + p.y, 0) / this.points.length
+        };
+    }
+
+    private getEdgeMidpoints(screenPoints: Array<DOMPoint>): Array<PointCoordinates> {
+        return screenPoints.map((p, i) => {
+            const next = screenPoints[(i + 1) % screenPoints.length];
+
+            return {x: (p.x + next.x) / 2, y: (p.y + next.y) / 2};
+        });
+    }
+
+    private getRotateHandle(screenPoints: Array<DOMPoint>): PointCoordinates {
+        const xs = screenPoints.map(p => p.x);
+        const ys = screenPoints.map(p => p.y);
+
+        return {
+            x: (Math.min(...xs) + Math.max(...xs)) / 2,
+            y: Math.min(...ys) - considerHiDPI(rotateHandleOffset)
+        };
+    }
+
+    /**
+     * The first vertex holds the delete button and rectangles are resized using the third one
+     *
+     * @param {PointCoordinates} point - The tapped point in screen coordinates
+     * @param {Array<DOMPoint>} screenPoints - The vertices of the zone in screen coordinates
+     */
+    private getDraggableVertexIndex(point: PointCoordinates, screenPoints: Array<DOMPoint>): number | null {
+        const isRectangle = !this.isPolygon();
+        const index = screenPoints.findIndex((p, i) => {
+            return i !== 0 && !(isRectangle && i === 2) && isInsideBox(point, calculateBoxAroundPoint(p, handleHitboxPadding));
+        });
+
+        return index !== -1 ? index : null;
+    }
+
+    private drawPolygonHandles(ctxWrapper: Canvas2DContextTrackingWrapper, screenPoints: Array<DOMPoint>): void {
+        const ctx = ctxWrapper.getContext();
+        const isRectangle = !this.isPolygon();
+        const rotateHandle = this.getRotateHandle(screenPoints);
+        const topCenter = {
+            x: rotateHandle.x,
+            y: rotateHandle.y + considerHiDPI(rotateHandleOffset)
+        };
+
+        ctxWrapper.save();
+
+        ctx.lineWidth = considerHiDPI(2);
+        ctx.strokeStyle = "rgba(0,0,0, 0.8)";
+
+        ctx.beginPath();
+        ctx.moveTo(topCenter.x, topCenter.y);
+        ctx.lineTo(rotateHandle.x, rotateHandle.y);
+        ctx.stroke();
+
+        ctx.fillStyle = this.style.stroke;
+        screenPoints.forEach((p, i) => {
+            if (i === 0 || (isRectangle && i === 2)) {
+                return;
+            }
+
+            this.drawHandle(ctx, p);
+            ctx.fill();
+            ctx.stroke();
+        });
+        this.drawHandle(ctx, rotateHandle);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = "rgba(255,255,255, 0.8)";
+        this.getEdgeMidpoints(screenPoints).forEach(p => {
+            this.drawHandle(ctx, p);
+            ctx.fill();
+            ctx.stroke();
+        });
+
+        ctxWrapper.restore();
+    }
+
+    private drawHandle(ctx: CanvasRenderingContext2D, p: PointCoordinates): void {
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, considerHiDPI(handleRadius), 0, 2 * Math.PI);
+    }
+
+    private tracePath(ctx: CanvasRenderingContext2D, screenPoints: Array<DOMPoint>): void {
+        ctx.beginPath();
+        ctx.moveTo(screenPoints[0].x, screenPoints[0].y);
+        for (let i = 1; i < screenPoints.length; i++) {
+            ctx.lineTo(screenPoints[i].x, screenPoints[i].y);
+        }
+        ctx.closePath();
+    }
 }
 
 export default RestrictedZoneClientStructure;
@@ -69,3 +69,18 @@ export function calculateBoxAroundPoint(point: PointCoordinates, boxPadding: num
         }
     };
 }
+
+export function isInsidePolygon(point: PointCoordinates, polygon: Array<PointCoordinates>) {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+
+        if ((a.y > point.y) !== (b.y > point.y) && point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
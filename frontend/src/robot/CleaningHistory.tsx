@@ -0,0 +1,167 @@
+import React from "react";
+import {
+    Box,
+    Button,
+    CircularProgress,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    List,
+    ListItemButton,
+    ListItemText,
+    Skeleton,
+    Typography,
+    useTheme,
+} from "@mui/material";
+import {
+    Capability,
+    CleaningHistoryEntry,
+    CleaningHistoryEntryJobType,
+    useCleaningHistoryEntryQuery,
+    useCleaningHistoryQuery
+} from "../api";
+import {useCapabilitiesSupported} from "../CapabilitiesProvider";
+import PaperContainer from "../components/PaperContainer";
+import RobotCoverageMap from "../map/RobotCoverageMap";
+import {convertSecondsToHumans, format8601Ish} from "../utils";
+import {CleaningHistoryHelp} from "./res/CleaningHistoryHelp";
+
+const JOB_TYPE_NAMES: Record<CleaningHistoryEntryJobType, string> = {
+    full: "Full cleanup",
+    segment: "Segment cleanup",
+    zone: "Zone cleanup",
+    mapping: "Mapping pass",
+    other: "Other"
+};
+
+const getEntrySummary = (entry: CleaningHistoryEntry): string => {
+    return [
+        convertSecondsToHumans(entry.duration, false, false),
+        `${(entry.area / 10000).toFixed(2)} m²`,
+        entry.mode === "mop" ? "Vacuum & mop" : "Vacuum"
+    ].join(" · ");
+};
+
+const CleaningHistoryMapDialog: React.FunctionComponent<{
+    entry: CleaningHistoryEntry | null,
+    onClose: () => void
+}> = ({entry, onClose}): React.ReactElement => {
+    const theme = useTheme();
+    const {
+        data: entryWithMap,
+        isPending: entryPending,
+        isError: entryError
+    } = useCleaningHistoryEntryQuery(entry?.id ?? null);
+
+    let content;
+    if (entryError) {
+        content = <Typography color="error">Error loading the map of this job</Typography>;
+    } else if (entryPending) {
+        content = <CircularProgress/>;
+    } else if (!entryWithMap?.map) {
+        content = <Typography>No map was recorded for this job</Typography>;
+    } else {
+        content = (
+            <RobotCoverageMap
+                rawMap={entryWithMap.map}
+                paletteMode={theme.palette.mode}
+                helpText={CleaningHistoryHelp}
+            />
+        );
+    }
+
+    return (
+        <Dialog
+            open={entry !== null}
+            onClose={onClose}
+            fullScreen
+        >
+            <DialogTitle style={{userSelect: "none"}}>
+                {entry ? `${JOB_TYPE_NAMES[entry.jobType]} at ${format8601Ish(new Date(entry.timestamp))}` : ""}
+            </DialogTitle>
+            <DialogContent dividers>
+                <Box
+                    style={{
+                        height: "100%",
+                        display: "flex",
+                        flexFlow: "column",
+                        justifyContent: "center",
+                        alignItems: "center"
+                    }}
+                >
+                    {content}
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+const CleaningHistoryInternal: React.FunctionComponent = (): React.ReactElement => {
+    const {
+        data: cleaningHistory,
+        isPending: cleaningHistoryPending,
+        isError: cleaningHistoryError,
+    } = useCleaningHistoryQuery();
+    const [selectedEntry, setSelectedEntry] = React.useState<CleaningHistoryEntry | null>(null);
+
+    if (cleaningHistoryPending) {
+        return (
+            <Skeleton height={"24rem"}/>
+        );
+    }
+
+    if (cleaningHistoryError || !cleaningHistory) {
+        return <Typography color="error">Error loading the cleaning history</Typography>;
+    }
+
+    if (cleaningHistory.length === 0) {
+        return <Typography>No cleaning jobs recorded yet</Typography>;
+    }
+
+    return (
+        <>
+            <List>
+                {cleaningHistory.map(entry => {
+                    return (
+                        <ListItemButton
+                            key={entry.id}
+                            disabled={!entry.hasMap}
+                            onClick={() => {
+                                setSelectedEntry(entry);
+                            }}
+                        >
+                            <ListItemText
+                                primary={`${format8601Ish(new Date(entry.timestamp))} - ${JOB_TYPE_NAMES[entry.jobType]}`}
+                                secondary={getEntrySummary(entry)}
+                            />
+                        </ListItemButton>
+                    );
+                })}
+            </List>
+            <CleaningHistoryMapDialog
+                entry={selectedEntry}
+                onClose={() => {
+                    setSelectedEntry(null);
+                }}
+            />
+        </>
+    );
+};
+
+const CleaningHistory = (): React.ReactElement => {
+    const [supported] = useCapabilitiesSupported(Capability.CleaningHistory);
+
+    return (
+        <PaperContainer>
+            {supported ? <CleaningHistoryInternal/> : (
+                <Typography color="error">This robot does not support the cleaning history.</Typography>
+            )}
+        </PaperContainer>
+    );
+};
+
+export default CleaningHistory;
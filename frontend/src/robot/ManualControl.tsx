@@ -18,7 +18,9 @@ import {
     useManualControlStateQuery,
     useHighResolutionManualControlStateQuery,
     useHighResolutionManualControlInteraction,
+    useRobotPropertiesQuery,
     ValetudoManualMovementVector,
+    valetudoAPIBaseURL,
 } from "../api";
 import { useCapabilitiesSupported } from "../CapabilitiesProvider";
 import { FullHeightGrid } from "../components/FullHeightGrid";
@@ -42,6 +44,39 @@ const CenterButton = styled(Button)({
     width: "100%",
 });
 
+const CameraView = (props: { enabled: boolean }): React.ReactElement | null => {
+    const {data: robotProperties} = useRobotPropertiesQuery();
+    const [streamSrc, setStreamSrc] = React.useState<string | null>(null);
+    const streamEnabled = props.enabled && robotProperties?.cameraAvailable === true;
+
+    useEffect(() => {
+        // A fresh URL per session, so that the browser reconnects instead of showing the last frame
+        setStreamSrc(streamEnabled ? `${valetudoAPIBaseURL}/robot/camera/stream?session=${Date.now()}` : null);
+    }, [streamEnabled]);
+
+    if (streamSrc === null) {
+        return null;
+    }
+
+    return (
+        <Box sx={{mt: 1, mb: 1, display: "flex", justifyContent: "center"}}>
+            <img
+                src={streamSrc}
+                alt="Robot camera"
+                style={{
+                    maxWidth: "100%",
+                    maxHeight: "40vh",
+                    borderRadius: "4px",
+                    objectFit: "contain",
+                }}
+                onError={() => {
+                    setStreamSrc(null);
+                }}
+            />
+        </Box>
+    );
+};
+
 const ControlToggle = () => {
     const {
         data: manualControlState,
@@ -129,7 +164,7 @@ const MovementControls = () => {
 };
 
 const ManualControlInternal: React.FunctionComponent = (): React.ReactElement => {
-    const { isPending: stateLoading, isError: stateError } = useManualControlStateQuery();
+    const { data: manualControlState, isPending: stateLoading, isError: stateError } = useManualControlStateQuery();
     const { isPending: propertiesLoading, isError: propertiesError } = useManualControlPropertiesQuery();
 
     const loading = stateLoading || propertiesLoading;
@@ -147,7 +182,7 @@ const ManualControlInternal: React.FunctionComponent = (): React.ReactElement =>
                                 <>
                                     { hasError && <Typography color="error">Error loading manual controls</Typography> }
                                     <ControlToggle />
-                                    <Box />
+                                    <CameraView enabled={manualControlState?.enabled ?? false} />
                                     <MovementControls />
                                 </>
                             )
@@ -270,7 +305,7 @@ const HighResolutionMovementControls = () => {
 
 
 const HighResolutionManualControlInternal: React.FunctionComponent = (): React.ReactElement => {
-    const { isPending: stateLoading, isError: stateError } = useHighResolutionManualControlStateQuery();
+    const { data: manualControlState, isPending: stateLoading, isError: stateError } = useHighResolutionManualControlStateQuery();
 
     return (
         <FullHeightGrid container direction="column">
@@ -283,7 +318,7 @@ const HighResolutionManualControlInternal: React.FunctionComponent = (): React.R
                             <>
                                 { stateError && <Typography color="error">Error loading manual controls</Typography> }
                                 <HighResolutionControlToggle />
-                                <Box />
+                                <CameraView enabled={manualControlState?.enabled ?? false} />
                                 <HighResolutionMovementControls />
                             </>
                         )
@@ -1,5 +1,6 @@
 import {Route} from "react-router";
 import {Navigate, Routes} from "react-router-dom";
+import CleaningHistory from "./CleaningHistory";
 import Consumables from "./Consumables";
 import ManualControl from "./ManualControl";
 import TotalStatistics from "./TotalStatistics";
@@ -11,6 +12,7 @@ const RobotRouter = (): React.ReactElement => {
             <Route path={"consumables"} element={<Consumables/>}/>
             <Route path={"manual_control"} element={<ManualControl/>}/>
             <Route path={"total_statistics"} element={<TotalStatistics/>}/>
+            <Route path={"cleaning_history"} element={<CleaningHistory/>}/>
 
             <Route path="*" element={<Navigate to="/" />} />
         </Routes>
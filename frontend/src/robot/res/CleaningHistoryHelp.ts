@@ -0,0 +1,7 @@
+export const CleaningHistoryHelp = `
+## Cleaning History
+
+This is the map as it was when the job finished. Like the robot coverage map, the path is drawn with a much thicker
+stroke so that areas the robot didn't reach are easy to spot.
+
+`;
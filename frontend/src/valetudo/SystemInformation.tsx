@@ -309,6 +309,38 @@ const SystemInformation = (): React.ReactElement => {
             {
                 header: "Firmware Version",
                 body: robotProperties?.firmwareVersion
+            },
+            {
+                header: "Board",
+                body: robotProperties?.boardId
+            },
+            {
+                header: "Serial Number",
+                body: robotProperties?.serialNumber
+            },
+            {
+                header: "Medusa Version",
+                body: robotProperties?.medusaVersion
+            },
+            {
+                header: "LDS Version",
+                body: robotProperties?.ldsVersion
+            },
+            {
+                header: "Camera Module Version",
+                body: robotProperties?.cameraModuleVersion
+            },
+            {
+                header: "ROS Nodes",
+                body: robotProperties?.rosNodes?.join(", ")
+            },
+            {
+                header: "ROS Compatibility",
+                body: robotProperties?.rosCompatibility ? [
+                    `${robotProperties.rosCompatibility.supported} supported`,
+                    ...robotProperties.rosCompatibility.unknownMd5.map(name => `${name} (unknown md5sum)`),
+                    ...robotProperties.rosCompatibility.missing.map(name => `${name} (missing)`)
+                ].join(", ") : undefined
             }
         ].filter(item => {
             return item.body !== undefined;
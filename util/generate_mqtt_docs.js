@@ -23,6 +23,7 @@ const StatusStateAttribute = require("../backend/lib/entities/state/attributes/S
 const DockStatusStateAttribute = require("../backend/lib/entities/state/attributes/DockStatusStateAttribute");
 const PresetSelectionStateAttribute = require("../backend/lib/entities/state/attributes/PresetSelectionStateAttribute");
 const DockComponentStateAttribute = require("../backend/lib/entities/state/attributes/DockComponentStateAttribute");
+const FirmwareConnectionStateAttribute = require("../backend/lib/entities/state/attributes/FirmwareConnectionStateAttribute");
 const Unit = require("../backend/lib/mqtt/common/Unit");
 const HomieCommonAttributes = require("../backend/lib/mqtt/homie/HomieCommonAttributes");
 const ValetudoEventStore = require("valetudo-backend/lib/ValetudoEventStore");
@@ -263,6 +264,9 @@ class FakeMqttController extends MqttController {
                 type: DockComponentStateAttribute.TYPE.DUSTBAG,
                 value: DockComponentStateAttribute.VALUE.OK
             }),
+            new FirmwareConnectionStateAttribute({
+                value: FirmwareConnectionStateAttribute.VALUE.CONNECTED
+            }),
             new PresetSelectionStateAttribute({
                 type: PresetSelectionStateAttribute.TYPE.FAN_SPEED,
                 value: PresetSelectionStateAttribute.INTENSITY.MAX